@@ -0,0 +1,895 @@
+/**
+ * Google Ads Script - Performance Anomaly Detector
+ * This script watches the same daily metrics as the Account Daily tab of the Performance Dashboard Exporter
+ * and emails an alert when a day (or today so far) is far outside its usual range.
+ *
+ * Features:
+ * - Account, campaign and country level monitoring.
+ * - Cost, CTR, CPC, conversion rate and ROAS compared against a rolling baseline of the same weekday
+ *   over the previous weeks, so regular weekday/weekend swings are not flagged.
+ * - Optional custom KPIs, e.g. leads from selected conversion actions or a qualified CPA, checked like the other metrics.
+ * - DAILY mode checks yesterday; INTRADAY mode checks today's cumulative figures up to the last
+ *   complete hour against the same hours of the baseline days.
+ * - Flags spikes and drops whose z-score exceeds the threshold and whose relative change is large enough.
+ * - Sends one concise alert (email, Slack, Microsoft Teams or Google Chat), and only when something
+ *   breaches the thresholds.
+ * - Optional Settings tab in a Google Sheet, to change thresholds and recipients without editing the code.
+ *
+ * Setup Instructions:
+ * 1. Replace 'your-email@example.com' with your email, and/or add Slack, Teams or Google Chat webhooks
+ *    to NOTIFICATIONS.CHANNELS.
+ * 2. Choose the MODE: 'DAILY' (schedule daily, e.g. 6am) or 'INTRADAY' (schedule hourly).
+ * 3. Adjust the thresholds and minimum volumes if needed, here or in the 'Settings' tab of the Google Sheet
+ *    set in SPREADSHEET_URL.
+ */
+
+// ==================== CONFIGURATION ====================
+const CONFIG = {
+  // Optional Google Sheet whose 'Settings' tab overrides the settings below, so they can be changed without
+  // editing the code. The tab is added on the first run. Leave as is to configure everything here.
+  SPREADSHEET_URL: 'YOUR_GOOGLE_SHEET_URL_HERE',
+
+  // DAILY compares yesterday; INTRADAY compares today up to the last complete hour
+  MODE: 'DAILY',
+
+  // Number of same-weekday days in the baseline (8 = the same weekday over the previous 8 weeks)
+  BASELINE_WEEKS: 8,
+
+  // Levels and metrics to watch. LEVELS: ACCOUNT, CAMPAIGN, COUNTRY. METRICS: keys of METRICS below or of CUSTOM_KPIS.
+  LEVELS: ['ACCOUNT', 'CAMPAIGN', 'COUNTRY'],
+  METRICS: ['cost', 'ctr', 'cpc', 'convRate', 'roas'],
+
+  // Custom KPIs, checked like the metrics above once their key is added to METRICS. Same definitions as
+  // CUSTOM_KPIS in the Performance Dashboard Exporter, so they can be copied across: conversionActions sums the
+  // all conversions (or, with conversionValue: true, their value) of the named conversion actions; ratio divides
+  // two of cost, impressions, clicks, conversions, convValue or earlier KPIs, times an optional multiplier.
+  // Set lowerIsBetter: true for KPIs such as a CPA, so a spike is colored as a change in the wrong direction.
+  CUSTOM_KPIS: [
+    // { key: 'leads', header: 'Leads', conversionActions: ['Form Submit', 'Call > 60s'] },
+    // { key: 'qualifiedCpa', header: 'Qualified CPA', ratio: ['cost', 'leads'], currency: true, lowerIsBetter: true }
+  ],
+
+  // A value is an anomaly when it is at least Z_SCORE_THRESHOLD standard deviations from the baseline
+  // mean AND at least MIN_RELATIVE_CHANGE away from it (0.25 = 25%)
+  Z_SCORE_THRESHOLD: 3,
+  MIN_RELATIVE_CHANGE: 0.25,
+  CRITICAL_Z_SCORE: 6, // The alert is CRITICAL when any anomaly reaches this z-score, WARNING otherwise
+
+  // Entities below these baseline averages per day are skipped as too small to judge
+  MIN_DAILY_COST: 20,
+  MIN_DAILY_CLICKS: 10,
+  MIN_DAILY_CONVERSIONS: 2, // For conversion rate and ROAS
+
+  // Money is shown in the account's currency (symbol and decimal places). LANGUAGE_TAG sets the separators,
+  // e.g. 'en-GB' or 'de-DE'; DATE_FORMAT the checked date in the alert.
+  LOCALE: {
+    LANGUAGE_TAG: 'en-US',
+    CURRENCY_CODE: '', // e.g. 'EUR'. Leave empty to use the account's currency.
+    DATE_FORMAT: 'yyyy-MM-dd' // e.g. 'dd/MM/yyyy'
+  },
+
+  // Notification settings
+  SEND_EMAIL: true,
+  EMAIL_RECIPIENTS: 'your-email@example.com', // Comma-separated for multiple recipients
+
+  // Email branding. Leave LOGO_URL and FOOTER_TEXT empty for an unbranded email.
+  EMAIL_THEME: {
+    BRAND_NAME: '', // Alt text of the logo
+    LOGO_URL: '', // e.g. 'https://example.com/logo.png'
+    PRIMARY_COLOR: '#4285f4', // Title, links and buttons
+    TEXT_COLOR: '#333333',
+    MUTED_COLOR: '#666666',
+    GOOD_COLOR: '#27ae60', // Changes in the right direction, e.g. a ROAS spike
+    BAD_COLOR: '#c0392b', // Changes in the wrong direction, e.g. a cost spike
+    WARNING_COLOR: '#e67e22',
+    FOOTER_TEXT: '' // e.g. 'Prepared by Example Agency - hello@example.com'
+  },
+
+  // Delivery channels. EMAIL uses EMAIL_RECIPIENTS unless the channel sets its own recipients; SLACK, TEAMS
+  // and GOOGLE_CHAT post to an incoming webhook. Each channel gets the alert when its severity is at least
+  // the channel's minSeverity, e.g. email every anomaly but page Slack only for CRITICAL ones.
+  NOTIFICATIONS: {
+    CHANNELS: [
+      { type: 'EMAIL', minSeverity: 'WARNING' }
+      // { type: 'SLACK', webhookUrl: 'https://hooks.slack.com/services/...', minSeverity: 'CRITICAL' }
+    ]
+  }
+};
+
+// ==================== METRIC DEFINITIONS ====================
+// Base metrics are summed per day; every checked metric is derived from them.
+// minVolume names the baseline daily average that must be reached before the metric is judged;
+// higherIsBetter colors a spike green or red in the alert.
+const BASE_FIELDS = {
+  clicks: 'metrics.clicks',
+  impressions: 'metrics.impressions',
+  cost: 'metrics.cost_micros',
+  conversions: 'metrics.conversions',
+  convValue: 'metrics.conversions_value'
+};
+
+const METRICS = {
+  cost: { label: 'Cost', value: day => day.cost, format: 'currency', minVolume: 'cost', higherIsBetter: false },
+  ctr: { label: 'CTR', value: day => ratio(day.clicks, day.impressions), format: 'percent', minVolume: 'clicks', higherIsBetter: true },
+  cpc: { label: 'Avg. CPC', value: day => ratio(day.cost, day.clicks), format: 'currency', minVolume: 'clicks', higherIsBetter: false },
+  convRate: { label: 'Conv. Rate', value: day => ratio(day.conversions, day.clicks), format: 'percent', minVolume: 'conversions', higherIsBetter: true },
+  roas: { label: 'ROAS', value: day => ratio(day.convValue, day.cost), format: 'ratio', minVolume: 'conversions', higherIsBetter: true }
+};
+
+const LEVELS = {
+  ACCOUNT: {
+    label: 'Account',
+    resource: 'customer',
+    fields: [],
+    name: () => 'Account'
+  },
+  CAMPAIGN: {
+    label: 'Campaign',
+    resource: 'campaign',
+    fields: ['campaign.name'],
+    conditions: ["campaign.status != 'REMOVED'"],
+    name: row => row['campaign.name']
+  },
+  COUNTRY: {
+    label: 'Country',
+    resource: 'geographic_view',
+    fields: ['geographic_view.country_criterion_id'],
+    conditions: ["geographic_view.location_type = 'LOCATION_OF_PRESENCE'"],
+    prepare: () => ({ countryNames: getCountryNames() }),
+    name: (row, context) => context.countryNames[row['geographic_view.country_criterion_id']] || `Unknown (${row['geographic_view.country_criterion_id']})`
+  }
+};
+
+// ==================== SETTINGS ====================
+// The settings that can also be changed in the Settings tab of SPREADSHEET_URL (see SETTINGS SHEET FUNCTIONS).
+const METRIC_KEYS = Object.keys(METRICS).concat(CONFIG.CUSTOM_KPIS.map(kpi => kpi.key));
+const SETTINGS = [
+  { name: 'Email Recipients', path: 'EMAIL_RECIPIENTS', type: 'emails', description: 'Comma-separated email addresses for the alert' },
+  { name: 'Send Email', path: 'SEND_EMAIL', type: 'boolean', description: 'Send an alert when anomalies are found' },
+  { name: 'Mode', path: 'MODE', type: 'choice', values: ['DAILY', 'INTRADAY'], description: 'DAILY checks yesterday (schedule daily); INTRADAY today so far (schedule hourly)' },
+  { name: 'Baseline Weeks', path: 'BASELINE_WEEKS', type: 'number', min: 2, description: 'Same weekday over this many previous weeks' },
+  { name: 'Levels', path: 'LEVELS', type: 'list', values: Object.keys(LEVELS), description: `Comma-separated: ${Object.keys(LEVELS).join(', ')}` },
+  { name: 'Metrics', path: 'METRICS', type: 'list', values: METRIC_KEYS, description: `Comma-separated: ${METRIC_KEYS.join(', ')}` },
+  { name: 'Z-score Threshold', path: 'Z_SCORE_THRESHOLD', type: 'number', min: 0, description: 'Standard deviations from the baseline mean to flag a value' },
+  { name: 'Minimum Relative Change', path: 'MIN_RELATIVE_CHANGE', type: 'number', min: 0, description: 'And at least this far from the mean (0.25 = 25%)' },
+  { name: 'Critical Z-score', path: 'CRITICAL_Z_SCORE', type: 'number', min: 0, description: 'The alert is CRITICAL when any anomaly reaches this z-score' },
+  { name: 'Minimum Daily Cost', path: 'MIN_DAILY_COST', type: 'number', min: 0, description: 'Skip entities below this average daily cost' },
+  { name: 'Minimum Daily Clicks', path: 'MIN_DAILY_CLICKS', type: 'number', min: 0, description: 'Skip entities below this average daily clicks' },
+  { name: 'Minimum Daily Conversions', path: 'MIN_DAILY_CONVERSIONS', type: 'number', min: 0, description: 'Skip conversion rate and ROAS below this average daily conversions' },
+  { name: 'Language', path: 'LOCALE.LANGUAGE_TAG', type: 'text', description: "Number and date format, e.g. 'en-US' or 'de-DE'", validate: validateLanguageTag },
+  { name: 'Currency', path: 'LOCALE.CURRENCY_CODE', type: 'text', description: "e.g. 'EUR'. Leave empty to use the account's currency", validate: validateCurrencyCode },
+  { name: 'Date Format', path: 'LOCALE.DATE_FORMAT', type: 'text', description: "Checked date in the alert, e.g. 'dd/MM/yyyy'" }
+];
+
+// ==================== MAIN FUNCTION ====================
+function main() {
+  try {
+    validateCustomKpis();
+    CONFIG.CUSTOM_KPIS.forEach(kpi => { METRICS[kpi.key] = getKpiMetric(kpi); });
+    if (CONFIG.SPREADSHEET_URL && CONFIG.SPREADSHEET_URL !== 'YOUR_GOOGLE_SHEET_URL_HERE') {
+      loadSettings(SpreadsheetApp.openByUrl(CONFIG.SPREADSHEET_URL));
+    }
+
+    const window = getDetectionWindow();
+    Logger.log(`Checking ${window.label} against ${window.baselineDates.length} previous ${window.weekday}s.`);
+
+    let anomalies = [];
+    CONFIG.LEVELS.forEach(levelKey => {
+      const level = LEVELS[levelKey];
+      if (!level) throw new Error(`Unknown level '${levelKey}' in CONFIG.LEVELS. Use: ${Object.keys(LEVELS).join(', ')}`);
+      const series = fetchDailySeries(level, window);
+      anomalies = anomalies.concat(detectAnomalies(level, series, window));
+    });
+
+    anomalies.sort((a, b) => Math.abs(b.zScore) - Math.abs(a.zScore));
+    anomalies.forEach(anomaly => {
+      Logger.log(`${anomaly.level} ${anomaly.entity}: ${anomaly.metric} ${anomaly.direction} to ${formatValue(anomaly.actual, anomaly.format)} (expected ${formatValue(anomaly.expected, anomaly.format)}, z = ${formatNumber(anomaly.zScore, 1)})`);
+    });
+
+    if (anomalies.length === 0) {
+      Logger.log('No anomalies found.');
+    } else if (CONFIG.SEND_EMAIL) {
+      sendAnomalyEmail(anomalies, window);
+    }
+
+  } catch (error) {
+    Logger.log('Error in main function: ' + error.toString());
+    throw error;
+  }
+}
+
+// ==================== DATA FUNCTIONS ====================
+// The checked date and its baseline: the same weekday in each of the previous BASELINE_WEEKS weeks.
+// INTRADAY also limits every day to the hours before the current one.
+function getDetectionWindow() {
+  const timeZone = AdsApp.currentAccount().getTimeZone();
+  const now = new Date();
+  const today = parseIsoDate(Utilities.formatDate(now, timeZone, 'yyyy-MM-dd'));
+  const intraday = CONFIG.MODE === 'INTRADAY';
+  if (!intraday && CONFIG.MODE !== 'DAILY') {
+    throw new Error(`Invalid CONFIG.MODE '${CONFIG.MODE}'. Use DAILY or INTRADAY.`);
+  }
+
+  const date = intraday ? today : addDays(today, -1);
+  const baselineDates = [];
+  for (let week = 1; week <= CONFIG.BASELINE_WEEKS; week++) {
+    baselineDates.push(formatIsoDate(addDays(date, -7 * week)));
+  }
+  const hour = intraday ? parseInt(Utilities.formatDate(now, timeZone, 'H'), 10) : 24;
+  const weekday = Utilities.formatDate(date, 'UTC', 'EEEE');
+
+  return {
+    date: formatIsoDate(date),
+    baselineDates: baselineDates,
+    hour: hour,
+    weekday: weekday,
+    label: intraday ? `today (${formatDisplayDate(formatIsoDate(date))}) until ${hour}:00` : `${weekday} ${formatDisplayDate(formatIsoDate(date))}`
+  };
+}
+
+// Returns { entityName: { date: { clicks, impressions, cost, conversions, convValue } } } for the
+// checked date and the baseline dates, plus the conversion action KPIs when a custom KPI is checked.
+function fetchDailySeries(level, window) {
+  const context = level.prepare ? level.prepare() : {};
+  const intraday = window.hour < 24;
+  const conditions = [`segments.date BETWEEN '${window.baselineDates[window.baselineDates.length - 1]}' AND '${window.date}'`].concat(level.conditions || []);
+  const wanted = [window.date].concat(window.baselineDates);
+
+  const series = {};
+  // Runs the level's query for metricFields and passes every row within the window to add(day, row)
+  const read = (metricFields, add) => {
+    const fields = level.fields.concat(['segments.date'], intraday ? ['segments.hour'] : [], metricFields);
+    const rows = AdsApp.report(`SELECT ${fields.join(', ')} FROM ${level.resource} WHERE ${conditions.join(' AND ')}`).rows();
+    while (rows.hasNext()) {
+      const row = rows.next();
+      const date = row['segments.date'];
+      if (wanted.indexOf(date) === -1) continue;
+      if (intraday && parseInt(row['segments.hour'], 10) >= window.hour) continue;
+
+      const name = level.name(row, context);
+      series[name] = series[name] || {};
+      add(series[name][date] = series[name][date] || { clicks: 0, impressions: 0, cost: 0, conversions: 0, convValue: 0 }, row);
+    }
+  };
+
+  read(Object.values(BASE_FIELDS), (day, row) => {
+    Object.keys(BASE_FIELDS).forEach(key => {
+      day[key] += (parseFloat(row[BASE_FIELDS[key]]) || 0) / (key === 'cost' ? 1000000 : 1);
+    });
+  });
+  const kpis = getCheckedConversionActionKpis();
+  if (kpis.length > 0) {
+    read(['segments.conversion_action_name', 'metrics.all_conversions', 'metrics.all_conversions_value'], (day, row) => {
+      kpis.forEach(kpi => {
+        if (kpi.conversionActions.indexOf(row['segments.conversion_action_name']) === -1) return;
+        day[kpi.key] = (day[kpi.key] || 0) + (parseFloat(row[kpi.conversionValue ? 'metrics.all_conversions_value' : 'metrics.all_conversions']) || 0);
+      });
+    });
+  }
+  return series;
+}
+
+// ==================== DETECTION FUNCTIONS ====================
+function detectAnomalies(level, series, window) {
+  const anomalies = [];
+  const emptyDay = { clicks: 0, impressions: 0, cost: 0, conversions: 0, convValue: 0 };
+
+  Object.keys(series).forEach(entity => {
+    const baselineDays = window.baselineDates.map(date => series[entity][date] || emptyDay);
+    const current = series[entity][window.date] || emptyDay;
+    const averages = {
+      cost: mean(baselineDays.map(day => day.cost)),
+      clicks: mean(baselineDays.map(day => day.clicks)),
+      conversions: mean(baselineDays.map(day => day.conversions))
+    };
+    const minimums = { cost: CONFIG.MIN_DAILY_COST, clicks: CONFIG.MIN_DAILY_CLICKS, conversions: CONFIG.MIN_DAILY_CONVERSIONS };
+
+    CONFIG.METRICS.forEach(metricKey => {
+      const metric = METRICS[metricKey];
+      if (averages[metric.minVolume] < minimums[metric.minVolume]) return;
+
+      const result = scoreValue(metric.value(current), baselineDays.map(metric.value));
+      if (!result) return;
+      anomalies.push(Object.assign({
+        level: level.label,
+        entity: entity,
+        metric: metric.label,
+        format: metric.format,
+        higherIsBetter: metric.higherIsBetter
+      }, result));
+    });
+  });
+  return anomalies;
+}
+
+// z-score of the value against the baseline. The standard deviation is floored at 5% of the mean,
+// so a perfectly flat baseline does not turn every small change into an anomaly.
+function scoreValue(actual, baseline) {
+  const expected = mean(baseline);
+  const deviation = Math.max(standardDeviation(baseline), Math.abs(expected) * 0.05);
+  if (deviation === 0) return null;
+
+  const zScore = (actual - expected) / deviation;
+  const relativeChange = expected !== 0 ? (actual - expected) / expected : Infinity;
+  if (Math.abs(zScore) < CONFIG.Z_SCORE_THRESHOLD || Math.abs(relativeChange) < CONFIG.MIN_RELATIVE_CHANGE) return null;
+
+  return {
+    actual: actual,
+    expected: expected,
+    zScore: zScore,
+    relativeChange: relativeChange,
+    direction: actual > expected ? 'spiked' : 'dropped'
+  };
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+// Sample standard deviation
+function standardDeviation(values) {
+  if (values.length < 2) return 0;
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) / (values.length - 1));
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : 0;
+}
+
+// ==================== CUSTOM KPI FUNCTIONS ====================
+// Custom KPI ratios use the exporter's metric keys, which are also the keys of BASE_FIELDS.
+function validateCustomKpis() {
+  const keys = Object.keys(BASE_FIELDS);
+  CONFIG.CUSTOM_KPIS.forEach((kpi, index) => {
+    const where = `CONFIG.CUSTOM_KPIS[${index}] (${kpi.key || 'no key'})`;
+    if (!/^[A-Za-z]\w*$/.test(kpi.key || '') || keys.indexOf(kpi.key) !== -1 || METRICS[kpi.key]) {
+      throw new Error(`${where}: the key must be a new name such as 'leads'.`);
+    }
+    if (!kpi.header) throw new Error(`${where}: the header is missing.`);
+    if (kpi.conversionActions) {
+      if (!Array.isArray(kpi.conversionActions) || kpi.conversionActions.length === 0) {
+        throw new Error(`${where}: conversionActions must list at least one conversion action name.`);
+      }
+    } else if (!Array.isArray(kpi.ratio) || kpi.ratio.length !== 2 || kpi.ratio.some(key => keys.indexOf(key) === -1)) {
+      throw new Error(`${where}: set conversionActions, or ratio: [numerator, denominator] of ${keys.join(', ')} or earlier conversionActions KPIs.`);
+    }
+    if (kpi.conversionActions) keys.push(kpi.key);
+  });
+}
+
+// The METRICS entry of a custom KPI. KPIs built on conversions need MIN_DAILY_CONVERSIONS, the others MIN_DAILY_CLICKS.
+function getKpiMetric(kpi) {
+  const usesConversions = kpi.conversionActions || kpi.ratio.some(key => ['cost', 'impressions', 'clicks'].indexOf(key) === -1);
+  let format = 'ratio';
+  if (kpi.currency) {
+    format = 'currency';
+  } else if (String(kpi.format || '').indexOf('%') !== -1) {
+    format = 'percent';
+  }
+  return {
+    label: kpi.header,
+    value: day => getKpiValue(kpi, day),
+    format: format,
+    minVolume: usesConversions ? 'conversions' : 'clicks',
+    higherIsBetter: !kpi.lowerIsBetter
+  };
+}
+
+// Conversion actions are a segment that rules out the other metrics, so they need a second query per level.
+// It only runs when a custom KPI is among CONFIG.METRICS.
+function getCheckedConversionActionKpis() {
+  const checked = CONFIG.CUSTOM_KPIS.some(kpi => CONFIG.METRICS.indexOf(kpi.key) !== -1);
+  return checked ? CONFIG.CUSTOM_KPIS.filter(kpi => kpi.conversionActions) : [];
+}
+
+function getKpiValue(kpi, day) {
+  if (kpi.conversionActions) return day[kpi.key] || 0;
+  const [numerator, denominator] = kpi.ratio.map(key => day[key] || 0);
+  return ratio(numerator, denominator) * (kpi.multiplier || 1);
+}
+
+// ==================== HELPER AND FORMATTING FUNCTIONS ====================
+function parseIsoDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  return new Date(Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)));
+}
+
+function formatIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 24 * 3600 * 1000);
+}
+
+function getCountryNames() {
+  const query = `SELECT geo_target_constant.id, geo_target_constant.name FROM geo_target_constant WHERE geo_target_constant.target_type = 'Country'`;
+  const countryNames = {};
+  try {
+    const report = AdsApp.report(query);
+    const rows = report.rows();
+    while (rows.hasNext()) {
+      const row = rows.next();
+      countryNames[row['geo_target_constant.id']] = row['geo_target_constant.name'];
+    }
+  } catch (e) {
+    Logger.log('Error fetching country names: ' + e.toString());
+  }
+  return countryNames;
+}
+
+function formatValue(value, format) {
+  if (format === 'currency') return formatMoney(value);
+  if (format === 'percent') return formatPercent(value, 2);
+  return formatNumber(value, 2);
+}
+
+function sendAnomalyEmail(anomalies, window) {
+  const accountName = AdsApp.currentAccount().getName();
+  const subject = `[${accountName}] ${anomalies.length} performance anomal${anomalies.length === 1 ? 'y' : 'ies'} on ${formatDisplayDate(window.date)}`;
+
+  const email = renderEmail({
+    title: `Performance anomalies for ${accountName}`,
+    blocks: [
+      { type: 'paragraph', text: `${window.label} compared with the same ${CONFIG.MODE === 'INTRADAY' ? 'hours of the previous' : 'day of the previous'} ${window.baselineDates.length} ${window.weekday}s.` },
+      {
+        type: 'table',
+        columns: [
+          { header: 'Level' }, { header: 'Name' }, { header: 'Metric' }, { header: 'Actual', align: 'right' },
+          { header: 'Expected', align: 'right' }, { header: 'Change', align: 'right' }, { header: 'z-score', align: 'right' }
+        ],
+        sortedBy: 6,
+        rows: anomalies.map(anomaly => {
+          const change = isFinite(anomaly.relativeChange) ? `${anomaly.relativeChange > 0 ? '+' : ''}${formatPercent(anomaly.relativeChange, 0)}` : 'new';
+          const improved = (anomaly.direction === 'spiked') === anomaly.higherIsBetter;
+          return [
+            anomaly.level,
+            anomaly.entity,
+            anomaly.metric,
+            formatValue(anomaly.actual, anomaly.format),
+            formatValue(anomaly.expected, anomaly.format),
+            { delta: { text: change, tone: improved ? 'good' : 'bad' } },
+            formatNumber(anomaly.zScore, 1)
+          ];
+        })
+      }
+    ]
+  });
+
+  notify({
+    severity: anomalies.some(anomaly => Math.abs(anomaly.zScore) >= CONFIG.CRITICAL_Z_SCORE) ? 'CRITICAL' : 'WARNING',
+    title: subject,
+    text: `${window.label} compared with the previous ${window.baselineDates.length} ${window.weekday}s.`,
+    facts: anomalies.map(anomaly => ({
+      label: `${anomaly.level} ${anomaly.entity}: ${anomaly.metric}`,
+      value: `${anomaly.direction} to ${formatValue(anomaly.actual, anomaly.format)} (expected ${formatValue(anomaly.expected, anomaly.format)}, z = ${formatNumber(anomaly.zScore, 1)})`
+    })),
+    email: { to: CONFIG.EMAIL_RECIPIENTS, subject: subject, body: email.body, htmlBody: email.htmlBody }
+  });
+}
+
+// ==================== SETTINGS SHEET FUNCTIONS ====================
+// Settings can be changed in a 'Settings' tab instead of in the code: one row per entry in SETTINGS with the
+// setting's name, its value and a description. The tab is created with the values from CONFIG on the first run;
+// after that its values override CONFIG, and an empty value keeps the value from CONFIG. Every row is checked
+// before anything runs, and all problems are reported together.
+// A setting is { name, path, type, description } plus, per type, min/max (number) or values (choice and list).
+// path is the CONFIG key, e.g. 'THRESHOLDS.WARNING'. validate(value) may return an error message.
+const SETTINGS_SHEET_NAME = 'Settings';
+const SETTINGS_HEADERS = ['Setting', 'Value', 'Description'];
+
+const SETTING_TYPES = {
+  text: {
+    parse: value => String(value).trim(),
+    format: value => value
+  },
+  emails: {
+    parse: value => {
+      const emails = String(value).split(',').map(email => email.trim()).filter(email => email);
+      const invalid = emails.filter(email => !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email));
+      if (invalid.length > 0) throw new Error(`'${invalid.join("', '")}' is not a valid email address.`);
+      return emails.join(',');
+    },
+    format: value => value
+  },
+  number: {
+    parse: (value, setting) => {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (isNaN(number)) throw new Error(`'${value}' is not a number.`);
+      if (setting.min !== undefined && number < setting.min) throw new Error(`Must be at least ${setting.min}.`);
+      if (setting.max !== undefined && number > setting.max) throw new Error(`Must be at most ${setting.max}.`);
+      return number;
+    },
+    format: value => value
+  },
+  boolean: {
+    parse: value => {
+      if (typeof value === 'boolean') return value;
+      const text = String(value).trim().toUpperCase();
+      if (text !== 'TRUE' && text !== 'FALSE') throw new Error(`'${value}' is not TRUE or FALSE.`);
+      return text === 'TRUE';
+    },
+    format: value => (value ? 'TRUE' : 'FALSE'),
+    validation: () => ['TRUE', 'FALSE']
+  },
+  choice: {
+    parse: (value, setting) => {
+      const text = String(value).trim();
+      if (setting.values.indexOf(text) === -1) throw new Error(`'${value}' is not one of: ${setting.values.join(', ')}.`);
+      return text;
+    },
+    format: value => value,
+    validation: setting => setting.values
+  },
+  list: {
+    parse: (value, setting) => {
+      const items = String(value).split(',').map(item => item.trim()).filter(item => item);
+      const invalid = setting.values ? items.filter(item => setting.values.indexOf(item) === -1) : [];
+      if (invalid.length > 0) throw new Error(`'${invalid.join("', '")}' is not one of: ${setting.values.join(', ')}.`);
+      return items;
+    },
+    format: value => value.join(', ')
+  }
+};
+
+// Reads the Settings tab of the spreadsheet (creating it on the first run), applies it to CONFIG and
+// returns the values it set, keyed by path.
+function loadSettings(spreadsheet) {
+  const sheet = spreadsheet.getSheetByName(SETTINGS_SHEET_NAME);
+  if (!sheet) {
+    createSettingsSheet(spreadsheet);
+    Logger.log(`Created the '${SETTINGS_SHEET_NAME}' tab with the current settings. Change them there from now on.`);
+    return {};
+  }
+
+  const values = {};
+  const errors = [];
+  const seen = {};
+  const rows = sheet.getLastRow() > 1 ? sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues() : [];
+  rows.forEach((row, index) => {
+    const name = String(row[0]).trim();
+    if (name === '') return;
+    const where = `Row ${index + 2} (${name})`;
+    const setting = SETTINGS.find(s => s.name === name);
+    if (!setting) {
+      errors.push(`${where}: unknown setting. Check the spelling, or delete the row.`);
+      return;
+    }
+    if (seen[name]) {
+      errors.push(`${where}: listed more than once.`);
+      return;
+    }
+    seen[name] = true;
+    if (row[1] === '' || row[1] === null) return;
+    try {
+      values[setting.path] = parseSetting(setting, row[1]);
+    } catch (e) {
+      errors.push(`${where}: ${e.message}`);
+    }
+  });
+  if (errors.length > 0) {
+    throw new Error(`The '${SETTINGS_SHEET_NAME}' tab has ${errors.length} invalid row(s):\n${errors.join('\n')}`);
+  }
+
+  applySettings(values);
+  Logger.log(`Loaded ${Object.keys(values).length} settings from the '${SETTINGS_SHEET_NAME}' tab.`);
+  return values;
+}
+
+function parseSetting(setting, rawValue) {
+  const value = setting.parse ? setting.parse(rawValue) : SETTING_TYPES[setting.type].parse(rawValue, setting);
+  const error = setting.validate ? setting.validate(value) : '';
+  if (error) throw new Error(error);
+  return value;
+}
+
+// Values are keyed by CONFIG path, so they can also be passed on as JSON, e.g. to client accounts.
+function applySettings(values) {
+  Object.keys(values).forEach(path => {
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((object, key) => object[key], CONFIG);
+    parent[keys[keys.length - 1]] = values[path];
+  });
+}
+
+function validateLanguageTag(tag) {
+  try {
+    Intl.getCanonicalLocales(tag);
+    return '';
+  } catch (e) {
+    return `'${tag}' is not a language tag such as 'en-US' or 'de-DE'.`;
+  }
+}
+
+function validateCurrencyCode(code) {
+  return /^[A-Z]{3}$/.test(code) ? '' : `'${code}' is not a three-letter currency code such as 'USD' or 'EUR'.`;
+}
+
+function createSettingsSheet(spreadsheet) {
+  const sheet = spreadsheet.insertSheet(SETTINGS_SHEET_NAME);
+  const rows = SETTINGS.map(setting => {
+    const value = setting.path.split('.').reduce((object, key) => object[key], CONFIG);
+    return [setting.name, setting.format ? setting.format(value) : SETTING_TYPES[setting.type].format(value), setting.description];
+  });
+  sheet.getRange(1, 1, 1, SETTINGS_HEADERS.length).setValues([SETTINGS_HEADERS]).setFontWeight('bold');
+  sheet.getRange(2, 1, rows.length, SETTINGS_HEADERS.length).setValues(rows);
+
+  // Dropdowns for settings with a fixed set of values
+  SETTINGS.forEach((setting, index) => {
+    const validation = SETTING_TYPES[setting.type].validation;
+    if (!validation) return;
+    const rule = SpreadsheetApp.newDataValidation().requireValueInList(validation(setting), true).setAllowInvalid(false).build();
+    sheet.getRange(index + 2, 2).setDataValidation(rule);
+  });
+  sheet.setFrozenRows(1);
+  sheet.autoResizeColumns(1, SETTINGS_HEADERS.length);
+}
+
+// ==================== LOCALE FUNCTIONS ====================
+// Money, numbers and dates follow CONFIG.LOCALE rather than the server's defaults. The currency (the account's
+// own unless CURRENCY_CODE is set) decides the symbol and decimal places, e.g. none for JPY; LANGUAGE_TAG
+// decides the separators and which side the symbol goes on, e.g. '1.234,50 €' for 'de-DE'.
+function getCurrencyCode() {
+  return CONFIG.LOCALE.CURRENCY_CODE || AdsApp.currentAccount().getCurrencyCode();
+}
+
+function getCurrencyFormatter(currencyCode) {
+  return new Intl.NumberFormat(CONFIG.LOCALE.LANGUAGE_TAG, { style: 'currency', currency: currencyCode || getCurrencyCode() });
+}
+
+function formatMoney(amount, currencyCode) {
+  return getCurrencyFormatter(currencyCode).format(amount);
+}
+
+// Exactly `decimals` decimal places when given, otherwise up to two.
+function formatNumber(value, decimals) {
+  const digits = decimals === undefined ? { maximumFractionDigits: 2 } : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+  return new Intl.NumberFormat(CONFIG.LOCALE.LANGUAGE_TAG, digits).format(value);
+}
+
+function formatPercent(ratio, decimals = 1) {
+  return new Intl.NumberFormat(CONFIG.LOCALE.LANGUAGE_TAG, { style: 'percent', minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(ratio);
+}
+
+// For dates people read. Queries, sheet names and stored state keep ISO 'yyyy-MM-dd' dates.
+function formatDisplayDate(isoDate) {
+  return Utilities.formatDate(new Date(`${isoDate}T12:00:00Z`), 'UTC', CONFIG.LOCALE.DATE_FORMAT);
+}
+
+// ==================== NOTIFICATION FUNCTIONS ====================
+// notify() delivers a message to every channel in CONFIG.NOTIFICATIONS.CHANNELS whose minSeverity it reaches.
+// A message is { severity, title, text, facts: [{ label, value }], link: { label, url }, email: { to, subject, body, htmlBody } }.
+// EMAIL sends the full email; SLACK, TEAMS and GOOGLE_CHAT post the title, text, facts and link as a card.
+const NOTIFICATION_SEVERITIES = ['INFO', 'WARNING', 'CRITICAL'];
+
+const NOTIFIERS = {
+  EMAIL: (channel, message) => {
+    const to = channel.recipients || message.email.to;
+    if (!to || to.trim() === '' || to === 'your-email@example.com') {
+      Logger.log('Email notification is enabled but no valid recipient email address is configured.');
+      return;
+    }
+    MailApp.sendEmail(Object.assign({}, message.email, { to: to }));
+    Logger.log(`Email sent to ${to}: ${message.email.subject}`);
+  },
+  SLACK: (channel, message) => postWebhook(channel, buildSlackPayload(message)),
+  TEAMS: (channel, message) => postWebhook(channel, buildTeamsPayload(message)),
+  GOOGLE_CHAT: (channel, message) => postWebhook(channel, buildGoogleChatPayload(message))
+};
+
+function notify(message) {
+  const severity = NOTIFICATION_SEVERITIES.indexOf(message.severity || 'INFO');
+  CONFIG.NOTIFICATIONS.CHANNELS.forEach(channel => {
+    const notifier = NOTIFIERS[channel.type];
+    if (!notifier) {
+      Logger.log(`Unknown notification channel '${channel.type}'. Use: ${Object.keys(NOTIFIERS).join(', ')}`);
+      return;
+    }
+    if (severity < NOTIFICATION_SEVERITIES.indexOf(channel.minSeverity || 'INFO')) return;
+
+    // One failing channel must not stop the others
+    try {
+      notifier(channel, message);
+    } catch (e) {
+      Logger.log(`Failed to send ${channel.type} notification: ${e.toString()}`);
+    }
+  });
+}
+
+function postWebhook(channel, payload) {
+  if (!channel.webhookUrl) throw new Error(`No webhookUrl configured for the ${channel.type} channel.`);
+  const response = UrlFetchApp.fetch(channel.webhookUrl, {
+    method: 'post',
+    contentType: 'application/json',
+    payload: JSON.stringify(payload),
+    muteHttpExceptions: true
+  });
+  const code = response.getResponseCode();
+  if (code < 200 || code >= 300) {
+    throw new Error(`Webhook returned HTTP ${code}: ${response.getContentText()}`);
+  }
+  Logger.log(`${channel.type} notification posted.`);
+}
+
+// Slack Block Kit: header, text, facts as two-column fields (max 10 per section) and a link button.
+function buildSlackPayload(message) {
+  const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const facts = message.facts || [];
+  const blocks = [{ type: 'header', text: { type: 'plain_text', text: message.title.slice(0, 150) } }];
+  if (message.text) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: escape(message.text) } });
+  }
+  for (let i = 0; i < facts.length; i += 10) {
+    blocks.push({ type: 'section', fields: facts.slice(i, i + 10).map(fact => ({ type: 'mrkdwn', text: `*${escape(fact.label)}*\n${escape(fact.value)}` })) });
+  }
+  if (message.link) {
+    blocks.push({ type: 'actions', elements: [{ type: 'button', text: { type: 'plain_text', text: message.link.label }, url: message.link.url }] });
+  }
+  return { text: `[${message.severity || 'INFO'}] ${message.title}`, blocks: blocks };
+}
+
+// Microsoft Teams (incoming webhook or workflow): a message with one Adaptive Card attachment.
+function buildTeamsPayload(message) {
+  const colors = { INFO: 'Default', WARNING: 'Warning', CRITICAL: 'Attention' };
+  const body = [{ type: 'TextBlock', text: message.title, weight: 'Bolder', size: 'Medium', wrap: true, color: colors[message.severity || 'INFO'] }];
+  if (message.text) body.push({ type: 'TextBlock', text: message.text, wrap: true });
+  if ((message.facts || []).length > 0) {
+    body.push({ type: 'FactSet', facts: message.facts.map(fact => ({ title: fact.label, value: String(fact.value) })) });
+  }
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body: body,
+        actions: message.link ? [{ type: 'Action.OpenUrl', title: message.link.label, url: message.link.url }] : []
+      }
+    }]
+  };
+}
+
+// Google Chat: a cardsV2 card. Chat renders a small subset of HTML in text widgets, so text is escaped.
+function buildGoogleChatPayload(message) {
+  const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const widgets = [];
+  if (message.text) widgets.push({ textParagraph: { text: escape(message.text) } });
+  (message.facts || []).forEach(fact => widgets.push({ decoratedText: { topLabel: fact.label, text: escape(fact.value) } }));
+  if (message.link) {
+    widgets.push({ buttonList: { buttons: [{ text: message.link.label, onClick: { openLink: { url: message.link.url } } }] } });
+  }
+  return {
+    cardsV2: [{
+      cardId: 'notification',
+      card: {
+        header: { title: message.title, subtitle: message.severity || 'INFO' },
+        sections: [{ widgets: widgets }]
+      }
+    }]
+  };
+}
+
+// ==================== EMAIL RENDERING FUNCTIONS ====================
+// An email is described once as a list of blocks and rendered twice: as HTML with inline styles (the only
+// styling every mail client keeps) and as the plain-text alternative. All text is HTML-escaped here, so
+// callers pass raw campaign names and search terms.
+//
+// renderEmail({ title, blocks, footer }) returns { htmlBody, body }. Blocks:
+//   { type: 'section', title, subtitle }              Section header
+//   { type: 'paragraph', text, tone }                 tone colors the text, e.g. 'bad' for a warning
+//   { type: 'kpis', items: [{ label, value, delta }] } A row of KPI cards
+//   { type: 'table', columns: [{ header, align }], rows, totals, sortedBy }
+//   { type: 'button', label, url }
+// Table cells are plain values or { text, url, note, tone, delta }. A delta is { text, tone } and renders as
+// a badge. Tones: 'good', 'bad', 'warning', 'new' and 'neutral'.
+const EMAIL_BLOCKS = {
+  section: {
+    html: (block, theme) => `<h3 style="color: ${escapeHtml(theme.TEXT_COLOR)}; border-bottom: 1px solid #cccccc; padding-bottom: 5px; margin: 25px 0 5px;">${escapeHtml(block.title)}</h3>` +
+      (block.subtitle ? `<p style="font-size: 12px; color: ${escapeHtml(theme.MUTED_COLOR)}; margin: 0 0 10px;">${escapeHtml(block.subtitle)}</p>` : ''),
+    text: block => `${block.title}${block.subtitle ? ` (${block.subtitle})` : ''}\n${'-'.repeat(64)}`
+  },
+  paragraph: {
+    html: (block, theme) => `<p${block.tone ? ` style="color: ${escapeHtml(getToneColor(block.tone, theme))}; font-weight: bold;"` : ''}>${escapeHtml(block.text)}</p>`,
+    text: block => block.text
+  },
+  kpis: {
+    html: (block, theme) => `<table style="width: 100%; border-collapse: separate; border-spacing: 8px 0; margin: 15px 0;"><tr>${block.items.map(item => `
+      <td style="padding: 12px; border: 1px solid #e0e0e0; border-radius: 6px; text-align: center;">
+        <div style="font-size: 12px; color: ${escapeHtml(theme.MUTED_COLOR)};">${escapeHtml(item.label)}</div>
+        <div style="font-size: 22px; font-weight: bold; margin: 4px 0;">${escapeHtml(item.value)}</div>
+        ${item.delta ? renderDeltaBadge(item.delta, theme) : ''}
+      </td>`).join('')}</tr></table>`,
+    text: block => block.items.map(item => `${item.label}: ${item.value}${item.delta ? ` ${item.delta.text}` : ''}`).join('\n')
+  },
+  table: {
+    html: (block, theme) => {
+      const cellStyle = (column, extra) => `padding: 8px; border: 1px solid #dddddd; text-align: ${column.align || 'left'};${extra || ''}`;
+      const header = block.columns.map((column, index) => `<th style="${cellStyle(column, ' background-color: #f2f2f2;')}">${escapeHtml(column.header)}${index === block.sortedBy ? ' &#9660;' : ''}</th>`).join('');
+      const rows = block.rows.map((row, rowIndex) => `
+        <tr${rowIndex % 2 === 1 ? ' style="background-color: #f9f9f9;"' : ''}>${row.map((cell, index) => `<td style="${cellStyle(block.columns[index])}">${renderEmailCell(cell, theme)}</td>`).join('')}</tr>`).join('');
+      const totals = block.totals
+        ? `
+        <tr style="font-weight: bold; background-color: #e6e6e6;">${block.totals.map((cell, index) => `<td style="${cellStyle(block.columns[index])}">${renderEmailCell(cell, theme)}</td>`).join('')}</tr>`
+        : '';
+      return `<table style="width: 100%; border-collapse: collapse; font-size: 14px; margin-top: 10px;">
+        <tr>${header}</tr>${rows}${totals}
+      </table>`;
+    },
+    text: block => {
+      const lines = [block.columns.map(column => column.header)]
+        .concat(block.rows.map(row => row.map(getEmailCellText)))
+        .concat(block.totals ? [block.totals.map(getEmailCellText)] : []);
+      const widths = block.columns.map((column, index) => Math.min(40, Math.max.apply(null, lines.map(line => String(line[index]).length))));
+      return lines.map(line => line.map((value, index) => (index < line.length - 1 ? String(value).padEnd(widths[index] + 2) : String(value))).join('').trimEnd()).join('\n');
+    }
+  },
+  button: {
+    html: (block, theme) => `<p style="margin: 25px 0; text-align: center;"><a href="${escapeHtml(block.url)}" style="background-color: ${escapeHtml(theme.PRIMARY_COLOR)}; color: #ffffff; padding: 12px 25px; text-decoration: none; border-radius: 5px; display: inline-block; font-size: 16px;">${escapeHtml(block.label)}</a></p>`,
+    text: block => `${block.label}: ${block.url}`
+  }
+};
+
+function renderEmail(email) {
+  const theme = CONFIG.EMAIL_THEME;
+  const html = [`<div style="font-family: Arial, sans-serif; max-width: 680px; margin: 0 auto; color: ${escapeHtml(theme.TEXT_COLOR)};">`];
+  const text = [email.title, '='.repeat(email.title.length)];
+
+  if (theme.LOGO_URL) {
+    html.push(`<img src="${escapeHtml(theme.LOGO_URL)}" alt="${escapeHtml(theme.BRAND_NAME)}" style="max-height: 48px; margin-bottom: 10px;">`);
+  }
+  html.push(`<h2 style="color: ${escapeHtml(theme.PRIMARY_COLOR)};">${escapeHtml(email.title)}</h2>`);
+
+  email.blocks.forEach(block => {
+    const renderer = EMAIL_BLOCKS[block.type];
+    if (!renderer) throw new Error(`Unknown email block type '${block.type}'. Use: ${Object.keys(EMAIL_BLOCKS).join(', ')}`);
+    html.push(renderer.html(block, theme));
+    text.push('', renderer.text(block));
+  });
+
+  const footer = [email.footer, theme.FOOTER_TEXT].filter(line => line);
+  if (footer.length > 0) {
+    html.push(`<hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">`);
+    footer.forEach(line => html.push(`<p style="color: ${escapeHtml(theme.MUTED_COLOR)}; font-size: 12px;">${escapeHtml(line)}</p>`));
+    text.push('', footer.join('\n'));
+  }
+  html.push('</div>');
+
+  return { htmlBody: html.join('\n'), body: text.join('\n') };
+}
+
+function renderEmailCell(cell, theme) {
+  if (cell === null || typeof cell !== 'object') return escapeHtml(cell);
+  let html = escapeHtml(cell.text);
+  if (cell.url) html = `<a href="${escapeHtml(cell.url)}" style="color: ${escapeHtml(theme.PRIMARY_COLOR)};">${html}</a>`;
+  if (cell.tone) html = `<span style="color: ${escapeHtml(getToneColor(cell.tone, theme))}; font-weight: bold;">${html}</span>`;
+  if (cell.note) html += ` <span style="color: ${escapeHtml(theme.MUTED_COLOR)}; font-size: 12px;">${escapeHtml(cell.note)}</span>`;
+  if (cell.delta) html += `${html ? ' ' : ''}${renderDeltaBadge(cell.delta, theme)}`;
+  return html;
+}
+
+function getEmailCellText(cell) {
+  if (cell === null || typeof cell !== 'object') return cell === undefined || cell === null ? '' : String(cell);
+  return [cell.text, cell.note ? `(${cell.note})` : '', cell.delta ? cell.delta.text : '']
+    .filter(part => part !== undefined && part !== '').join(' ');
+}
+
+function renderDeltaBadge(delta, theme) {
+  return `<span style="display: inline-block; padding: 2px 8px; border-radius: 10px; background-color: ${escapeHtml(getToneColor(delta.tone, theme))}; color: #ffffff; font-size: 12px; font-weight: bold;">${escapeHtml(delta.text)}</span>`;
+}
+
+function getToneColor(tone, theme) {
+  const colors = { good: theme.GOOD_COLOR, bad: theme.BAD_COLOR, warning: theme.WARNING_COLOR, new: theme.PRIMARY_COLOR };
+  return colors[tone] || theme.MUTED_COLOR;
+}
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,952 @@
+/**
+ * Google Ads Script - Budget Pacing Monitor & Alerts
+ * This script projects end-of-month spend for every campaign and the whole account,
+ * compares it with monthly targets and alerts on over- and under-pacing.
+ *
+ * Features:
+ * - Month-to-date spend and campaign daily budgets, in the account time zone.
+ * - End-of-month projection from the recent daily run rate, adjusted for day-of-week seasonality.
+ * - Monthly targets per campaign or for the whole account, maintained in a Google Sheet.
+ * - Campaigns without a target are paced against their daily budget (optional).
+ * - WARNING and CRITICAL severity levels with configurable thresholds.
+ * - Optional custom KPIs, e.g. leads from selected conversion actions or a qualified CPA, as month-to-date columns in the alert.
+ * - Alerts are logged on every run and emailed as a branded HTML table with a plain-text alternative,
+ *   or posted to Slack, Microsoft Teams or Google Chat webhooks.
+ * - Settings tab in the targets spreadsheet: recipients and thresholds can be changed without editing the code.
+ *
+ * Setup Instructions:
+ * 1. Replace 'YOUR_GOOGLE_SHEET_URL_HERE' with your Google Sheet URL. On the first run the script
+ *    adds a 'Budget Targets' tab; enter one campaign name and monthly target per row.
+ *    Use '[Account]' as the campaign name for an account-level target. It also adds a 'Settings' tab;
+ *    from then on, change the settings listed there in the tab rather than in the code.
+ * 2. Adjust the thresholds if needed (default: WARNING at 10%, CRITICAL at 25% off target).
+ * 3. Replace 'your-email@example.com' with your email, and/or add Slack, Teams or Google Chat webhooks
+ *    to NOTIFICATIONS.CHANNELS.
+ * 4. Schedule the script to run daily (or hourly for earlier alerts).
+ */
+
+// ==================== CONFIGURATION ====================
+const CONFIG = {
+  // Google Sheet holding the monthly targets. Leave as is to only use ACCOUNT_MONTHLY_TARGET and budgets.
+  SPREADSHEET_URL: 'YOUR_GOOGLE_SHEET_URL_HERE',
+  TARGETS_SHEET_NAME: 'Budget Targets',
+
+  // Account-level monthly target, used when the sheet has no '[Account]' row. 0 = no account-level alert.
+  ACCOUNT_MONTHLY_TARGET: 0,
+
+  // Pace campaigns without a target against daily budget x days in the month
+  USE_DAILY_BUDGET_AS_TARGET: true,
+
+  // Projection settings
+  RUN_RATE_DAYS: 7, // Recent complete days used for the daily run rate
+  SEASONALITY_WEEKS: 8, // Weeks of account history used for the day-of-week profile (0 = flat)
+
+  // Custom KPIs, added to the alert as month-to-date columns after Daily Budget. Same definitions as CUSTOM_KPIS
+  // in the Performance Dashboard Exporter, so they can be copied across: conversionActions sums the all
+  // conversions (or, with conversionValue: true, their value) of the named conversion actions; ratio divides two
+  // of cost, impressions, clicks, conversions, convValue or earlier KPIs, times an optional multiplier.
+  CUSTOM_KPIS: [
+    // { key: 'leads', header: 'Leads', conversionActions: ['Form Submit', 'Call > 60s'] },
+    // { key: 'qualifiedCpa', header: 'Qualified CPA', ratio: ['cost', 'leads'], currency: true }
+  ],
+
+  // Projected spend this far above or below target raises an alert (0.1 = 10%)
+  THRESHOLDS: {
+    WARNING: 0.10,
+    CRITICAL: 0.25
+  },
+
+  // Money and date formatting in alerts. Amounts are shown in the account's currency with its symbol and
+  // decimal places; LANGUAGE_TAG sets the separators and symbol placement, e.g. 'en-GB' or 'de-DE'.
+  LOCALE: {
+    LANGUAGE_TAG: 'en-US',
+    CURRENCY_CODE: '', // e.g. 'EUR'. Leave empty to use the account's currency.
+    DATE_FORMAT: 'yyyy-MM-dd' // e.g. 'dd/MM/yyyy'
+  },
+
+  // Notification settings
+  SEND_EMAIL: true,
+  EMAIL_MIN_SEVERITY: 'WARNING', // WARNING or CRITICAL: campaigns included in the alert
+  EMAIL_RECIPIENTS: 'your-email@example.com', // Comma-separated for multiple recipients
+
+  // Email branding. Leave LOGO_URL and FOOTER_TEXT empty for an unbranded email.
+  EMAIL_THEME: {
+    BRAND_NAME: '', // Alt text of the logo
+    LOGO_URL: '', // e.g. 'https://example.com/logo.png'
+    PRIMARY_COLOR: '#4285f4', // Title, links and buttons
+    TEXT_COLOR: '#333333',
+    MUTED_COLOR: '#666666',
+    GOOD_COLOR: '#27ae60',
+    BAD_COLOR: '#c0392b', // CRITICAL alerts
+    WARNING_COLOR: '#e67e22', // WARNING alerts
+    FOOTER_TEXT: '' // e.g. 'Prepared by Example Agency - hello@example.com'
+  },
+
+  // Delivery channels. EMAIL uses EMAIL_RECIPIENTS unless the channel sets its own recipients; SLACK, TEAMS
+  // and GOOGLE_CHAT post to an incoming webhook. The alert is CRITICAL when any campaign is critical,
+  // WARNING otherwise, and only reaches channels whose minSeverity it meets.
+  NOTIFICATIONS: {
+    CHANNELS: [
+      { type: 'EMAIL', minSeverity: 'WARNING' }
+      // { type: 'SLACK', webhookUrl: 'https://hooks.slack.com/services/...', minSeverity: 'CRITICAL' }
+    ]
+  }
+};
+
+// ==================== SETTINGS ====================
+// The settings that can also be changed in the Settings tab of SPREADSHEET_URL (see SETTINGS SHEET FUNCTIONS).
+// Without a spreadsheet, everything is set in CONFIG.
+const SETTINGS = [
+  { name: 'Email Recipients', path: 'EMAIL_RECIPIENTS', type: 'emails', description: 'Comma-separated email addresses for the alert' },
+  { name: 'Send Email', path: 'SEND_EMAIL', type: 'boolean', description: 'Send an alert when campaigns are off pace' },
+  { name: 'Alert Level', path: 'EMAIL_MIN_SEVERITY', type: 'choice', values: ['WARNING', 'CRITICAL'], description: 'Lowest severity included in the alert' },
+  { name: 'Warning Threshold', path: 'THRESHOLDS.WARNING', type: 'number', min: 0, description: 'Projected spend this far off target is a WARNING (0.1 = 10%)' },
+  { name: 'Critical Threshold', path: 'THRESHOLDS.CRITICAL', type: 'number', min: 0, description: 'Projected spend this far off target is CRITICAL (0.25 = 25%)' },
+  { name: 'Account Monthly Target', path: 'ACCOUNT_MONTHLY_TARGET', type: 'number', min: 0, description: `Used when the ${CONFIG.TARGETS_SHEET_NAME} tab has no '[Account]' row. 0 = no account-level alert` },
+  { name: 'Use Daily Budget as Target', path: 'USE_DAILY_BUDGET_AS_TARGET', type: 'boolean', description: 'Pace campaigns without a target against daily budget x days in the month' },
+  { name: 'Run Rate Days', path: 'RUN_RATE_DAYS', type: 'number', min: 1, description: 'Recent complete days used for the daily run rate' },
+  { name: 'Seasonality Weeks', path: 'SEASONALITY_WEEKS', type: 'number', min: 0, description: 'Weeks of history used for the day-of-week profile (0 = flat)' },
+  { name: 'Language', path: 'LOCALE.LANGUAGE_TAG', type: 'text', description: "Number and date format, e.g. 'en-US' or 'de-DE'", validate: validateLanguageTag },
+  { name: 'Currency', path: 'LOCALE.CURRENCY_CODE', type: 'text', description: "e.g. 'EUR'. Leave empty to use the account's currency", validate: validateCurrencyCode },
+  { name: 'Date Format', path: 'LOCALE.DATE_FORMAT', type: 'text', description: "Dates in the alert, e.g. 'dd/MM/yyyy'" }
+];
+
+// Campaign name used in the targets sheet for the account-level target
+const ACCOUNT_TARGET_NAME = '[Account]';
+const SEVERITY_ORDER = ['OK', 'WARNING', 'CRITICAL'];
+const DAY_MS = 24 * 3600 * 1000;
+
+// ==================== MAIN FUNCTION ====================
+function main() {
+  try {
+    validateCustomKpis();
+    const spreadsheet = openSpreadsheet();
+    if (spreadsheet) {
+      loadSettings(spreadsheet);
+    }
+
+    const calendar = getPacingCalendar();
+    Logger.log(`Pacing ${calendar.monthStart} to ${calendar.monthEnd}: ${calendar.elapsedDays} complete days, ${calendar.remainingDates.length} days left.`);
+
+    const targets = getMonthlyTargets(spreadsheet);
+    const campaigns = getCampaignSpend(calendar);
+    addMonthToDateStats(campaigns, calendar);
+    const seasonality = getDayOfWeekSeasonality(campaigns, calendar);
+    const pacing = buildPacingReport(campaigns, targets, seasonality, calendar);
+
+    pacing.forEach(logPacing);
+
+    const alerts = pacing.filter(item => isSeverityAtLeast(item.severity, CONFIG.EMAIL_MIN_SEVERITY));
+    if (CONFIG.SEND_EMAIL && alerts.length > 0) {
+      sendAlertEmail(alerts, calendar);
+    } else if (alerts.length === 0) {
+      Logger.log('All campaigns are pacing within the thresholds.');
+    }
+
+  } catch (error) {
+    Logger.log('Error in main function: ' + error.toString());
+    throw error;
+  }
+}
+
+// ==================== DATE FUNCTIONS ====================
+// The current month in the account time zone. Today's spend is still accruing, so projections start
+// from the complete days up to yesterday and treat today as one of the remaining days.
+function getPacingCalendar() {
+  const timeZone = AdsApp.currentAccount().getTimeZone();
+  const today = parseIsoDate(Utilities.formatDate(new Date(), timeZone, 'yyyy-MM-dd'));
+  const monthStart = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1));
+  const monthEnd = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 0));
+  const yesterday = addDays(today, -1);
+  const historyDays = Math.max(CONFIG.RUN_RATE_DAYS, CONFIG.SEASONALITY_WEEKS * 7);
+  const historyStart = new Date(Math.min(addDays(today, -historyDays).getTime(), monthStart.getTime()));
+
+  const remainingDates = [];
+  for (let date = today; date <= monthEnd; date = addDays(date, 1)) {
+    remainingDates.push(formatIsoDate(date));
+  }
+
+  return {
+    today: formatIsoDate(today),
+    yesterday: formatIsoDate(yesterday),
+    monthStart: formatIsoDate(monthStart),
+    monthEnd: formatIsoDate(monthEnd),
+    historyStart: formatIsoDate(historyStart),
+    daysInMonth: monthEnd.getUTCDate(),
+    elapsedDays: today.getUTCDate() - 1,
+    remainingDates: remainingDates
+  };
+}
+
+function parseIsoDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  return new Date(Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)));
+}
+
+function formatIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function getDatesBetween(startDate, endDate) {
+  const dates = [];
+  for (let date = parseIsoDate(startDate); date <= parseIsoDate(endDate); date = addDays(date, 1)) {
+    dates.push(formatIsoDate(date));
+  }
+  return dates;
+}
+
+function getDayOfWeek(isoDate) {
+  return parseIsoDate(isoDate).getUTCDay();
+}
+
+// ==================== DATA FUNCTIONS ====================
+// The spreadsheet with the targets and Settings tabs, or null when CONFIG.SPREADSHEET_URL is not set.
+function openSpreadsheet() {
+  if (!CONFIG.SPREADSHEET_URL || CONFIG.SPREADSHEET_URL === 'YOUR_GOOGLE_SHEET_URL_HERE') {
+    return null;
+  }
+  try {
+    return SpreadsheetApp.openByUrl(CONFIG.SPREADSHEET_URL);
+  } catch (e) {
+    throw new Error(`Unable to open spreadsheet. Please check the URL in CONFIG.SPREADSHEET_URL. ${e}`);
+  }
+}
+
+// Reads '[Account]' and per-campaign rows from the targets sheet, creating the sheet on the first run.
+function getMonthlyTargets(spreadsheet) {
+  const targets = { account: CONFIG.ACCOUNT_MONTHLY_TARGET || 0, campaigns: {} };
+  if (!spreadsheet) {
+    return targets;
+  }
+
+  let sheet = spreadsheet.getSheetByName(CONFIG.TARGETS_SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(CONFIG.TARGETS_SHEET_NAME);
+    sheet.getRange(1, 1, 2, 2).setValues([['Campaign', 'Monthly Target'], [ACCOUNT_TARGET_NAME, '']]);
+    sheet.getRange(1, 1, 1, 2).setFontWeight('bold').setBackground('#4285f4').setFontColor('white');
+    sheet.setFrozenRows(1);
+    Logger.log(`Created the '${CONFIG.TARGETS_SHEET_NAME}' tab. Add your monthly targets there.`);
+    return targets;
+  }
+
+  const rows = sheet.getDataRange().getValues().slice(1);
+  rows.forEach(row => {
+    const name = String(row[0]).trim();
+    const target = parseFloat(String(row[1]).replace(/[$,]/g, ''));
+    if (!name || !(target > 0)) return;
+    if (name === ACCOUNT_TARGET_NAME) {
+      targets.account = target;
+    } else {
+      targets.campaigns[name] = target;
+    }
+  });
+  return targets;
+}
+
+// Daily spend per campaign over the history window, plus the budget of every enabled campaign.
+function getCampaignSpend(calendar) {
+  const campaigns = new Map();
+  const getCampaign = (id, name) => {
+    if (!campaigns.has(id)) {
+      campaigns.set(id, { id: id, name: name, status: '', dailyBudget: 0, dailySpend: {}, monthToDateStats: emptyStats() });
+    }
+    return campaigns.get(id);
+  };
+
+  const budgetQuery = `SELECT campaign.id, campaign.name, campaign.status, campaign_budget.amount_micros FROM campaign WHERE campaign.status = 'ENABLED'`;
+  const budgetRows = AdsApp.report(budgetQuery).rows();
+  while (budgetRows.hasNext()) {
+    const row = budgetRows.next();
+    const campaign = getCampaign(row['campaign.id'], row['campaign.name']);
+    campaign.status = row['campaign.status'];
+    campaign.dailyBudget = (parseFloat(row['campaign_budget.amount_micros']) || 0) / 1000000;
+  }
+
+  if (calendar.historyStart <= calendar.yesterday) {
+    const spendQuery = `SELECT campaign.id, campaign.name, segments.date, metrics.cost_micros FROM campaign WHERE segments.date BETWEEN '${calendar.historyStart}' AND '${calendar.yesterday}' AND metrics.cost_micros > 0`;
+    const spendRows = AdsApp.report(spendQuery).rows();
+    while (spendRows.hasNext()) {
+      const row = spendRows.next();
+      const campaign = getCampaign(row['campaign.id'], row['campaign.name']);
+      const date = row['segments.date'];
+      campaign.dailySpend[date] = (campaign.dailySpend[date] || 0) + (parseFloat(row['metrics.cost_micros']) || 0) / 1000000;
+    }
+  }
+
+  return Array.from(campaigns.values());
+}
+
+// ==================== PROJECTION FUNCTIONS ====================
+// Account-wide spend index per weekday (Sunday = 0): average spend on that weekday divided by the
+// average daily spend over the last SEASONALITY_WEEKS full weeks. 1 everywhere without history.
+function getDayOfWeekSeasonality(campaigns, calendar) {
+  const flat = [1, 1, 1, 1, 1, 1, 1];
+  if (CONFIG.SEASONALITY_WEEKS <= 0) return flat;
+
+  const end = parseIsoDate(calendar.yesterday);
+  const dates = getDatesBetween(formatIsoDate(addDays(end, -(CONFIG.SEASONALITY_WEEKS * 7) + 1)), calendar.yesterday);
+  const totals = [0, 0, 0, 0, 0, 0, 0];
+  let grandTotal = 0;
+  dates.forEach(date => {
+    const spend = campaigns.reduce((sum, campaign) => sum + (campaign.dailySpend[date] || 0), 0);
+    totals[getDayOfWeek(date)] += spend;
+    grandTotal += spend;
+  });
+  if (grandTotal === 0) return flat;
+
+  // Every weekday appears SEASONALITY_WEEKS times, so the weekday totals compare directly
+  const averageWeekdayTotal = grandTotal / 7;
+  return totals.map(total => total / averageWeekdayTotal);
+}
+
+// Seasonally adjusted daily rate over the last RUN_RATE_DAYS complete days, projected over the
+// remaining days of the month on top of month-to-date spend.
+function projectMonthEndSpend(dailySpend, seasonality, calendar) {
+  const monthToDate = calendar.elapsedDays > 0
+    ? getDatesBetween(calendar.monthStart, calendar.yesterday).reduce((sum, date) => sum + (dailySpend[date] || 0), 0)
+    : 0;
+
+  const runRateDates = getDatesBetween(formatIsoDate(addDays(parseIsoDate(calendar.yesterday), -CONFIG.RUN_RATE_DAYS + 1)), calendar.yesterday);
+  const runRateSpend = runRateDates.reduce((sum, date) => sum + (dailySpend[date] || 0), 0);
+  const runRateWeight = runRateDates.reduce((sum, date) => sum + seasonality[getDayOfWeek(date)], 0);
+  const baseDailyRate = runRateWeight > 0 ? runRateSpend / runRateWeight : 0;
+
+  const remaining = calendar.remainingDates.reduce((sum, date) => sum + baseDailyRate * seasonality[getDayOfWeek(date)], 0);
+  return {
+    monthToDate: monthToDate,
+    dailyRunRate: runRateSpend / runRateDates.length,
+    projected: monthToDate + remaining
+  };
+}
+
+function buildPacingReport(campaigns, targets, seasonality, calendar) {
+  const report = [];
+  const accountSpend = {};
+
+  campaigns.forEach(campaign => {
+    Object.keys(campaign.dailySpend).forEach(date => { accountSpend[date] = (accountSpend[date] || 0) + campaign.dailySpend[date]; });
+
+    let target = targets.campaigns[campaign.name] || 0;
+    let targetSource = 'Sheet';
+    if (!target && CONFIG.USE_DAILY_BUDGET_AS_TARGET && campaign.status === 'ENABLED' && campaign.dailyBudget > 0) {
+      target = campaign.dailyBudget * calendar.daysInMonth;
+      targetSource = 'Budget';
+    }
+    if (!target) return;
+
+    report.push(evaluatePacing(Object.assign({
+      name: campaign.name,
+      dailyBudget: campaign.dailyBudget,
+      target: target,
+      targetSource: targetSource,
+      stats: campaign.monthToDateStats
+    }, projectMonthEndSpend(campaign.dailySpend, seasonality, calendar))));
+  });
+
+  if (targets.account > 0) {
+    const dailyBudget = campaigns.reduce((sum, campaign) => sum + (campaign.status === 'ENABLED' ? campaign.dailyBudget : 0), 0);
+    report.unshift(evaluatePacing(Object.assign({
+      name: ACCOUNT_TARGET_NAME,
+      dailyBudget: dailyBudget,
+      target: targets.account,
+      targetSource: 'Account',
+      stats: sumStats(campaigns.map(campaign => campaign.monthToDateStats))
+    }, projectMonthEndSpend(accountSpend, seasonality, calendar))));
+  }
+
+  return report.sort((a, b) => {
+    if (a.name === ACCOUNT_TARGET_NAME) return -1;
+    if (b.name === ACCOUNT_TARGET_NAME) return 1;
+    return SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity) || Math.abs(b.deviation) - Math.abs(a.deviation);
+  });
+}
+
+function evaluatePacing(item) {
+  item.pace = item.projected / item.target;
+  item.deviation = item.pace - 1;
+  item.direction = item.deviation > 0 ? 'OVER' : 'UNDER';
+  if (Math.abs(item.deviation) >= CONFIG.THRESHOLDS.CRITICAL) {
+    item.severity = 'CRITICAL';
+  } else if (Math.abs(item.deviation) >= CONFIG.THRESHOLDS.WARNING) {
+    item.severity = 'WARNING';
+  } else {
+    item.severity = 'OK';
+  }
+  return item;
+}
+
+function isSeverityAtLeast(severity, minimum) {
+  return severity !== 'OK' && SEVERITY_ORDER.indexOf(severity) >= SEVERITY_ORDER.indexOf(minimum);
+}
+
+// ==================== ALERT FUNCTIONS ====================
+function logPacing(item) {
+  const status = item.severity === 'OK' ? 'on pace' : `${item.severity}: ${item.direction}-pacing`;
+  Logger.log(`${item.name} - ${status}. Projected ${formatMoney(item.projected)} vs. target ${formatMoney(item.target)} (${formatPercent(item.pace)}), month to date ${formatMoney(item.monthToDate)}.`);
+}
+
+function sendAlertEmail(alerts, calendar) {
+  const accountName = AdsApp.currentAccount().getName();
+  const critical = alerts.filter(item => item.severity === 'CRITICAL').length;
+  const subject = `[${accountName}] Budget Pacing Alert: ${critical} critical, ${alerts.length - critical} warning`;
+
+  notify({
+    severity: critical > 0 ? 'CRITICAL' : 'WARNING',
+    title: subject,
+    text: `${formatDisplayDate(calendar.monthStart)} to ${formatDisplayDate(calendar.monthEnd)}: ${calendar.elapsedDays} of ${calendar.daysInMonth} days complete.`,
+    facts: alerts.map(item => ({
+      label: `${item.severity}: ${item.name === ACCOUNT_TARGET_NAME ? 'Account total' : item.name}`,
+      value: `${item.direction}-pacing, projected ${formatMoney(item.projected)} vs. target ${formatMoney(item.target)} (${formatPercent(item.pace)})`
+    })),
+    email: Object.assign({ to: CONFIG.EMAIL_RECIPIENTS, subject: subject }, renderAlertEmail(alerts, calendar, accountName))
+  });
+}
+
+function renderAlertEmail(alerts, calendar, accountName) {
+  const toRow = item => [
+    { text: `${item.severity} (${item.direction})`, tone: item.severity === 'CRITICAL' ? 'bad' : 'warning' },
+    item.name === ACCOUNT_TARGET_NAME ? 'Account total' : item.name,
+    { text: formatMoney(item.target), note: item.targetSource === 'Budget' ? 'budget' : '' },
+    formatMoney(item.monthToDate),
+    formatMoney(item.projected),
+    formatPercent(item.pace),
+    formatMoney(item.dailyBudget)
+  ].concat(CONFIG.CUSTOM_KPIS.map(kpi => formatKpiValue(kpi, getKpiValue(kpi, item.stats))));
+  const account = alerts.find(item => item.name === ACCOUNT_TARGET_NAME);
+
+  return renderEmail({
+    title: `Budget Pacing Alerts for ${accountName}`,
+    blocks: [
+      {
+        type: 'paragraph',
+        text: `${formatDisplayDate(calendar.monthStart)} to ${formatDisplayDate(calendar.monthEnd)}: ${calendar.elapsedDays} of ${calendar.daysInMonth} days complete. ` +
+          `Projections use the last ${CONFIG.RUN_RATE_DAYS} days' run rate${CONFIG.SEASONALITY_WEEKS > 0 ? ', adjusted for day-of-week seasonality' : ''}.` +
+          (CONFIG.CUSTOM_KPIS.length > 0 ? ` ${CONFIG.CUSTOM_KPIS.map(kpi => kpi.header).join(', ')} are month to date.` : '')
+      },
+      {
+        type: 'table',
+        columns: [
+          { header: 'Severity' }, { header: 'Campaign' }, { header: 'Monthly Target', align: 'right' }, { header: 'Month to Date', align: 'right' },
+          { header: 'Projected', align: 'right' }, { header: 'Pace', align: 'right' }, { header: 'Daily Budget', align: 'right' }
+        ].concat(CONFIG.CUSTOM_KPIS.map(kpi => ({ header: kpi.header, align: 'right' }))),
+        rows: alerts.filter(item => item !== account).map(toRow),
+        totals: account ? toRow(account) : null
+      }
+    ]
+  });
+}
+
+// ==================== CUSTOM KPI FUNCTIONS ====================
+// The exporter's metric keys that custom KPI ratios can use. The month-to-date stats use the same keys.
+const KPI_BASE_METRICS = ['cost', 'impressions', 'clicks', 'conversions', 'convValue'];
+
+function validateCustomKpis() {
+  const keys = KPI_BASE_METRICS.slice();
+  CONFIG.CUSTOM_KPIS.forEach((kpi, index) => {
+    const where = `CONFIG.CUSTOM_KPIS[${index}] (${kpi.key || 'no key'})`;
+    if (!/^[A-Za-z]\w*$/.test(kpi.key || '') || keys.indexOf(kpi.key) !== -1) {
+      throw new Error(`${where}: the key must be a new name such as 'leads'.`);
+    }
+    if (!kpi.header) throw new Error(`${where}: the header is missing.`);
+    if (kpi.conversionActions) {
+      if (!Array.isArray(kpi.conversionActions) || kpi.conversionActions.length === 0) {
+        throw new Error(`${where}: conversionActions must list at least one conversion action name.`);
+      }
+    } else if (!Array.isArray(kpi.ratio) || kpi.ratio.length !== 2 || kpi.ratio.some(key => keys.indexOf(key) === -1)) {
+      throw new Error(`${where}: set conversionActions, or ratio: [numerator, denominator] of ${keys.join(', ')} or earlier conversionActions KPIs.`);
+    }
+    if (kpi.conversionActions) keys.push(kpi.key);
+  });
+}
+
+function emptyStats() {
+  const stats = {};
+  KPI_BASE_METRICS.concat(CONFIG.CUSTOM_KPIS.filter(kpi => kpi.conversionActions).map(kpi => kpi.key)).forEach(key => { stats[key] = 0; });
+  return stats;
+}
+
+function sumStats(statsList) {
+  const total = emptyStats();
+  statsList.forEach(stats => Object.keys(total).forEach(key => { total[key] += stats[key]; }));
+  return total;
+}
+
+// Month-to-date metrics per campaign for the custom KPI columns. Only queried when KPIs are set. Conversion
+// actions are a segment that rules out the other metrics, so they are counted by a second query.
+function addMonthToDateStats(campaigns, calendar) {
+  if (CONFIG.CUSTOM_KPIS.length === 0 || calendar.elapsedDays === 0) return;
+  const byId = {};
+  campaigns.forEach(campaign => { byId[campaign.id] = campaign; });
+  const during = `segments.date BETWEEN '${calendar.monthStart}' AND '${calendar.yesterday}'`;
+
+  const rows = AdsApp.report(
+    'SELECT campaign.id, metrics.impressions, metrics.clicks, metrics.cost_micros, metrics.conversions, metrics.conversions_value ' +
+    `FROM campaign WHERE ${during}`).rows();
+  while (rows.hasNext()) {
+    const row = rows.next();
+    const campaign = byId[row['campaign.id']];
+    if (!campaign) continue;
+    const stats = campaign.monthToDateStats;
+    stats.cost += (parseFloat(row['metrics.cost_micros']) || 0) / 1000000;
+    stats.impressions += parseFloat(row['metrics.impressions']) || 0;
+    stats.clicks += parseFloat(row['metrics.clicks']) || 0;
+    stats.conversions += parseFloat(row['metrics.conversions']) || 0;
+    stats.convValue += parseFloat(row['metrics.conversions_value']) || 0;
+  }
+
+  const kpis = CONFIG.CUSTOM_KPIS.filter(kpi => kpi.conversionActions);
+  if (kpis.length === 0) return;
+  const actionRows = AdsApp.report(
+    'SELECT campaign.id, segments.conversion_action_name, metrics.all_conversions, metrics.all_conversions_value ' +
+    `FROM campaign WHERE ${during}`).rows();
+  while (actionRows.hasNext()) {
+    const row = actionRows.next();
+    const campaign = byId[row['campaign.id']];
+    if (!campaign) continue;
+    kpis.forEach(kpi => {
+      if (kpi.conversionActions.indexOf(row['segments.conversion_action_name']) === -1) return;
+      campaign.monthToDateStats[kpi.key] += parseFloat(row[kpi.conversionValue ? 'metrics.all_conversions_value' : 'metrics.all_conversions']) || 0;
+    });
+  }
+}
+
+function getKpiValue(kpi, stats) {
+  if (kpi.conversionActions) return stats[kpi.key] || 0;
+  const [numerator, denominator] = kpi.ratio.map(key => stats[key] || 0);
+  return denominator > 0 ? numerator / denominator * (kpi.multiplier || 1) : 0;
+}
+
+function formatKpiValue(kpi, value) {
+  if (kpi.currency) return formatMoney(value);
+  if (String(kpi.format || '').indexOf('%') !== -1) return formatPercent(value);
+  return formatNumber(value, kpi.ratio ? 2 : undefined);
+}
+
+// ==================== SETTINGS SHEET FUNCTIONS ====================
+// Settings can be changed in a 'Settings' tab instead of in the code: one row per entry in SETTINGS with the
+// setting's name, its value and a description. The tab is created with the values from CONFIG on the first run;
+// after that its values override CONFIG, and an empty value keeps the value from CONFIG. Every row is checked
+// before anything runs, and all problems are reported together.
+// A setting is { name, path, type, description } plus, per type, min/max (number) or values (choice and list).
+// path is the CONFIG key, e.g. 'THRESHOLDS.WARNING'. validate(value) may return an error message.
+const SETTINGS_SHEET_NAME = 'Settings';
+const SETTINGS_HEADERS = ['Setting', 'Value', 'Description'];
+
+const SETTING_TYPES = {
+  text: {
+    parse: value => String(value).trim(),
+    format: value => value
+  },
+  emails: {
+    parse: value => {
+      const emails = String(value).split(',').map(email => email.trim()).filter(email => email);
+      const invalid = emails.filter(email => !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email));
+      if (invalid.length > 0) throw new Error(`'${invalid.join("', '")}' is not a valid email address.`);
+      return emails.join(',');
+    },
+    format: value => value
+  },
+  number: {
+    parse: (value, setting) => {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (isNaN(number)) throw new Error(`'${value}' is not a number.`);
+      if (setting.min !== undefined && number < setting.min) throw new Error(`Must be at least ${setting.min}.`);
+      if (setting.max !== undefined && number > setting.max) throw new Error(`Must be at most ${setting.max}.`);
+      return number;
+    },
+    format: value => value
+  },
+  boolean: {
+    parse: value => {
+      if (typeof value === 'boolean') return value;
+      const text = String(value).trim().toUpperCase();
+      if (text !== 'TRUE' && text !== 'FALSE') throw new Error(`'${value}' is not TRUE or FALSE.`);
+      return text === 'TRUE';
+    },
+    format: value => (value ? 'TRUE' : 'FALSE'),
+    validation: () => ['TRUE', 'FALSE']
+  },
+  choice: {
+    parse: (value, setting) => {
+      const text = String(value).trim();
+      if (setting.values.indexOf(text) === -1) throw new Error(`'${value}' is not one of: ${setting.values.join(', ')}.`);
+      return text;
+    },
+    format: value => value,
+    validation: setting => setting.values
+  },
+  list: {
+    parse: (value, setting) => {
+      const items = String(value).split(',').map(item => item.trim()).filter(item => item);
+      const invalid = setting.values ? items.filter(item => setting.values.indexOf(item) === -1) : [];
+      if (invalid.length > 0) throw new Error(`'${invalid.join("', '")}' is not one of: ${setting.values.join(', ')}.`);
+      return items;
+    },
+    format: value => value.join(', ')
+  }
+};
+
+// Reads the Settings tab of the spreadsheet (creating it on the first run), applies it to CONFIG and
+// returns the values it set, keyed by path.
+function loadSettings(spreadsheet) {
+  const sheet = spreadsheet.getSheetByName(SETTINGS_SHEET_NAME);
+  if (!sheet) {
+    createSettingsSheet(spreadsheet);
+    Logger.log(`Created the '${SETTINGS_SHEET_NAME}' tab with the current settings. Change them there from now on.`);
+    return {};
+  }
+
+  const values = {};
+  const errors = [];
+  const seen = {};
+  const rows = sheet.getLastRow() > 1 ? sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues() : [];
+  rows.forEach((row, index) => {
+    const name = String(row[0]).trim();
+    if (name === '') return;
+    const where = `Row ${index + 2} (${name})`;
+    const setting = SETTINGS.find(s => s.name === name);
+    if (!setting) {
+      errors.push(`${where}: unknown setting. Check the spelling, or delete the row.`);
+      return;
+    }
+    if (seen[name]) {
+      errors.push(`${where}: listed more than once.`);
+      return;
+    }
+    seen[name] = true;
+    if (row[1] === '' || row[1] === null) return;
+    try {
+      values[setting.path] = parseSetting(setting, row[1]);
+    } catch (e) {
+      errors.push(`${where}: ${e.message}`);
+    }
+  });
+  if (errors.length > 0) {
+    throw new Error(`The '${SETTINGS_SHEET_NAME}' tab has ${errors.length} invalid row(s):\n${errors.join('\n')}`);
+  }
+
+  applySettings(values);
+  Logger.log(`Loaded ${Object.keys(values).length} settings from the '${SETTINGS_SHEET_NAME}' tab.`);
+  return values;
+}
+
+function parseSetting(setting, rawValue) {
+  const value = setting.parse ? setting.parse(rawValue) : SETTING_TYPES[setting.type].parse(rawValue, setting);
+  const error = setting.validate ? setting.validate(value) : '';
+  if (error) throw new Error(error);
+  return value;
+}
+
+// Values are keyed by CONFIG path, so they can also be passed on as JSON, e.g. to client accounts.
+function applySettings(values) {
+  Object.keys(values).forEach(path => {
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((object, key) => object[key], CONFIG);
+    parent[keys[keys.length - 1]] = values[path];
+  });
+}
+
+function validateLanguageTag(tag) {
+  try {
+    Intl.getCanonicalLocales(tag);
+    return '';
+  } catch (e) {
+    return `'${tag}' is not a language tag such as 'en-US' or 'de-DE'.`;
+  }
+}
+
+function validateCurrencyCode(code) {
+  return /^[A-Z]{3}$/.test(code) ? '' : `'${code}' is not a three-letter currency code such as 'USD' or 'EUR'.`;
+}
+
+function createSettingsSheet(spreadsheet) {
+  const sheet = spreadsheet.insertSheet(SETTINGS_SHEET_NAME);
+  const rows = SETTINGS.map(setting => {
+    const value = setting.path.split('.').reduce((object, key) => object[key], CONFIG);
+    return [setting.name, setting.format ? setting.format(value) : SETTING_TYPES[setting.type].format(value), setting.description];
+  });
+  sheet.getRange(1, 1, 1, SETTINGS_HEADERS.length).setValues([SETTINGS_HEADERS]).setFontWeight('bold');
+  sheet.getRange(2, 1, rows.length, SETTINGS_HEADERS.length).setValues(rows);
+
+  // Dropdowns for settings with a fixed set of values
+  SETTINGS.forEach((setting, index) => {
+    const validation = SETTING_TYPES[setting.type].validation;
+    if (!validation) return;
+    const rule = SpreadsheetApp.newDataValidation().requireValueInList(validation(setting), true).setAllowInvalid(false).build();
+    sheet.getRange(index + 2, 2).setDataValidation(rule);
+  });
+  sheet.setFrozenRows(1);
+  sheet.autoResizeColumns(1, SETTINGS_HEADERS.length);
+}
+
+// ==================== LOCALE FUNCTIONS ====================
+// Money, numbers and dates follow CONFIG.LOCALE rather than the server's defaults. The currency (the account's
+// own unless CURRENCY_CODE is set) decides the symbol and decimal places, e.g. none for JPY; LANGUAGE_TAG
+// decides the separators and which side the symbol goes on, e.g. '1.234,50 €' for 'de-DE'.
+function getCurrencyCode() {
+  return CONFIG.LOCALE.CURRENCY_CODE || AdsApp.currentAccount().getCurrencyCode();
+}
+
+function getCurrencyFormatter(currencyCode) {
+  return new Intl.NumberFormat(CONFIG.LOCALE.LANGUAGE_TAG, { style: 'currency', currency: currencyCode || getCurrencyCode() });
+}
+
+function formatMoney(amount, currencyCode) {
+  return getCurrencyFormatter(currencyCode).format(amount);
+}
+
+// Exactly `decimals` decimal places when given, otherwise up to two.
+function formatNumber(value, decimals) {
+  const digits = decimals === undefined ? { maximumFractionDigits: 2 } : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+  return new Intl.NumberFormat(CONFIG.LOCALE.LANGUAGE_TAG, digits).format(value);
+}
+
+function formatPercent(ratio, decimals = 1) {
+  return new Intl.NumberFormat(CONFIG.LOCALE.LANGUAGE_TAG, { style: 'percent', minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(ratio);
+}
+
+// For dates people read. Queries, sheet names and stored state keep ISO 'yyyy-MM-dd' dates.
+function formatDisplayDate(isoDate) {
+  return Utilities.formatDate(new Date(`${isoDate}T12:00:00Z`), 'UTC', CONFIG.LOCALE.DATE_FORMAT);
+}
+
+// ==================== NOTIFICATION FUNCTIONS ====================
+// notify() delivers a message to every channel in CONFIG.NOTIFICATIONS.CHANNELS whose minSeverity it reaches.
+// A message is { severity, title, text, facts: [{ label, value }], link: { label, url }, email: { to, subject, body, htmlBody } }.
+// EMAIL sends the full email; SLACK, TEAMS and GOOGLE_CHAT post the title, text, facts and link as a card.
+const NOTIFICATION_SEVERITIES = ['INFO', 'WARNING', 'CRITICAL'];
+
+const NOTIFIERS = {
+  EMAIL: (channel, message) => {
+    const to = channel.recipients || message.email.to;
+    if (!to || to.trim() === '' || to === 'your-email@example.com') {
+      Logger.log('Email notification is enabled but no valid recipient email address is configured.');
+      return;
+    }
+    MailApp.sendEmail(Object.assign({}, message.email, { to: to }));
+    Logger.log(`Email sent to ${to}: ${message.email.subject}`);
+  },
+  SLACK: (channel, message) => postWebhook(channel, buildSlackPayload(message)),
+  TEAMS: (channel, message) => postWebhook(channel, buildTeamsPayload(message)),
+  GOOGLE_CHAT: (channel, message) => postWebhook(channel, buildGoogleChatPayload(message))
+};
+
+function notify(message) {
+  const severity = NOTIFICATION_SEVERITIES.indexOf(message.severity || 'INFO');
+  CONFIG.NOTIFICATIONS.CHANNELS.forEach(channel => {
+    const notifier = NOTIFIERS[channel.type];
+    if (!notifier) {
+      Logger.log(`Unknown notification channel '${channel.type}'. Use: ${Object.keys(NOTIFIERS).join(', ')}`);
+      return;
+    }
+    if (severity < NOTIFICATION_SEVERITIES.indexOf(channel.minSeverity || 'INFO')) return;
+
+    // One failing channel must not stop the others
+    try {
+      notifier(channel, message);
+    } catch (e) {
+      Logger.log(`Failed to send ${channel.type} notification: ${e.toString()}`);
+    }
+  });
+}
+
+function postWebhook(channel, payload) {
+  if (!channel.webhookUrl) throw new Error(`No webhookUrl configured for the ${channel.type} channel.`);
+  const response = UrlFetchApp.fetch(channel.webhookUrl, {
+    method: 'post',
+    contentType: 'application/json',
+    payload: JSON.stringify(payload),
+    muteHttpExceptions: true
+  });
+  const code = response.getResponseCode();
+  if (code < 200 || code >= 300) {
+    throw new Error(`Webhook returned HTTP ${code}: ${response.getContentText()}`);
+  }
+  Logger.log(`${channel.type} notification posted.`);
+}
+
+// Slack Block Kit: header, text, facts as two-column fields (max 10 per section) and a link button.
+function buildSlackPayload(message) {
+  const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const facts = message.facts || [];
+  const blocks = [{ type: 'header', text: { type: 'plain_text', text: message.title.slice(0, 150) } }];
+  if (message.text) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: escape(message.text) } });
+  }
+  for (let i = 0; i < facts.length; i += 10) {
+    blocks.push({ type: 'section', fields: facts.slice(i, i + 10).map(fact => ({ type: 'mrkdwn', text: `*${escape(fact.label)}*\n${escape(fact.value)}` })) });
+  }
+  if (message.link) {
+    blocks.push({ type: 'actions', elements: [{ type: 'button', text: { type: 'plain_text', text: message.link.label }, url: message.link.url }] });
+  }
+  return { text: `[${message.severity || 'INFO'}] ${message.title}`, blocks: blocks };
+}
+
+// Microsoft Teams (incoming webhook or workflow): a message with one Adaptive Card attachment.
+function buildTeamsPayload(message) {
+  const colors = { INFO: 'Default', WARNING: 'Warning', CRITICAL: 'Attention' };
+  const body = [{ type: 'TextBlock', text: message.title, weight: 'Bolder', size: 'Medium', wrap: true, color: colors[message.severity || 'INFO'] }];
+  if (message.text) body.push({ type: 'TextBlock', text: message.text, wrap: true });
+  if ((message.facts || []).length > 0) {
+    body.push({ type: 'FactSet', facts: message.facts.map(fact => ({ title: fact.label, value: String(fact.value) })) });
+  }
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body: body,
+        actions: message.link ? [{ type: 'Action.OpenUrl', title: message.link.label, url: message.link.url }] : []
+      }
+    }]
+  };
+}
+
+// Google Chat: a cardsV2 card. Chat renders a small subset of HTML in text widgets, so text is escaped.
+function buildGoogleChatPayload(message) {
+  const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const widgets = [];
+  if (message.text) widgets.push({ textParagraph: { text: escape(message.text) } });
+  (message.facts || []).forEach(fact => widgets.push({ decoratedText: { topLabel: fact.label, text: escape(fact.value) } }));
+  if (message.link) {
+    widgets.push({ buttonList: { buttons: [{ text: message.link.label, onClick: { openLink: { url: message.link.url } } }] } });
+  }
+  return {
+    cardsV2: [{
+      cardId: 'notification',
+      card: {
+        header: { title: message.title, subtitle: message.severity || 'INFO' },
+        sections: [{ widgets: widgets }]
+      }
+    }]
+  };
+}
+
+// ==================== EMAIL RENDERING FUNCTIONS ====================
+// An email is described once as a list of blocks and rendered twice: as HTML with inline styles (the only
+// styling every mail client keeps) and as the plain-text alternative. All text is HTML-escaped here, so
+// callers pass raw campaign names and search terms.
+//
+// renderEmail({ title, blocks, footer }) returns { htmlBody, body }. Blocks:
+//   { type: 'section', title, subtitle }              Section header
+//   { type: 'paragraph', text, tone }                 tone colors the text, e.g. 'bad' for a warning
+//   { type: 'kpis', items: [{ label, value, delta }] } A row of KPI cards
+//   { type: 'table', columns: [{ header, align }], rows, totals, sortedBy }
+//   { type: 'button', label, url }
+// Table cells are plain values or { text, url, note, tone, delta }. A delta is { text, tone } and renders as
+// a badge. Tones: 'good', 'bad', 'warning', 'new' and 'neutral'.
+const EMAIL_BLOCKS = {
+  section: {
+    html: (block, theme) => `<h3 style="color: ${escapeHtml(theme.TEXT_COLOR)}; border-bottom: 1px solid #cccccc; padding-bottom: 5px; margin: 25px 0 5px;">${escapeHtml(block.title)}</h3>` +
+      (block.subtitle ? `<p style="font-size: 12px; color: ${escapeHtml(theme.MUTED_COLOR)}; margin: 0 0 10px;">${escapeHtml(block.subtitle)}</p>` : ''),
+    text: block => `${block.title}${block.subtitle ? ` (${block.subtitle})` : ''}\n${'-'.repeat(64)}`
+  },
+  paragraph: {
+    html: (block, theme) => `<p${block.tone ? ` style="color: ${escapeHtml(getToneColor(block.tone, theme))}; font-weight: bold;"` : ''}>${escapeHtml(block.text)}</p>`,
+    text: block => block.text
+  },
+  kpis: {
+    html: (block, theme) => `<table style="width: 100%; border-collapse: separate; border-spacing: 8px 0; margin: 15px 0;"><tr>${block.items.map(item => `
+      <td style="padding: 12px; border: 1px solid #e0e0e0; border-radius: 6px; text-align: center;">
+        <div style="font-size: 12px; color: ${escapeHtml(theme.MUTED_COLOR)};">${escapeHtml(item.label)}</div>
+        <div style="font-size: 22px; font-weight: bold; margin: 4px 0;">${escapeHtml(item.value)}</div>
+        ${item.delta ? renderDeltaBadge(item.delta, theme) : ''}
+      </td>`).join('')}</tr></table>`,
+    text: block => block.items.map(item => `${item.label}: ${item.value}${item.delta ? ` ${item.delta.text}` : ''}`).join('\n')
+  },
+  table: {
+    html: (block, theme) => {
+      const cellStyle = (column, extra) => `padding: 8px; border: 1px solid #dddddd; text-align: ${column.align || 'left'};${extra || ''}`;
+      const header = block.columns.map((column, index) => `<th style="${cellStyle(column, ' background-color: #f2f2f2;')}">${escapeHtml(column.header)}${index === block.sortedBy ? ' &#9660;' : ''}</th>`).join('');
+      const rows = block.rows.map((row, rowIndex) => `
+        <tr${rowIndex % 2 === 1 ? ' style="background-color: #f9f9f9;"' : ''}>${row.map((cell, index) => `<td style="${cellStyle(block.columns[index])}">${renderEmailCell(cell, theme)}</td>`).join('')}</tr>`).join('');
+      const totals = block.totals
+        ? `
+        <tr style="font-weight: bold; background-color: #e6e6e6;">${block.totals.map((cell, index) => `<td style="${cellStyle(block.columns[index])}">${renderEmailCell(cell, theme)}</td>`).join('')}</tr>`
+        : '';
+      return `<table style="width: 100%; border-collapse: collapse; font-size: 14px; margin-top: 10px;">
+        <tr>${header}</tr>${rows}${totals}
+      </table>`;
+    },
+    text: block => {
+      const lines = [block.columns.map(column => column.header)]
+        .concat(block.rows.map(row => row.map(getEmailCellText)))
+        .concat(block.totals ? [block.totals.map(getEmailCellText)] : []);
+      const widths = block.columns.map((column, index) => Math.min(40, Math.max.apply(null, lines.map(line => String(line[index]).length))));
+      return lines.map(line => line.map((value, index) => (index < line.length - 1 ? String(value).padEnd(widths[index] + 2) : String(value))).join('').trimEnd()).join('\n');
+    }
+  },
+  button: {
+    html: (block, theme) => `<p style="margin: 25px 0; text-align: center;"><a href="${escapeHtml(block.url)}" style="background-color: ${escapeHtml(theme.PRIMARY_COLOR)}; color: #ffffff; padding: 12px 25px; text-decoration: none; border-radius: 5px; display: inline-block; font-size: 16px;">${escapeHtml(block.label)}</a></p>`,
+    text: block => `${block.label}: ${block.url}`
+  }
+};
+
+function renderEmail(email) {
+  const theme = CONFIG.EMAIL_THEME;
+  const html = [`<div style="font-family: Arial, sans-serif; max-width: 680px; margin: 0 auto; color: ${escapeHtml(theme.TEXT_COLOR)};">`];
+  const text = [email.title, '='.repeat(email.title.length)];
+
+  if (theme.LOGO_URL) {
+    html.push(`<img src="${escapeHtml(theme.LOGO_URL)}" alt="${escapeHtml(theme.BRAND_NAME)}" style="max-height: 48px; margin-bottom: 10px;">`);
+  }
+  html.push(`<h2 style="color: ${escapeHtml(theme.PRIMARY_COLOR)};">${escapeHtml(email.title)}</h2>`);
+
+  email.blocks.forEach(block => {
+    const renderer = EMAIL_BLOCKS[block.type];
+    if (!renderer) throw new Error(`Unknown email block type '${block.type}'. Use: ${Object.keys(EMAIL_BLOCKS).join(', ')}`);
+    html.push(renderer.html(block, theme));
+    text.push('', renderer.text(block));
+  });
+
+  const footer = [email.footer, theme.FOOTER_TEXT].filter(line => line);
+  if (footer.length > 0) {
+    html.push(`<hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">`);
+    footer.forEach(line => html.push(`<p style="color: ${escapeHtml(theme.MUTED_COLOR)}; font-size: 12px;">${escapeHtml(line)}</p>`));
+    text.push('', footer.join('\n'));
+  }
+  html.push('</div>');
+
+  return { htmlBody: html.join('\n'), body: text.join('\n') };
+}
+
+function renderEmailCell(cell, theme) {
+  if (cell === null || typeof cell !== 'object') return escapeHtml(cell);
+  let html = escapeHtml(cell.text);
+  if (cell.url) html = `<a href="${escapeHtml(cell.url)}" style="color: ${escapeHtml(theme.PRIMARY_COLOR)};">${html}</a>`;
+  if (cell.tone) html = `<span style="color: ${escapeHtml(getToneColor(cell.tone, theme))}; font-weight: bold;">${html}</span>`;
+  if (cell.note) html += ` <span style="color: ${escapeHtml(theme.MUTED_COLOR)}; font-size: 12px;">${escapeHtml(cell.note)}</span>`;
+  if (cell.delta) html += `${html ? ' ' : ''}${renderDeltaBadge(cell.delta, theme)}`;
+  return html;
+}
+
+function getEmailCellText(cell) {
+  if (cell === null || typeof cell !== 'object') return cell === undefined || cell === null ? '' : String(cell);
+  return [cell.text, cell.note ? `(${cell.note})` : '', cell.delta ? cell.delta.text : '']
+    .filter(part => part !== undefined && part !== '').join(' ');
+}
+
+function renderDeltaBadge(delta, theme) {
+  return `<span style="display: inline-block; padding: 2px 8px; border-radius: 10px; background-color: ${escapeHtml(getToneColor(delta.tone, theme))}; color: #ffffff; font-size: 12px; font-weight: bold;">${escapeHtml(delta.text)}</span>`;
+}
+
+function getToneColor(tone, theme) {
+  const colors = { good: theme.GOOD_COLOR, bad: theme.BAD_COLOR, warning: theme.WARNING_COLOR, new: theme.PRIMARY_COLOR };
+  return colors[tone] || theme.MUTED_COLOR;
+}
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -3,102 +3,170 @@
  * This script sends daily country level performance to a specified email
  * 
  * Features:
- * - Top Countries: Country-level performance based on user location (shows where users were physically located)
+ * - Top Countries: Country-level performance based on user location (by default, where users were physically located)
+ * - Same countries and metrics (conversion value, ROAS, CPA) as the Top Countries tab of the Performance Dashboard Exporter
  * - Summary rows with totals and calculated metrics
+ * - Optional campaign filter by name pattern, label, status, campaign type or ID (e.g. non-brand only)
+ * - Optional custom KPIs, e.g. leads from selected conversion actions or a ROAS on margin, as extra columns
+ * - Optional Settings tab in a Google Sheet, to change recipients and locale without editing the code
  * 
  * Setup Instructions:
- * 1. Replace 'your-email@example.com' with your email
- * 2. Schedule the script to run as needed (e.g., daily, weekly)
+ * 1. Replace 'your-email@example.com' with your email, and/or add Slack, Teams or Google Chat webhooks
+ *    to NOTIFICATIONS.CHANNELS
+ * 2. Optionally set LOCATION_TYPE to 'AREA_OF_INTEREST' to report on the locations users showed interest in
+ * 3. Optionally set SPREADSHEET_URL to manage the settings from a 'Settings' tab in that Google Sheet
+ * 4. Schedule the script to run as needed (e.g., daily, weekly)
  */
 
+// Configuration
+const CONFIG = {
+  // Optional Google Sheet whose 'Settings' tab overrides the settings below, so they can be changed without
+  // editing the code. The tab is added on the first run. Leave as is to configure everything here.
+  SPREADSHEET_URL: 'YOUR_GOOGLE_SHEET_URL_HERE',
+
+  EMAIL_RECIPIENTS: 'your-email@example.com', // Comma-separated for multiple recipients
+  EMAIL_SUBJECT: 'Google Ads - Country Spend Report (Previous Day)',
+  LOCATION_TYPE: 'LOCATION_OF_PRESENCE', // LOCATION_OF_PRESENCE (where users were) or AREA_OF_INTEREST
+
+  // Custom KPIs, added as columns after CPA. Same definitions as CUSTOM_KPIS in the Performance Dashboard
+  // Exporter, so they can be copied across: conversionActions sums the all conversions (or, with
+  // conversionValue: true, their value) of the named conversion actions; ratio divides two of cost,
+  // impressions, clicks, conversions, convValue or earlier KPIs, times an optional multiplier.
+  CUSTOM_KPIS: [
+    // { key: 'leads', header: 'Leads', conversionActions: ['Form Submit', 'Call > 60s'] },
+    // { key: 'qualifiedCpa', header: 'Qualified CPA', ratio: ['cost', 'leads'], currency: true },
+    // { key: 'marginRoas', header: 'ROAS on Margin', ratio: ['convValue', 'cost'], multiplier: 0.4 }
+  ],
+
+  // Campaigns included in the report. A campaign must match every INCLUDE criterion that is set and none of the
+  // EXCLUDE criteria. NAME_REGEX uses RE2 syntax, e.g. '(?i)brand'; LABELS are campaign label names; STATUSES:
+  // ENABLED, PAUSED, REMOVED; CHANNEL_TYPES: SEARCH, DISPLAY, SHOPPING, VIDEO, PERFORMANCE_MAX, ...; IDS are campaign IDs.
+  CAMPAIGN_FILTER: {
+    INCLUDE: { NAME_REGEX: '', LABELS: [], STATUSES: [], CHANNEL_TYPES: [], IDS: [] },
+    EXCLUDE: { NAME_REGEX: '', LABELS: [], STATUSES: [], CHANNEL_TYPES: [], IDS: [] }
+  },
+
+  // Money is shown in the account's currency (symbol and decimal places). LANGUAGE_TAG sets the thousands and
+  // decimal separators, e.g. 'en-GB', 'de-DE' or 'ja-JP'; DATE_FORMAT the report date.
+  LOCALE: {
+    LANGUAGE_TAG: 'en-US',
+    CURRENCY_CODE: '', // e.g. 'EUR'. Leave empty to use the account's currency.
+    DATE_FORMAT: 'yyyy-MM-dd' // e.g. 'dd/MM/yyyy'
+  },
+
+  // Email branding. Leave LOGO_URL and FOOTER_TEXT empty for an unbranded email.
+  EMAIL_THEME: {
+    BRAND_NAME: '', // Alt text of the logo
+    LOGO_URL: '', // e.g. 'https://example.com/logo.png'
+    PRIMARY_COLOR: '#4285f4', // Title, links and buttons
+    TEXT_COLOR: '#333333',
+    MUTED_COLOR: '#666666',
+    GOOD_COLOR: '#27ae60',
+    BAD_COLOR: '#c0392b',
+    WARNING_COLOR: '#e67e22',
+    FOOTER_TEXT: '' // e.g. 'Prepared by Example Agency - hello@example.com'
+  },
+
+  // Delivery channels. EMAIL uses EMAIL_RECIPIENTS unless the channel sets its own recipients; SLACK, TEAMS
+  // and GOOGLE_CHAT post the top countries to an incoming webhook. The report is INFO.
+  NOTIFICATIONS: {
+    CHANNELS: [
+      { type: 'EMAIL', minSeverity: 'INFO' }
+      // { type: 'GOOGLE_CHAT', webhookUrl: 'https://chat.googleapis.com/v1/spaces/...', minSeverity: 'INFO' }
+    ]
+  }
+};
+
+// Settings that can also be changed in the Settings tab of SPREADSHEET_URL (see SETTINGS SHEET FUNCTIONS)
+const SETTINGS = [
+  { name: 'Email Recipients', path: 'EMAIL_RECIPIENTS', type: 'emails', description: 'Comma-separated email addresses for the report' },
+  { name: 'Email Subject', path: 'EMAIL_SUBJECT', type: 'text', description: 'Subject line of the report email' },
+  { name: 'Location Type', path: 'LOCATION_TYPE', type: 'choice', values: ['LOCATION_OF_PRESENCE', 'AREA_OF_INTEREST'], description: 'Where users were, or the areas they showed interest in' },
+  { name: 'Include Campaigns Matching', path: 'CAMPAIGN_FILTER.INCLUDE.NAME_REGEX', type: 'text', description: "Only campaigns whose name matches this regular expression, e.g. '(?i)brand'" },
+  { name: 'Exclude Campaigns Matching', path: 'CAMPAIGN_FILTER.EXCLUDE.NAME_REGEX', type: 'text', description: 'Leave out campaigns whose name matches this regular expression' },
+  { name: 'Include Campaign Labels', path: 'CAMPAIGN_FILTER.INCLUDE.LABELS', type: 'list', description: 'Comma-separated: only campaigns with one of these labels' },
+  { name: 'Exclude Campaign Labels', path: 'CAMPAIGN_FILTER.EXCLUDE.LABELS', type: 'list', description: 'Comma-separated: leave out campaigns with any of these labels' },
+  { name: 'Include Campaign Types', path: 'CAMPAIGN_FILTER.INCLUDE.CHANNEL_TYPES', type: 'list', description: 'Comma-separated, e.g. SEARCH, PERFORMANCE_MAX, SHOPPING, DISPLAY', validate: validateChannelTypes },
+  { name: 'Exclude Campaign Types', path: 'CAMPAIGN_FILTER.EXCLUDE.CHANNEL_TYPES', type: 'list', description: 'Comma-separated campaign types to leave out', validate: validateChannelTypes },
+  { name: 'Language', path: 'LOCALE.LANGUAGE_TAG', type: 'text', description: "Number and date format, e.g. 'en-US' or 'de-DE'", validate: validateLanguageTag },
+  { name: 'Currency', path: 'LOCALE.CURRENCY_CODE', type: 'text', description: "e.g. 'EUR'. Leave empty to use the account's currency", validate: validateCurrencyCode },
+  { name: 'Date Format', path: 'LOCALE.DATE_FORMAT', type: 'text', description: "Report date, e.g. 'dd/MM/yyyy'" }
+];
+
 function main() {
-  // Configuration
-  const EMAIL_RECIPIENT = 'your-email@example.com'; // Comma-separated for multiple recipients
-  const EMAIL_SUBJECT = 'Google Ads - Country Spend Report (Previous Day)';
-  
+  // Apply the Settings tab, if a spreadsheet is configured
+  if (CONFIG.SPREADSHEET_URL && CONFIG.SPREADSHEET_URL !== 'YOUR_GOOGLE_SHEET_URL_HERE') {
+    loadSettings(SpreadsheetApp.openByUrl(CONFIG.SPREADSHEET_URL));
+  }
+
   // Get yesterday's date
   const YESTERDAY = getDateString(new Date(new Date().getTime() - 24 * 3600 * 1000));
   
   // Initialize report data
-  const reportData = getCountryData();
+  const reportData = getCountryData(CONFIG.LOCATION_TYPE);
   
   // Generate and send email
-  sendEmailReport(reportData, YESTERDAY, EMAIL_RECIPIENT, EMAIL_SUBJECT);
+  sendEmailReport(reportData, YESTERDAY, CONFIG.EMAIL_RECIPIENTS, CONFIG.EMAIL_SUBJECT);
 }
 
-function getCountryData() {
+function getCountryData(locationType = 'LOCATION_OF_PRESENCE') {
+  // Outside the try, so a misconfigured filter or KPI stops the script instead of sending an empty report
+  const filter = getCampaignFilterConditions();
+  validateCustomKpis();
   try {
     const countryData = new Map();
-    const totals = {
-      spend: 0,
-      impressions: 0,
-      clicks: 0,
-      conversions: 0
-    };
+    const totals = emptyTotals();
 
-    // Get location criteria report to map CountryCriteriaId to CountryName
-    const locationCriteriaReport = AdsApp.report(
-      "SELECT CriteriaId, CountryName " +
-      "FROM LOCATION_CRITERIA_REPORT");
-    const locationRows = locationCriteriaReport.rows();
-    const locationMap = new Map();
+    // Map country criterion IDs to names
+    const countryNames = getCountryNames();
 
-    while (locationRows.hasNext()) {
-      const locationRow = locationRows.next();
-      const criteriaId = locationRow['CriteriaId'];
-      const countryName = locationRow['CountryName'];
-      locationMap.set(criteriaId, countryName);
-    }
-
-    // Get campaign location target report
+    // geographic_view reports where users were (LOCATION_OF_PRESENCE) or what they searched for
+    // (AREA_OF_INTEREST); rows are per campaign and location, so they are merged per country.
     const report = AdsApp.report(
-      "SELECT CriteriaId, Clicks, Impressions, Cost, Conversions " +
-      "FROM CAMPAIGN_LOCATION_TARGET_REPORT " +
-      "WHERE Impressions > 0 " +
-      "DURING YESTERDAY");
+      'SELECT geographic_view.country_criterion_id, metrics.clicks, metrics.impressions, metrics.cost_micros, ' +
+      'metrics.conversions, metrics.conversions_value ' +
+      'FROM geographic_view ' +
+      `WHERE geographic_view.location_type = '${locationType}' ` +
+      'AND metrics.cost_micros > 0 ' +
+      'AND segments.date DURING YESTERDAY' +
+      filter.map(condition => ` AND ${condition}`).join(''));
   
     const rows = report.rows();
     while (rows.hasNext()) {
       const row = rows.next();
-      const criteriaId = row['CriteriaId'];
-      const countryName = locationMap.get(criteriaId) || 'Unknown';
-      const spend = parseFloat(row['Cost'].replace(/,/g, ''));
-      
-      if (spend > 0) {
-        const impressions = parseInt(row['Impressions'].replace(/,/g, ''), 10);
-        const clicks = parseInt(row['Clicks'].replace(/,/g, ''), 10);
-        const conversions = parseFloat(row['Conversions'].replace(/,/g, ''));
-
-        // Aggregate data by country
-        if (!countryData.has(countryName)) {
-          countryData.set(countryName, {
-            name: countryName,
-            spend: 0,
-            impressions: 0,
-            clicks: 0,
-            conversions: 0
-          });
-        }
-        
-        const countryStats = countryData.get(countryName);
-        countryStats.spend += spend;
-        countryStats.impressions += impressions;
-        countryStats.clicks += clicks;
-        countryStats.conversions += conversions;
-        
-        // Update totals
-        totals.spend += spend;
-        totals.impressions += impressions;
-        totals.clicks += clicks;
-        totals.conversions += conversions;
+      const criteriaId = row['geographic_view.country_criterion_id'];
+      const countryName = countryNames[criteriaId] || `Unknown (${criteriaId})`;
+      const spend = (parseFloat(row['metrics.cost_micros']) || 0) / 1000000;
+      const impressions = parseInt(row['metrics.impressions'], 10) || 0;
+      const clicks = parseInt(row['metrics.clicks'], 10) || 0;
+      const conversions = parseFloat(row['metrics.conversions']) || 0;
+      const conversionValue = parseFloat(row['metrics.conversions_value']) || 0;
+
+      // Aggregate data by country
+      if (!countryData.has(countryName)) {
+        countryData.set(countryName, Object.assign({ name: countryName }, emptyTotals()));
       }
+      
+      const countryStats = countryData.get(countryName);
+      countryStats.spend += spend;
+      countryStats.impressions += impressions;
+      countryStats.clicks += clicks;
+      countryStats.conversions += conversions;
+      countryStats.conversionValue += conversionValue;
+      
+      // Update totals
+      totals.spend += spend;
+      totals.impressions += impressions;
+      totals.clicks += clicks;
+      totals.conversions += conversions;
+      totals.conversionValue += conversionValue;
     }
+    addConversionActionCounts(locationType, filter, countryNames, countryData, totals);
     
     // Convert Map to array and calculate metrics
     const countryReport = Array.from(countryData.values()).map(country => ({
       ...country,
-      ctr: country.impressions > 0 ? country.clicks / country.impressions : 0,
-      cpc: country.clicks > 0 ? country.spend / country.clicks : 0
+      ...calculateRatios(country)
     }));
     
     // Sort by spend in descending order
@@ -112,123 +180,673 @@ function getCountryData() {
     console.error('Error retrieving or processing data: ' + e);
     return {
       countries: [],
-      totals: {
-        spend: 0,
-        impressions: 0,
-        clicks: 0,
-        conversions: 0
-      }
+      totals: emptyTotals()
     };
   }
 }
 
-function sendEmailReport(reportData, date, recipient, subject) {
-  const htmlBody = generateEmailHtml(reportData, date);
-  
+function emptyTotals() {
+  const totals = {
+    spend: 0,
+    impressions: 0,
+    clicks: 0,
+    conversions: 0,
+    conversionValue: 0
+  };
+  CONFIG.CUSTOM_KPIS.filter(kpi => kpi.conversionActions).forEach(kpi => { totals[kpi.key] = 0; });
+  return totals;
+}
+
+// Same derivations as the exporter's METRICS: each ratio is 0 when its denominator is 0
+function calculateRatios(stats) {
+  return {
+    ctr: stats.impressions > 0 ? stats.clicks / stats.impressions : 0,
+    cpc: stats.clicks > 0 ? stats.spend / stats.clicks : 0,
+    roas: stats.spend > 0 ? stats.conversionValue / stats.spend : 0,
+    cpa: stats.conversions > 0 ? stats.spend / stats.conversions : 0
+  };
+}
+
+function getCountryNames() {
+  const query = `SELECT geo_target_constant.id, geo_target_constant.name FROM geo_target_constant WHERE geo_target_constant.target_type = 'Country'`;
+  const countryNames = {};
   try {
-    MailApp.sendEmail({
-      to: recipient,
-      subject: subject,
-      htmlBody: htmlBody
-    });
+    const report = AdsApp.report(query);
+    const rows = report.rows();
+    while (rows.hasNext()) {
+      const row = rows.next();
+      countryNames[row['geo_target_constant.id']] = row['geo_target_constant.name'];
+    }
   } catch (e) {
-    console.error('Error sending email: ' + e);
+    Logger.log('Error fetching country names: ' + e.toString());
   }
+  return countryNames;
 }
 
-function generateEmailHtml(reportData, date) {
+// The webhook channels get the totals and the top five countries by spend.
+function sendEmailReport(reportData, date, recipient, subject) {
+  const email = renderCountryEmail(reportData, date);
   const { countries, totals } = reportData;
   
-  let html = `
-    <html>
-      <head>
-        <style>
-          table {
-            border-collapse: collapse;
-            width: 100%;
-            font-family: Arial, sans-serif;
-          }
-          th, td {
-            border: 1px solid #dddddd;
-            text-align: left;
-            padding: 8px;
-          }
-          th {
-            background-color: #f2f2f2;
-          }
-          tr:nth-child(even) {
-            background-color: #f9f9f9;
-          }
-          .total-row {
-            font-weight: bold;
-            background-color: #e6e6e6;
-          }
-          .header {
-            margin-bottom: 20px;
-          }
-        </style>
-      </head>
-      <body>
-        <div class="header">
-          <h2>Country Spend Report for ${date}</h2>
-          <p><strong>Total Account Spend: $${formatAmount(totals.spend)}</strong></p>
-        </div>
-        
-        <table>
-          <tr>
-            <th>Country</th>
-            <th>Spend</th>
-            <th>Impressions</th>
-            <th>Clicks</th>
-            <th>CTR</th>
-            <th>Avg. CPC</th>
-            <th>Conversions</th>
-          </tr>`;
-
-  // Add country rows
-  countries.forEach(country => {
-    html += `
-          <tr>
-            <td>${country.name}</td>
-            <td>$${formatAmount(country.spend)}</td>
-            <td>${formatNumber(country.impressions)}</td>
-            <td>${formatNumber(country.clicks)}</td>
-            <td>${formatPercentage(country.ctr)}%</td>
-            <td>$${formatAmount(country.cpc)}</td>
-            <td>${formatNumber(country.conversions)}</td>
-          </tr>`;
+  notify({
+    severity: 'INFO',
+    title: subject,
+    text: `Country spend for ${formatDisplayDate(date)}: ${formatMoney(totals.spend)} across ${countries.length} countries, ROAS ${formatNumber(calculateRatios(totals).roas, 2)}.`,
+    facts: countries.slice(0, 5).map(country => ({
+      label: country.name,
+      value: `${formatMoney(country.spend)}, ${formatNumber(country.conversions)} conv., ROAS ${formatNumber(country.roas, 2)}`
+    })),
+    email: { to: recipient, subject: subject, body: email.body, htmlBody: email.htmlBody }
   });
+}
 
-  // Add total row
-  html += `
-          <tr class="total-row">
-            <td>TOTAL</td>
-            <td>$${formatAmount(totals.spend)}</td>
-            <td>${formatNumber(totals.impressions)}</td>
-            <td>${formatNumber(totals.clicks)}</td>
-            <td>${formatPercentage(totals.clicks / totals.impressions)}%</td>
-            <td>$${formatAmount(totals.clicks > 0 ? totals.spend / totals.clicks : 0)}</td>
-            <td>${formatNumber(totals.conversions)}</td>
-          </tr>
-        </table>
-      </body>
-    </html>`;
+function renderCountryEmail(reportData, date) {
+  const { countries, totals } = reportData;
+  const toRow = (name, stats, ratios) => [
+    name,
+    formatMoney(stats.spend),
+    formatNumber(stats.impressions),
+    formatNumber(stats.clicks),
+    formatPercent(ratios.ctr, 2),
+    formatMoney(ratios.cpc),
+    formatNumber(stats.conversions),
+    formatMoney(stats.conversionValue),
+    formatNumber(ratios.roas, 2),
+    formatMoney(ratios.cpa)
+  ].concat(CONFIG.CUSTOM_KPIS.map(kpi => formatKpiValue(kpi, getKpiValue(kpi, stats))));
 
-  return html;
+  return renderEmail({
+    title: `Country Spend Report for ${formatDisplayDate(date)}`,
+    blocks: [
+      {
+        type: 'kpis',
+        items: [
+          { label: 'Total Account Spend', value: formatMoney(totals.spend) },
+          { label: 'Conversions', value: formatNumber(totals.conversions) },
+          { label: 'ROAS', value: formatNumber(calculateRatios(totals).roas, 2) }
+        ].concat(CONFIG.CUSTOM_KPIS.map(kpi => ({ label: kpi.header, value: formatKpiValue(kpi, getKpiValue(kpi, totals)) })))
+      },
+      {
+        type: 'table',
+        columns: ['Country', 'Spend', 'Impressions', 'Clicks', 'CTR', 'Avg. CPC', 'Conversions', 'Conv. Value', 'ROAS', 'CPA']
+          .concat(CONFIG.CUSTOM_KPIS.map(kpi => kpi.header))
+          .map((header, index) => ({ header: header, align: index === 0 ? 'left' : 'right' })),
+        sortedBy: 1,
+        rows: countries.map(country => toRow(country.name, country, country)),
+        totals: toRow('TOTAL', totals, calculateRatios(totals))
+      }
+    ]
+  });
 }
 
 function getDateString(date) {
   return Utilities.formatDate(date, AdsApp.currentAccount().getTimeZone(), 'yyyy-MM-dd');
 }
 
-function formatAmount(amount) {
-  return amount.toFixed(2);
+// ==================== CUSTOM KPI FUNCTIONS ====================
+// The exporter's metric keys that custom KPI ratios can use, and the stats they are read from here.
+const KPI_BASE_METRICS = { cost: 'spend', impressions: 'impressions', clicks: 'clicks', conversions: 'conversions', convValue: 'conversionValue' };
+
+function validateCustomKpis() {
+  const keys = Object.keys(KPI_BASE_METRICS);
+  CONFIG.CUSTOM_KPIS.forEach((kpi, index) => {
+    const where = `CONFIG.CUSTOM_KPIS[${index}] (${kpi.key || 'no key'})`;
+    if (!/^[A-Za-z]\w*$/.test(kpi.key || '') || keys.indexOf(kpi.key) !== -1) {
+      throw new Error(`${where}: the key must be a new name such as 'leads'.`);
+    }
+    if (!kpi.header) throw new Error(`${where}: the header is missing.`);
+    if (kpi.conversionActions) {
+      if (!Array.isArray(kpi.conversionActions) || kpi.conversionActions.length === 0) {
+        throw new Error(`${where}: conversionActions must list at least one conversion action name.`);
+      }
+    } else if (!Array.isArray(kpi.ratio) || kpi.ratio.length !== 2 || kpi.ratio.some(key => keys.indexOf(key) === -1)) {
+      throw new Error(`${where}: set conversionActions, or ratio: [numerator, denominator] of ${keys.join(', ')} or earlier conversionActions KPIs.`);
+    }
+    if (kpi.conversionActions) keys.push(kpi.key);
+  });
+}
+
+// Conversion actions are a segment that rules out the other metrics, so they are counted by a second
+// geographic_view query and added to the countries that had spend.
+function addConversionActionCounts(locationType, filter, countryNames, countryData, totals) {
+  const kpis = CONFIG.CUSTOM_KPIS.filter(kpi => kpi.conversionActions);
+  if (kpis.length === 0) return;
+  const rows = AdsApp.report(
+    'SELECT geographic_view.country_criterion_id, segments.conversion_action_name, ' +
+    'metrics.all_conversions, metrics.all_conversions_value ' +
+    'FROM geographic_view ' +
+    `WHERE geographic_view.location_type = '${locationType}' ` +
+    'AND segments.date DURING YESTERDAY' +
+    filter.map(condition => ` AND ${condition}`).join('')).rows();
+  while (rows.hasNext()) {
+    const row = rows.next();
+    const criteriaId = row['geographic_view.country_criterion_id'];
+    const countryStats = countryData.get(countryNames[criteriaId] || `Unknown (${criteriaId})`);
+    if (!countryStats) continue;
+    kpis.forEach(kpi => {
+      if (kpi.conversionActions.indexOf(row['segments.conversion_action_name']) === -1) return;
+      const amount = parseFloat(row[kpi.conversionValue ? 'metrics.all_conversions_value' : 'metrics.all_conversions']) || 0;
+      countryStats[kpi.key] += amount;
+      totals[kpi.key] += amount;
+    });
+  }
+}
+
+function getKpiValue(kpi, stats) {
+  if (kpi.conversionActions) return stats[kpi.key] || 0;
+  const [numerator, denominator] = kpi.ratio.map(key => stats[KPI_BASE_METRICS[key] || key] || 0);
+  return denominator > 0 ? numerator / denominator * (kpi.multiplier || 1) : 0;
+}
+
+function formatKpiValue(kpi, value) {
+  if (kpi.currency) return formatMoney(value);
+  if (String(kpi.format || '').indexOf('%') !== -1) return formatPercent(value);
+  return formatNumber(value, kpi.ratio ? 2 : undefined);
+}
+
+// ==================== CAMPAIGN FILTER FUNCTIONS ====================
+// CONFIG.CAMPAIGN_FILTER scopes every report to a set of campaigns: a campaign must match every INCLUDE
+// criterion that is set and none of the EXCLUDE criteria. getCampaignFilterConditions() turns the filter into
+// GAQL conditions on the campaign's fields, which every query on a resource with a campaign adds to its WHERE.
+// Label names are looked up once per account, as GAQL filters labels by resource name.
+const CAMPAIGN_STATUSES = ['ENABLED', 'PAUSED', 'REMOVED'];
+const CAMPAIGN_CHANNEL_TYPES = ['SEARCH', 'DISPLAY', 'SHOPPING', 'VIDEO', 'PERFORMANCE_MAX', 'DEMAND_GEN', 'MULTI_CHANNEL',
+  'LOCAL', 'SMART', 'HOTEL', 'LOCAL_SERVICES', 'TRAVEL'];
+const campaignLabelCache = {}; // Customer ID -> { label name: resource name }
+
+function getCampaignFilterConditions() {
+  const conditions = [];
+  ['INCLUDE', 'EXCLUDE'].forEach(mode => {
+    const criteria = CONFIG.CAMPAIGN_FILTER[mode] || {};
+    const include = mode === 'INCLUDE';
+    const setting = `CONFIG.CAMPAIGN_FILTER.${mode}`;
+    const inList = (field, values) => `${field} ${include ? 'IN' : 'NOT IN'} (${values.join(', ')})`;
+
+    if (criteria.NAME_REGEX) {
+      conditions.push(`campaign.name ${include ? 'REGEXP_MATCH' : 'NOT REGEXP_MATCH'} ${quoteGaqlString(criteria.NAME_REGEX)}`);
+    }
+    if ((criteria.STATUSES || []).length > 0) {
+      checkCampaignFilterValues(`${setting}.STATUSES`, criteria.STATUSES, CAMPAIGN_STATUSES);
+      conditions.push(inList('campaign.status', criteria.STATUSES.map(quoteGaqlString)));
+    }
+    if ((criteria.CHANNEL_TYPES || []).length > 0) {
+      checkCampaignFilterValues(`${setting}.CHANNEL_TYPES`, criteria.CHANNEL_TYPES, CAMPAIGN_CHANNEL_TYPES);
+      conditions.push(inList('campaign.advertising_channel_type', criteria.CHANNEL_TYPES.map(quoteGaqlString)));
+    }
+    if ((criteria.IDS || []).length > 0) {
+      const invalid = criteria.IDS.filter(id => !/^\d+$/.test(String(id)));
+      if (invalid.length > 0) throw new Error(`Invalid campaign ID '${invalid[0]}' in ${setting}.IDS. Use numeric IDs such as 1234567890.`);
+      conditions.push(inList('campaign.id', criteria.IDS.map(String)));
+    }
+    if ((criteria.LABELS || []).length > 0) {
+      const resourceNames = getCampaignLabelResourceNames(criteria.LABELS, `${setting}.LABELS`, include);
+      if (resourceNames.length > 0) {
+        conditions.push(`campaign.labels ${include ? 'CONTAINS ANY' : 'CONTAINS NONE'} (${resourceNames.map(quoteGaqlString).join(', ')})`);
+      }
+    }
+  });
+  return conditions;
+}
+
+function checkCampaignFilterValues(setting, values, allowed) {
+  const invalid = values.filter(value => allowed.indexOf(value) === -1);
+  if (invalid.length > 0) {
+    throw new Error(`Invalid value '${invalid[0]}' in ${setting}. Use: ${allowed.join(', ')}`);
+  }
+}
+
+// A missing INCLUDE label would silently empty every report, so it is an error; a missing EXCLUDE label is not.
+function getCampaignLabelResourceNames(names, setting, required) {
+  const customerId = AdsApp.currentAccount().getCustomerId();
+  if (!campaignLabelCache[customerId]) {
+    const labels = {};
+    const iterator = AdsApp.report('SELECT label.name, label.resource_name FROM label').rows();
+    while (iterator.hasNext()) {
+      const row = iterator.next();
+      labels[row['label.name']] = row['label.resource_name'];
+    }
+    campaignLabelCache[customerId] = labels;
+  }
+
+  const labels = campaignLabelCache[customerId];
+  const missing = names.filter(name => !labels[name]);
+  if (missing.length > 0) {
+    if (required) throw new Error(`No label named '${missing[0]}' in account ${customerId}. Check ${setting}.`);
+    Logger.log(`Ignoring ${setting} '${missing.join("', '")}': no such label in account ${customerId}.`);
+  }
+  return names.filter(name => labels[name]).map(name => labels[name]);
+}
+
+function quoteGaqlString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+// For the Settings tab: comma-separated campaign types
+function validateChannelTypes(types) {
+  const invalid = types.filter(type => CAMPAIGN_CHANNEL_TYPES.indexOf(type) === -1);
+  return invalid.length > 0 ? `'${invalid.join("', '")}' is not one of: ${CAMPAIGN_CHANNEL_TYPES.join(', ')}.` : '';
+}
+
+// ==================== SETTINGS SHEET FUNCTIONS ====================
+// Settings can be changed in a 'Settings' tab instead of in the code: one row per entry in SETTINGS with the
+// setting's name, its value and a description. The tab is created with the values from CONFIG on the first run;
+// after that its values override CONFIG, and an empty value keeps the value from CONFIG. Every row is checked
+// before anything runs, and all problems are reported together.
+// A setting is { name, path, type, description } plus, per type, min/max (number) or values (choice and list).
+// path is the CONFIG key, e.g. 'THRESHOLDS.WARNING'. validate(value) may return an error message.
+const SETTINGS_SHEET_NAME = 'Settings';
+const SETTINGS_HEADERS = ['Setting', 'Value', 'Description'];
+
+const SETTING_TYPES = {
+  text: {
+    parse: value => String(value).trim(),
+    format: value => value
+  },
+  emails: {
+    parse: value => {
+      const emails = String(value).split(',').map(email => email.trim()).filter(email => email);
+      const invalid = emails.filter(email => !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email));
+      if (invalid.length > 0) throw new Error(`'${invalid.join("', '")}' is not a valid email address.`);
+      return emails.join(',');
+    },
+    format: value => value
+  },
+  number: {
+    parse: (value, setting) => {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (isNaN(number)) throw new Error(`'${value}' is not a number.`);
+      if (setting.min !== undefined && number < setting.min) throw new Error(`Must be at least ${setting.min}.`);
+      if (setting.max !== undefined && number > setting.max) throw new Error(`Must be at most ${setting.max}.`);
+      return number;
+    },
+    format: value => value
+  },
+  boolean: {
+    parse: value => {
+      if (typeof value === 'boolean') return value;
+      const text = String(value).trim().toUpperCase();
+      if (text !== 'TRUE' && text !== 'FALSE') throw new Error(`'${value}' is not TRUE or FALSE.`);
+      return text === 'TRUE';
+    },
+    format: value => (value ? 'TRUE' : 'FALSE'),
+    validation: () => ['TRUE', 'FALSE']
+  },
+  choice: {
+    parse: (value, setting) => {
+      const text = String(value).trim();
+      if (setting.values.indexOf(text) === -1) throw new Error(`'${value}' is not one of: ${setting.values.join(', ')}.`);
+      return text;
+    },
+    format: value => value,
+    validation: setting => setting.values
+  },
+  list: {
+    parse: (value, setting) => {
+      const items = String(value).split(',').map(item => item.trim()).filter(item => item);
+      const invalid = setting.values ? items.filter(item => setting.values.indexOf(item) === -1) : [];
+      if (invalid.length > 0) throw new Error(`'${invalid.join("', '")}' is not one of: ${setting.values.join(', ')}.`);
+      return items;
+    },
+    format: value => value.join(', ')
+  }
+};
+
+// Reads the Settings tab of the spreadsheet (creating it on the first run), applies it to CONFIG and
+// returns the values it set, keyed by path.
+function loadSettings(spreadsheet) {
+  const sheet = spreadsheet.getSheetByName(SETTINGS_SHEET_NAME);
+  if (!sheet) {
+    createSettingsSheet(spreadsheet);
+    Logger.log(`Created the '${SETTINGS_SHEET_NAME}' tab with the current settings. Change them there from now on.`);
+    return {};
+  }
+
+  const values = {};
+  const errors = [];
+  const seen = {};
+  const rows = sheet.getLastRow() > 1 ? sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues() : [];
+  rows.forEach((row, index) => {
+    const name = String(row[0]).trim();
+    if (name === '') return;
+    const where = `Row ${index + 2} (${name})`;
+    const setting = SETTINGS.find(s => s.name === name);
+    if (!setting) {
+      errors.push(`${where}: unknown setting. Check the spelling, or delete the row.`);
+      return;
+    }
+    if (seen[name]) {
+      errors.push(`${where}: listed more than once.`);
+      return;
+    }
+    seen[name] = true;
+    if (row[1] === '' || row[1] === null) return;
+    try {
+      values[setting.path] = parseSetting(setting, row[1]);
+    } catch (e) {
+      errors.push(`${where}: ${e.message}`);
+    }
+  });
+  if (errors.length > 0) {
+    throw new Error(`The '${SETTINGS_SHEET_NAME}' tab has ${errors.length} invalid row(s):\n${errors.join('\n')}`);
+  }
+
+  applySettings(values);
+  Logger.log(`Loaded ${Object.keys(values).length} settings from the '${SETTINGS_SHEET_NAME}' tab.`);
+  return values;
+}
+
+function parseSetting(setting, rawValue) {
+  const value = setting.parse ? setting.parse(rawValue) : SETTING_TYPES[setting.type].parse(rawValue, setting);
+  const error = setting.validate ? setting.validate(value) : '';
+  if (error) throw new Error(error);
+  return value;
+}
+
+// Values are keyed by CONFIG path, so they can also be passed on as JSON, e.g. to client accounts.
+function applySettings(values) {
+  Object.keys(values).forEach(path => {
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((object, key) => object[key], CONFIG);
+    parent[keys[keys.length - 1]] = values[path];
+  });
 }
 
-function formatNumber(number) {
-  return number.toLocaleString();
+function validateLanguageTag(tag) {
+  try {
+    Intl.getCanonicalLocales(tag);
+    return '';
+  } catch (e) {
+    return `'${tag}' is not a language tag such as 'en-US' or 'de-DE'.`;
+  }
+}
+
+function validateCurrencyCode(code) {
+  return /^[A-Z]{3}$/.test(code) ? '' : `'${code}' is not a three-letter currency code such as 'USD' or 'EUR'.`;
+}
+
+function createSettingsSheet(spreadsheet) {
+  const sheet = spreadsheet.insertSheet(SETTINGS_SHEET_NAME);
+  const rows = SETTINGS.map(setting => {
+    const value = setting.path.split('.').reduce((object, key) => object[key], CONFIG);
+    return [setting.name, setting.format ? setting.format(value) : SETTING_TYPES[setting.type].format(value), setting.description];
+  });
+  sheet.getRange(1, 1, 1, SETTINGS_HEADERS.length).setValues([SETTINGS_HEADERS]).setFontWeight('bold');
+  sheet.getRange(2, 1, rows.length, SETTINGS_HEADERS.length).setValues(rows);
+
+  // Dropdowns for settings with a fixed set of values
+  SETTINGS.forEach((setting, index) => {
+    const validation = SETTING_TYPES[setting.type].validation;
+    if (!validation) return;
+    const rule = SpreadsheetApp.newDataValidation().requireValueInList(validation(setting), true).setAllowInvalid(false).build();
+    sheet.getRange(index + 2, 2).setDataValidation(rule);
+  });
+  sheet.setFrozenRows(1);
+  sheet.autoResizeColumns(1, SETTINGS_HEADERS.length);
 }
 
-function formatPercentage(number) {
-  return (number * 100).toFixed(2);
-}
\ No newline at end of file
+// ==================== LOCALE FUNCTIONS ====================
+// Money, numbers and dates follow CONFIG.LOCALE rather than the server's defaults. The currency (the account's
+// own unless CURRENCY_CODE is set) decides the symbol and decimal places, e.g. none for JPY; LANGUAGE_TAG
+// decides the separators and which side the symbol goes on, e.g. '1.234,50 €' for 'de-DE'.
+function getCurrencyCode() {
+  return CONFIG.LOCALE.CURRENCY_CODE || AdsApp.currentAccount().getCurrencyCode();
+}
+
+function getCurrencyFormatter(currencyCode) {
+  return new Intl.NumberFormat(CONFIG.LOCALE.LANGUAGE_TAG, { style: 'currency', currency: currencyCode || getCurrencyCode() });
+}
+
+function formatMoney(amount, currencyCode) {
+  return getCurrencyFormatter(currencyCode).format(amount);
+}
+
+// Exactly `decimals` decimal places when given, otherwise up to two.
+function formatNumber(value, decimals) {
+  const digits = decimals === undefined ? { maximumFractionDigits: 2 } : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+  return new Intl.NumberFormat(CONFIG.LOCALE.LANGUAGE_TAG, digits).format(value);
+}
+
+function formatPercent(ratio, decimals = 1) {
+  return new Intl.NumberFormat(CONFIG.LOCALE.LANGUAGE_TAG, { style: 'percent', minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(ratio);
+}
+
+// For dates people read. Queries, sheet names and stored state keep ISO 'yyyy-MM-dd' dates.
+function formatDisplayDate(isoDate) {
+  return Utilities.formatDate(new Date(`${isoDate}T12:00:00Z`), 'UTC', CONFIG.LOCALE.DATE_FORMAT);
+}
+
+// ==================== NOTIFICATION FUNCTIONS ====================
+// notify() delivers a message to every channel in CONFIG.NOTIFICATIONS.CHANNELS whose minSeverity it reaches.
+// A message is { severity, title, text, facts: [{ label, value }], link: { label, url }, email: { to, subject, body, htmlBody } }.
+// EMAIL sends the full email; SLACK, TEAMS and GOOGLE_CHAT post the title, text, facts and link as a card.
+const NOTIFICATION_SEVERITIES = ['INFO', 'WARNING', 'CRITICAL'];
+
+const NOTIFIERS = {
+  EMAIL: (channel, message) => {
+    const to = channel.recipients || message.email.to;
+    if (!to || to.trim() === '' || to === 'your-email@example.com') {
+      Logger.log('Email notification is enabled but no valid recipient email address is configured.');
+      return;
+    }
+    MailApp.sendEmail(Object.assign({}, message.email, { to: to }));
+    Logger.log(`Email sent to ${to}: ${message.email.subject}`);
+  },
+  SLACK: (channel, message) => postWebhook(channel, buildSlackPayload(message)),
+  TEAMS: (channel, message) => postWebhook(channel, buildTeamsPayload(message)),
+  GOOGLE_CHAT: (channel, message) => postWebhook(channel, buildGoogleChatPayload(message))
+};
+
+function notify(message) {
+  const severity = NOTIFICATION_SEVERITIES.indexOf(message.severity || 'INFO');
+  CONFIG.NOTIFICATIONS.CHANNELS.forEach(channel => {
+    const notifier = NOTIFIERS[channel.type];
+    if (!notifier) {
+      Logger.log(`Unknown notification channel '${channel.type}'. Use: ${Object.keys(NOTIFIERS).join(', ')}`);
+      return;
+    }
+    if (severity < NOTIFICATION_SEVERITIES.indexOf(channel.minSeverity || 'INFO')) return;
+
+    // One failing channel must not stop the others
+    try {
+      notifier(channel, message);
+    } catch (e) {
+      Logger.log(`Failed to send ${channel.type} notification: ${e.toString()}`);
+    }
+  });
+}
+
+function postWebhook(channel, payload) {
+  if (!channel.webhookUrl) throw new Error(`No webhookUrl configured for the ${channel.type} channel.`);
+  const response = UrlFetchApp.fetch(channel.webhookUrl, {
+    method: 'post',
+    contentType: 'application/json',
+    payload: JSON.stringify(payload),
+    muteHttpExceptions: true
+  });
+  const code = response.getResponseCode();
+  if (code < 200 || code >= 300) {
+    throw new Error(`Webhook returned HTTP ${code}: ${response.getContentText()}`);
+  }
+  Logger.log(`${channel.type} notification posted.`);
+}
+
+// Slack Block Kit: header, text, facts as two-column fields (max 10 per section) and a link button.
+function buildSlackPayload(message) {
+  const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const facts = message.facts || [];
+  const blocks = [{ type: 'header', text: { type: 'plain_text', text: message.title.slice(0, 150) } }];
+  if (message.text) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: escape(message.text) } });
+  }
+  for (let i = 0; i < facts.length; i += 10) {
+    blocks.push({ type: 'section', fields: facts.slice(i, i + 10).map(fact => ({ type: 'mrkdwn', text: `*${escape(fact.label)}*\n${escape(fact.value)}` })) });
+  }
+  if (message.link) {
+    blocks.push({ type: 'actions', elements: [{ type: 'button', text: { type: 'plain_text', text: message.link.label }, url: message.link.url }] });
+  }
+  return { text: `[${message.severity || 'INFO'}] ${message.title}`, blocks: blocks };
+}
+
+// Microsoft Teams (incoming webhook or workflow): a message with one Adaptive Card attachment.
+function buildTeamsPayload(message) {
+  const colors = { INFO: 'Default', WARNING: 'Warning', CRITICAL: 'Attention' };
+  const body = [{ type: 'TextBlock', text: message.title, weight: 'Bolder', size: 'Medium', wrap: true, color: colors[message.severity || 'INFO'] }];
+  if (message.text) body.push({ type: 'TextBlock', text: message.text, wrap: true });
+  if ((message.facts || []).length > 0) {
+    body.push({ type: 'FactSet', facts: message.facts.map(fact => ({ title: fact.label, value: String(fact.value) })) });
+  }
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body: body,
+        actions: message.link ? [{ type: 'Action.OpenUrl', title: message.link.label, url: message.link.url }] : []
+      }
+    }]
+  };
+}
+
+// Google Chat: a cardsV2 card. Chat renders a small subset of HTML in text widgets, so text is escaped.
+function buildGoogleChatPayload(message) {
+  const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const widgets = [];
+  if (message.text) widgets.push({ textParagraph: { text: escape(message.text) } });
+  (message.facts || []).forEach(fact => widgets.push({ decoratedText: { topLabel: fact.label, text: escape(fact.value) } }));
+  if (message.link) {
+    widgets.push({ buttonList: { buttons: [{ text: message.link.label, onClick: { openLink: { url: message.link.url } } }] } });
+  }
+  return {
+    cardsV2: [{
+      cardId: 'notification',
+      card: {
+        header: { title: message.title, subtitle: message.severity || 'INFO' },
+        sections: [{ widgets: widgets }]
+      }
+    }]
+  };
+}
+
+// ==================== EMAIL RENDERING FUNCTIONS ====================
+// An email is described once as a list of blocks and rendered twice: as HTML with inline styles (the only
+// styling every mail client keeps) and as the plain-text alternative. All text is HTML-escaped here, so
+// callers pass raw campaign names and search terms.
+//
+// renderEmail({ title, blocks, footer }) returns { htmlBody, body }. Blocks:
+//   { type: 'section', title, subtitle }              Section header
+//   { type: 'paragraph', text, tone }                 tone colors the text, e.g. 'bad' for a warning
+//   { type: 'kpis', items: [{ label, value, delta }] } A row of KPI cards
+//   { type: 'table', columns: [{ header, align }], rows, totals, sortedBy }
+//   { type: 'button', label, url }
+// Table cells are plain values or { text, url, note, tone, delta }. A delta is { text, tone } and renders as
+// a badge. Tones: 'good', 'bad', 'warning', 'new' and 'neutral'.
+const EMAIL_BLOCKS = {
+  section: {
+    html: (block, theme) => `<h3 style="color: ${escapeHtml(theme.TEXT_COLOR)}; border-bottom: 1px solid #cccccc; padding-bottom: 5px; margin: 25px 0 5px;">${escapeHtml(block.title)}</h3>` +
+      (block.subtitle ? `<p style="font-size: 12px; color: ${escapeHtml(theme.MUTED_COLOR)}; margin: 0 0 10px;">${escapeHtml(block.subtitle)}</p>` : ''),
+    text: block => `${block.title}${block.subtitle ? ` (${block.subtitle})` : ''}\n${'-'.repeat(64)}`
+  },
+  paragraph: {
+    html: (block, theme) => `<p${block.tone ? ` style="color: ${escapeHtml(getToneColor(block.tone, theme))}; font-weight: bold;"` : ''}>${escapeHtml(block.text)}</p>`,
+    text: block => block.text
+  },
+  kpis: {
+    html: (block, theme) => `<table style="width: 100%; border-collapse: separate; border-spacing: 8px 0; margin: 15px 0;"><tr>${block.items.map(item => `
+      <td style="padding: 12px; border: 1px solid #e0e0e0; border-radius: 6px; text-align: center;">
+        <div style="font-size: 12px; color: ${escapeHtml(theme.MUTED_COLOR)};">${escapeHtml(item.label)}</div>
+        <div style="font-size: 22px; font-weight: bold; margin: 4px 0;">${escapeHtml(item.value)}</div>
+        ${item.delta ? renderDeltaBadge(item.delta, theme) : ''}
+      </td>`).join('')}</tr></table>`,
+    text: block => block.items.map(item => `${item.label}: ${item.value}${item.delta ? ` ${item.delta.text}` : ''}`).join('\n')
+  },
+  table: {
+    html: (block, theme) => {
+      const cellStyle = (column, extra) => `padding: 8px; border: 1px solid #dddddd; text-align: ${column.align || 'left'};${extra || ''}`;
+      const header = block.columns.map((column, index) => `<th style="${cellStyle(column, ' background-color: #f2f2f2;')}">${escapeHtml(column.header)}${index === block.sortedBy ? ' &#9660;' : ''}</th>`).join('');
+      const rows = block.rows.map((row, rowIndex) => `
+        <tr${rowIndex % 2 === 1 ? ' style="background-color: #f9f9f9;"' : ''}>${row.map((cell, index) => `<td style="${cellStyle(block.columns[index])}">${renderEmailCell(cell, theme)}</td>`).join('')}</tr>`).join('');
+      const totals = block.totals
+        ? `
+        <tr style="font-weight: bold; background-color: #e6e6e6;">${block.totals.map((cell, index) => `<td style="${cellStyle(block.columns[index])}">${renderEmailCell(cell, theme)}</td>`).join('')}</tr>`
+        : '';
+      return `<table style="width: 100%; border-collapse: collapse; font-size: 14px; margin-top: 10px;">
+        <tr>${header}</tr>${rows}${totals}
+      </table>`;
+    },
+    text: block => {
+      const lines = [block.columns.map(column => column.header)]
+        .concat(block.rows.map(row => row.map(getEmailCellText)))
+        .concat(block.totals ? [block.totals.map(getEmailCellText)] : []);
+      const widths = block.columns.map((column, index) => Math.min(40, Math.max.apply(null, lines.map(line => String(line[index]).length))));
+      return lines.map(line => line.map((value, index) => (index < line.length - 1 ? String(value).padEnd(widths[index] + 2) : String(value))).join('').trimEnd()).join('\n');
+    }
+  },
+  button: {
+    html: (block, theme) => `<p style="margin: 25px 0; text-align: center;"><a href="${escapeHtml(block.url)}" style="background-color: ${escapeHtml(theme.PRIMARY_COLOR)}; color: #ffffff; padding: 12px 25px; text-decoration: none; border-radius: 5px; display: inline-block; font-size: 16px;">${escapeHtml(block.label)}</a></p>`,
+    text: block => `${block.label}: ${block.url}`
+  }
+};
+
+function renderEmail(email) {
+  const theme = CONFIG.EMAIL_THEME;
+  const html = [`<div style="font-family: Arial, sans-serif; max-width: 680px; margin: 0 auto; color: ${escapeHtml(theme.TEXT_COLOR)};">`];
+  const text = [email.title, '='.repeat(email.title.length)];
+
+  if (theme.LOGO_URL) {
+    html.push(`<img src="${escapeHtml(theme.LOGO_URL)}" alt="${escapeHtml(theme.BRAND_NAME)}" style="max-height: 48px; margin-bottom: 10px;">`);
+  }
+  html.push(`<h2 style="color: ${escapeHtml(theme.PRIMARY_COLOR)};">${escapeHtml(email.title)}</h2>`);
+
+  email.blocks.forEach(block => {
+    const renderer = EMAIL_BLOCKS[block.type];
+    if (!renderer) throw new Error(`Unknown email block type '${block.type}'. Use: ${Object.keys(EMAIL_BLOCKS).join(', ')}`);
+    html.push(renderer.html(block, theme));
+    text.push('', renderer.text(block));
+  });
+
+  const footer = [email.footer, theme.FOOTER_TEXT].filter(line => line);
+  if (footer.length > 0) {
+    html.push(`<hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">`);
+    footer.forEach(line => html.push(`<p style="color: ${escapeHtml(theme.MUTED_COLOR)}; font-size: 12px;">${escapeHtml(line)}</p>`));
+    text.push('', footer.join('\n'));
+  }
+  html.push('</div>');
+
+  return { htmlBody: html.join('\n'), body: text.join('\n') };
+}
+
+function renderEmailCell(cell, theme) {
+  if (cell === null || typeof cell !== 'object') return escapeHtml(cell);
+  let html = escapeHtml(cell.text);
+  if (cell.url) html = `<a href="${escapeHtml(cell.url)}" style="color: ${escapeHtml(theme.PRIMARY_COLOR)};">${html}</a>`;
+  if (cell.tone) html = `<span style="color: ${escapeHtml(getToneColor(cell.tone, theme))}; font-weight: bold;">${html}</span>`;
+  if (cell.note) html += ` <span style="color: ${escapeHtml(theme.MUTED_COLOR)}; font-size: 12px;">${escapeHtml(cell.note)}</span>`;
+  if (cell.delta) html += `${html ? ' ' : ''}${renderDeltaBadge(cell.delta, theme)}`;
+  return html;
+}
+
+function getEmailCellText(cell) {
+  if (cell === null || typeof cell !== 'object') return cell === undefined || cell === null ? '' : String(cell);
+  return [cell.text, cell.note ? `(${cell.note})` : '', cell.delta ? cell.delta.text : '']
+    .filter(part => part !== undefined && part !== '').join(' ');
+}
+
+function renderDeltaBadge(delta, theme) {
+  return `<span style="display: inline-block; padding: 2px 8px; border-radius: 10px; background-color: ${escapeHtml(getToneColor(delta.tone, theme))}; color: #ffffff; font-size: 12px; font-weight: bold;">${escapeHtml(delta.text)}</span>`;
+}
+
+function getToneColor(tone, theme) {
+  const colors = { good: theme.GOOD_COLOR, bad: theme.BAD_COLOR, warning: theme.WARNING_COLOR, new: theme.PRIMARY_COLOR };
+  return colors[tone] || theme.MUTED_COLOR;
+}
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
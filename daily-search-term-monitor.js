@@ -1,25 +1,157 @@
 /**
  * Google Ads Script to Identify New Search Queries
  * 
- * This script fetches search terms from yesterday and compares them to those from the previous 180 days.
+ * This script fetches search terms from yesterday and compares them to those seen in the previous 180 days.
  * It identifies new queries (those not seen in the prior 180 days), includes campaign and ad group details,
  * sorts by clicks descending, outputs to a Google Sheet with additional columns, and emails results grouped by campaign.
  * Email results are limited to search terms with > 0 clicks and formatted in HTML tables for better readability.
+ * Optional custom KPIs, e.g. leads from selected conversion actions, are added as columns to both.
+ * 
+ * Every query seen within the lookback window is kept in a hidden '_Query History' tab with its first-seen date,
+ * first campaign and ad group, and cumulative metrics, and a hidden '_Query History State' tab notes the last day
+ * merged into it. The first run fills it from the lookback window; after that each run only fetches the days since
+ * (yesterday, or the days a skipped run missed) and merges them in, so the lookback window costs nothing extra.
+ * Queries not seen within the lookback window are dropped from it. On large accounts the first fill can take
+ * more than one run: it stops before the 30-minute limit and the next run continues it.
+ * 
+ * It also suggests negative keywords for search terms that spend without converting, on a review tab.
+ * Rows marked APPROVED on that tab are added to the account on the next run.
  * 
  * Instructions:
- * 1. Optionally set SHEET_URL to your existing Google Sheet URL. If not set or placeholder, a new spreadsheet will be created.
- * 2. Replace RECIPIENT_EMAIL with the email address to send results to.
- * 3. Schedule the script to run daily in Google Ads.
+ * 1. Optionally set SHEET_URL to your existing Google Sheet URL. If not set or placeholder, a new spreadsheet is created on
+ *    the first run and found again in Drive by its name on later runs, so the query history and review tab carry over.
+ * 2. Replace RECIPIENT_EMAIL with the email address to send results to, and/or add Slack, Teams or
+ *    Google Chat webhooks to NOTIFICATION_CHANNELS.
+ * 3. Adjust the negative keyword settings (irrelevant terms, cost thresholds, shared list name) if needed,
+ *    and CAMPAIGN_FILTER to leave out campaigns such as brand campaigns.
+ * 4. Schedule the script to run daily in Google Ads.
+ * 5. Review the 'Negative Keyword Review' tab: set Status to APPROVED or REJECTED.
+ * 6. After the first run, change the settings listed on the 'Settings' tab there instead of in the code.
  */
 
 // Configuration
 var SHEET_URL = 'YOUR_GOOGLE_SHEET_URL_HERE'; // Optional: Replace with your Sheet URL or leave to create new
 var RECIPIENT_EMAIL = 'your-email@example.com'; // Replace with your email
+// Email branding. Leave LOGO_URL and FOOTER_TEXT empty for an unbranded email.
+var EMAIL_THEME = {
+  BRAND_NAME: '', // Alt text of the logo
+  LOGO_URL: '', // e.g. 'https://example.com/logo.png'
+  PRIMARY_COLOR: '#4285f4', // Title, links and buttons
+  TEXT_COLOR: '#333333',
+  MUTED_COLOR: '#666666',
+  GOOD_COLOR: '#27ae60',
+  BAD_COLOR: '#c0392b',
+  WARNING_COLOR: '#e67e22',
+  FOOTER_TEXT: '' // e.g. 'Prepared by Example Agency - hello@example.com'
+};
+// Delivery channels. EMAIL uses RECIPIENT_EMAIL unless the channel sets its own recipients; SLACK, TEAMS and
+// GOOGLE_CHAT post the top new queries to an incoming webhook. The report is INFO, or WARNING when negative
+// keyword suggestions are waiting for review; a channel only gets reports of at least its minSeverity.
+var NOTIFICATION_CHANNELS = [
+  { type: 'EMAIL', minSeverity: 'INFO' }
+  // { type: 'SLACK', webhookUrl: 'https://hooks.slack.com/services/...', minSeverity: 'INFO' }
+];
+// Number, currency and date formatting in the sheet and email. Money is shown in the account's currency;
+// LANGUAGE_TAG sets the separators and symbol placement, e.g. 'de-DE', and with SET_SPREADSHEET_LOCALE
+// also the spreadsheet's own locale.
+var LOCALE = {
+  LANGUAGE_TAG: 'en-US',
+  CURRENCY_CODE: '', // e.g. 'EUR'. Leave empty to use the account's currency.
+  DATE_FORMAT: 'yyyy-MM-dd', // Dates in the email and the First Seen column, e.g. 'dd/MM/yyyy'
+  SET_SPREADSHEET_LOCALE: true
+};
+// Custom KPIs, added as columns after Cost in the email and after First Seen in the sheet. Same definitions as
+// CUSTOM_KPIS in the Performance Dashboard Exporter, so they can be copied across: conversionActions sums the all
+// conversions (or, with conversionValue: true, their value) of the named conversion actions; ratio divides two of
+// cost, impressions, clicks, conversions, convValue or earlier KPIs, times an optional multiplier.
+var CUSTOM_KPIS = [
+  // { key: 'leads', header: 'Leads', conversionActions: ['Form Submit', 'Call > 60s'] },
+  // { key: 'qualifiedCpa', header: 'Qualified CPA', ratio: ['cost', 'leads'], currency: true }
+];
+var LOOKBACK_DAYS = 180; // A query is new when it was not seen in this many days before yesterday
+var MIN_MINUTES_LEFT = 5; // Filling the query history pauses with fewer minutes left of the 30-minute limit
+// Campaigns whose search terms are monitored. A campaign must match every INCLUDE criterion that is set and none
+// of the EXCLUDE criteria. NAME_REGEX uses RE2 syntax, e.g. '(?i)brand' to leave out brand campaigns; LABELS
+// are campaign label names; STATUSES: ENABLED, PAUSED, REMOVED; CHANNEL_TYPES: SEARCH, SHOPPING,
+// PERFORMANCE_MAX, ...; IDS are campaign IDs.
+var CAMPAIGN_FILTER = {
+  INCLUDE: { NAME_REGEX: '', LABELS: [], STATUSES: [], CHANNEL_TYPES: [], IDS: [] },
+  EXCLUDE: { NAME_REGEX: '', LABELS: [], STATUSES: [], CHANNEL_TYPES: [], IDS: [] }
+};
+
+// Seen-queries store
+var HISTORY_SHEET_NAME = '_Query History';
+var HISTORY_HEADERS = ['Search Term', 'First Seen', 'First Campaign', 'First Ad Group', 'Last Seen', 'Impressions', 'Clicks', 'Cost'];
+var HISTORY_STATE_SHEET_NAME = '_Query History State'; // The last day merged into the history
+var BACKFILL_CHUNK_DAYS = 30; // Days of search terms per query while filling
+
+// Negative keyword suggestions
+var NEGATIVES_ENABLED = true;
+var NEGATIVES_LOOKBACK_DAYS = 30; // Days of search terms scored for wasted spend
+var NEGATIVES_MIN_COST = 20; // A non-converting query must spend at least this much...
+var NEGATIVES_MIN_CLICKS = 5; // ...over at least this many clicks to be suggested as an exact negative
+var IRRELEVANT_TERMS = ['free', 'jobs', 'careers', 'salary', 'diy', 'used', 'second hand']; // Suggested as phrase negatives whenever they spend without converting
+var NGRAM_MIN_COST = 50; // An n-gram (1 to 3 words) with at least this much spend...
+var NGRAM_MIN_QUERIES = 3; // ...across at least this many queries and no conversions is suggested as a phrase negative
+var NGRAM_STOP_WORDS = ['a', 'an', 'and', 'at', 'for', 'in', 'near', 'me', 'of', 'on', 'the', 'to', 'with'];
+var NEGATIVES_SHARED_LIST_NAME = ''; // Optional: negatives that apply to several campaigns go to this shared list
+var NEGATIVES_REVIEW_SHEET_NAME = 'Negative Keyword Review';
+var NEGATIVES_REVIEW_HEADERS = ['Status', 'Level', 'Campaign', 'Campaign ID', 'Ad Group', 'Ad Group ID', 'Negative Keyword',
+                                'Match Type', 'Reason', 'Cost', 'Clicks', 'Conversions', 'Suggested On', 'Applied On'];
+
+// Settings that can also be changed in the 'Settings' tab of the spreadsheet (see the settings functions below)
+var SETTINGS = [
+  { name: 'Email Recipients', type: 'emails', description: 'Comma-separated email addresses for the report',
+    get: function() { return RECIPIENT_EMAIL; }, set: function(value) { RECIPIENT_EMAIL = value; } },
+  { name: 'Lookback Days', type: 'number', min: 1, description: 'A query is new when it was not seen in this many days before yesterday',
+    get: function() { return LOOKBACK_DAYS; }, set: function(value) { LOOKBACK_DAYS = value; } },
+  { name: 'Negative Suggestions', type: 'boolean', description: 'Suggest negative keywords on the review tab and apply approved ones',
+    get: function() { return NEGATIVES_ENABLED; }, set: function(value) { NEGATIVES_ENABLED = value; } },
+  { name: 'Negatives Lookback Days', type: 'number', min: 1, description: 'Days of search terms scored for wasted spend',
+    get: function() { return NEGATIVES_LOOKBACK_DAYS; }, set: function(value) { NEGATIVES_LOOKBACK_DAYS = value; } },
+  { name: 'Negatives Minimum Cost', type: 'number', min: 0, description: 'A non-converting query must spend at least this much...',
+    get: function() { return NEGATIVES_MIN_COST; }, set: function(value) { NEGATIVES_MIN_COST = value; } },
+  { name: 'Negatives Minimum Clicks', type: 'number', min: 0, description: '...over at least this many clicks to be suggested as an exact negative',
+    get: function() { return NEGATIVES_MIN_CLICKS; }, set: function(value) { NEGATIVES_MIN_CLICKS = value; } },
+  { name: 'Irrelevant Terms', type: 'list', description: 'Comma-separated. Suggested as phrase negatives whenever they spend without converting',
+    get: function() { return IRRELEVANT_TERMS; }, set: function(value) { IRRELEVANT_TERMS = value; } },
+  { name: 'N-gram Minimum Cost', type: 'number', min: 0, description: 'An n-gram with at least this much spend...',
+    get: function() { return NGRAM_MIN_COST; }, set: function(value) { NGRAM_MIN_COST = value; } },
+  { name: 'N-gram Minimum Queries', type: 'number', min: 1, description: '...across at least this many queries and no conversions is suggested as a phrase negative',
+    get: function() { return NGRAM_MIN_QUERIES; }, set: function(value) { NGRAM_MIN_QUERIES = value; } },
+  { name: 'Shared Negative List', type: 'text', description: 'Optional: negatives that apply to several campaigns go to this shared list',
+    get: function() { return NEGATIVES_SHARED_LIST_NAME; }, set: function(value) { NEGATIVES_SHARED_LIST_NAME = value; } },
+  { name: 'Include Campaigns Matching', type: 'text', description: 'Only campaigns whose name matches this regular expression',
+    get: function() { return CAMPAIGN_FILTER.INCLUDE.NAME_REGEX; }, set: function(value) { CAMPAIGN_FILTER.INCLUDE.NAME_REGEX = value; } },
+  { name: 'Exclude Campaigns Matching', type: 'text', description: 'Leave out campaigns whose name matches this regular expression, e.g. \'(?i)brand\'',
+    get: function() { return CAMPAIGN_FILTER.EXCLUDE.NAME_REGEX; }, set: function(value) { CAMPAIGN_FILTER.EXCLUDE.NAME_REGEX = value; } },
+  { name: 'Include Campaign Labels', type: 'list', description: 'Comma-separated: only campaigns with one of these labels',
+    get: function() { return CAMPAIGN_FILTER.INCLUDE.LABELS; }, set: function(value) { CAMPAIGN_FILTER.INCLUDE.LABELS = value; } },
+  { name: 'Exclude Campaign Labels', type: 'list', description: 'Comma-separated: leave out campaigns with any of these labels',
+    get: function() { return CAMPAIGN_FILTER.EXCLUDE.LABELS; }, set: function(value) { CAMPAIGN_FILTER.EXCLUDE.LABELS = value; } },
+  { name: 'Include Campaign Types', type: 'list', description: 'Comma-separated, e.g. SEARCH, PERFORMANCE_MAX, SHOPPING', validate: validateChannelTypes,
+    get: function() { return CAMPAIGN_FILTER.INCLUDE.CHANNEL_TYPES; }, set: function(value) { CAMPAIGN_FILTER.INCLUDE.CHANNEL_TYPES = value; } },
+  { name: 'Exclude Campaign Types', type: 'list', description: 'Comma-separated campaign types to leave out', validate: validateChannelTypes,
+    get: function() { return CAMPAIGN_FILTER.EXCLUDE.CHANNEL_TYPES; }, set: function(value) { CAMPAIGN_FILTER.EXCLUDE.CHANNEL_TYPES = value; } },
+  { name: 'Language', type: 'text', description: 'Number and date format, e.g. \'en-US\' or \'de-DE\'', validate: validateLanguageTag,
+    get: function() { return LOCALE.LANGUAGE_TAG; }, set: function(value) { LOCALE.LANGUAGE_TAG = value; } },
+  { name: 'Currency', type: 'text', description: 'e.g. \'EUR\'. Leave empty to use the account\'s currency', validate: validateCurrencyCode,
+    get: function() { return LOCALE.CURRENCY_CODE; }, set: function(value) { LOCALE.CURRENCY_CODE = value; } },
+  { name: 'Date Format', type: 'text', description: 'Dates in the email and the First Seen column, e.g. \'dd/MM/yyyy\'',
+    get: function() { return LOCALE.DATE_FORMAT; }, set: function(value) { LOCALE.DATE_FORMAT = value; } }
+];
 
 // Main function
 function main() {
+  validateCustomKpis();
   var timeZone = AdsApp.currentAccount().getTimeZone();
   
+  // Get account details and the spreadsheet, whose Settings tab may change the settings used below
+  var accountName = AdsApp.currentAccount().getName();
+  var accountId = AdsApp.currentAccount().getCustomerId();
+  var last4Id = accountId.slice(-4);
+  var spreadsheet = getSpreadsheet(accountName, last4Id);
+  
   // Calculate dates
   var today = new Date();
   var yesterday = new Date(today);
@@ -31,30 +163,24 @@ function main() {
   var dayBeforeYesterdayStr = Utilities.formatDate(dayBeforeYesterday, timeZone, 'yyyy-MM-dd');
   
   var startPrior = new Date(yesterday);
-  startPrior.setDate(startPrior.getDate() - 180);
+  startPrior.setDate(startPrior.getDate() - LOOKBACK_DAYS);
   var startPriorStr = Utilities.formatDate(startPrior, timeZone, 'yyyy-MM-dd');
   
-  // Fetch prior search terms (set for uniqueness)
-  var priorQueries = new Set();
-  var priorQuery = 
-    'SELECT search_term_view.search_term ' +
-    'FROM search_term_view ' +
-    'WHERE segments.date BETWEEN "' + startPriorStr + '" AND "' + dayBeforeYesterdayStr + '"';
-  var priorReport = AdsApp.report(priorQuery);
-  var priorRows = priorReport.rows();
-  while (priorRows.hasNext()) {
-    var row = priorRows.next();
-    var query = row['search_term_view.search_term'].toLowerCase(); // Case-insensitive comparison
-    priorQueries.add(query);
+  // Load the seen-queries store and read the days it is missing before yesterday; only the first run (or runs,
+  // for a large account) scans the whole lookback window
+  var history = loadQueryHistory(spreadsheet, timeZone);
+  if (!backfillQueryHistory(history, startPriorStr, dayBeforeYesterdayStr)) {
+    saveQueryHistory(history, startPriorStr);
+    return;
   }
   
   // Fetch yesterday's search terms with metrics and structure
   var yesterdayData = [];
   var yesterdayQuery = 
     'SELECT search_term_view.search_term, metrics.impressions, metrics.clicks, metrics.cost_micros, ' +
-    'campaign.id, campaign.name, ad_group.id, ad_group.name ' +
+    'metrics.conversions, metrics.conversions_value, campaign.id, campaign.name, ad_group.id, ad_group.name ' +
     'FROM search_term_view ' +
-    'WHERE segments.date = "' + yesterdayStr + '"';
+    'WHERE segments.date = "' + yesterdayStr + '"' + getCampaignFilterClause();
   var yesterdayReport = AdsApp.report(yesterdayQuery);
   var yesterdayRows = yesterdayReport.rows();
   while (yesterdayRows.hasNext()) {
@@ -77,15 +203,40 @@ function main() {
       campaignId: campaignId,
       campaignName: campaignName,
       adGroupId: adGroupId,
-      adGroupName: adGroupName
+      adGroupName: adGroupName,
+      kpiStats: {
+        cost: cost,
+        impressions: impressions,
+        clicks: clicks,
+        conversions: parseFloat(row['metrics.conversions']) || 0,
+        convValue: parseFloat(row['metrics.conversions_value']) || 0
+      }
     });
   }
+  addConversionActionCounts(yesterdayData, yesterdayStr);
   
-  // Identify new queries
+  // Identify new queries: never seen, first seen yesterday (on a re-run), or not seen within the lookback window
   var newData = yesterdayData.filter(function(item) {
-    return !priorQueries.has(item.query);
+    var seen = history.queries.get(item.query);
+    return !seen || seen.firstSeen === yesterdayStr || seen.lastSeen < startPriorStr;
   });
   
+  mergeQueryHistory(history, yesterdayData, yesterdayStr);
+  saveQueryHistory(history, startPriorStr);
+  
+  // Apply approved negatives and suggest new ones, whether or not there are new queries
+  var pendingNegatives = 0;
+  if (NEGATIVES_ENABLED) {
+    var startNegatives = new Date(yesterday);
+    startNegatives.setDate(startNegatives.getDate() - (NEGATIVES_LOOKBACK_DAYS - 1));
+    var startNegativesStr = Utilities.formatDate(startNegatives, timeZone, 'yyyy-MM-dd');
+    var todayStr = Utilities.formatDate(today, timeZone, 'yyyy-MM-dd');
+    pendingNegatives = processNegativeKeywords(spreadsheet, startNegativesStr, yesterdayStr, todayStr);
+  }
+  var negativesNote = pendingNegatives > 0
+    ? [{ type: 'paragraph', text: pendingNegatives + ' negative keyword suggestions are waiting for review on the \'' + NEGATIVES_REVIEW_SHEET_NAME + '\' tab.' }]
+    : [];
+  
   // If no new queries, log and exit
   if (newData.length === 0) {
     Logger.log('No new search queries found.');
@@ -97,34 +248,28 @@ function main() {
     return b.clicks - a.clicks;
   });
   
-  // Get account details
-  var accountName = AdsApp.currentAccount().getName();
-  var accountId = AdsApp.currentAccount().getCustomerId();
-  var last4Id = accountId.slice(-4);
-  
   // Dynamic sheet name: Account Name - Last 4 of ID - YYYY-MM-DD
   var SHEET_NAME = accountName + ' - ' + last4Id + ' - ' + yesterdayStr;
   
-  // Handle spreadsheet: create new if SHEET_URL not provided or placeholder
-  var spreadsheet;
-  if (!SHEET_URL || SHEET_URL.includes('YOUR_SPREADSHEET_ID')) {
-    spreadsheet = SpreadsheetApp.create('Google Ads New Search Queries - ' + accountName + ' - ' + last4Id);
-    SHEET_URL = spreadsheet.getUrl();
-    Logger.log('Created new spreadsheet: ' + SHEET_URL);
-  } else {
-    spreadsheet = SpreadsheetApp.openByUrl(SHEET_URL);
-  }
-  
   // Get or create sheet
   var sheet = spreadsheet.getSheetByName(SHEET_NAME) || spreadsheet.insertSheet(SHEET_NAME);
   sheet.clearContents();
-  sheet.appendRow(['Campaign Name', 'Campaign ID', 'Ad Group Name', 'Ad Group ID', 'Search Term', 'Impressions', 'Clicks', 'Cost']);
+  sheet.appendRow(['Campaign Name', 'Campaign ID', 'Ad Group Name', 'Ad Group ID', 'Search Term', 'Impressions', 'Clicks', 'Cost', 'First Seen']
+    .concat(CUSTOM_KPIS.map(function(kpi) { return kpi.header; })));
   newData.forEach(function(item) {
-    sheet.appendRow([item.campaignName, item.campaignId, item.adGroupName, item.adGroupId, item.origQuery, item.impressions, item.clicks, item.cost]);
+    sheet.appendRow([item.campaignName, item.campaignId, item.adGroupName, item.adGroupId, item.origQuery, item.impressions, item.clicks, Number(item.cost),
+                     history.queries.get(item.query).firstSeen].concat(CUSTOM_KPIS.map(function(kpi) { return getKpiValue(kpi, item.kpiStats); })));
+  });
+  
+  // Cost, first-seen date and KPI number formats
+  sheet.getRange(2, 8, newData.length, 1).setNumberFormat(getSheetCurrencyFormat('#,##0.00'));
+  sheet.getRange(2, 9, newData.length, 1).setNumberFormat(LOCALE.DATE_FORMAT);
+  CUSTOM_KPIS.forEach(function(kpi, index) {
+    sheet.getRange(2, 10 + index, newData.length, 1).setNumberFormat(getKpiNumberFormat(kpi));
   });
   
   // Auto-size columns and freeze first row
-  sheet.autoResizeColumns(1, 8);
+  sheet.autoResizeColumns(1, 9 + CUSTOM_KPIS.length);
   sheet.setFrozenRows(1);
   
   // Filter for email: only items with clicks > 0
@@ -133,17 +278,19 @@ function main() {
   });
   
   // Prepare subject line
-  var emailSubject = accountName + ' - New Search Queries - ' + yesterdayStr;
+  var yesterdayLabel = formatDisplayDate(yesterdayStr);
+  var emailSubject = accountName + ' - New Search Queries - ' + yesterdayLabel;
   
   // If no queries with >0 clicks for email, send a note
   if (emailData.length === 0) {
-    var emailBody = '<html><body><p>No new search queries with >0 clicks from ' + yesterdayStr + '.</p>' +
-                    '<p>View details (including zero-click queries) in the sheet: <a href="' + SHEET_URL + '">' + SHEET_URL + '</a></p></body></html>';
-    MailApp.sendEmail({
-      to: RECIPIENT_EMAIL,
-      subject: emailSubject,
-      htmlBody: emailBody
+    var noteEmail = renderEmail({
+      title: 'New search queries from ' + yesterdayLabel,
+      blocks: [
+        { type: 'paragraph', text: 'No new search queries with >0 clicks from ' + yesterdayLabel + '.' },
+        { type: 'button', label: 'View details (including zero-click queries)', url: SHEET_URL }
+      ].concat(negativesNote)
     });
+    notify(buildReportMessage(emailSubject, emailData, newData.length, pendingNegatives, noteEmail));
     Logger.log('Report generated and sent. No queries with >0 clicks.');
     return;
   }
@@ -167,36 +314,1194 @@ function main() {
     return diff !== 0 ? diff : a.localeCompare(b);
   });
   
-  // Build HTML email body
-  var emailBody = '<html><body>' +
-                  '<h2>New search queries with clicks from ' + yesterdayStr + ' grouped by campaign:</h2>';
+  // Build the email: one table per campaign
+  var blocks = [];
   sortedCampaigns.forEach(function(camp) {
-    emailBody += '<h3>Campaign: ' + camp + '</h3>' +
-                 '<table border="1" style="border-collapse: collapse;">' +
-                 '<thead><tr><th>Search Term</th><th>Impressions</th><th>Clicks</th><th>Cost</th></tr></thead>' +
-                 '<tbody>';
     var items = campaignToItems.get(camp);
     // Sort items within campaign by clicks desc
     items.sort(function(a, b) {
       return b.clicks - a.clicks;
     });
-    items.forEach(function(item) {
-      emailBody += '<tr><td>' + item.origQuery + '</td>' +
-                   '<td>' + item.impressions + '</td>' +
-                   '<td>' + item.clicks + '</td>' +
-                   '<td>' + item.cost + '</td></tr>';
+    blocks.push({ type: 'section', title: 'Campaign: ' + camp });
+    blocks.push({
+      type: 'table',
+      columns: [{ header: 'Search Term' }, { header: 'Impressions', align: 'right' }, { header: 'Clicks', align: 'right' }, { header: 'Cost', align: 'right' }]
+        .concat(CUSTOM_KPIS.map(function(kpi) { return { header: kpi.header, align: 'right' }; })),
+      sortedBy: 2,
+      rows: items.map(function(item) {
+        return [item.origQuery, formatNumber(item.impressions), formatNumber(item.clicks), formatMoney(Number(item.cost))]
+          .concat(CUSTOM_KPIS.map(function(kpi) { return formatKpiValue(kpi, getKpiValue(kpi, item.kpiStats)); }));
+      })
     });
-    emailBody += '</tbody></table><br>';
   });
-  emailBody += '<p>View details in the sheet: <a href="' + SHEET_URL + '">' + SHEET_URL + '</a></p>' +
-               '</body></html>';
-  
-  // Send email
-  MailApp.sendEmail({
-    to: RECIPIENT_EMAIL,
-    subject: emailSubject,
-    htmlBody: emailBody
+  blocks.push({ type: 'button', label: 'View details in the sheet', url: SHEET_URL });
+  var email = renderEmail({
+    title: 'New search queries with clicks from ' + yesterdayLabel + ' grouped by campaign',
+    blocks: blocks.concat(negativesNote)
   });
   
+  // Send email and webhook notifications
+  notify(buildReportMessage(emailSubject, emailData, newData.length, pendingNegatives, email));
+  
   Logger.log('Report generated and sent. New queries: ' + newData.length + '; Email queries (>0 clicks): ' + emailData.length);
-}
\ No newline at end of file
+}
+
+// The webhook channels get the ten new queries with the most clicks instead of the full tables.
+function buildReportMessage(subject, emailData, newCount, pendingNegatives, email) {
+  var topQueries = emailData.slice().sort(function(a, b) {
+    return b.clicks - a.clicks;
+  }).slice(0, 10);
+  var text = newCount + ' new search queries, ' + emailData.length + ' with clicks.';
+  if (pendingNegatives > 0) {
+    text += ' ' + pendingNegatives + ' negative keyword suggestions are waiting for review.';
+  }
+  return {
+    severity: pendingNegatives > 0 ? 'WARNING' : 'INFO',
+    title: subject,
+    text: text,
+    facts: topQueries.map(function(item) {
+      return { label: item.origQuery, value: formatNumber(item.clicks) + ' clicks, ' + formatMoney(Number(item.cost)) + ' (' + item.campaignName + ')' };
+    }),
+    link: { label: 'View Sheet', url: SHEET_URL },
+    email: { to: RECIPIENT_EMAIL, subject: subject, body: email.body, htmlBody: email.htmlBody }
+  };
+}
+
+// Handle spreadsheet: if SHEET_URL is not provided or a placeholder, reuse the spreadsheet an earlier run created
+// (found in Drive by its name) or create it, then apply its Settings tab
+function getSpreadsheet(accountName, last4Id) {
+  var spreadsheet;
+  if (!SHEET_URL || SHEET_URL.includes('YOUR_SPREADSHEET_ID') || SHEET_URL.includes('YOUR_GOOGLE_SHEET_URL')) {
+    var name = 'Google Ads New Search Queries - ' + accountName + ' - ' + last4Id;
+    spreadsheet = findSpreadsheetByName(name);
+    if (spreadsheet) {
+      SHEET_URL = spreadsheet.getUrl();
+      Logger.log('Using the spreadsheet created on an earlier run: ' + SHEET_URL);
+    } else {
+      spreadsheet = SpreadsheetApp.create(name);
+      SHEET_URL = spreadsheet.getUrl();
+      Logger.log('Created new spreadsheet: ' + SHEET_URL + '. Set SHEET_URL to it to keep using it if the account is renamed.');
+    }
+  } else {
+    spreadsheet = SpreadsheetApp.openByUrl(SHEET_URL);
+  }
+  loadSettings(spreadsheet);
+  applySpreadsheetLocale(spreadsheet);
+  return spreadsheet;
+}
+
+function findSpreadsheetByName(name) {
+  var files = DriveApp.getFilesByName(name);
+  while (files.hasNext()) {
+    var file = files.next();
+    if (!file.isTrashed()) return SpreadsheetApp.openById(file.getId());
+  }
+  return null;
+}
+
+function loadQueryHistory(spreadsheet, timeZone) {
+  var sheet = spreadsheet.getSheetByName(HISTORY_SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(HISTORY_SHEET_NAME);
+    sheet.hideSheet();
+  }
+  var queries = new Map();
+  if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, HISTORY_HEADERS.length).getValues().forEach(function(values) {
+      queries.set(String(values[0]), {
+        query: String(values[0]),
+        firstSeen: toDateString(values[1], timeZone),
+        firstCampaign: values[2],
+        firstAdGroup: values[3],
+        lastSeen: toDateString(values[4], timeZone),
+        impressions: Number(values[5]) || 0,
+        clicks: Number(values[6]) || 0,
+        cost: Number(values[7]) || 0
+      });
+    });
+  }
+  var stateSheet = spreadsheet.getSheetByName(HISTORY_STATE_SHEET_NAME);
+  if (!stateSheet) {
+    stateSheet = spreadsheet.insertSheet(HISTORY_STATE_SHEET_NAME);
+    stateSheet.hideSheet();
+  }
+  var mergedThrough = stateSheet.getLastRow() > 1 ? toDateString(stateSheet.getRange(2, 1).getValue(), timeZone) : '';
+  if (!mergedThrough) {
+    // A store kept before the state tab existed was merged up to its latest query
+    queries.forEach(function(record) {
+      if (record.lastSeen > mergedThrough) mergedThrough = record.lastSeen;
+    });
+  }
+  return { sheet: sheet, stateSheet: stateSheet, queries: queries, mergedThrough: mergedThrough };
+}
+
+// Reads the days after the last one merged, up to the day before yesterday: the whole lookback window on the first
+// run, or the days a skipped run missed. It reads BACKFILL_CHUNK_DAYS at a time and pauses with less than
+// MIN_MINUTES_LEFT; the next run continues after the last day read, and until it is done, there is no report.
+// Returns false when it paused.
+function backfillQueryHistory(history, startDateStr, endDateStr) {
+  var fromStr = history.mergedThrough ? addDaysToDateString(history.mergedThrough, 1) : startDateStr;
+  if (fromStr < startDateStr) fromStr = startDateStr;
+  if (fromStr > endDateStr) return true;
+  var chunkStartStr = fromStr;
+  while (chunkStartStr <= endDateStr) {
+    if (AdsApp.getExecutionInfo().getRemainingTime() / 60 < MIN_MINUTES_LEFT) {
+      Logger.log('Query history filled up to ' + addDaysToDateString(chunkStartStr, -1) + ' before the time limit. The next run continues from ' + chunkStartStr + '.');
+      return false;
+    }
+    var chunkEndStr = addDaysToDateString(chunkStartStr, BACKFILL_CHUNK_DAYS - 1);
+    if (chunkEndStr > endDateStr) chunkEndStr = endDateStr;
+    readBackfillChunk(history, chunkStartStr, chunkEndStr);
+    history.mergedThrough = chunkEndStr;
+    chunkStartStr = addDaysToDateString(chunkEndStr, 1);
+  }
+  Logger.log('Query history filled from ' + fromStr + ' to ' + endDateStr + ': ' + history.queries.size + ' queries.');
+  return true;
+}
+
+function readBackfillChunk(history, startDateStr, endDateStr) {
+  var query =
+    'SELECT search_term_view.search_term, segments.date, campaign.name, ad_group.name, ' +
+    'metrics.impressions, metrics.clicks, metrics.cost_micros ' +
+    'FROM search_term_view ' +
+    'WHERE segments.date BETWEEN "' + startDateStr + '" AND "' + endDateStr + '"' + getCampaignFilterClause();
+  var rows = AdsApp.report(query).rows();
+  while (rows.hasNext()) {
+    var row = rows.next();
+    var date = row['segments.date'] || startDateStr;
+    var record = recordQuery(history, row['search_term_view.search_term'].toLowerCase(), date, row['campaign.name'], row['ad_group.name']);
+    if (date < record.firstSeen) {
+      record.firstSeen = date;
+      record.firstCampaign = row['campaign.name'];
+      record.firstAdGroup = row['ad_group.name'];
+    }
+    if (date > record.lastSeen) record.lastSeen = date;
+    record.impressions += parseInt(row['metrics.impressions']) || 0;
+    record.clicks += parseInt(row['metrics.clicks']) || 0;
+    record.cost += (parseInt(row['metrics.cost_micros']) || 0) / 1000000;
+  }
+}
+
+// 'yyyy-MM-dd' plus a number of days, in calendar days whatever the time zone
+function addDaysToDateString(dateStr, days) {
+  var date = new Date(dateStr + 'T00:00:00Z');
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Adds yesterday's metrics once: on a re-run, when yesterday is already merged, the history is left as it is
+function mergeQueryHistory(history, yesterdayData, yesterdayStr) {
+  if (history.mergedThrough >= yesterdayStr) return;
+  yesterdayData.forEach(function(item) {
+    var record = recordQuery(history, item.query, yesterdayStr, item.campaignName, item.adGroupName);
+    record.lastSeen = yesterdayStr;
+    record.impressions += item.impressions;
+    record.clicks += item.clicks;
+    record.cost += parseFloat(item.cost);
+  });
+  history.mergedThrough = yesterdayStr;
+}
+
+function recordQuery(history, query, date, campaignName, adGroupName) {
+  if (!history.queries.has(query)) {
+    history.queries.set(query, {
+      query: query, firstSeen: date, firstCampaign: campaignName, firstAdGroup: adGroupName,
+      lastSeen: date, impressions: 0, clicks: 0, cost: 0
+    });
+  }
+  return history.queries.get(query);
+}
+
+// Queries last seen before keepFromStr, the start of the lookback window, can no longer keep a query from being
+// new, so they are dropped instead of growing the tab forever
+function saveQueryHistory(history, keepFromStr) {
+  var rows = [HISTORY_HEADERS];
+  history.queries.forEach(function(record) {
+    if (record.lastSeen < keepFromStr) return;
+    rows.push([record.query, record.firstSeen, record.firstCampaign, record.firstAdGroup, record.lastSeen,
+               record.impressions, record.clicks, Math.round(record.cost * 100) / 100]);
+  });
+  history.sheet.clearContents();
+  // Plain text, so Sheets keeps search terms and dates exactly as written
+  history.sheet.getRange(1, 1, rows.length, 5).setNumberFormat('@');
+  history.sheet.getRange(1, 1, rows.length, HISTORY_HEADERS.length).setValues(rows);
+  history.stateSheet.getRange(1, 1, 2, 1).setNumberFormat('@').setValues([['Merged Through'], [history.mergedThrough]]);
+}
+
+function toDateString(value, timeZone) {
+  return value instanceof Date ? Utilities.formatDate(value, timeZone, 'yyyy-MM-dd') : String(value);
+}
+
+// Negative keyword suggestions: scores non-converting spend over the lookback window and writes
+// proposals to the review tab. Set a row's Status to APPROVED (or REJECTED) in the sheet and the
+// next run adds the approved negatives to the account. Reviewed rows are kept, so a rejected
+// suggestion is not proposed again.
+function processNegativeKeywords(spreadsheet, startDateStr, endDateStr, todayStr) {
+  var sheet = spreadsheet.getSheetByName(NEGATIVES_REVIEW_SHEET_NAME) || spreadsheet.insertSheet(NEGATIVES_REVIEW_SHEET_NAME);
+  var reviewRows = readReviewRows(sheet);
+
+  var applied = applyApprovedNegatives(reviewRows, todayStr);
+
+  var known = {};
+  reviewRows.forEach(function(row) {
+    known[getSuggestionKey(row)] = true;
+  });
+  var added = 0;
+  suggestNegativeKeywords(getSearchTermPerformance(startDateStr, endDateStr)).forEach(function(suggestion) {
+    if (known[getSuggestionKey(suggestion)]) return;
+    suggestion.status = 'PENDING';
+    suggestion.suggestedOn = todayStr;
+    suggestion.appliedOn = '';
+    reviewRows.push(suggestion);
+    added++;
+  });
+
+  writeReviewRows(sheet, reviewRows);
+  Logger.log('Negative keywords: ' + applied + ' applied, ' + added + ' new suggestions.');
+
+  return reviewRows.filter(function(row) {
+    return row.status === 'PENDING';
+  }).length;
+}
+
+function getSearchTermPerformance(startDateStr, endDateStr) {
+  var terms = [];
+  var query =
+    'SELECT search_term_view.search_term, campaign.id, campaign.name, ad_group.id, ad_group.name, ' +
+    'metrics.clicks, metrics.cost_micros, metrics.conversions ' +
+    'FROM search_term_view ' +
+    'WHERE segments.date BETWEEN "' + startDateStr + '" AND "' + endDateStr + '" AND metrics.cost_micros > 0' + getCampaignFilterClause();
+  var rows = AdsApp.report(query).rows();
+  while (rows.hasNext()) {
+    var row = rows.next();
+    terms.push({
+      query: String(row['search_term_view.search_term']).toLowerCase(),
+      campaignId: row['campaign.id'],
+      campaignName: row['campaign.name'],
+      adGroupId: row['ad_group.id'],
+      adGroupName: row['ad_group.name'],
+      clicks: parseInt(row['metrics.clicks']) || 0,
+      cost: (parseInt(row['metrics.cost_micros']) || 0) / 1000000,
+      conversions: parseFloat(row['metrics.conversions']) || 0
+    });
+  }
+  return terms;
+}
+
+// Three sources of suggestions, strongest first: queries containing an irrelevant term (phrase match
+// on the term), n-grams that recur across queries and never convert (phrase match on the n-gram), and
+// individual queries that spent without converting (exact match on the query). Only non-converting
+// spend counts, and a query already covered by a broader suggestion is not proposed again.
+function suggestNegativeKeywords(terms) {
+  var wasted = terms.filter(function(term) {
+    return term.conversions === 0;
+  });
+  var suggestions = [];
+  var covered = [];
+  var isCovered = function(query) {
+    return covered.some(function(phrase) {
+      return containsPhrase(query, phrase);
+    });
+  };
+
+  IRRELEVANT_TERMS.forEach(function(irrelevant) {
+    var phrase = irrelevant.toLowerCase();
+    var matching = wasted.filter(function(term) {
+      return containsPhrase(term.query, phrase);
+    });
+    if (matching.length === 0) return;
+    covered.push(phrase);
+    suggestions = suggestions.concat(getNegativeScopes(matching, phrase, 'PHRASE', 'Irrelevant term "' + irrelevant + '"'));
+  });
+
+  getWastedNgrams(terms).forEach(function(ngram) {
+    if (isCovered(ngram.text)) return;
+    var matching = wasted.filter(function(term) {
+      return containsPhrase(term.query, ngram.text);
+    });
+    covered.push(ngram.text);
+    suggestions = suggestions.concat(getNegativeScopes(matching, ngram.text, 'PHRASE', 'N-gram without conversions in ' + ngram.queries + ' queries'));
+  });
+
+  var byQuery = groupBy(wasted, function(term) {
+    return term.query;
+  });
+  Object.keys(byQuery).forEach(function(query) {
+    if (isCovered(query)) return;
+    var totals = sumTerms(byQuery[query]);
+    // A query that converted anywhere is kept, even where it did not
+    var converted = terms.some(function(term) {
+      return term.query === query && term.conversions > 0;
+    });
+    if (converted || totals.cost < NEGATIVES_MIN_COST || totals.clicks < NEGATIVES_MIN_CLICKS) return;
+    suggestions = suggestions.concat(getNegativeScopes(byQuery[query], query, 'EXACT', 'No conversions'));
+  });
+
+  return suggestions.sort(function(a, b) {
+    return b.cost - a.cost;
+  });
+}
+
+// 1- to 3-word n-grams across all queries that spent at least NGRAM_MIN_COST in at least
+// NGRAM_MIN_QUERIES different queries without a single conversion. Shorter n-grams come first
+// so a longer n-gram containing one is skipped as covered.
+function getWastedNgrams(terms) {
+  var ngrams = {};
+  terms.forEach(function(term) {
+    var words = term.query.split(/\s+/).filter(function(word) {
+      return word !== '';
+    });
+    var seen = {};
+    for (var n = 1; n <= 3; n++) {
+      for (var i = 0; i + n <= words.length; i++) {
+        var gram = words.slice(i, i + n);
+        var allStopWords = gram.every(function(word) {
+          return NGRAM_STOP_WORDS.indexOf(word) !== -1;
+        });
+        var text = gram.join(' ');
+        if (allStopWords || seen[text]) continue;
+        seen[text] = true;
+        if (!ngrams[text]) {
+          ngrams[text] = { text: text, words: n, cost: 0, conversions: 0, queries: {} };
+        }
+        ngrams[text].cost += term.cost;
+        ngrams[text].conversions += term.conversions;
+        ngrams[text].queries[term.query] = true;
+      }
+    }
+  });
+
+  return Object.keys(ngrams).map(function(text) {
+    var ngram = ngrams[text];
+    ngram.queries = Object.keys(ngram.queries).length;
+    return ngram;
+  }).filter(function(ngram) {
+    return ngram.conversions === 0 && ngram.cost >= NGRAM_MIN_COST && ngram.queries >= NGRAM_MIN_QUERIES;
+  }).sort(function(a, b) {
+    return a.words - b.words || b.cost - a.cost;
+  });
+}
+
+// Narrowest level that covers every place the spend happened: the ad group, the campaign, or the
+// shared list (one campaign-level row per campaign when no shared list is configured).
+function getNegativeScopes(terms, keyword, matchType, reason) {
+  var byCampaign = groupBy(terms, function(term) {
+    return term.campaignId;
+  });
+  var campaignIds = Object.keys(byCampaign);
+  var build = function(level, scopeTerms, campaignName, campaignId, adGroupName, adGroupId) {
+    var totals = sumTerms(scopeTerms);
+    return {
+      level: level,
+      campaignName: campaignName,
+      campaignId: campaignId,
+      adGroupName: adGroupName,
+      adGroupId: adGroupId,
+      keyword: keyword,
+      matchType: matchType,
+      reason: reason,
+      cost: Math.round(totals.cost * 100) / 100,
+      clicks: totals.clicks,
+      conversions: totals.conversions
+    };
+  };
+
+  if (campaignIds.length > 1 && NEGATIVES_SHARED_LIST_NAME) {
+    return [build('SHARED_LIST', terms, NEGATIVES_SHARED_LIST_NAME, campaignIds.join(','), '', '')];
+  }
+  return campaignIds.map(function(campaignId) {
+    var campaignTerms = byCampaign[campaignId];
+    var adGroupIds = Object.keys(groupBy(campaignTerms, function(term) {
+      return term.adGroupId;
+    }));
+    var first = campaignTerms[0];
+    if (adGroupIds.length === 1) {
+      return build('AD_GROUP', campaignTerms, first.campaignName, campaignId, first.adGroupName, first.adGroupId);
+    }
+    return build('CAMPAIGN', campaignTerms, first.campaignName, campaignId, '', '');
+  });
+}
+
+function applyApprovedNegatives(reviewRows, todayStr) {
+  var applied = 0;
+  reviewRows.forEach(function(row) {
+    if (String(row.status).trim().toUpperCase() !== 'APPROVED') return;
+    try {
+      applyNegativeKeyword(row);
+      row.status = 'APPLIED';
+      row.appliedOn = todayStr;
+      applied++;
+    } catch (e) {
+      row.status = 'FAILED: ' + e.message;
+      Logger.log('Could not add negative keyword ' + row.keyword + ': ' + e.message);
+    }
+  });
+  return applied;
+}
+
+function applyNegativeKeyword(row) {
+  var text = formatNegativeKeyword(row.keyword, row.matchType);
+  if (row.level === 'AD_GROUP') {
+    getOnlyEntity(AdsApp.adGroups().withIds([row.adGroupId]).get(), 'Ad group ' + row.adGroupId).createNegativeKeyword(text);
+  } else if (row.level === 'CAMPAIGN') {
+    getOnlyEntity(AdsApp.campaigns().withIds([row.campaignId]).get(), 'Campaign ' + row.campaignId).createNegativeKeyword(text);
+  } else if (row.level === 'SHARED_LIST') {
+    var list = getOrCreateNegativeKeywordList(row.campaignName);
+    list.addNegativeKeyword(text);
+    // Make sure the list applies to every campaign the wasted spend came from
+    String(row.campaignId).split(',').filter(String).forEach(function(campaignId) {
+      var campaign = getOnlyEntity(AdsApp.campaigns().withIds([campaignId]).get(), 'Campaign ' + campaignId);
+      var attached = campaign.negativeKeywordLists().withCondition('shared_set.name = ' + quoteGaqlString(row.campaignName)).get();
+      if (!attached.hasNext()) campaign.addNegativeKeywordList(list);
+    });
+  } else {
+    throw new Error('Unknown level ' + row.level);
+  }
+}
+
+function getOrCreateNegativeKeywordList(name) {
+  var lists = AdsApp.negativeKeywordLists().withCondition('shared_set.name = ' + quoteGaqlString(name)).get();
+  if (lists.hasNext()) return lists.next();
+  Logger.log('Creating negative keyword list: ' + name);
+  return AdsApp.newNegativeKeywordListBuilder().withName(name).build().getResult();
+}
+
+function getOnlyEntity(iterator, description) {
+  if (!iterator.hasNext()) throw new Error(description + ' not found');
+  return iterator.next();
+}
+
+function formatNegativeKeyword(keyword, matchType) {
+  if (matchType === 'EXACT') return '[' + keyword + ']';
+  if (matchType === 'PHRASE') return '"' + keyword + '"';
+  return keyword;
+}
+
+function getSuggestionKey(row) {
+  return [row.level, row.campaignId, row.adGroupId, String(row.keyword).toLowerCase(), row.matchType].join('|');
+}
+
+function readReviewRows(sheet) {
+  if (sheet.getLastRow() < 2) return [];
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, NEGATIVES_REVIEW_HEADERS.length).getValues().map(function(values) {
+    return {
+      status: values[0], level: values[1], campaignName: values[2], campaignId: String(values[3]),
+      adGroupName: values[4], adGroupId: String(values[5]), keyword: values[6], matchType: values[7],
+      reason: values[8], cost: values[9], clicks: values[10], conversions: values[11],
+      suggestedOn: values[12], appliedOn: values[13]
+    };
+  });
+}
+
+function writeReviewRows(sheet, reviewRows) {
+  sheet.clearContents();
+  sheet.getRange(1, 1, 1, NEGATIVES_REVIEW_HEADERS.length).setValues([NEGATIVES_REVIEW_HEADERS]).setFontWeight('bold');
+  if (reviewRows.length > 0) {
+    sheet.getRange(2, 1, reviewRows.length, NEGATIVES_REVIEW_HEADERS.length).setValues(reviewRows.map(function(row) {
+      return [row.status, row.level, row.campaignName, row.campaignId, row.adGroupName, row.adGroupId, row.keyword,
+              row.matchType, row.reason, row.cost, row.clicks, row.conversions, row.suggestedOn, row.appliedOn];
+    }));
+    sheet.getRange(2, 10, reviewRows.length, 1).setNumberFormat(getSheetCurrencyFormat('#,##0.00'));
+  }
+  sheet.setFrozenRows(1);
+}
+
+function containsPhrase(query, phrase) {
+  return (' ' + query + ' ').indexOf(' ' + phrase + ' ') !== -1;
+}
+
+function groupBy(items, getKey) {
+  var groups = {};
+  items.forEach(function(item) {
+    var key = getKey(item);
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(item);
+  });
+  return groups;
+}
+
+function sumTerms(terms) {
+  return terms.reduce(function(totals, term) {
+    totals.cost += term.cost;
+    totals.clicks += term.clicks;
+    totals.conversions += term.conversions;
+    return totals;
+  }, { cost: 0, clicks: 0, conversions: 0 });
+}
+
+// Custom KPIs: the ratios use the exporter's metric keys, which are also the keys of each query's kpiStats.
+var KPI_BASE_METRICS = ['cost', 'impressions', 'clicks', 'conversions', 'convValue'];
+
+function validateCustomKpis() {
+  var keys = KPI_BASE_METRICS.slice();
+  CUSTOM_KPIS.forEach(function(kpi, index) {
+    var where = 'CUSTOM_KPIS[' + index + '] (' + (kpi.key || 'no key') + ')';
+    if (!/^[A-Za-z]\w*$/.test(kpi.key || '') || keys.indexOf(kpi.key) !== -1) {
+      throw new Error(where + ': the key must be a new name such as \'leads\'.');
+    }
+    if (!kpi.header) throw new Error(where + ': the header is missing.');
+    if (kpi.conversionActions) {
+      if (!Array.isArray(kpi.conversionActions) || kpi.conversionActions.length === 0) {
+        throw new Error(where + ': conversionActions must list at least one conversion action name.');
+      }
+    } else if (!Array.isArray(kpi.ratio) || kpi.ratio.length !== 2 || kpi.ratio.some(function(key) { return keys.indexOf(key) === -1; })) {
+      throw new Error(where + ': set conversionActions, or ratio: [numerator, denominator] of ' + keys.join(', ') + ' or earlier conversionActions KPIs.');
+    }
+    if (kpi.conversionActions) keys.push(kpi.key);
+  });
+}
+
+// Conversion actions are a segment that rules out the other metrics, so they are counted by a second query
+// and added to yesterday's search terms by ad group.
+function addConversionActionCounts(terms, dateStr) {
+  var kpis = CUSTOM_KPIS.filter(function(kpi) { return kpi.conversionActions; });
+  if (kpis.length === 0 || terms.length === 0) return;
+  var byKey = {};
+  terms.forEach(function(term) {
+    kpis.forEach(function(kpi) { term.kpiStats[kpi.key] = 0; });
+    byKey[term.adGroupId + '|' + term.origQuery] = term;
+  });
+  var query =
+    'SELECT search_term_view.search_term, ad_group.id, segments.conversion_action_name, ' +
+    'metrics.all_conversions, metrics.all_conversions_value ' +
+    'FROM search_term_view ' +
+    'WHERE segments.date = "' + dateStr + '"' + getCampaignFilterClause();
+  var rows = AdsApp.report(query).rows();
+  while (rows.hasNext()) {
+    var row = rows.next();
+    var term = byKey[row['ad_group.id'] + '|' + row['search_term_view.search_term']];
+    if (!term) continue;
+    kpis.forEach(function(kpi) {
+      if (kpi.conversionActions.indexOf(row['segments.conversion_action_name']) === -1) return;
+      term.kpiStats[kpi.key] += parseFloat(row[kpi.conversionValue ? 'metrics.all_conversions_value' : 'metrics.all_conversions']) || 0;
+    });
+  }
+}
+
+function getKpiValue(kpi, stats) {
+  if (kpi.conversionActions) return stats[kpi.key] || 0;
+  var numerator = stats[kpi.ratio[0]] || 0;
+  var denominator = stats[kpi.ratio[1]] || 0;
+  return denominator > 0 ? numerator / denominator * (kpi.multiplier || 1) : 0;
+}
+
+function formatKpiValue(kpi, value) {
+  if (kpi.currency) return formatMoney(value);
+  if (String(kpi.format || '').indexOf('%') !== -1) {
+    return new Intl.NumberFormat(LOCALE.LANGUAGE_TAG, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(value);
+  }
+  return formatNumber(value, kpi.ratio ? 2 : undefined);
+}
+
+// The sheet column format, with the exporter's defaults when the KPI sets none
+function getKpiNumberFormat(kpi) {
+  var format = kpi.format || (kpi.ratio ? '#,##0.00' : '#,##0.0');
+  return kpi.currency ? getSheetCurrencyFormat(format) : format;
+}
+
+// Campaign filter: CAMPAIGN_FILTER scopes every report to a set of campaigns. A campaign must match every INCLUDE
+// criterion that is set and none of the EXCLUDE criteria. getCampaignFilterConditions() turns the filter into
+// GAQL conditions on the campaign's fields, which every search term query adds to its WHERE. Label names are
+// looked up once per account, as GAQL filters labels by resource name.
+var CAMPAIGN_STATUSES = ['ENABLED', 'PAUSED', 'REMOVED'];
+var CAMPAIGN_CHANNEL_TYPES = ['SEARCH', 'DISPLAY', 'SHOPPING', 'VIDEO', 'PERFORMANCE_MAX', 'DEMAND_GEN', 'MULTI_CHANNEL',
+                              'LOCAL', 'SMART', 'HOTEL', 'LOCAL_SERVICES', 'TRAVEL'];
+var campaignLabelCache = {}; // Customer ID -> { label name: resource name }
+
+function getCampaignFilterConditions() {
+  var conditions = [];
+  ['INCLUDE', 'EXCLUDE'].forEach(function(mode) {
+    var criteria = CAMPAIGN_FILTER[mode] || {};
+    var include = mode === 'INCLUDE';
+    var setting = 'CAMPAIGN_FILTER.' + mode;
+    var inList = function(field, values) {
+      return field + (include ? ' IN (' : ' NOT IN (') + values.join(', ') + ')';
+    };
+    
+    if (criteria.NAME_REGEX) {
+      conditions.push('campaign.name ' + (include ? 'REGEXP_MATCH ' : 'NOT REGEXP_MATCH ') + quoteGaqlString(criteria.NAME_REGEX));
+    }
+    if ((criteria.STATUSES || []).length > 0) {
+      checkCampaignFilterValues(setting + '.STATUSES', criteria.STATUSES, CAMPAIGN_STATUSES);
+      conditions.push(inList('campaign.status', criteria.STATUSES.map(quoteGaqlString)));
+    }
+    if ((criteria.CHANNEL_TYPES || []).length > 0) {
+      checkCampaignFilterValues(setting + '.CHANNEL_TYPES', criteria.CHANNEL_TYPES, CAMPAIGN_CHANNEL_TYPES);
+      conditions.push(inList('campaign.advertising_channel_type', criteria.CHANNEL_TYPES.map(quoteGaqlString)));
+    }
+    if ((criteria.IDS || []).length > 0) {
+      var invalid = criteria.IDS.filter(function(id) { return !/^\d+$/.test(String(id)); });
+      if (invalid.length > 0) throw new Error('Invalid campaign ID \'' + invalid[0] + '\' in ' + setting + '.IDS. Use numeric IDs such as 1234567890.');
+      conditions.push(inList('campaign.id', criteria.IDS.map(String)));
+    }
+    if ((criteria.LABELS || []).length > 0) {
+      var resourceNames = getCampaignLabelResourceNames(criteria.LABELS, setting + '.LABELS', include);
+      if (resourceNames.length > 0) {
+        conditions.push('campaign.labels ' + (include ? 'CONTAINS ANY (' : 'CONTAINS NONE (') + resourceNames.map(quoteGaqlString).join(', ') + ')');
+      }
+    }
+  });
+  return conditions;
+}
+
+// The filter as a string to append to a WHERE clause
+function getCampaignFilterClause() {
+  return getCampaignFilterConditions().map(function(condition) {
+    return ' AND ' + condition;
+  }).join('');
+}
+
+function checkCampaignFilterValues(setting, values, allowed) {
+  var invalid = values.filter(function(value) { return allowed.indexOf(value) === -1; });
+  if (invalid.length > 0) {
+    throw new Error('Invalid value \'' + invalid[0] + '\' in ' + setting + '. Use: ' + allowed.join(', '));
+  }
+}
+
+// A missing INCLUDE label would silently empty every report, so it is an error; a missing EXCLUDE label is not.
+function getCampaignLabelResourceNames(names, setting, required) {
+  var customerId = AdsApp.currentAccount().getCustomerId();
+  if (!campaignLabelCache[customerId]) {
+    var found = {};
+    var rows = AdsApp.report('SELECT label.name, label.resource_name FROM label').rows();
+    while (rows.hasNext()) {
+      var row = rows.next();
+      found[row['label.name']] = row['label.resource_name'];
+    }
+    campaignLabelCache[customerId] = found;
+  }
+  
+  var labels = campaignLabelCache[customerId];
+  var missing = names.filter(function(name) { return !labels[name]; });
+  if (missing.length > 0) {
+    if (required) throw new Error('No label named \'' + missing[0] + '\' in account ' + customerId + '. Check ' + setting + '.');
+    Logger.log('Ignoring ' + setting + ' \'' + missing.join('\', \'') + '\': no such label in account ' + customerId + '.');
+  }
+  return names.filter(function(name) { return labels[name]; }).map(function(name) { return labels[name]; });
+}
+
+function quoteGaqlString(value) {
+  return '\'' + String(value).replace(/\\/g, '\\\\').replace(/'/g, '\\\'') + '\'';
+}
+
+// For the Settings tab: comma-separated campaign types
+function validateChannelTypes(types) {
+  var invalid = types.filter(function(type) { return CAMPAIGN_CHANNEL_TYPES.indexOf(type) === -1; });
+  return invalid.length > 0 ? '\'' + invalid.join('\', \'') + '\' is not one of: ' + CAMPAIGN_CHANNEL_TYPES.join(', ') + '.' : '';
+}
+
+// Settings tab: the settings in SETTINGS can be changed in a 'Settings' tab of the spreadsheet instead of in the
+// code, one row per setting with its name, value and a description. The tab is created with the values above
+// on the first run; after that its values override them, and an empty value keeps the value from the code.
+// Every row is checked before anything runs, and all problems are reported together.
+// A setting is { name, type, description, get, set } plus, per type, min/max (number) or values (choice and list).
+// validate(value) may return an error message.
+var SETTINGS_SHEET_NAME = 'Settings';
+var SETTINGS_HEADERS = ['Setting', 'Value', 'Description'];
+
+var SETTING_TYPES = {
+  text: {
+    parse: function(value) {
+      return String(value).trim();
+    },
+    format: function(value) {
+      return value;
+    }
+  },
+  emails: {
+    parse: function(value) {
+      var emails = splitList(value);
+      var invalid = emails.filter(function(email) {
+        return !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email);
+      });
+      if (invalid.length > 0) throw new Error('\'' + invalid.join('\', \'') + '\' is not a valid email address.');
+      return emails.join(',');
+    },
+    format: function(value) {
+      return value;
+    }
+  },
+  number: {
+    parse: function(value, setting) {
+      var number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (isNaN(number)) throw new Error('\'' + value + '\' is not a number.');
+      if (setting.min !== undefined && number < setting.min) throw new Error('Must be at least ' + setting.min + '.');
+      if (setting.max !== undefined && number > setting.max) throw new Error('Must be at most ' + setting.max + '.');
+      return number;
+    },
+    format: function(value) {
+      return value;
+    }
+  },
+  boolean: {
+    parse: function(value) {
+      if (typeof value === 'boolean') return value;
+      var text = String(value).trim().toUpperCase();
+      if (text !== 'TRUE' && text !== 'FALSE') throw new Error('\'' + value + '\' is not TRUE or FALSE.');
+      return text === 'TRUE';
+    },
+    format: function(value) {
+      return value ? 'TRUE' : 'FALSE';
+    },
+    validation: function() {
+      return ['TRUE', 'FALSE'];
+    }
+  },
+  choice: {
+    parse: function(value, setting) {
+      var text = String(value).trim();
+      if (setting.values.indexOf(text) === -1) throw new Error('\'' + value + '\' is not one of: ' + setting.values.join(', ') + '.');
+      return text;
+    },
+    format: function(value) {
+      return value;
+    },
+    validation: function(setting) {
+      return setting.values;
+    }
+  },
+  list: {
+    parse: function(value, setting) {
+      var items = splitList(value);
+      var invalid = setting.values ? items.filter(function(item) { return setting.values.indexOf(item) === -1; }) : [];
+      if (invalid.length > 0) throw new Error('\'' + invalid.join('\', \'') + '\' is not one of: ' + setting.values.join(', ') + '.');
+      return items;
+    },
+    format: function(value) {
+      return value.join(', ');
+    }
+  }
+};
+
+// Reads the Settings tab of the spreadsheet (creating it on the first run) and applies it. Returns the number
+// of settings it changed.
+function loadSettings(spreadsheet) {
+  var sheet = spreadsheet.getSheetByName(SETTINGS_SHEET_NAME);
+  if (!sheet) {
+    createSettingsSheet(spreadsheet);
+    Logger.log('Created the \'' + SETTINGS_SHEET_NAME + '\' tab with the current settings. Change them there from now on.');
+    return 0;
+  }
+  
+  var updates = [];
+  var errors = [];
+  var seen = {};
+  var rows = sheet.getLastRow() > 1 ? sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues() : [];
+  rows.forEach(function(row, index) {
+    var name = String(row[0]).trim();
+    if (name === '') return;
+    var where = 'Row ' + (index + 2) + ' (' + name + ')';
+    var setting = SETTINGS.filter(function(s) { return s.name === name; })[0];
+    if (!setting) {
+      errors.push(where + ': unknown setting. Check the spelling, or delete the row.');
+      return;
+    }
+    if (seen[name]) {
+      errors.push(where + ': listed more than once.');
+      return;
+    }
+    seen[name] = true;
+    if (row[1] === '' || row[1] === null) return;
+    try {
+      updates.push({ setting: setting, value: parseSetting(setting, row[1]) });
+    } catch (e) {
+      errors.push(where + ': ' + e.message);
+    }
+  });
+  if (errors.length > 0) {
+    throw new Error('The \'' + SETTINGS_SHEET_NAME + '\' tab has ' + errors.length + ' invalid row(s):\n' + errors.join('\n'));
+  }
+  
+  updates.forEach(function(update) {
+    update.setting.set(update.value);
+  });
+  Logger.log('Loaded ' + updates.length + ' settings from the \'' + SETTINGS_SHEET_NAME + '\' tab.');
+  return updates.length;
+}
+
+function parseSetting(setting, rawValue) {
+  var value = SETTING_TYPES[setting.type].parse(rawValue, setting);
+  var error = setting.validate ? setting.validate(value) : '';
+  if (error) throw new Error(error);
+  return value;
+}
+
+function splitList(value) {
+  return String(value).split(',').map(function(item) {
+    return item.trim();
+  }).filter(function(item) {
+    return item !== '';
+  });
+}
+
+function validateLanguageTag(tag) {
+  try {
+    Intl.getCanonicalLocales(tag);
+    return '';
+  } catch (e) {
+    return '\'' + tag + '\' is not a language tag such as \'en-US\' or \'de-DE\'.';
+  }
+}
+
+function validateCurrencyCode(code) {
+  return /^[A-Z]{3}$/.test(code) ? '' : '\'' + code + '\' is not a three-letter currency code such as \'USD\' or \'EUR\'.';
+}
+
+function createSettingsSheet(spreadsheet) {
+  var sheet = spreadsheet.insertSheet(SETTINGS_SHEET_NAME);
+  var rows = SETTINGS.map(function(setting) {
+    return [setting.name, SETTING_TYPES[setting.type].format(setting.get()), setting.description];
+  });
+  sheet.getRange(1, 1, 1, SETTINGS_HEADERS.length).setValues([SETTINGS_HEADERS]).setFontWeight('bold');
+  sheet.getRange(2, 1, rows.length, SETTINGS_HEADERS.length).setValues(rows);
+  
+  // Dropdowns for settings with a fixed set of values
+  SETTINGS.forEach(function(setting, index) {
+    var validation = SETTING_TYPES[setting.type].validation;
+    if (!validation) return;
+    var rule = SpreadsheetApp.newDataValidation().requireValueInList(validation(setting), true).setAllowInvalid(false).build();
+    sheet.getRange(index + 2, 2).setDataValidation(rule);
+  });
+  sheet.setFrozenRows(1);
+  sheet.autoResizeColumns(1, SETTINGS_HEADERS.length);
+}
+
+// Locale: money, numbers and dates follow LOCALE rather than the server's defaults. The currency (the account's
+// own unless CURRENCY_CODE is set) decides the symbol and decimal places, e.g. none for JPY; LANGUAGE_TAG
+// decides the separators and which side the symbol goes on, e.g. '1.234,50 €' for 'de-DE'.
+function getCurrencyCode() {
+  return LOCALE.CURRENCY_CODE || AdsApp.currentAccount().getCurrencyCode();
+}
+
+function getCurrencyFormatter(currencyCode) {
+  return new Intl.NumberFormat(LOCALE.LANGUAGE_TAG, { style: 'currency', currency: currencyCode || getCurrencyCode() });
+}
+
+function formatMoney(amount, currencyCode) {
+  return getCurrencyFormatter(currencyCode).format(amount);
+}
+
+// Exactly `decimals` decimal places when given, otherwise up to two.
+function formatNumber(value, decimals) {
+  var digits = decimals === undefined ? { maximumFractionDigits: 2 } : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+  return new Intl.NumberFormat(LOCALE.LANGUAGE_TAG, digits).format(value);
+}
+
+// For dates people read. Queries, sheet names and the query history keep ISO 'yyyy-MM-dd' dates.
+function formatDisplayDate(isoDate) {
+  return Utilities.formatDate(new Date(isoDate + 'T12:00:00Z'), 'UTC', LOCALE.DATE_FORMAT);
+}
+
+// Sheets number format for money: numberFormat (e.g. '#,##0.00') with the currency's decimal places and its
+// symbol where the locale puts it, e.g. '#,##0.00 "€"'. The separators come from the spreadsheet's locale.
+function getSheetCurrencyFormat(numberFormat, currencyCode) {
+  var formatter = getCurrencyFormatter(currencyCode);
+  var decimals = formatter.resolvedOptions().maximumFractionDigits;
+  var number = numberFormat.replace(/\.0+/, decimals > 0 ? '.' + new Array(decimals + 1).join('0') : '');
+  var parts = formatter.formatToParts(1);
+  var symbol = '';
+  var symbolFirst = false;
+  var space = '';
+  parts.forEach(function(part, index) {
+    if (part.type === 'currency') {
+      symbol = part.value === '$' ? '$' : '"' + part.value + '"';
+      symbolFirst = index === 0;
+    } else if (part.type === 'literal') {
+      space = ' ';
+    }
+  });
+  return symbolFirst ? symbol + space + number : number + space + symbol;
+}
+
+function applySpreadsheetLocale(spreadsheet) {
+  if (!LOCALE.SET_SPREADSHEET_LOCALE) return;
+  var locale = LOCALE.LANGUAGE_TAG.replace('-', '_');
+  if (spreadsheet.getSpreadsheetLocale() !== locale) {
+    spreadsheet.setSpreadsheetLocale(locale);
+  }
+}
+
+// Notifications: notify() delivers a message to every channel in NOTIFICATION_CHANNELS whose minSeverity it reaches.
+// A message is { severity, title, text, facts: [{ label, value }], link: { label, url }, email: { to, subject, body, htmlBody } }.
+// EMAIL sends the full email; SLACK, TEAMS and GOOGLE_CHAT post the title, text, facts and link as a card.
+var NOTIFICATION_SEVERITIES = ['INFO', 'WARNING', 'CRITICAL'];
+
+var NOTIFIERS = {
+  EMAIL: function(channel, message) {
+    var to = channel.recipients || message.email.to;
+    if (!to || to.trim() === '' || to === 'your-email@example.com') {
+      Logger.log('Email notification is enabled but no valid recipient email address is configured.');
+      return;
+    }
+    MailApp.sendEmail(Object.assign({}, message.email, { to: to }));
+    Logger.log('Email sent to ' + to + ': ' + message.email.subject);
+  },
+  SLACK: function(channel, message) {
+    postWebhook(channel, buildSlackPayload(message));
+  },
+  TEAMS: function(channel, message) {
+    postWebhook(channel, buildTeamsPayload(message));
+  },
+  GOOGLE_CHAT: function(channel, message) {
+    postWebhook(channel, buildGoogleChatPayload(message));
+  }
+};
+
+function notify(message) {
+  var severity = NOTIFICATION_SEVERITIES.indexOf(message.severity || 'INFO');
+  NOTIFICATION_CHANNELS.forEach(function(channel) {
+    var notifier = NOTIFIERS[channel.type];
+    if (!notifier) {
+      Logger.log('Unknown notification channel \'' + channel.type + '\'. Use: ' + Object.keys(NOTIFIERS).join(', '));
+      return;
+    }
+    if (severity < NOTIFICATION_SEVERITIES.indexOf(channel.minSeverity || 'INFO')) return;
+    
+    // One failing channel must not stop the others
+    try {
+      notifier(channel, message);
+    } catch (e) {
+      Logger.log('Failed to send ' + channel.type + ' notification: ' + e.toString());
+    }
+  });
+}
+
+function postWebhook(channel, payload) {
+  if (!channel.webhookUrl) throw new Error('No webhookUrl configured for the ' + channel.type + ' channel.');
+  var response = UrlFetchApp.fetch(channel.webhookUrl, {
+    method: 'post',
+    contentType: 'application/json',
+    payload: JSON.stringify(payload),
+    muteHttpExceptions: true
+  });
+  var code = response.getResponseCode();
+  if (code < 200 || code >= 300) {
+    throw new Error('Webhook returned HTTP ' + code + ': ' + response.getContentText());
+  }
+  Logger.log(channel.type + ' notification posted.');
+}
+
+function escapeMarkup(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Slack Block Kit: header, text, facts as two-column fields (max 10 per section) and a link button.
+function buildSlackPayload(message) {
+  var facts = message.facts || [];
+  var blocks = [{ type: 'header', text: { type: 'plain_text', text: message.title.slice(0, 150) } }];
+  if (message.text) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: escapeMarkup(message.text) } });
+  }
+  for (var i = 0; i < facts.length; i += 10) {
+    blocks.push({ type: 'section', fields: facts.slice(i, i + 10).map(function(fact) {
+      return { type: 'mrkdwn', text: '*' + escapeMarkup(fact.label) + '*\n' + escapeMarkup(fact.value) };
+    }) });
+  }
+  if (message.link) {
+    blocks.push({ type: 'actions', elements: [{ type: 'button', text: { type: 'plain_text', text: message.link.label }, url: message.link.url }] });
+  }
+  return { text: '[' + (message.severity || 'INFO') + '] ' + message.title, blocks: blocks };
+}
+
+// Microsoft Teams (incoming webhook or workflow): a message with one Adaptive Card attachment.
+function buildTeamsPayload(message) {
+  var colors = { INFO: 'Default', WARNING: 'Warning', CRITICAL: 'Attention' };
+  var body = [{ type: 'TextBlock', text: message.title, weight: 'Bolder', size: 'Medium', wrap: true, color: colors[message.severity || 'INFO'] }];
+  if (message.text) body.push({ type: 'TextBlock', text: message.text, wrap: true });
+  if ((message.facts || []).length > 0) {
+    body.push({ type: 'FactSet', facts: message.facts.map(function(fact) {
+      return { title: fact.label, value: String(fact.value) };
+    }) });
+  }
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body: body,
+        actions: message.link ? [{ type: 'Action.OpenUrl', title: message.link.label, url: message.link.url }] : []
+      }
+    }]
+  };
+}
+
+// Google Chat: a cardsV2 card. Chat renders a small subset of HTML in text widgets, so text is escaped.
+function buildGoogleChatPayload(message) {
+  var widgets = [];
+  if (message.text) widgets.push({ textParagraph: { text: escapeMarkup(message.text) } });
+  (message.facts || []).forEach(function(fact) {
+    widgets.push({ decoratedText: { topLabel: fact.label, text: escapeMarkup(fact.value) } });
+  });
+  if (message.link) {
+    widgets.push({ buttonList: { buttons: [{ text: message.link.label, onClick: { openLink: { url: message.link.url } } }] } });
+  }
+  return {
+    cardsV2: [{
+      cardId: 'notification',
+      card: {
+        header: { title: message.title, subtitle: message.severity || 'INFO' },
+        sections: [{ widgets: widgets }]
+      }
+    }]
+  };
+}
+
+// Email rendering: an email is described once as a list of blocks and rendered twice, as HTML with inline
+// styles (the only styling every mail client keeps) and as the plain-text alternative. All text is
+// HTML-escaped here, so callers pass raw campaign names and search terms.
+//
+// renderEmail({ title, blocks, footer }) returns { htmlBody, body }. Blocks:
+//   { type: 'section', title, subtitle }              Section header
+//   { type: 'paragraph', text, tone }                 tone colors the text, e.g. 'bad' for a warning
+//   { type: 'kpis', items: [{ label, value, delta }] } A row of KPI cards
+//   { type: 'table', columns: [{ header, align }], rows, totals, sortedBy }
+//   { type: 'button', label, url }
+// Table cells are plain values or { text, url, note, tone, delta }. A delta is { text, tone } and renders as
+// a badge. Tones: 'good', 'bad', 'warning', 'new' and 'neutral'.
+var EMAIL_BLOCKS = {
+  section: {
+    html: function(block, theme) {
+      return '<h3 style="color: ' + escapeHtml(theme.TEXT_COLOR) + '; border-bottom: 1px solid #cccccc; padding-bottom: 5px; margin: 25px 0 5px;">' + escapeHtml(block.title) + '</h3>' +
+             (block.subtitle ? '<p style="font-size: 12px; color: ' + escapeHtml(theme.MUTED_COLOR) + '; margin: 0 0 10px;">' + escapeHtml(block.subtitle) + '</p>' : '');
+    },
+    text: function(block) {
+      return block.title + (block.subtitle ? ' (' + block.subtitle + ')' : '') + '\n' + new Array(65).join('-');
+    }
+  },
+  paragraph: {
+    html: function(block, theme) {
+      return '<p' + (block.tone ? ' style="color: ' + escapeHtml(getToneColor(block.tone, theme)) + '; font-weight: bold;"' : '') + '>' + escapeHtml(block.text) + '</p>';
+    },
+    text: function(block) {
+      return block.text;
+    }
+  },
+  kpis: {
+    html: function(block, theme) {
+      return '<table style="width: 100%; border-collapse: separate; border-spacing: 8px 0; margin: 15px 0;"><tr>' +
+             block.items.map(function(item) {
+               return '<td style="padding: 12px; border: 1px solid #e0e0e0; border-radius: 6px; text-align: center;">' +
+                      '<div style="font-size: 12px; color: ' + escapeHtml(theme.MUTED_COLOR) + ';">' + escapeHtml(item.label) + '</div>' +
+                      '<div style="font-size: 22px; font-weight: bold; margin: 4px 0;">' + escapeHtml(item.value) + '</div>' +
+                      (item.delta ? renderDeltaBadge(item.delta, theme) : '') + '</td>';
+             }).join('') + '</tr></table>';
+    },
+    text: function(block) {
+      return block.items.map(function(item) {
+        return item.label + ': ' + item.value + (item.delta ? ' ' + item.delta.text : '');
+      }).join('\n');
+    }
+  },
+  table: {
+    html: function(block, theme) {
+      var cellStyle = function(column, extra) {
+        return 'padding: 8px; border: 1px solid #dddddd; text-align: ' + (column.align || 'left') + ';' + (extra || '');
+      };
+      var renderRow = function(row) {
+        return row.map(function(cell, index) {
+          return '<td style="' + cellStyle(block.columns[index]) + '">' + renderEmailCell(cell, theme) + '</td>';
+        }).join('');
+      };
+      var html = '<table style="width: 100%; border-collapse: collapse; font-size: 14px; margin-top: 10px;"><tr>' +
+                 block.columns.map(function(column, index) {
+                   return '<th style="' + cellStyle(column, ' background-color: #f2f2f2;') + '">' + escapeHtml(column.header) + (index === block.sortedBy ? ' &#9660;' : '') + '</th>';
+                 }).join('') + '</tr>';
+      block.rows.forEach(function(row, rowIndex) {
+        html += '<tr' + (rowIndex % 2 === 1 ? ' style="background-color: #f9f9f9;"' : '') + '>' + renderRow(row) + '</tr>';
+      });
+      if (block.totals) {
+        html += '<tr style="font-weight: bold; background-color: #e6e6e6;">' + renderRow(block.totals) + '</tr>';
+      }
+      return html + '</table>';
+    },
+    text: function(block) {
+      var lines = [block.columns.map(function(column) { return column.header; })]
+        .concat(block.rows.map(function(row) { return row.map(getEmailCellText); }))
+        .concat(block.totals ? [block.totals.map(getEmailCellText)] : []);
+      var widths = block.columns.map(function(column, index) {
+        return Math.min(40, Math.max.apply(null, lines.map(function(line) { return String(line[index]).length; })));
+      });
+      return lines.map(function(line) {
+        return line.map(function(value, index) {
+          return index < line.length - 1 ? String(value).padEnd(widths[index] + 2) : String(value);
+        }).join('').trimEnd();
+      }).join('\n');
+    }
+  },
+  button: {
+    html: function(block, theme) {
+      return '<p style="margin: 25px 0; text-align: center;"><a href="' + escapeHtml(block.url) + '" style="background-color: ' + escapeHtml(theme.PRIMARY_COLOR) +
+             '; color: #ffffff; padding: 12px 25px; text-decoration: none; border-radius: 5px; display: inline-block; font-size: 16px;">' + escapeHtml(block.label) + '</a></p>';
+    },
+    text: function(block) {
+      return block.label + ': ' + block.url;
+    }
+  }
+};
+
+function renderEmail(email) {
+  var theme = EMAIL_THEME;
+  var html = ['<div style="font-family: Arial, sans-serif; max-width: 680px; margin: 0 auto; color: ' + escapeHtml(theme.TEXT_COLOR) + ';">'];
+  var text = [email.title, new Array(email.title.length + 1).join('=')];
+  
+  if (theme.LOGO_URL) {
+    html.push('<img src="' + escapeHtml(theme.LOGO_URL) + '" alt="' + escapeHtml(theme.BRAND_NAME) + '" style="max-height: 48px; margin-bottom: 10px;">');
+  }
+  html.push('<h2 style="color: ' + escapeHtml(theme.PRIMARY_COLOR) + ';">' + escapeHtml(email.title) + '</h2>');
+  
+  email.blocks.forEach(function(block) {
+    var renderer = EMAIL_BLOCKS[block.type];
+    if (!renderer) throw new Error('Unknown email block type \'' + block.type + '\'. Use: ' + Object.keys(EMAIL_BLOCKS).join(', '));
+    html.push(renderer.html(block, theme));
+    text.push('', renderer.text(block));
+  });
+  
+  var footer = [email.footer, theme.FOOTER_TEXT].filter(function(line) { return line; });
+  if (footer.length > 0) {
+    html.push('<hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">');
+    footer.forEach(function(line) {
+      html.push('<p style="color: ' + escapeHtml(theme.MUTED_COLOR) + '; font-size: 12px;">' + escapeHtml(line) + '</p>');
+    });
+    text.push('', footer.join('\n'));
+  }
+  html.push('</div>');
+  
+  return { htmlBody: html.join('\n'), body: text.join('\n') };
+}
+
+function renderEmailCell(cell, theme) {
+  if (cell === null || typeof cell !== 'object') return escapeHtml(cell);
+  var html = escapeHtml(cell.text);
+  if (cell.url) html = '<a href="' + escapeHtml(cell.url) + '" style="color: ' + escapeHtml(theme.PRIMARY_COLOR) + ';">' + html + '</a>';
+  if (cell.tone) html = '<span style="color: ' + escapeHtml(getToneColor(cell.tone, theme)) + '; font-weight: bold;">' + html + '</span>';
+  if (cell.note) html += ' <span style="color: ' + escapeHtml(theme.MUTED_COLOR) + '; font-size: 12px;">' + escapeHtml(cell.note) + '</span>';
+  if (cell.delta) html += (html ? ' ' : '') + renderDeltaBadge(cell.delta, theme);
+  return html;
+}
+
+function getEmailCellText(cell) {
+  if (cell === null || typeof cell !== 'object') return cell === undefined || cell === null ? '' : String(cell);
+  return [cell.text, cell.note ? '(' + cell.note + ')' : '', cell.delta ? cell.delta.text : '']
+    .filter(function(part) { return part !== undefined && part !== ''; }).join(' ');
+}
+
+function renderDeltaBadge(delta, theme) {
+  return '<span style="display: inline-block; padding: 2px 8px; border-radius: 10px; background-color: ' + escapeHtml(getToneColor(delta.tone, theme)) +
+         '; color: #ffffff; font-size: 12px; font-weight: bold;">' + escapeHtml(delta.text) + '</span>';
+}
+
+function getToneColor(tone, theme) {
+  var colors = { good: theme.GOOD_COLOR, bad: theme.BAD_COLOR, warning: theme.WARNING_COLOR, new: theme.PRIMARY_COLOR };
+  return colors[tone] || theme.MUTED_COLOR;
+}
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
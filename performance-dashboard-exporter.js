@@ -1,641 +1,3423 @@
-/**
- * Google Ads Script - Export Performance Metrics to Google Sheets
- * This script exports account, campaign, ad group, search query, country, and landing page performance data to a Google Sheet.
- *
- * Features:
- * - Includes tabs for Account Daily, Top Campaigns, Ad Groups, Search Queries, Countries, and Landing Pages.
- * - Configurable date ranges.
- * - Summary rows with totals and calculated metrics.
- * - Optional email notifications with a detailed period-over-period performance summary.
- *
- * Setup Instructions:
- * 1. Replace 'YOUR_SPREADSHEET_URL_HERE' with your Google Sheet URL.
- * 2. Adjust the DATE_RANGE if needed (default is 'LAST_30_DAYS').
- * 3. (Optional) Set SEND_EMAIL_ON_COMPLETE to true and update EMAIL_RECIPIENTS.
- * 4. Schedule the script to run as needed (e.g., daily, weekly).
- */
-
-// ==================== CONFIGURATION ====================
-const CONFIG = {
-  // Replace with your Google Sheet URL
-  SPREADSHEET_URL: 'YOUR_GOOGLE_SHEET_URL_HERE',
-  
-  // Date Range Options: TODAY, YESTERDAY, LAST_7_DAYS, LAST_14_DAYS, LAST_30_DAYS, THIS_MONTH, LAST_MONTH
-  DATE_RANGE: 'LAST_30_DAYS',
-  
-  // Sheet names
-  SHEET_NAMES: {
-    ACCOUNT_DAILY: 'Account Daily',
-    TOP_CAMPAIGNS: 'Top Campaigns',
-    TOP_AD_GROUPS: 'Top Ad Groups',
-    TOP_SEARCH_QUERIES: 'Top Search Queries',
-    TOP_LANDING_PAGES: 'Top Landing Pages',
-    TOP_COUNTRIES: 'Top Countries'
-  },
-  
-  // Notification settings
-  SEND_EMAIL_ON_COMPLETE: true,
-  EMAIL_RECIPIENTS: 'your-email@example.com' // Comma-separated for multiple recipients
-};
-
-// ==================== MAIN FUNCTION ====================
-function main() {
-  try {
-    const spreadsheet = getOrCreateSpreadsheet();
-    const summaryData = {};
-    
-    // --- Gather all data for the email summary ---
-    const dateRange = getPriorPeriodDateRange();
-    summaryData.priorTotalCost = getPriorPeriodCost(dateRange);
-    summaryData.priorCampaignCount = getPriorPeriodEntityCount('campaign', 'campaign.resource_name', dateRange);
-    summaryData.priorAdGroupCount = getPriorPeriodEntityCount('ad_group', 'ad_group.resource_name', dateRange);
-    summaryData.priorSearchQueryCount = getPriorPeriodEntityCount('search_term_view', 'search_term_view.search_term', dateRange);
-    summaryData.priorLandingPageCount = getPriorPeriodEntityCount('landing_page_view', 'landing_page_view.unexpanded_final_url', dateRange); // <-- Corrected Field
-    summaryData.priorCountryCount = getPriorPeriodCountryCount(dateRange);
-
-    clearSheets(spreadsheet);
-    
-    // Get current period metrics
-    exportAccountDailyData(spreadsheet, summaryData);
-    exportTopCampaignsData(spreadsheet, summaryData);
-    exportTopAdGroupsData(spreadsheet, summaryData);
-    exportTopSearchQueriesData(spreadsheet, summaryData);
-    exportTopLandingPagesData(spreadsheet, summaryData);
-    exportTopCountriesData(spreadsheet, summaryData);
-    
-    if (CONFIG.SEND_EMAIL_ON_COMPLETE) {
-      sendCompletionEmail(spreadsheet.getUrl(), summaryData);
-    }
-    
-    Logger.log('Export completed successfully!');
-    
-  } catch (error) {
-    Logger.log('Error in main function: ' + error.toString());
-    throw error;
-  }
-}
-
-// ==================== PRIOR PERIOD HELPER FUNCTIONS ====================
-// Functions for getPriorPeriodDateRange, getPriorPeriodCost, getPriorPeriodEntityCount,
-// and getPriorPeriodCountryCount remain here. They are correct and unchanged from the previous version.
-// For brevity, these functions are omitted but are assumed to be present.
-function getPriorPeriodDateRange() {
-    const timeZone = AdsApp.currentAccount().getTimeZone();
-    const today = new Date();
-    const mainPeriod_startDate = new Date();
-    mainPeriod_startDate.setDate(today.getDate() - 30);
-    const priorPeriod_endDate = new Date();
-    priorPeriod_endDate.setTime(mainPeriod_startDate.getTime());
-    priorPeriod_endDate.setDate(mainPeriod_startDate.getDate() - 1);
-    const priorPeriod_startDate = new Date();
-    priorPeriod_startDate.setTime(priorPeriod_endDate.getTime());
-    priorPeriod_startDate.setDate(priorPeriod_endDate.getDate() - 29);
-    return {
-        startDate: Utilities.formatDate(priorPeriod_startDate, timeZone, 'yyyy-MM-dd').replace(/-/g, ''),
-        endDate: Utilities.formatDate(priorPeriod_endDate, timeZone, 'yyyy-MM-dd').replace(/-/g, '')
-    };
-}
-
-function getPriorPeriodCost(dateRange) {
-    const query = `SELECT metrics.cost_micros FROM customer WHERE segments.date BETWEEN '${dateRange.startDate}' AND '${dateRange.endDate}'`;
-    try {
-        const report = AdsApp.report(query);
-        const rows = report.rows();
-        if (rows.hasNext()) {
-            return (rows.next()['metrics.cost_micros'] || 0) / 1000000;
-        }
-    } catch(e) { Logger.log(`Could not retrieve prior period cost. Error: ${e}`); }
-    return 0;
-}
-
-function getPriorPeriodEntityCount(view, selectField, dateRange) {
-    const query = `SELECT ${selectField} FROM ${view} WHERE segments.date BETWEEN '${dateRange.startDate}' AND '${dateRange.endDate}' AND metrics.cost_micros > 0`;
-    try {
-        const report = AdsApp.report(query);
-        const iterator = report.rows();
-        let count = 0;
-        while(iterator.hasNext()) {
-            iterator.next();
-            count++;
-        }
-        return count;
-    } catch (e) {
-        Logger.log(`Could not retrieve prior count for ${view}. Error: ${e}`);
-    }
-    return 0;
-}
-
-function getPriorPeriodCountryCount(dateRange) {
-    const query = `SELECT geographic_view.country_criterion_id FROM geographic_view WHERE segments.date BETWEEN '${dateRange.startDate}' AND '${dateRange.endDate}' AND metrics.cost_micros > 0 AND geographic_view.location_type = 'LOCATION_OF_PRESENCE'`;
-    try {
-        const report = AdsApp.report(query);
-        const countries = new Set();
-        for (const row of report.rows()) {
-            countries.add(row['geographic_view.country_criterion_id']);
-        }
-        return countries.size;
-    } catch (e) { Logger.log(`Could not retrieve prior country count. Error: ${e}`); }
-    return 0;
-}
-
-
-// ==================== SPREADSHEET FUNCTIONS ====================
-// These functions are unchanged.
-function getOrCreateSpreadsheet() {
-  let spreadsheet;
-  try {
-    spreadsheet = SpreadsheetApp.openByUrl(CONFIG.SPREADSHEET_URL);
-  } catch (e) {
-    throw new Error('Unable to open spreadsheet. Please check the URL in CONFIG.SPREADSHEET_URL');
-  }
-  Object.values(CONFIG.SHEET_NAMES).forEach(name => ensureSheetExists(spreadsheet, name));
-  return spreadsheet;
-}
-
-function ensureSheetExists(spreadsheet, sheetName) {
-  if (!spreadsheet.getSheetByName(sheetName)) {
-    spreadsheet.insertSheet(sheetName);
-  }
-}
-
-function clearSheets(spreadsheet) {
-  Object.values(CONFIG.SHEET_NAMES).forEach(sheetName => {
-    const sheet = spreadsheet.getSheetByName(sheetName);
-    if (sheet) sheet.clear();
-  });
-}
-
-// ==================== DATA EXPORT FUNCTIONS ====================
-// The existing export functions are unchanged.
-// For brevity, these functions are omitted but are assumed to be present.
-function exportAccountDailyData(spreadsheet, summaryData) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEET_NAMES.ACCOUNT_DAILY);
-  const headers = ['Date', 'Clicks', 'Impr.', 'CTR', 'Avg. CPC', 'Cost', 'Total Conv. Value', 'Conv. Value / Cost', 'Conv.', 'Cost / Conv.', 'Conv. Rate', 'All Conv.'];
-  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
-  
-  const query = `SELECT segments.date, metrics.clicks, metrics.impressions, metrics.ctr, metrics.average_cpc, metrics.cost_micros, metrics.conversions_value, metrics.conversions, metrics.conversions_from_interactions_rate, metrics.all_conversions FROM customer WHERE segments.date DURING ${CONFIG.DATE_RANGE} ORDER BY segments.date DESC`;
-  
-  const report = AdsApp.report(query);
-  const rows = [];
-  let totalCost = 0;
-  
-  const iterator = report.rows();
-  while (iterator.hasNext()) {
-    const row = iterator.next();
-    const cost = (row['metrics.cost_micros'] || 0) / 1000000;
-    totalCost += cost;
-    const convValue = row['metrics.conversions_value'] || 0;
-    const conversions = row['metrics.conversions'] || 0;
-    const roas = cost > 0 ? convValue / cost : 0;
-    const costPerConv = conversions > 0 ? cost / conversions : 0;
-    
-    rows.push([row['segments.date'], row['metrics.clicks'], row['metrics.impressions'], row['metrics.ctr'], row['metrics.clicks'] > 0 ? (row['metrics.average_cpc'] || 0) / 1000000 : 0, cost, convValue, roas, conversions, costPerConv, row['metrics.conversions_from_interactions_rate'], row['metrics.all_conversions']]);
-  }
-  
-  summaryData.totalCost = totalCost;
-  
-  if (rows.length > 0) {
-    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
-    const summaryRow = rows.length + 2;
-    sheet.getRange(summaryRow, 1).setValue('Total');
-    sheet.getRange(summaryRow, 2).setFormula(`=SUM(B2:B${rows.length + 1})`);
-    sheet.getRange(summaryRow, 3).setFormula(`=SUM(C2:C${rows.length + 1})`);
-    sheet.getRange(summaryRow, 4).setFormula(`=IFERROR(B${summaryRow}/C${summaryRow}, 0)`);
-    sheet.getRange(summaryRow, 5).setFormula(`=IFERROR(F${summaryRow}/B${summaryRow}, 0)`);
-    sheet.getRange(summaryRow, 6).setFormula(`=SUM(F2:F${rows.length + 1})`);
-    sheet.getRange(summaryRow, 7).setFormula(`=SUM(G2:G${rows.length + 1})`);
-    sheet.getRange(summaryRow, 8).setFormula(`=IFERROR(G${summaryRow}/F${summaryRow}, 0)`);
-    sheet.getRange(summaryRow, 9).setFormula(`=SUM(I2:I${rows.length + 1})`);
-    sheet.getRange(summaryRow, 10).setFormula(`=IFERROR(F${summaryRow}/I${summaryRow}, 0)`);
-    sheet.getRange(summaryRow, 11).setFormula(`=IFERROR(I${summaryRow}/B${summaryRow}, 0)`);
-    sheet.getRange(summaryRow, 12).setFormula(`=SUM(L2:L${rows.length + 1})`);
-    sheet.getRange(summaryRow, 1, 1, headers.length).setFontWeight('bold').setBackground('#e8e8e8');
-  }
-  formatSheet(sheet, headers.length, rows.length + 2);
-}
-
-function exportTopCampaignsData(spreadsheet, summaryData) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEET_NAMES.TOP_CAMPAIGNS);
-  const headers = ['Campaign', 'Clicks', 'Impr.', 'CTR', 'Avg. CPC', 'Cost', 'Total Conv. Value', 'Conv. Value / Cost', 'Conv.', 'Cost / Conv.', 'Conv. Rate', 'All Conv.'];
-  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
-  
-  const query = `SELECT campaign.name, metrics.clicks, metrics.impressions, metrics.ctr, metrics.average_cpc, metrics.cost_micros, metrics.conversions_value, metrics.conversions, metrics.conversions_from_interactions_rate, metrics.all_conversions FROM campaign WHERE segments.date DURING ${CONFIG.DATE_RANGE} AND campaign.status != 'REMOVED' AND metrics.cost_micros > 0 ORDER BY metrics.cost_micros DESC`;
-  const report = AdsApp.report(query);
-  const rows = [];
-  const iterator = report.rows();
-  while (iterator.hasNext()) {
-    const row = iterator.next();
-    const cost = (row['metrics.cost_micros'] || 0) / 1000000;
-    const convValue = row['metrics.conversions_value'] || 0;
-    const conversions = row['metrics.conversions'] || 0;
-    const roas = cost > 0 ? convValue / cost : 0;
-    const costPerConv = conversions > 0 ? cost / conversions : 0;
-    rows.push([row['campaign.name'], row['metrics.clicks'], row['metrics.impressions'], row['metrics.ctr'], row['metrics.clicks'] > 0 ? (row['metrics.average_cpc'] || 0) / 1000000 : 0, cost, convValue, roas, conversions, costPerConv, row['metrics.conversions_from_interactions_rate'], row['metrics.all_conversions']]);
-  }
-  
-  summaryData.campaignCount = rows.length;
-
-  if (rows.length > 0) {
-    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
-    const summaryRow = rows.length + 2;
-    sheet.getRange(summaryRow, 1).setValue('Total');
-    sheet.getRange(summaryRow, 2).setFormula(`=SUM(B2:B${rows.length + 1})`);
-    sheet.getRange(summaryRow, 3).setFormula(`=SUM(C2:C${rows.length + 1})`);
-    sheet.getRange(summaryRow, 4).setFormula(`=IFERROR(B${summaryRow}/C${summaryRow}, 0)`);
-    sheet.getRange(summaryRow, 5).setFormula(`=IFERROR(F${summaryRow}/B${summaryRow}, 0)`);
-    sheet.getRange(summaryRow, 6).setFormula(`=SUM(F2:F${rows.length + 1})`);
-    sheet.getRange(summaryRow, 7).setFormula(`=SUM(G2:G${rows.length + 1})`);
-    sheet.getRange(summaryRow, 8).setFormula(`=IFERROR(G${summaryRow}/F${summaryRow}, 0)`);
-    sheet.getRange(summaryRow, 9).setFormula(`=SUM(I2:I${rows.length + 1})`);
-    sheet.getRange(summaryRow, 10).setFormula(`=IFERROR(F${summaryRow}/I${summaryRow}, 0)`);
-    sheet.getRange(summaryRow, 11).setFormula(`=IFERROR(I${summaryRow}/B${summaryRow}, 0)`);
-    sheet.getRange(summaryRow, 12).setFormula(`=SUM(L2:L${rows.length + 1})`);
-    sheet.getRange(summaryRow, 1, 1, headers.length).setFontWeight('bold').setBackground('#e8e8e8');
-  }
-  formatSheet(sheet, headers.length, rows.length + 2);
-}
-
-function exportTopAdGroupsData(spreadsheet, summaryData) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEET_NAMES.TOP_AD_GROUPS);
-  const headers = ['Campaign', 'Ad Group', 'Clicks', 'Impr.', 'CTR', 'Avg. CPC', 'Cost', 'Total Conv. Value', 'Conv. Value / Cost', 'Conv.', 'Cost / Conv.', 'Conv. Rate', 'All Conv.'];
-  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
-
-  const query = `SELECT campaign.name, ad_group.name, metrics.clicks, metrics.impressions, metrics.ctr, metrics.average_cpc, metrics.cost_micros, metrics.conversions_value, metrics.conversions, metrics.conversions_from_interactions_rate, metrics.all_conversions FROM ad_group WHERE segments.date DURING ${CONFIG.DATE_RANGE} AND ad_group.status != 'REMOVED' AND metrics.cost_micros > 0 ORDER BY metrics.cost_micros DESC`;
-  const report = AdsApp.report(query);
-  const rows = [];
-  const iterator = report.rows();
-  while (iterator.hasNext()) {
-    const row = iterator.next();
-    const cost = (row['metrics.cost_micros'] || 0) / 1000000;
-    const convValue = row['metrics.conversions_value'] || 0;
-    const conversions = row['metrics.conversions'] || 0;
-    const roas = cost > 0 ? convValue / cost : 0;
-    const costPerConv = conversions > 0 ? cost / conversions : 0;
-    rows.push([row['campaign.name'], row['ad_group.name'], row['metrics.clicks'], row['metrics.impressions'], row['metrics.ctr'], row['metrics.clicks'] > 0 ? (row['metrics.average_cpc'] || 0) / 1000000 : 0, cost, convValue, roas, conversions, costPerConv, row['metrics.conversions_from_interactions_rate'], row['metrics.all_conversions']]);
-  }
-
-  summaryData.adGroupCount = rows.length;
-
-  if (rows.length > 0) {
-    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
-    const summaryRow = rows.length + 2;
-    sheet.getRange(summaryRow, 1).setValue('Total');
-    sheet.getRange(summaryRow, 3).setFormula(`=SUM(C2:C${rows.length + 1})`);
-    sheet.getRange(summaryRow, 4).setFormula(`=SUM(D2:D${rows.length + 1})`);
-    sheet.getRange(summaryRow, 5).setFormula(`=IFERROR(C${summaryRow}/D${summaryRow}, 0)`);
-    sheet.getRange(summaryRow, 6).setFormula(`=IFERROR(G${summaryRow}/C${summaryRow}, 0)`);
-    sheet.getRange(summaryRow, 7).setFormula(`=SUM(G2:G${rows.length + 1})`);
-    sheet.getRange(summaryRow, 8).setFormula(`=SUM(H2:H${rows.length + 1})`);
-    sheet.getRange(summaryRow, 9).setFormula(`=IFERROR(H${summaryRow}/G${summaryRow}, 0)`);
-    sheet.getRange(summaryRow, 10).setFormula(`=SUM(J2:J${rows.length + 1})`);
-    sheet.getRange(summaryRow, 11).setFormula(`=IFERROR(G${summaryRow}/J${summaryRow}, 0)`);
-    sheet.getRange(summaryRow, 12).setFormula(`=IFERROR(J${summaryRow}/C${summaryRow}, 0)`);
-    sheet.getRange(summaryRow, 13).setFormula(`=SUM(M2:M${rows.length + 1})`);
-    sheet.getRange(summaryRow, 1, 1, headers.length).setFontWeight('bold').setBackground('#e8e8e8');
-  }
-  formatSheet(sheet, headers.length, rows.length + 2);
-}
-
-function exportTopSearchQueriesData(spreadsheet, summaryData) {
-    const sheet = spreadsheet.getSheetByName(CONFIG.SHEET_NAMES.TOP_SEARCH_QUERIES);
-    const headers = ['Search Query', 'Campaign', 'Ad Group', 'Clicks', 'Impr.', 'CTR', 'Avg. CPC', 'Cost', 'Total Conv. Value', 'Conv. Value / Cost', 'Conv.', 'Cost / Conv.', 'Conv. Rate', 'All Conv.'];
-    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
-    
-    const query = `SELECT search_term_view.search_term, campaign.name, ad_group.name, metrics.clicks, metrics.impressions, metrics.ctr, metrics.average_cpc, metrics.cost_micros, metrics.conversions_value, metrics.conversions, metrics.conversions_from_interactions_rate, metrics.all_conversions FROM search_term_view WHERE segments.date DURING ${CONFIG.DATE_RANGE} AND ad_group.status != 'REMOVED' AND metrics.cost_micros > 0 ORDER BY metrics.cost_micros DESC`;
-    const report = AdsApp.report(query);
-    const rows = [];
-    const iterator = report.rows();
-    while (iterator.hasNext()) {
-        const row = iterator.next();
-        const cost = (row['metrics.cost_micros'] || 0) / 1000000;
-        const convValue = row['metrics.conversions_value'] || 0;
-        const conversions = row['metrics.conversions'] || 0;
-        const roas = cost > 0 ? convValue / cost : 0;
-        const costPerConv = conversions > 0 ? cost / conversions : 0;
-        rows.push([row['search_term_view.search_term'], row['campaign.name'], row['ad_group.name'], row['metrics.clicks'], row['metrics.impressions'], row['metrics.ctr'], row['metrics.clicks'] > 0 ? (row['metrics.average_cpc'] || 0) / 1000000 : 0, cost, convValue, roas, conversions, costPerConv, row['metrics.conversions_from_interactions_rate'], row['metrics.all_conversions']]);
-    }
-
-    summaryData.searchQueryCount = rows.length;
-
-    if (rows.length > 0) {
-        sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
-        const summaryRow = rows.length + 2;
-        sheet.getRange(summaryRow, 1).setValue('Total');
-        sheet.getRange(summaryRow, 4).setFormula(`=SUM(D2:D${rows.length + 1})`);
-        sheet.getRange(summaryRow, 5).setFormula(`=SUM(E2:E${rows.length + 1})`);
-        sheet.getRange(summaryRow, 6).setFormula(`=IFERROR(D${summaryRow}/E${summaryRow}, 0)`);
-        sheet.getRange(summaryRow, 7).setFormula(`=IFERROR(H${summaryRow}/D${summaryRow}, 0)`);
-        sheet.getRange(summaryRow, 8).setFormula(`=SUM(H2:H${rows.length + 1})`);
-        sheet.getRange(summaryRow, 9).setFormula(`=SUM(I2:I${rows.length + 1})`);
-        sheet.getRange(summaryRow, 10).setFormula(`=IFERROR(I${summaryRow}/H${summaryRow}, 0)`);
-        sheet.getRange(summaryRow, 11).setFormula(`=SUM(K2:K${rows.length + 1})`);
-        sheet.getRange(summaryRow, 12).setFormula(`=IFERROR(H${summaryRow}/K${summaryRow}, 0)`);
-        sheet.getRange(summaryRow, 13).setFormula(`=IFERROR(K${summaryRow}/D${summaryRow}, 0)`);
-        sheet.getRange(summaryRow, 14).setFormula(`=SUM(N2:N${rows.length + 1})`);
-        sheet.getRange(summaryRow, 1, 1, headers.length).setFontWeight('bold').setBackground('#e8e8e8');
-    }
-    formatSheet(sheet, headers.length, rows.length + 2);
-}
-
-// ==================== CORRECTED LANDING PAGE FUNCTION ====================
-function exportTopLandingPagesData(spreadsheet, summaryData) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEET_NAMES.TOP_LANDING_PAGES);
-  const headers = ['Landing Page', 'Clicks', 'Impr.', 'CTR', 'Avg. CPC', 'Cost', 'Total Conv. Value', 'Conv. Value / Cost', 'Conv.', 'Cost / Conv.', 'Conv. Rate', 'All Conv.'];
-  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
-  
-  const rows = [];
-  summaryData.landingPageCount = 0;
-
-  try {
-    const query = `SELECT landing_page_view.unexpanded_final_url, metrics.clicks, metrics.impressions, metrics.ctr, metrics.average_cpc, metrics.cost_micros, metrics.conversions_value, metrics.conversions, metrics.conversions_from_interactions_rate, metrics.all_conversions FROM landing_page_view WHERE segments.date DURING ${CONFIG.DATE_RANGE} AND metrics.cost_micros > 0 ORDER BY metrics.cost_micros DESC`;
-    const report = AdsApp.report(query);
-    const iterator = report.rows();
-    while (iterator.hasNext()) {
-      const row = iterator.next();
-      const cost = (row['metrics.cost_micros'] || 0) / 1000000;
-      const convValue = row['metrics.conversions_value'] || 0;
-      const conversions = row['metrics.conversions'] || 0;
-      const roas = cost > 0 ? convValue / cost : 0;
-      const costPerConv = conversions > 0 ? cost / conversions : 0;
-      rows.push([row['landing_page_view.unexpanded_final_url'], row['metrics.clicks'], row['metrics.impressions'], row['metrics.ctr'], row['metrics.clicks'] > 0 ? (row['metrics.average_cpc'] || 0) / 1000000 : 0, cost, convValue, roas, conversions, costPerConv, row['metrics.conversions_from_interactions_rate'], row['metrics.all_conversions']]);
-    }
-
-    summaryData.landingPageCount = rows.length;
-
-    if (rows.length > 0) {
-      sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
-      const summaryRow = rows.length + 2;
-      sheet.getRange(summaryRow, 1).setValue('Total');
-      sheet.getRange(summaryRow, 2).setFormula(`=SUM(B2:B${rows.length + 1})`);
-      sheet.getRange(summaryRow, 3).setFormula(`=SUM(C2:C${rows.length + 1})`);
-      sheet.getRange(summaryRow, 4).setFormula(`=IFERROR(B${summaryRow}/C${summaryRow}, 0)`);
-      sheet.getRange(summaryRow, 5).setFormula(`=IFERROR(F${summaryRow}/B${summaryRow}, 0)`);
-      sheet.getRange(summaryRow, 6).setFormula(`=SUM(F2:F${rows.length + 1})`);
-      sheet.getRange(summaryRow, 7).setFormula(`=SUM(G2:G${rows.length + 1})`);
-      sheet.getRange(summaryRow, 8).setFormula(`=IFERROR(G${summaryRow}/F${summaryRow}, 0)`);
-      sheet.getRange(summaryRow, 9).setFormula(`=SUM(I2:I${rows.length + 1})`);
-      sheet.getRange(summaryRow, 10).setFormula(`=IFERROR(F${summaryRow}/I${summaryRow}, 0)`);
-      sheet.getRange(summaryRow, 11).setFormula(`=IFERROR(I${summaryRow}/B${summaryRow}, 0)`);
-      sheet.getRange(summaryRow, 12).setFormula(`=SUM(L2:L${rows.length + 1})`);
-      sheet.getRange(summaryRow, 1, 1, headers.length).setFontWeight('bold').setBackground('#e8e8e8');
-    } else {
-        sheet.getRange(2, 1).setValue('No landing page data with spend found for the selected date range.');
-    }
-  } catch (e) {
-      Logger.log(`Could not retrieve landing page data. This can happen if the account uses shared budgets or only has campaign types incompatible with this report. Error: ${e}`);
-      sheet.getRange(2, 1).setValue(`Could not retrieve landing page data. See script logs for details.`);
-  }
-  
-  formatSheet(sheet, headers.length, Math.max(2, rows.length + 2));
-}
-
-function exportTopCountriesData(spreadsheet, summaryData) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEET_NAMES.TOP_COUNTRIES);
-  const headers = ['Country', 'Clicks', 'Impr.', 'CTR', 'Avg. CPC', 'Cost', 'Total Conv. Value', 'Conv. Value / Cost', 'Conv.', 'Cost / Conv.', 'Conv. Rate', 'All Conv.'];
-  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
-  
-  const rows = [];
-  try {
-    const countryNames = getCountryNames();
-    const query = `SELECT geographic_view.country_criterion_id, metrics.clicks, metrics.impressions, metrics.cost_micros, metrics.conversions_value, metrics.conversions, metrics.all_conversions FROM geographic_view WHERE segments.date DURING ${CONFIG.DATE_RANGE} AND geographic_view.location_type = 'LOCATION_OF_PRESENCE' AND metrics.cost_micros > 0`;
-    const report = AdsApp.report(query);
-    const countryData = {};
-    const iterator = report.rows();
-    while (iterator.hasNext()) {
-      const row = iterator.next();
-      const countryCriterionId = row['geographic_view.country_criterion_id'];
-      const countryName = countryNames[countryCriterionId] || `Unknown (${countryCriterionId})`;
-      if (!countryData[countryName]) {
-        countryData[countryName] = { clicks: 0, impressions: 0, cost: 0, convValue: 0, conversions: 0, allConversions: 0 };
-      }
-      countryData[countryName].clicks += parseInt(row['metrics.clicks']) || 0;
-      countryData[countryName].impressions += parseInt(row['metrics.impressions']) || 0;
-      countryData[countryName].cost += (parseFloat(row['metrics.cost_micros']) || 0) / 1000000;
-      countryData[countryName].convValue += parseFloat(row['metrics.conversions_value']) || 0;
-      countryData[countryName].conversions += parseFloat(row['metrics.conversions']) || 0;
-      countryData[countryName].allConversions += parseFloat(row['metrics.all_conversions']) || 0;
-    }
-    
-    for (const country in countryData) {
-      const data = countryData[country];
-      const ctr = data.impressions > 0 ? data.clicks / data.impressions : 0;
-      const avgCpc = data.clicks > 0 ? data.cost / data.clicks : 0;
-      const roas = data.cost > 0 ? data.convValue / data.cost : 0;
-      const convRate = data.clicks > 0 ? data.conversions / data.clicks : 0;
-      const costPerConv = data.conversions > 0 ? data.cost / data.conversions : 0;
-      rows.push([country, data.clicks, data.impressions, ctr, avgCpc, data.cost, data.convValue, roas, data.conversions, costPerConv, convRate, data.allConversions]);
-    }
-    rows.sort((a, b) => b[5] - a[5]);
-
-    summaryData.countryCount = rows.length;
-
-    if (rows.length > 0) {
-      sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
-      const summaryRow = rows.length + 2;
-      sheet.getRange(summaryRow, 1).setValue('Total');
-      sheet.getRange(summaryRow, 2).setFormula(`=SUM(B2:B${rows.length + 1})`);
-      sheet.getRange(summaryRow, 3).setFormula(`=SUM(C2:C${rows.length + 1})`);
-      sheet.getRange(summaryRow, 4).setFormula(`=IFERROR(B${summaryRow}/C${summaryRow}, 0)`);
-      sheet.getRange(summaryRow, 5).setFormula(`=IFERROR(F${summaryRow}/B${summaryRow}, 0)`);
-      sheet.getRange(summaryRow, 6).setFormula(`=SUM(F2:F${rows.length + 1})`);
-      sheet.getRange(summaryRow, 7).setFormula(`=SUM(G2:G${rows.length + 1})`);
-      sheet.getRange(summaryRow, 8).setFormula(`=IFERROR(G${summaryRow}/F${summaryRow}, 0)`);
-      sheet.getRange(summaryRow, 9).setFormula(`=SUM(I2:I${rows.length + 1})`);
-      sheet.getRange(summaryRow, 10).setFormula(`=IFERROR(F${summaryRow}/I${summaryRow}, 0)`);
-      sheet.getRange(summaryRow, 11).setFormula(`=IFERROR(I${summaryRow}/B${summaryRow}, 0)`);
-      sheet.getRange(summaryRow, 12).setFormula(`=SUM(L2:L${rows.length + 1})`);
-      sheet.getRange(summaryRow, 1, 1, headers.length).setFontWeight('bold').setBackground('#e8e8e8');
-    } else {
-      sheet.getRange(2, 1).setValue('No country-level data available for the selected date range.');
-    }
-  } catch (e) {
-    Logger.log('Error in exportTopCountriesData: ' + e.toString());
-  }
-  formatSheet(sheet, headers.length, Math.max(2, rows.length + 2));
-}
-
-// ==================== HELPER AND FORMATTING FUNCTIONS ====================
-// Functions for getCountryNames, sendCompletionEmail, and formatSheet are unchanged.
-// For brevity, they are omitted but are assumed to be present and correct.
-function getCountryNames() {
-  const query = `SELECT geo_target_constant.id, geo_target_constant.name FROM geo_target_constant WHERE geo_target_constant.target_type = 'Country'`;
-  const countryNames = {};
-  try {
-    const report = AdsApp.report(query);
-    const rows = report.rows();
-    while (rows.hasNext()) {
-      const row = rows.next();
-      countryNames[row['geo_target_constant.id']] = row['geo_target_constant.name'];
-    }
-  } catch (e) {
-    Logger.log('Error fetching country names: ' + e.toString());
-  }
-  return countryNames;
-}
-
-function sendCompletionEmail(spreadsheetUrl, summaryData) {
-  if (!CONFIG.EMAIL_RECIPIENTS || CONFIG.EMAIL_RECIPIENTS.trim() === '' || CONFIG.EMAIL_RECIPIENTS === 'your-email@example.com') {
-    Logger.log('Email notification is enabled but no valid recipient email address is configured.');
-    return;
-  }
-  
-  const accountName = AdsApp.currentAccount().getName();
-  const accountId = AdsApp.currentAccount().getCustomerId();
-  const timeZone = AdsApp.currentAccount().getTimeZone();
-  const currentTime = Utilities.formatDate(new Date(), timeZone, 'yyyy-MM-dd HH:mm:ss z');
-  const subject = `[${accountName}] Google Ads Performance Dashboard Updated`;
-
-  const formatCurrency = (num) => '$' + num.toFixed(2).replace(/(\d)(?=(\d{3})+(?!\d))/g, '$1,');
-  const getChangeHtml = (current, prior, isCurrency = false) => {
-      const change = current - prior;
-      const percent = prior > 0 ? (change / prior) : (current > 0 ? 1 : 0);
-      let color;
-
-      if (change === 0) {
-        color = '#333';
-      } else if (isCurrency) {
-        color = change > 0 ? '#c0392b' : '#27ae60'; 
-      } else {
-        color = change > 0 ? '#27ae60' : '#c0392b';
-      }
-
-      const arrow = change === 0 ? '' : (change > 0 ? '▲' : '▼');
-      if (prior === 0 && current > 0) {
-        return `<span style="color: #2980b9; font-weight: bold;">(New)</span>`;
-      }
-      const changeStr = isCurrency ? formatCurrency(Math.abs(change)) : Math.abs(change).toLocaleString();
-      return `<span style="color: ${color}; font-weight: bold;">${arrow} ${changeStr} (${(percent * 100).toFixed(1)}%)</span>`;
-  };
-
-  const costSummaryHtml = `
-      <tr><td style="padding: 8px 4px; border-bottom: 1px solid #eee;">Total Cost</td>
-          <td style="text-align: right; padding: 8px 4px; border-bottom: 1px solid #eee;">${formatCurrency(summaryData.totalCost || 0)}</td>
-          <td style="text-align: right; padding: 8px 4px; border-bottom: 1px solid #eee;">${formatCurrency(summaryData.priorTotalCost || 0)}</td>
-          <td style="text-align: right; padding: 8px 4px; border-bottom: 1px solid #eee;">${getChangeHtml(summaryData.totalCost || 0, summaryData.priorTotalCost || 0, true)}</td>
-      </tr>`;
-      
-  const buildEntityRowHtml = (label, current, prior) => `
-      <tr><td style="padding: 8px 4px; border-bottom: 1px solid #eee;">${label}</td>
-          <td style="text-align: right; padding: 8px 4px; border-bottom: 1px solid #eee;">${(current || 0).toLocaleString()}</td>
-          <td style="text-align: right; padding: 8px 4px; border-bottom: 1px solid #eee;">${(prior || 0).toLocaleString()}</td>
-          <td style="text-align: right; padding: 8px 4px; border-bottom: 1px solid #eee;">${getChangeHtml(current || 0, prior || 0)}</td>
-      </tr>`;
-      
-  const summaryHtml = `
-    <h3 style="color: #333; border-bottom: 1px solid #ccc; padding-bottom: 5px;">Performance Summary</h3>
-    <p style="font-size: 12px; color: #666;">${CONFIG.DATE_RANGE.replace(/_/g, ' ')} vs. Prior Period</p>
-    <table style="width: 100%; border-collapse: collapse; font-size: 14px; margin-top: 10px;">
-      <tr style="font-weight: bold; color: #555;">
-          <td style="text-align: left; padding: 8px 4px;">Metric</td>
-          <td style="text-align: right; padding: 8px 4px;">Current</td>
-          <td style="text-align: right; padding: 8px 4px;">Prior</td>
-          <td style="text-align: right; padding: 8px 4px;">Change</td>
-      </tr>
-      ${costSummaryHtml}
-      ${buildEntityRowHtml('Active Campaigns', summaryData.campaignCount, summaryData.priorCampaignCount)}
-      ${buildEntityRowHtml('Active Ad Groups', summaryData.adGroupCount, summaryData.priorAdGroupCount)}
-      ${buildEntityRowHtml('Active Search Queries', summaryData.searchQueryCount, summaryData.priorSearchQueryCount)}
-      ${buildEntityRowHtml('Active Landing Pages', summaryData.landingPageCount, summaryData.priorLandingPageCount)}
-      ${buildEntityRowHtml('Active Countries', summaryData.countryCount, summaryData.priorCountryCount)}
-    </table>`;
-  
-  const getChangePlainText = (current, prior, isCurrency = false) => {
-      if (prior === 0 && current > 0) return '(New)';
-      const change = current - prior;
-      if (change === 0) return '0 (0.0%)';
-      const percent = prior > 0 ? (change / prior) : 1;
-      const sign = change >= 0 ? '+' : '-';
-      const changeStr = isCurrency ? formatCurrency(Math.abs(change)) : Math.abs(change).toLocaleString();
-      return `${sign}${changeStr} (${(percent * 100).toFixed(1)}%)`;
-  };
-  const summaryPlainText = `
-Performance Summary (${CONFIG.DATE_RANGE.replace(/_/g, ' ')} vs. Prior Period)
-----------------------------------------------------------------
-Metric                  Current        Prior          Change
-----------------------------------------------------------------
-Total Cost              ${formatCurrency(summaryData.totalCost || 0).padEnd(14)} ${formatCurrency(summaryData.priorTotalCost || 0).padEnd(14)} ${getChangePlainText(summaryData.totalCost || 0, summaryData.priorTotalCost || 0, true)}
-Active Campaigns        ${((summaryData.campaignCount || 0).toLocaleString()).padEnd(14)} ${((summaryData.priorCampaignCount || 0).toLocaleString()).padEnd(14)} ${getChangePlainText(summaryData.campaignCount || 0, summaryData.priorCampaignCount || 0)}
-Active Ad Groups        ${((summaryData.adGroupCount || 0).toLocaleString()).padEnd(14)} ${((summaryData.priorAdGroupCount || 0).toLocaleString()).padEnd(14)} ${getChangePlainText(summaryData.adGroupCount || 0, summaryData.priorAdGroupCount || 0)}
-Active Search Queries   ${((summaryData.searchQueryCount || 0).toLocaleString()).padEnd(14)} ${((summaryData.priorSearchQueryCount || 0).toLocaleString()).padEnd(14)} ${getChangePlainText(summaryData.searchQueryCount || 0, summaryData.priorSearchQueryCount || 0)}
-Active Landing Pages    ${((summaryData.landingPageCount || 0).toLocaleString()).padEnd(14)} ${((summaryData.priorLandingPageCount || 0).toLocaleString()).padEnd(14)} ${getChangePlainText(summaryData.landingPageCount || 0, summaryData.priorLandingPageCount || 0)}
-Active Countries        ${((summaryData.countryCount || 0).toLocaleString()).padEnd(14)} ${((summaryData.priorCountryCount || 0).toLocaleString()).padEnd(14)} ${getChangePlainText(summaryData.countryCount || 0, summaryData.priorCountryCount || 0)}
-  `;
-
-  const htmlBody = `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #333;"> <h2 style="color: #4285f4;">Google Ads Performance Dashboard Updated</h2> <p>Your Google Ads Performance Dashboard for <strong>${accountName} (${accountId})</strong> has been updated successfully.</p> ${summaryHtml} <p style="margin: 25px 0; text-align: center;"> <a href="${spreadsheetUrl}" style="background-color: #4285f4; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px; display: inline-block; font-size: 16px;">View Full Dashboard</a> </p> <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;"> <p style="color: #666; font-size: 12px;">This report was generated automatically by Google Ads Scripts on ${currentTime}.</p> </div>`;
-  const plainTextBody = `Your Google Ads Performance Dashboard has been updated successfully.\n\nAccount: ${accountName} (${accountId})\n${summaryPlainText}\n\nView the full dashboard: ${spreadsheetUrl}\n\nThis report was generated automatically by Google Ads Scripts on ${currentTime}.`;
-  
-  try {
-    MailApp.sendEmail({ to: CONFIG.EMAIL_RECIPIENTS, subject: subject, body: plainTextBody, htmlBody: htmlBody });
-    Logger.log(`Completion email sent to ${CONFIG.EMAIL_RECIPIENTS}`);
-  } catch (e) {
-    Logger.log(`Failed to send email: ${e.toString()}`);
-  }
-}
-
-function formatSheet(sheet, numColumns, numRows) {
-  const sheetName = sheet.getName();
-  const headerRange = sheet.getRange(1, 1, 1, numColumns);
-  headerRange.setFontWeight('bold');
-  headerRange.setHorizontalAlignment(sheetName === CONFIG.SHEET_NAMES.ACCOUNT_DAILY ? 'right' : 'center');
-  headerRange.setBackground('#f3f3f3');
-  headerRange.setWrap(true);
-  
-  if (sheetName === CONFIG.SHEET_NAMES.ACCOUNT_DAILY) {
-    sheet.setColumnWidth(1, 100);
-    for (let i = 2; i <= numColumns; i++) sheet.setColumnWidth(i, 65);
-  } else if (sheetName === CONFIG.SHEET_NAMES.TOP_CAMPAIGNS || sheetName === CONFIG.SHEET_NAMES.TOP_COUNTRIES || sheetName === CONFIG.SHEET_NAMES.TOP_LANDING_PAGES) {
-    for (let i = 2; i <= numColumns; i++) sheet.setColumnWidth(i, 65);
-    sheet.autoResizeColumn(1);
-  } else if (sheetName === CONFIG.SHEET_NAMES.TOP_AD_GROUPS) {
-    for (let i = 3; i <= numColumns; i++) sheet.setColumnWidth(i, 65);
-    sheet.autoResizeColumn(1); sheet.autoResizeColumn(2);
-  } else if (sheetName === CONFIG.SHEET_NAMES.TOP_SEARCH_QUERIES) {
-    for (let i = 4; i <= numColumns; i++) sheet.setColumnWidth(i, 65);
-    sheet.autoResizeColumn(1); sheet.autoResizeColumn(2); sheet.autoResizeColumn(3);
-  }
-  
-  if (numRows > 1) {
-    const dataRows = numRows - 1;
-    const formatNoDecimals = '$#,##0';
-    const formatOneDecimal = '#,##0.0';
-
-    if (sheetName === CONFIG.SHEET_NAMES.ACCOUNT_DAILY || sheetName === CONFIG.SHEET_NAMES.TOP_CAMPAIGNS || sheetName === CONFIG.SHEET_NAMES.TOP_COUNTRIES || sheetName === CONFIG.SHEET_NAMES.TOP_LANDING_PAGES) {
-      sheet.getRange(2, 2, dataRows, 1).setNumberFormat('#,##0');
-      sheet.getRange(2, 3, dataRows, 1).setNumberFormat('#,##0');
-      sheet.getRange(2, 4, dataRows, 1).setNumberFormat('0.00%');
-      sheet.getRange(2, 5, dataRows, 1).setNumberFormat('$#,##0.00');
-      sheet.getRange(2, 6, dataRows, 1).setNumberFormat(formatNoDecimals);
-      sheet.getRange(2, 7, dataRows, 1).setNumberFormat(formatNoDecimals);
-      sheet.getRange(2, 8, dataRows, 1).setNumberFormat('0.00');
-      sheet.getRange(2, 9, dataRows, 1).setNumberFormat(formatOneDecimal);
-      sheet.getRange(2, 10, dataRows, 1).setNumberFormat(formatNoDecimals);
-      sheet.getRange(2, 11, dataRows, 1).setNumberFormat('0.00%');
-      sheet.getRange(2, 12, dataRows, 1).setNumberFormat(formatOneDecimal);
-    } else if (sheetName === CONFIG.SHEET_NAMES.TOP_AD_GROUPS) {
-      sheet.getRange(2, 3, dataRows, 1).setNumberFormat('#,##0');
-      sheet.getRange(2, 4, dataRows, 1).setNumberFormat('#,##0');
-      sheet.getRange(2, 5, dataRows, 1).setNumberFormat('0.00%');
-      sheet.getRange(2, 6, dataRows, 1).setNumberFormat('$#,##0.00');
-      sheet.getRange(2, 7, dataRows, 1).setNumberFormat(formatNoDecimals);
-      sheet.getRange(2, 8, dataRows, 1).setNumberFormat(formatNoDecimals);
-      sheet.getRange(2, 9, dataRows, 1).setNumberFormat('0.00');
-      sheet.getRange(2, 10, dataRows, 1).setNumberFormat(formatOneDecimal);
-      sheet.getRange(2, 11, dataRows, 1).setNumberFormat(formatNoDecimals);
-      sheet.getRange(2, 12, dataRows, 1).setNumberFormat('0.00%');
-      sheet.getRange(2, 13, dataRows, 1).setNumberFormat(formatOneDecimal);
-    } else if (sheetName === CONFIG.SHEET_NAMES.TOP_SEARCH_QUERIES) {
-      sheet.getRange(2, 4, dataRows, 1).setNumberFormat('#,##0');
-      sheet.getRange(2, 5, dataRows, 1).setNumberFormat('#,##0');
-      sheet.getRange(2, 6, dataRows, 1).setNumberFormat('0.00%');
-      sheet.getRange(2, 7, dataRows, 1).setNumberFormat('$#,##0.00');
-      sheet.getRange(2, 8, dataRows, 1).setNumberFormat(formatNoDecimals);
-      sheet.getRange(2, 9, dataRows, 1).setNumberFormat(formatNoDecimals);
-      sheet.getRange(2, 10, dataRows, 1).setNumberFormat('0.00');
-      sheet.getRange(2, 11, dataRows, 1).setNumberFormat(formatOneDecimal);
-      sheet.getRange(2, 12, dataRows, 1).setNumberFormat(formatNoDecimals);
-      sheet.getRange(2, 13, dataRows, 1).setNumberFormat('0.00%');
-      sheet.getRange(2, 14, dataRows, 1).setNumberFormat(formatOneDecimal);
-    }
-  }
-  sheet.setFrozenRows(1);
-}
\ No newline at end of file
+/**
+ * Google Ads Script - Export Performance Metrics to Google Sheets
+ * This script exports account, campaign, ad group, search query, country, and landing page performance data to a Google Sheet.
+ *
+ * Features:
+ * - Includes tabs for Account Daily, Top Campaigns, Ad Groups, Search Queries, Countries, and Landing Pages.
+ * - Optional tabs for Shopping products, Performance Max asset groups and search categories, and responsive
+ *   search ad assets with their performance labels.
+ * - Search query n-gram tab: clicks, cost, conversions, CPA and ROAS per 1-, 2- and 3-word phrase.
+ * - Optional keyword tab with Quality Score, its components, search impression share and bid estimates,
+ *   a weighted-average Quality Score per campaign and a Quality Score history kept across runs.
+ * - Optional impression share tab (search, top and absolute top IS, IS lost to budget and rank per campaign)
+ *   and auction insights tab, with budget-limited campaigns that convert on target flagged in the email.
+ * - Optional conversion action tab, and custom KPIs (e.g. leads from selected conversion actions, a qualified
+ *   CPA or a ROAS on margin) as columns on every tab and in the emails.
+ * - Campaign filter applied to every tab: include or exclude campaigns by name pattern, label, status,
+ *   campaign type or ID (e.g. brand vs. non-brand).
+ * - Configurable date ranges: GAQL presets, rolling N-day windows or explicit start/end dates.
+ * - Prior period derived from the configured range: previous period, same period last month or last year.
+ * - Summary rows with totals and calculated metrics.
+ * - Optional prior-period columns with absolute and percent change on every entity tab.
+ * - Overview tab with KPI tiles (cost, conversions, CPA and ROAS vs. the prior period) and native charts of
+ *   daily cost and conversions, the top campaigns and spend by country, updated in place on every run.
+ * - Optional device and day/hour breakdown tabs with a heatmap and suggested bid modifiers, for the account
+ *   and selected campaigns.
+ * - Optional history archive: daily campaign, ad group, country and landing page metrics appended to history
+ *   tabs (in the dashboard or a separate spreadsheet), with weekly trend tabs, sparklines and charts.
+ * - Optional email notifications with a detailed period-over-period performance summary, also postable
+ *   to Slack, Microsoft Teams or Google Chat webhooks.
+ * - Optional manager account (MCC) mode: one spreadsheet per client account or a consolidated workbook,
+ *   an account comparison tab and a single roll-up email. Accounts in other currencies can be converted
+ *   to one reporting currency.
+ * - Money in the account's currency and numbers and dates in a configurable locale, in sheets and emails.
+ * - Optional automated rules from a Rules tab, e.g. pause keywords that spend without converting or lower a
+ *   location's bid modifier when its CPA is over target, previewed as a dry run until changes are allowed
+ *   and recorded in an audit log.
+ * - Settings tab in the spreadsheet: recipients, date range, tabs and locale can be changed without
+ *   editing the code.
+ *
+ * Setup Instructions:
+ * 1. Replace 'YOUR_SPREADSHEET_URL_HERE' with your Google Sheet URL.
+ * 2. Adjust the DATE_RANGE and COMPARISON if needed (default is 'LAST_30_DAYS' vs. the previous 30 days).
+ * 3. (Optional) Set SEND_EMAIL_ON_COMPLETE to true and update EMAIL_RECIPIENTS. Add webhook channels
+ *    to NOTIFICATIONS.CHANNELS to also post the summary to Slack, Teams or Google Chat.
+ * 4. Schedule the script to run as needed (e.g., daily, weekly). The first run adds a Settings tab to the
+ *    spreadsheet; from then on, change the settings listed there in the tab rather than in the code.
+ * 5. (Optional) For MCC mode, add the script to a manager account, set MCC.ENABLED to true and select
+ *    client accounts with MCC.ACCOUNT_LABEL or MCC.ACCOUNT_IDS. With more than MCC.ACCOUNTS_PER_RUN
+ *    accounts, schedule it hourly: each run exports the next batch until all accounts are done.
+ */
+
+// ==================== CONFIGURATION ====================
+const CONFIG = {
+  // Replace with your Google Sheet URL
+  SPREADSHEET_URL: 'YOUR_GOOGLE_SHEET_URL_HERE',
+  
+  // Date Range Options: TODAY, YESTERDAY, LAST_7_DAYS, LAST_14_DAYS, LAST_30_DAYS, THIS_MONTH, LAST_MONTH,
+  // 'LAST_N_DAYS:<n>' for a rolling window ending yesterday (e.g. 'LAST_N_DAYS:90'),
+  // or explicit dates: { start: '2025-01-01', end: '2025-01-31' }
+  DATE_RANGE: 'LAST_30_DAYS',
+  
+  // Comparison Options: PREVIOUS_PERIOD (same number of days, immediately before),
+  // SAME_PERIOD_LAST_MONTH (e.g. THIS_MONTH vs. the same days last month), SAME_PERIOD_LAST_YEAR
+  COMPARISON: 'PREVIOUS_PERIOD',
+  
+  // Sheet names
+  SHEET_NAMES: {
+    ACCOUNT_DAILY: 'Account Daily',
+    TOP_CAMPAIGNS: 'Top Campaigns',
+    TOP_AD_GROUPS: 'Top Ad Groups',
+    TOP_SEARCH_QUERIES: 'Top Search Queries',
+    SEARCH_QUERY_NGRAMS: 'Search Query N-grams',
+    TOP_LANDING_PAGES: 'Top Landing Pages',
+    TOP_COUNTRIES: 'Top Countries',
+    SHOPPING_PRODUCTS: 'Shopping Products',
+    PMAX_ASSET_GROUPS: 'PMax Asset Groups',
+    PMAX_SEARCH_CATEGORIES: 'PMax Search Categories',
+    RSA_ASSETS: 'RSA Assets',
+    KEYWORDS: 'Keywords',
+    QUALITY_SCORE_BY_CAMPAIGN: 'Quality Score by Campaign',
+    IMPRESSION_SHARE: 'Impression Share',
+    AUCTION_INSIGHTS: 'Auction Insights',
+    CONVERSION_ACTIONS: 'Conversion Actions'
+  },
+  
+  // Tabs to export. A disabled tab is not created, and an existing one is left as it is.
+  ENABLED_TABS: {
+    ACCOUNT_DAILY: true,
+    TOP_CAMPAIGNS: true,
+    TOP_AD_GROUPS: true,
+    TOP_SEARCH_QUERIES: true,
+    SEARCH_QUERY_NGRAMS: true,
+    TOP_LANDING_PAGES: true,
+    TOP_COUNTRIES: true,
+    SHOPPING_PRODUCTS: false, // Shopping and Performance Max products by item ID, brand and product type
+    PMAX_ASSET_GROUPS: false,
+    PMAX_SEARCH_CATEGORIES: false, // Search categories of every Performance Max campaign
+    RSA_ASSETS: false, // Responsive search ad headlines and descriptions with their performance labels
+    KEYWORDS: false, // Keywords with Quality Score, impression share and first-page and top-of-page bid estimates
+    QUALITY_SCORE_BY_CAMPAIGN: false, // Impression-weighted Quality Score and below-average components per campaign
+    IMPRESSION_SHARE: false, // Search impression share, top and absolute top IS, and IS lost to budget and rank per campaign
+    AUCTION_INSIGHTS: false, // Competitor domains per campaign. Only available to some API developer tokens.
+    CONVERSION_ACTIONS: false // Conversions and all conversions per campaign and conversion action
+  },
+  
+  // Campaigns covered by every tab and the email summary. A campaign must match every INCLUDE criterion that is
+  // set and none of the EXCLUDE criteria. NAME_REGEX uses RE2 syntax, e.g. '(?i)brand' for names containing
+  // 'brand' in any case; LABELS are campaign label names; STATUSES: ENABLED, PAUSED, REMOVED; CHANNEL_TYPES:
+  // SEARCH, DISPLAY, SHOPPING, VIDEO, PERFORMANCE_MAX, DEMAND_GEN, ...; IDS are campaign IDs.
+  // With a filter set, the Account Daily tab and account totals only add up the matching campaigns.
+  CAMPAIGN_FILTER: {
+    INCLUDE: { NAME_REGEX: '', LABELS: [], STATUSES: [], CHANNEL_TYPES: [], IDS: [] },
+    EXCLUDE: { NAME_REGEX: '', LABELS: [], STATUSES: [], CHANNEL_TYPES: [], IDS: [] } // e.g. NAME_REGEX: '(?i)brand'
+  },
+  
+  // Search query n-grams: every search term is split into words and its metrics are added to each
+  // 1-, 2- and 3-word phrase it contains. Phrases made only of stop words and single stop words are skipped.
+  NGRAMS: {
+    SIZES: [1, 2, 3],
+    STOP_WORDS: ['a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'is', 'of', 'on', 'or', 'the', 'to', 'with'],
+    MIN_COST: 10, // Only list n-grams that spent at least this much
+    PER_CAMPAIGN: false // true to break n-grams down per campaign
+  },
+  
+  // Prior-period columns (prior value, change and % change) added to every tab except Account Daily,
+  // whose rows are dates. METRICS takes keys from the METRICS definitions below.
+  PRIOR_PERIOD_COLUMNS: {
+    ENABLED: false,
+    METRICS: ['clicks', 'cost', 'conversions', 'roas']
+  },
+  
+  // Custom KPIs, added as columns to every tab after its own metrics and to the completion and roll-up emails.
+  // They can also be used in rules, PRIOR_PERIOD_COLUMNS.METRICS and BREAKDOWNS.MODIFIER_METRIC. Either:
+  //   conversionActions - the all conversions (primary and secondary) of these conversion actions, by name, or
+  //                       with conversionValue: true their conversion value
+  //   ratio             - [numerator, denominator] keys from METRICS or earlier conversionActions KPIs, times an
+  //                       optional multiplier, e.g. a qualified CPA or a ROAS on margin
+  // format, currency and lowerIsBetter work as in the METRICS definitions below.
+  CUSTOM_KPIS: [
+    // { key: 'leads', header: 'Leads', conversionActions: ['Form Submit', 'Call > 60s'] },
+    // { key: 'qualifiedCpa', header: 'Qualified CPA', ratio: ['cost', 'leads'], format: '#,##0.00', currency: true, lowerIsBetter: true },
+    // { key: 'marginRoas', header: 'ROAS on Margin', ratio: ['convValue', 'cost'], multiplier: 0.4 }
+  ],
+  
+  // Overview tab, added as the first tab: KPI tiles for cost, conversions, CPA and ROAS against the prior period,
+  // a daily cost and conversions line chart, a top campaigns bar chart and a country spend pie chart. The charts
+  // are updated in place on every run; charts added to the tab by hand are left alone.
+  OVERVIEW: {
+    ENABLED: true,
+    SHEET_NAME: 'Overview',
+    TOP_CAMPAIGNS: 10, // Campaigns with the most cost in the bar chart
+    TOP_COUNTRIES: 8 // Countries with the most cost in the pie chart; the rest are added up as 'Other'
+  },
+  
+  // Device and day/hour breakdowns for bid adjustments: a Devices tab with CTR, CPC, conversion rate, CPA and ROAS
+  // per device, and a Day & Hour tab with a 7x24 heatmap of MODIFIER_METRIC. Both cover the account (every campaign
+  // in CAMPAIGN_FILTER) and, separately, each campaign in CAMPAIGNS. Every device and day/hour cell gets a suggested
+  // bid modifier: how much better or worse its MODIFIER_METRIC is than the average of the account or campaign,
+  // between MIN_MODIFIER and MAX_MODIFIER. Cells with fewer than MIN_CLICKS clicks get no suggestion.
+  BREAKDOWNS: {
+    ENABLED: false,
+    SHEET_NAMES: { DEVICES: 'Devices', DAY_HOUR: 'Day & Hour' },
+    CAMPAIGNS: [], // Campaign names, e.g. ['Generic - Search']
+    MODIFIER_METRIC: 'roas', // Key from the METRICS definitions, e.g. 'costPerConv' or 'convRate'
+    MIN_CLICKS: 30,
+    MIN_MODIFIER: -0.5, // -50%
+    MAX_MODIFIER: 0.5 // +50%
+  },
+  
+  // Automated rules, one per row of the RULES.SHEET_NAME tab (added with disabled examples on the first run).
+  // A rule checks its conditions, e.g. 'cost > 100 AND conversions = 0', against the metrics of the dashboard
+  // tabs over its own lookback window, for every enabled keyword, ad group, campaign or targeted location.
+  // Each match and the change the rule makes (pause, or adjust the CPC bid or location bid modifier by a
+  // percentage) is listed on the preview tab. Nothing is changed in the account unless APPLY_CHANGES is true;
+  // every change made, that failed, or that a dry run would have made is appended to the audit log tab. Rules
+  // run in single-account mode only.
+  RULES: {
+    ENABLED: false,
+    APPLY_CHANGES: false, // false: dry run, the changes are only previewed and logged
+    SHEET_NAME: 'Rules',
+    PREVIEW_SHEET_NAME: 'Rules Preview',
+    AUDIT_LOG_SHEET_NAME: 'Rules Audit Log',
+    MAX_CHANGES_PER_RULE: 100 // A rule matching more changes only the ones with the most cost
+  },
+  
+  // Append-only archive. The entity tabs above are rewritten on every run; with history enabled, each run also
+  // stores the daily metrics of the reporting period for the tabs in SHEET_NAMES, one row per date and entity.
+  // A day that is exported again replaces its earlier rows (so late conversions are picked up) instead of
+  // being added twice. A trend tab per archived tab shows the weekly TREND_METRIC of the top entities with a
+  // sparkline and week-over-week change, plus a chart of the weekly totals. Keep the history tabs in a separate
+  // spreadsheet with SPREADSHEET_URL, e.g. when the dashboard is shared; trend tabs stay in the dashboard.
+  HISTORY: {
+    ENABLED: false,
+    SPREADSHEET_URL: '', // Leave empty to keep the history tabs in the dashboard. Ignored in MCC mode.
+    SHEET_NAMES: {
+      TOP_CAMPAIGNS: 'Campaign History',
+      TOP_AD_GROUPS: 'Ad Group History',
+      TOP_COUNTRIES: 'Country History',
+      TOP_LANDING_PAGES: 'Landing Page History'
+    },
+    TREND_SHEET_NAMES: {
+      TOP_CAMPAIGNS: 'Campaign Trends',
+      TOP_AD_GROUPS: 'Ad Group Trends',
+      TOP_COUNTRIES: 'Country Trends',
+      TOP_LANDING_PAGES: 'Landing Page Trends'
+    },
+    RETENTION_DAYS: 730, // Archived days older than this are dropped
+    TREND_METRIC: 'cost', // Key from the METRICS definitions, e.g. 'conversions' or 'roas'
+    TREND_WEEKS: 12, // Weeks are the 7-day blocks ending on the latest archived day
+    TREND_ROWS: 25 // Entities with the most cost over the trend weeks
+  },
+  
+  // Budget-limited campaigns flagged in the completion email: Search campaigns on the Impression Share tab that
+  // lose at least MIN_BUDGET_LOST_IS of their impressions to budget while converting at TARGET_ROAS or better and
+  // TARGET_CPA or less. Set a target to 0 to ignore it. Raising their budgets is usually the quickest win.
+  BUDGET_OPPORTUNITIES: {
+    MIN_BUDGET_LOST_IS: 0.1, // 10%
+    TARGET_ROAS: 2, // Conv. value / cost
+    TARGET_CPA: 0,
+    MAX_CAMPAIGNS: 10 // Campaigns listed in the email, highest lost IS (budget) first
+  },
+  
+  // Quality Score is only reported as its current value, so with the Keywords tab enabled each run also saves
+  // the Quality Score and components of every keyword on it to SHEET_NAME, one snapshot per day (a later run on
+  // the same day replaces it). Each keyword gets its score from the previous snapshot and the change since then.
+  QUALITY_SCORE_HISTORY: {
+    ENABLED: true,
+    SHEET_NAME: 'Quality Score History',
+    RETENTION_DAYS: 365 // Snapshots older than this are dropped
+  },
+  
+  // Google Ads stops a script after 30 minutes. The export checks the time left before each step (the email
+  // summary, each tab, the overview, breakdowns and histories) and stops with less than MIN_MINUTES_LEFT; the
+  // next run finishes the remaining steps for the same reporting period, then the rules and email run. Each tab
+  // keeps its previous data until its new data is ready. Schedule the script hourly for accounts that need it.
+  // An unfinished export for another reporting period, or started more than MAX_RESUME_HOURS ago, is dropped
+  // and the run starts over, so a step that keeps failing does not hold the dashboard on an old period.
+  // Set MAX_RESUME_HOURS to the schedule interval or a little more.
+  RUN_BUDGET: {
+    MIN_MINUTES_LEFT: 5,
+    MAX_RESUME_HOURS: 24
+  },
+  
+  // Number, currency and date formatting in the sheets and emails. Money is shown in the account's currency
+  // (symbol and decimal places, e.g. none for JPY); LANGUAGE_TAG sets the separators and symbol placement,
+  // e.g. 'de-DE' for 1.234,50 €, and with SET_SPREADSHEET_LOCALE also the spreadsheet's own locale.
+  LOCALE: {
+    LANGUAGE_TAG: 'en-US',
+    CURRENCY_CODE: '', // e.g. 'EUR'. Leave empty to use the account's currency.
+    DATE_FORMAT: 'yyyy-MM-dd', // Dates shown in emails and the Account Daily tab, e.g. 'dd/MM/yyyy'
+    SET_SPREADSHEET_LOCALE: true
+  },
+  
+  // Notification settings
+  SEND_EMAIL_ON_COMPLETE: true, // Completion summary (or MCC roll-up) to every channel below
+  EMAIL_RECIPIENTS: 'your-email@example.com', // Comma-separated for multiple recipients
+  
+  // Email branding. Leave LOGO_URL and FOOTER_TEXT empty for an unbranded email.
+  EMAIL_THEME: {
+    BRAND_NAME: '', // Alt text of the logo
+    LOGO_URL: '', // e.g. 'https://example.com/logo.png'
+    PRIMARY_COLOR: '#4285f4', // Title, links and buttons
+    TEXT_COLOR: '#333333',
+    MUTED_COLOR: '#666666',
+    GOOD_COLOR: '#27ae60',
+    BAD_COLOR: '#c0392b',
+    WARNING_COLOR: '#e67e22',
+    FOOTER_TEXT: '' // e.g. 'Prepared by Example Agency - hello@example.com'
+  },
+  
+  // Delivery channels. EMAIL uses EMAIL_RECIPIENTS unless the channel sets its own recipients; SLACK, TEAMS
+  // and GOOGLE_CHAT post to an incoming webhook. A channel only receives notifications of at least its
+  // minSeverity (INFO, WARNING or CRITICAL). The completion summary is INFO; the MCC roll-up is WARNING
+  // when an account failed to export.
+  NOTIFICATIONS: {
+    CHANNELS: [
+      { type: 'EMAIL', minSeverity: 'INFO' }
+      // { type: 'SLACK', webhookUrl: 'https://hooks.slack.com/services/...', minSeverity: 'INFO' },
+      // { type: 'TEAMS', webhookUrl: 'https://example.webhook.office.com/...', minSeverity: 'WARNING' },
+      // { type: 'GOOGLE_CHAT', webhookUrl: 'https://chat.googleapis.com/v1/spaces/...', minSeverity: 'INFO' }
+    ]
+  },
+  
+  // Manager account (MCC) mode. Run the script from a manager account to export many client accounts.
+  // SPREADSHEET_URL then holds the roll-up workbook: the Account Comparison tab, plus every tab with an
+  // Account column when OUTPUT is 'CONSOLIDATED'. With 'PER_ACCOUNT', each account gets its own
+  // spreadsheet (taken from ACCOUNT_SPREADSHEETS, or created on the first run and reused afterwards).
+  // One roll-up email is sent once every selected account has been exported.
+  MCC: {
+    ENABLED: false,
+    ACCOUNT_LABEL: '', // Only accounts with this account label, e.g. 'Dashboard'
+    ACCOUNT_IDS: [], // ...and/or only these accounts, e.g. ['123-456-7890']
+    OUTPUT: 'CONSOLIDATED', // CONSOLIDATED or PER_ACCOUNT
+    ACCOUNT_SPREADSHEETS: {}, // Optional, e.g. { '123-456-7890': 'https://docs.google.com/spreadsheets/d/...' }
+    ACCOUNTS_PER_RUN: 50, // Accounts exported in parallel per run (max 50). Schedule hourly to work through more.
+    COMPARISON_SHEET_NAME: 'Account Comparison',
+    // Currency of the roll-up (consolidated tabs, Account Comparison and email). Accounts in another currency
+    // are converted with EXCHANGE_RATES: units of REPORTING_CURRENCY per unit of the account's currency.
+    // Leave empty when every account uses the same currency.
+    REPORTING_CURRENCY: '', // e.g. 'EUR'
+    EXCHANGE_RATES: {} // e.g. { USD: 0.92, GBP: 1.17, JPY: 0.0062 }
+  }
+};
+
+// ==================== SETTINGS ====================
+// The settings that can also be changed in the Settings tab of SPREADSHEET_URL (see SETTINGS SHEET FUNCTIONS).
+// Everything else, such as the sheet names, MCC output and notification channels, is only set in CONFIG.
+const SETTINGS = [
+  { name: 'Email Recipients', path: 'EMAIL_RECIPIENTS', type: 'emails', description: 'Comma-separated email addresses for the summary email' },
+  { name: 'Send Email', path: 'SEND_EMAIL_ON_COMPLETE', type: 'boolean', description: 'Send the summary (or MCC roll-up) when the export is done' },
+  {
+    name: 'Date Range',
+    path: 'DATE_RANGE',
+    type: 'text',
+    description: "e.g. LAST_30_DAYS, THIS_MONTH, LAST_MONTH, LAST_N_DAYS:90 or '2025-01-01 to 2025-01-31'",
+    parse: value => {
+      const dates = /^(\d{4}-\d{2}-\d{2})\s+to\s+(\d{4}-\d{2}-\d{2})$/.exec(String(value).trim());
+      return dates ? { start: dates[1], end: dates[2] } : String(value).trim();
+    },
+    format: value => (typeof value === 'object' ? `${value.start} to ${value.end}` : value),
+    validate: value => {
+      try {
+        resolveDateRange(value, parseIsoDate('2000-01-01'));
+        return '';
+      } catch (e) {
+        return e.message;
+      }
+    }
+  },
+  { name: 'Comparison', path: 'COMPARISON', type: 'choice', values: ['PREVIOUS_PERIOD', 'SAME_PERIOD_LAST_MONTH', 'SAME_PERIOD_LAST_YEAR'], description: 'Period the date range is compared with' },
+  { name: 'Minimum Minutes Left', path: 'RUN_BUDGET.MIN_MINUTES_LEFT', type: 'number', min: 0, max: 29, description: 'Stop the export with fewer minutes left of the 30-minute limit; the next run continues it' },
+  { name: 'Maximum Resume Hours', path: 'RUN_BUDGET.MAX_RESUME_HOURS', type: 'number', min: 1, description: 'Start over instead of continuing an export started more than this many hours ago' },
+  { name: 'Prior Period Columns', path: 'PRIOR_PERIOD_COLUMNS.ENABLED', type: 'boolean', description: 'Add prior value, change and % change columns to every tab except Account Daily' },
+  { name: 'Export Account Daily', path: 'ENABLED_TABS.ACCOUNT_DAILY', type: 'boolean', description: 'Export the Account Daily tab' },
+  { name: 'Export Top Campaigns', path: 'ENABLED_TABS.TOP_CAMPAIGNS', type: 'boolean', description: 'Export the Top Campaigns tab' },
+  { name: 'Export Top Ad Groups', path: 'ENABLED_TABS.TOP_AD_GROUPS', type: 'boolean', description: 'Export the Top Ad Groups tab' },
+  { name: 'Export Top Search Queries', path: 'ENABLED_TABS.TOP_SEARCH_QUERIES', type: 'boolean', description: 'Export the Top Search Queries tab' },
+  { name: 'Export Search Query N-grams', path: 'ENABLED_TABS.SEARCH_QUERY_NGRAMS', type: 'boolean', description: 'Export the Search Query N-grams tab' },
+  { name: 'Export Top Landing Pages', path: 'ENABLED_TABS.TOP_LANDING_PAGES', type: 'boolean', description: 'Export the Top Landing Pages tab' },
+  { name: 'Export Top Countries', path: 'ENABLED_TABS.TOP_COUNTRIES', type: 'boolean', description: 'Export the Top Countries tab' },
+  { name: 'Export Shopping Products', path: 'ENABLED_TABS.SHOPPING_PRODUCTS', type: 'boolean', description: 'Export the Shopping Products tab' },
+  { name: 'Export PMax Asset Groups', path: 'ENABLED_TABS.PMAX_ASSET_GROUPS', type: 'boolean', description: 'Export the PMax Asset Groups tab' },
+  { name: 'Export PMax Search Categories', path: 'ENABLED_TABS.PMAX_SEARCH_CATEGORIES', type: 'boolean', description: 'Export the PMax Search Categories tab' },
+  { name: 'Export RSA Assets', path: 'ENABLED_TABS.RSA_ASSETS', type: 'boolean', description: 'Export the RSA Assets tab' },
+  { name: 'Export Keywords', path: 'ENABLED_TABS.KEYWORDS', type: 'boolean', description: 'Export the Keywords tab with Quality Score diagnostics' },
+  { name: 'Export Quality Score by Campaign', path: 'ENABLED_TABS.QUALITY_SCORE_BY_CAMPAIGN', type: 'boolean', description: 'Export the Quality Score by Campaign tab' },
+  { name: 'Export Conversion Actions', path: 'ENABLED_TABS.CONVERSION_ACTIONS', type: 'boolean', description: 'Export the Conversion Actions tab' },
+  { name: 'Export Impression Share', path: 'ENABLED_TABS.IMPRESSION_SHARE', type: 'boolean', description: 'Export the Impression Share tab and flag budget-limited campaigns in the email' },
+  { name: 'Export Auction Insights', path: 'ENABLED_TABS.AUCTION_INSIGHTS', type: 'boolean', description: 'Export the Auction Insights tab, where the API returns them' },
+  { name: 'Budget Opportunity Min. Lost IS', path: 'BUDGET_OPPORTUNITIES.MIN_BUDGET_LOST_IS', type: 'number', min: 0, max: 1, description: 'Flag campaigns losing at least this share of impressions to budget, e.g. 0.1 for 10%' },
+  { name: 'Budget Opportunity Target ROAS', path: 'BUDGET_OPPORTUNITIES.TARGET_ROAS', type: 'number', min: 0, description: 'Only flag campaigns with at least this conv. value / cost. 0 to ignore' },
+  { name: 'Budget Opportunity Target CPA', path: 'BUDGET_OPPORTUNITIES.TARGET_CPA', type: 'number', min: 0, description: 'Only flag campaigns with at most this cost / conv. 0 to ignore' },
+  { name: 'Quality Score History', path: 'QUALITY_SCORE_HISTORY.ENABLED', type: 'boolean', description: 'Save the Quality Scores of the Keywords tab on every run to track their changes' },
+  { name: 'Export Overview', path: 'OVERVIEW.ENABLED', type: 'boolean', description: 'Export the Overview tab with KPI tiles and charts' },
+  { name: 'Include Campaigns Matching', path: 'CAMPAIGN_FILTER.INCLUDE.NAME_REGEX', type: 'text', description: "Only campaigns whose name matches this regular expression, e.g. '(?i)brand'" },
+  { name: 'Exclude Campaigns Matching', path: 'CAMPAIGN_FILTER.EXCLUDE.NAME_REGEX', type: 'text', description: 'Leave out campaigns whose name matches this regular expression' },
+  { name: 'Include Campaign Labels', path: 'CAMPAIGN_FILTER.INCLUDE.LABELS', type: 'list', description: 'Comma-separated: only campaigns with one of these labels' },
+  { name: 'Exclude Campaign Labels', path: 'CAMPAIGN_FILTER.EXCLUDE.LABELS', type: 'list', description: 'Comma-separated: leave out campaigns with any of these labels' },
+  { name: 'Include Campaign Types', path: 'CAMPAIGN_FILTER.INCLUDE.CHANNEL_TYPES', type: 'list', description: 'Comma-separated, e.g. SEARCH, PERFORMANCE_MAX, SHOPPING, DISPLAY', validate: validateChannelTypes },
+  { name: 'Exclude Campaign Types', path: 'CAMPAIGN_FILTER.EXCLUDE.CHANNEL_TYPES', type: 'list', description: 'Comma-separated campaign types to leave out', validate: validateChannelTypes },
+  { name: 'Export Breakdowns', path: 'BREAKDOWNS.ENABLED', type: 'boolean', description: 'Export the Devices and Day & Hour tabs with suggested bid modifiers' },
+  { name: 'Breakdown Campaigns', path: 'BREAKDOWNS.CAMPAIGNS', type: 'list', description: 'Comma-separated campaign names broken down on their own as well as in the account' },
+  { name: 'Bid Modifier Metric', path: 'BREAKDOWNS.MODIFIER_METRIC', type: 'text', description: 'Metric the bid modifiers are based on, e.g. roas, costPerConv or convRate', validate: validateMetricKey },
+  { name: 'Bid Modifier Minimum Clicks', path: 'BREAKDOWNS.MIN_CLICKS', type: 'number', min: 0, description: 'Only suggest a bid modifier for devices and hours with at least this many clicks' },
+  { name: 'Run Rules', path: 'RULES.ENABLED', type: 'boolean', description: 'Check the rules on the Rules tab and list their matches on the preview tab' },
+  { name: 'Apply Rule Changes', path: 'RULES.APPLY_CHANGES', type: 'boolean', description: 'Make the changes of the rules in the account. FALSE is a dry run' },
+  { name: 'Archive History', path: 'HISTORY.ENABLED', type: 'boolean', description: 'Keep daily campaign, ad group, country and landing page metrics in history tabs and build trend tabs' },
+  { name: 'Trend Metric', path: 'HISTORY.TREND_METRIC', type: 'text', description: 'Metric shown per week in the trend tabs, e.g. cost, conversions or roas', validate: validateMetricKey },
+  { name: 'Trend Weeks', path: 'HISTORY.TREND_WEEKS', type: 'number', min: 2, max: 52, description: 'Number of weeks in the trend tabs' },
+  { name: 'N-gram Minimum Cost', path: 'NGRAMS.MIN_COST', type: 'number', min: 0, description: 'Only list n-grams that spent at least this much' },
+  { name: 'N-grams per Campaign', path: 'NGRAMS.PER_CAMPAIGN', type: 'boolean', description: 'Break n-grams down per campaign' },
+  { name: 'Language', path: 'LOCALE.LANGUAGE_TAG', type: 'text', description: "Number and date format, e.g. 'en-US' or 'de-DE'", validate: validateLanguageTag },
+  { name: 'Currency', path: 'LOCALE.CURRENCY_CODE', type: 'text', description: "e.g. 'EUR'. Leave empty to use the account's currency", validate: validateCurrencyCode },
+  { name: 'Date Format', path: 'LOCALE.DATE_FORMAT', type: 'text', description: "Dates in emails and the Account Daily tab, e.g. 'dd/MM/yyyy'" },
+  { name: 'MCC Account Label', path: 'MCC.ACCOUNT_LABEL', type: 'text', description: 'MCC mode: only export client accounts with this label' },
+  { name: 'MCC Reporting Currency', path: 'MCC.REPORTING_CURRENCY', type: 'text', description: 'MCC mode: currency of the roll-up. Needs exchange rates in the code', validate: validateCurrencyCode }
+];
+
+// ==================== REPORT DEFINITIONS ====================
+const SEARCH_SHARE_FIELDS = ['metrics.impressions', 'metrics.search_impression_share'];
+const QUALITY_SCORE_FIELDS = [
+  'metrics.impressions',
+  'ad_group_criterion.quality_info.quality_score',
+  'ad_group_criterion.quality_info.search_predicted_ctr',
+  'ad_group_criterion.quality_info.creative_quality_score',
+  'ad_group_criterion.quality_info.post_click_quality_score'
+];
+
+// Metrics available to every tab. Base metrics are read from a GAQL field, or computed by
+// value(row) from several `fields`, and summed; ratio metrics are derived as
+// numerator / denominator, times an optional multiplier (0 when the denominator is 0)
+// and their totals are rebuilt from the summed columns. lowerIsBetter flips the
+// green/red coloring of change columns. Currency metrics get the currency symbol and
+// decimal places added to their format (see CONFIG.LOCALE).
+const METRICS = {
+  clicks: { header: 'Clicks', field: 'metrics.clicks', format: '#,##0' },
+  impressions: { header: 'Impr.', field: 'metrics.impressions', format: '#,##0' },
+  ctr: { header: 'CTR', ratio: ['clicks', 'impressions'], format: '0.00%' },
+  avgCpc: { header: 'Avg. CPC', ratio: ['cost', 'clicks'], format: '#,##0.00', currency: true, lowerIsBetter: true },
+  cost: { header: 'Cost', field: 'metrics.cost_micros', micros: true, format: '#,##0', currency: true, lowerIsBetter: true },
+  convValue: { header: 'Total Conv. Value', field: 'metrics.conversions_value', format: '#,##0', currency: true },
+  roas: { header: 'Conv. Value / Cost', ratio: ['convValue', 'cost'], format: '0.00' },
+  conversions: { header: 'Conv.', field: 'metrics.conversions', format: '#,##0.0' },
+  costPerConv: { header: 'Cost / Conv.', ratio: ['cost', 'conversions'], format: '#,##0', currency: true, lowerIsBetter: true },
+  convRate: { header: 'Conv. Rate', ratio: ['conversions', 'clicks'], format: '0.00%' },
+  allConversions: { header: 'All Conv.', field: 'metrics.all_conversions', format: '#,##0.0' },
+  allConvValue: { header: 'All Conv. Value', field: 'metrics.all_conversions_value', format: '#,##0', currency: true },
+  // Impression shares cannot be added up, so the impressions they stand for are summed instead
+  searchEligibleImpr: { header: 'Search Eligible Impr.', fields: SEARCH_SHARE_FIELDS, value: row => getSearchEligibleImpressions(row), format: '#,##0' },
+  searchTopImpr: {
+    header: 'Search Top Impr.',
+    fields: SEARCH_SHARE_FIELDS.concat(['metrics.search_top_impression_share']),
+    value: row => getSearchShareImpressions(row, 'metrics.search_top_impression_share'),
+    format: '#,##0'
+  },
+  searchAbsTopImpr: {
+    header: 'Search Abs. Top Impr.',
+    fields: SEARCH_SHARE_FIELDS.concat(['metrics.search_absolute_top_impression_share']),
+    value: row => getSearchShareImpressions(row, 'metrics.search_absolute_top_impression_share'),
+    format: '#,##0'
+  },
+  searchBudgetLostImpr: {
+    header: 'Search Lost Impr. (Budget)',
+    fields: SEARCH_SHARE_FIELDS.concat(['metrics.search_budget_lost_impression_share']),
+    value: row => getSearchShareImpressions(row, 'metrics.search_budget_lost_impression_share'),
+    format: '#,##0'
+  },
+  searchRankLostImpr: {
+    header: 'Search Lost Impr. (Rank)',
+    fields: SEARCH_SHARE_FIELDS.concat(['metrics.search_rank_lost_impression_share']),
+    value: row => getSearchShareImpressions(row, 'metrics.search_rank_lost_impression_share'),
+    format: '#,##0'
+  },
+  searchImprShare: { header: 'Search Impr. Share', ratio: ['impressions', 'searchEligibleImpr'], format: '0.00%' },
+  searchTopImprShare: { header: 'Search Top IS', ratio: ['searchTopImpr', 'searchEligibleImpr'], format: '0.00%' },
+  searchAbsTopImprShare: { header: 'Search Abs. Top IS', ratio: ['searchAbsTopImpr', 'searchEligibleImpr'], format: '0.00%' },
+  searchBudgetLostImprShare: { header: 'Search Lost IS (Budget)', ratio: ['searchBudgetLostImpr', 'searchEligibleImpr'], format: '0.00%', lowerIsBetter: true },
+  searchRankLostImprShare: { header: 'Search Lost IS (Rank)', ratio: ['searchRankLostImpr', 'searchEligibleImpr'], format: '0.00%', lowerIsBetter: true },
+  // Quality Score averaged over keywords weighted by their impressions; keywords without a score are left out
+  qualityScoreImpr: { header: 'Scored Impr.', fields: QUALITY_SCORE_FIELDS, value: row => (getQualityScore(row) ? getImpressions(row) : 0), format: '#,##0' },
+  qualityScoreTotal: { header: 'Quality Score x Impr.', fields: QUALITY_SCORE_FIELDS, value: row => (getQualityScore(row) || 0) * getImpressions(row), format: '#,##0' },
+  qualityScore: { header: 'Quality Score', ratio: ['qualityScoreTotal', 'qualityScoreImpr'], format: '0.0' },
+  belowAvgCtrImpr: { header: 'Below Avg. Expected CTR Impr.', fields: QUALITY_SCORE_FIELDS, value: row => getBelowAverageImpressions(row, 'search_predicted_ctr'), format: '#,##0' },
+  belowAvgAdRelevanceImpr: { header: 'Below Avg. Ad Relevance Impr.', fields: QUALITY_SCORE_FIELDS, value: row => getBelowAverageImpressions(row, 'creative_quality_score'), format: '#,##0' },
+  belowAvgLandingPageImpr: { header: 'Below Avg. Landing Page Impr.', fields: QUALITY_SCORE_FIELDS, value: row => getBelowAverageImpressions(row, 'post_click_quality_score'), format: '#,##0' },
+  belowAvgCtrShare: { header: 'Below Avg. Expected CTR (% Impr.)', ratio: ['belowAvgCtrImpr', 'qualityScoreImpr'], format: '0.0%', lowerIsBetter: true },
+  belowAvgAdRelevanceShare: { header: 'Below Avg. Ad Relevance (% Impr.)', ratio: ['belowAvgAdRelevanceImpr', 'qualityScoreImpr'], format: '0.0%', lowerIsBetter: true },
+  belowAvgLandingPageShare: { header: 'Below Avg. Landing Page (% Impr.)', ratio: ['belowAvgLandingPageImpr', 'qualityScoreImpr'], format: '0.0%', lowerIsBetter: true },
+  // Auction insights are rates per competitor domain that can neither be added up nor derived again, so they
+  // only fit tabs with one row per campaign and domain
+  auctionImprShare: { header: 'Impr. Share', field: 'metrics.auction_insight_search_impression_share', format: '0.00%' },
+  auctionOverlapRate: { header: 'Overlap Rate', field: 'metrics.auction_insight_search_overlap_rate', format: '0.00%' },
+  auctionPositionAboveRate: { header: 'Position Above Rate', field: 'metrics.auction_insight_search_position_above_rate', format: '0.00%' },
+  auctionTopImprRate: { header: 'Top of Page Rate', field: 'metrics.auction_insight_search_top_impression_percentage', format: '0.00%' },
+  auctionAbsTopImprRate: { header: 'Abs. Top of Page Rate', field: 'metrics.auction_insight_search_absolute_top_impression_percentage', format: '0.00%' },
+  auctionOutrankingShare: { header: 'Outranking Share', field: 'metrics.auction_insight_search_outranking_share', format: '0.00%' }
+};
+
+const STANDARD_METRICS = ['clicks', 'impressions', 'ctr', 'avgCpc', 'cost', 'convValue', 'roas', 'conversions', 'costPerConv', 'convRate', 'allConversions'];
+
+// One definition per tab, keyed like CONFIG.SHEET_NAMES. Rows sharing the same dimension
+// values are merged. Adding a column means adding its key to `metrics`; adding a tab means
+// adding a definition here and a name in CONFIG.SHEET_NAMES.
+//   dimensions  - { header, field, fields?, value(row, context)?, width?, date?, enabled()? }; fields selects several
+//                 GAQL fields for value() to combine, enabled() hides the column when false,
+//                 date formats it with CONFIG.LOCALE.DATE_FORMAT
+//   conditions  - extra GAQL WHERE conditions (the date range and CONFIG.CAMPAIGN_FILTER are always applied)
+//   perCampaign - optional { conditions, field }: for resources that only report one campaign at a time, the campaigns
+//                 matching CONFIG.CAMPAIGN_FILTER and `conditions` are looked up first and the tab's query is run once
+//                 per campaign with `field = <campaign ID>`. Rows get the campaign's 'campaign.name'.
+//   prepare()   - optional lookup data passed to dimension value() functions
+//   expandRow() - optional: returns several dimension value arrays per report row, each getting the row's metrics
+//   sortBy      - metric key to sort descending after merging (otherwise GAQL orderBy is kept)
+//   filter()    - optional: keeps only the merged entities it returns true for
+//   totals      - false when rows overlap and a totals row would double count
+//   compare     - false to never add prior-period columns
+//   customKpis  - false to leave out CONFIG.CUSTOM_KPIS, e.g. where the resource has no cost or conversions
+//   summary     - which results feed the completion email: a row count, single totals, or all totals (metrics)
+const TABS = {
+  ACCOUNT_DAILY: {
+    resource: 'customer',
+    dimensions: [{ header: 'Date', field: 'segments.date', width: 100, date: true }],
+    metrics: STANDARD_METRICS,
+    orderBy: 'segments.date DESC',
+    headerAlignment: 'right',
+    compare: false,
+    summary: { totals: { cost: 'totalCost' }, metrics: 'accountMetrics' }
+  },
+  TOP_CAMPAIGNS: {
+    resource: 'campaign',
+    dimensions: [{ header: 'Campaign', field: 'campaign.name' }],
+    metrics: STANDARD_METRICS,
+    conditions: ["campaign.status != 'REMOVED'", 'metrics.cost_micros > 0'],
+    orderBy: 'metrics.cost_micros DESC',
+    summary: { count: 'campaignCount' }
+  },
+  TOP_AD_GROUPS: {
+    resource: 'ad_group',
+    dimensions: [{ header: 'Campaign', field: 'campaign.name' }, { header: 'Ad Group', field: 'ad_group.name' }],
+    metrics: STANDARD_METRICS,
+    conditions: ["ad_group.status != 'REMOVED'", 'metrics.cost_micros > 0'],
+    orderBy: 'metrics.cost_micros DESC',
+    summary: { count: 'adGroupCount' }
+  },
+  TOP_SEARCH_QUERIES: {
+    resource: 'search_term_view',
+    dimensions: [{ header: 'Search Query', field: 'search_term_view.search_term' }, { header: 'Campaign', field: 'campaign.name' }, { header: 'Ad Group', field: 'ad_group.name' }],
+    metrics: STANDARD_METRICS,
+    conditions: ["ad_group.status != 'REMOVED'", 'metrics.cost_micros > 0'],
+    orderBy: 'metrics.cost_micros DESC',
+    summary: { count: 'searchQueryCount' }
+  },
+  SEARCH_QUERY_NGRAMS: {
+    resource: 'search_term_view',
+    dimensions: [
+      { header: 'Campaign', field: 'campaign.name', enabled: () => CONFIG.NGRAMS.PER_CAMPAIGN },
+      { header: 'Words', width: 50 },
+      { header: 'N-gram', field: 'search_term_view.search_term' }
+    ],
+    expandRow: row => getNgrams(row['search_term_view.search_term']).map(ngram => {
+      const values = [ngram.split(' ').length, ngram];
+      return CONFIG.NGRAMS.PER_CAMPAIGN ? [row['campaign.name']].concat(values) : values;
+    }),
+    metrics: ['clicks', 'impressions', 'cost', 'conversions', 'costPerConv', 'convValue', 'roas', 'convRate'],
+    conditions: ["ad_group.status != 'REMOVED'", 'metrics.cost_micros > 0'],
+    sortBy: 'cost',
+    filter: entity => entity.metrics.cost >= CONFIG.NGRAMS.MIN_COST,
+    totals: false,
+    emptyMessage: 'No search query n-grams reached CONFIG.NGRAMS.MIN_COST in the selected date range.'
+  },
+  TOP_LANDING_PAGES: {
+    resource: 'landing_page_view',
+    dimensions: [{ header: 'Landing Page', field: 'landing_page_view.unexpanded_final_url' }],
+    metrics: STANDARD_METRICS,
+    conditions: ['metrics.cost_micros > 0'],
+    orderBy: 'metrics.cost_micros DESC',
+    emptyMessage: 'No landing page data with spend found for the selected date range.',
+    errorMessage: 'Could not retrieve landing page data. See script logs for details.',
+    errorHint: 'This can happen if the account uses shared budgets or only has campaign types incompatible with this report. ',
+    summary: { count: 'landingPageCount' }
+  },
+  TOP_COUNTRIES: {
+    resource: 'geographic_view',
+    dimensions: [{
+      header: 'Country',
+      field: 'geographic_view.country_criterion_id',
+      value: (row, context) => context.countryNames[row['geographic_view.country_criterion_id']] || `Unknown (${row['geographic_view.country_criterion_id']})`
+    }],
+    metrics: STANDARD_METRICS,
+    conditions: ["geographic_view.location_type = 'LOCATION_OF_PRESENCE'", 'metrics.cost_micros > 0'],
+    prepare: () => ({ countryNames: getCountryNames() }),
+    sortBy: 'cost',
+    emptyMessage: 'No country-level data available for the selected date range.',
+    errorMessage: 'Could not retrieve country data. See script logs for details.',
+    summary: { count: 'countryCount' }
+  },
+  SHOPPING_PRODUCTS: {
+    resource: 'shopping_performance_view',
+    dimensions: [
+      { header: 'Item ID', field: 'segments.product_item_id', width: 100 },
+      { header: 'Product', field: 'segments.product_title' },
+      { header: 'Brand', field: 'segments.product_brand' },
+      {
+        header: 'Product Type',
+        fields: ['segments.product_type_l1', 'segments.product_type_l2', 'segments.product_type_l3'],
+        value: row => ['segments.product_type_l1', 'segments.product_type_l2', 'segments.product_type_l3'].map(field => row[field]).filter(type => type).join(' > ')
+      }
+    ],
+    metrics: STANDARD_METRICS,
+    conditions: ['metrics.cost_micros > 0'],
+    orderBy: 'metrics.cost_micros DESC',
+    emptyMessage: 'No Shopping product data with spend found for the selected date range.',
+    errorMessage: 'Could not retrieve Shopping product data. See script logs for details.'
+  },
+  PMAX_ASSET_GROUPS: {
+    resource: 'asset_group',
+    dimensions: [
+      { header: 'Campaign', field: 'campaign.name' },
+      { header: 'Asset Group', field: 'asset_group.name' },
+      { header: 'Ad Strength', field: 'asset_group.ad_strength', width: 100 }
+    ],
+    metrics: STANDARD_METRICS,
+    conditions: ["campaign.advertising_channel_type = 'PERFORMANCE_MAX'", "asset_group.status != 'REMOVED'", 'metrics.cost_micros > 0'],
+    orderBy: 'metrics.cost_micros DESC',
+    emptyMessage: 'No Performance Max asset group data with spend found for the selected date range.',
+    errorMessage: 'Could not retrieve Performance Max asset group data. See script logs for details.'
+  },
+  // Search term insights only report one campaign per query and have no cost.
+  PMAX_SEARCH_CATEGORIES: {
+    resource: 'campaign_search_term_insight',
+    perCampaign: { conditions: ["campaign.advertising_channel_type = 'PERFORMANCE_MAX'"], field: 'campaign_search_term_insight.campaign_id' },
+    dimensions: [
+      { header: 'Campaign', value: row => row['campaign.name'] },
+      { header: 'Search Category', field: 'campaign_search_term_insight.category_label', value: row => row['campaign_search_term_insight.category_label'] || '(Uncategorized)' }
+    ],
+    metrics: ['clicks', 'impressions', 'ctr', 'conversions', 'convValue', 'convRate'],
+    sortBy: 'clicks',
+    filter: entity => entity.metrics.impressions > 0,
+    customKpis: false,
+    emptyMessage: 'No Performance Max search categories found for the selected date range.',
+    errorMessage: 'Could not retrieve Performance Max search categories. See script logs for details.'
+  },
+  // Every ad impression counts once for each of its headlines and descriptions, so the rows have no total.
+  RSA_ASSETS: {
+    resource: 'ad_group_ad_asset_view',
+    dimensions: [
+      { header: 'Campaign', field: 'campaign.name' },
+      { header: 'Ad Group', field: 'ad_group.name' },
+      { header: 'Asset Type', field: 'ad_group_ad_asset_view.field_type', width: 100 },
+      { header: 'Asset Text', field: 'asset.text_asset.text' },
+      { header: 'Performance Label', field: 'ad_group_ad_asset_view.performance_label', width: 100 }
+    ],
+    metrics: STANDARD_METRICS,
+    conditions: [
+      "ad_group_ad.ad.type = 'RESPONSIVE_SEARCH_AD'",
+      "ad_group_ad_asset_view.field_type IN ('HEADLINE', 'DESCRIPTION')",
+      'ad_group_ad_asset_view.enabled = TRUE',
+      "ad_group.status != 'REMOVED'",
+      'metrics.impressions > 0'
+    ],
+    sortBy: 'impressions',
+    totals: false,
+    emptyMessage: 'No responsive search ad assets with impressions found for the selected date range.',
+    errorMessage: 'Could not retrieve responsive search ad asset data. See script logs for details.'
+  },
+  // Quality Score, its components and the bid estimates are the keyword's current values, not the period's.
+  KEYWORDS: {
+    resource: 'keyword_view',
+    dimensions: [
+      { header: 'Campaign', field: 'campaign.name' },
+      { header: 'Ad Group', field: 'ad_group.name' },
+      { header: 'Keyword', field: 'ad_group_criterion.keyword.text' },
+      { header: 'Match Type', field: 'ad_group_criterion.keyword.match_type', width: 80 },
+      { header: 'Quality Score', field: 'ad_group_criterion.quality_info.quality_score', value: row => getQualityScore(row) || '', width: 65, format: '0' },
+      { header: 'Expected CTR', field: 'ad_group_criterion.quality_info.search_predicted_ctr', width: 110 },
+      { header: 'Ad Relevance', field: 'ad_group_criterion.quality_info.creative_quality_score', width: 110 },
+      { header: 'Landing Page Exp.', field: 'ad_group_criterion.quality_info.post_click_quality_score', width: 110 },
+      {
+        header: 'First Page CPC',
+        field: 'ad_group_criterion.position_estimates.first_page_cpc_micros',
+        value: row => getBidEstimate(row, 'first_page_cpc_micros'),
+        width: 65,
+        format: '#,##0.00',
+        currency: true
+      },
+      {
+        header: 'Top of Page CPC',
+        field: 'ad_group_criterion.position_estimates.top_of_page_cpc_micros',
+        value: row => getBidEstimate(row, 'top_of_page_cpc_micros'),
+        width: 65,
+        format: '#,##0.00',
+        currency: true
+      }
+    ],
+    metrics: ['impressions', 'clicks', 'ctr', 'avgCpc', 'cost', 'conversions', 'costPerConv', 'convRate', 'searchImprShare', 'searchBudgetLostImprShare', 'searchRankLostImprShare'],
+    conditions: ["ad_group_criterion.status != 'REMOVED'", 'ad_group_criterion.negative = FALSE', 'metrics.impressions > 0'],
+    orderBy: 'metrics.cost_micros DESC',
+    emptyMessage: 'No keywords with impressions found for the selected date range.',
+    errorMessage: 'Could not retrieve keyword data. See script logs for details.'
+  },
+  QUALITY_SCORE_BY_CAMPAIGN: {
+    resource: 'keyword_view',
+    dimensions: [{ header: 'Campaign', field: 'campaign.name' }],
+    metrics: ['impressions', 'qualityScore', 'belowAvgCtrShare', 'belowAvgAdRelevanceShare', 'belowAvgLandingPageShare', 'clicks', 'cost', 'conversions', 'costPerConv'],
+    conditions: ["ad_group_criterion.status != 'REMOVED'", 'ad_group_criterion.negative = FALSE', 'metrics.impressions > 0'],
+    sortBy: 'impressions',
+    emptyMessage: 'No keywords with impressions found for the selected date range.',
+    errorMessage: 'Could not retrieve keyword data. See script logs for details.'
+  },
+  IMPRESSION_SHARE: {
+    resource: 'campaign',
+    dimensions: [{ header: 'Campaign', field: 'campaign.name' }],
+    metrics: ['impressions', 'searchImprShare', 'searchTopImprShare', 'searchAbsTopImprShare', 'searchBudgetLostImprShare', 'searchRankLostImprShare', 'clicks', 'cost', 'conversions', 'costPerConv', 'convValue', 'roas'],
+    conditions: ["campaign.status != 'REMOVED'", "campaign.advertising_channel_type = 'SEARCH'", 'metrics.impressions > 0'],
+    orderBy: 'metrics.cost_micros DESC',
+    emptyMessage: 'No Search campaigns with impressions found for the selected date range.'
+  },
+  // The API only returns auction insights to developer tokens with access to them; elsewhere the tab shows its error message.
+  AUCTION_INSIGHTS: {
+    resource: 'campaign',
+    dimensions: [{ header: 'Campaign', field: 'campaign.name' }, { header: 'Competitor Domain', field: 'segments.auction_insight_domain' }],
+    metrics: ['auctionImprShare', 'auctionOverlapRate', 'auctionPositionAboveRate', 'auctionTopImprRate', 'auctionAbsTopImprRate', 'auctionOutrankingShare'],
+    conditions: ["campaign.status != 'REMOVED'", "campaign.advertising_channel_type = 'SEARCH'"],
+    sortBy: 'auctionOverlapRate',
+    totals: false,
+    customKpis: false,
+    emptyMessage: 'No auction insights found for the selected date range.',
+    errorMessage: 'Could not retrieve auction insights. See script logs for details.',
+    errorHint: 'Auction insights are only returned to Google Ads API developer tokens with access to them. '
+  },
+  // Rows segmented by conversion action can only have conversion metrics. Conv. counts primary actions only,
+  // All Conv. every action.
+  CONVERSION_ACTIONS: {
+    resource: 'campaign',
+    dimensions: [
+      { header: 'Campaign', field: 'campaign.name' },
+      { header: 'Conversion Action', field: 'segments.conversion_action_name' },
+      { header: 'Category', field: 'segments.conversion_action_category', width: 120 }
+    ],
+    metrics: ['conversions', 'convValue', 'allConversions', 'allConvValue'],
+    conditions: ["campaign.status != 'REMOVED'", 'metrics.all_conversions > 0'],
+    sortBy: 'allConversions',
+    customKpis: false,
+    emptyMessage: 'No conversions found for the selected date range.'
+  }
+};
+
+// ==================== MAIN FUNCTION ====================
+function main() {
+  try {
+    loadCustomKpis();
+    const settings = loadDashboardSettings();
+    if (CONFIG.MCC.ENABLED) {
+      runManagerExport(settings);
+      return;
+    }
+
+    const spreadsheet = getOrCreateSpreadsheet();
+    const summaryData = exportAccount(spreadsheet);
+    if (!summaryData) {
+      Logger.log('Export paused before the time limit. The next run continues it.');
+      return;
+    }
+    if (CONFIG.RULES.ENABLED) {
+      runRules(spreadsheet);
+    }
+
+    if (CONFIG.SEND_EMAIL_ON_COMPLETE) {
+      sendCompletionEmail(spreadsheet.getUrl(), summaryData);
+    }
+
+    Logger.log('Export completed successfully!');
+
+  } catch (error) {
+    Logger.log('Error in main function: ' + error.toString());
+    throw error;
+  }
+}
+
+// The Settings tab lives in SPREADSHEET_URL (the roll-up workbook in MCC mode), so it is read before
+// anything else. Returns the values it set, for the client accounts in MCC mode.
+function loadDashboardSettings() {
+  return loadSettings(getOrCreateSpreadsheet(CONFIG.SPREADSHEET_URL, []));
+}
+
+// Exports every tab for the current account and returns the data for the email summary, or null when the run
+// stopped before the time limit with steps left for the next run (see RESUMABLE RUN FUNCTIONS).
+function exportAccount(spreadsheet) {
+  const run = resumeExportRun(spreadsheet);
+  const { periods, summaryData } = run;
+  const enabledTabs = getEnabledTabKeys();
+
+  // Tabs finished by an earlier run are collected again where a later step needs their data
+  const tabData = {};
+  const getData = tabKey => tabData[tabKey] || collectTabData(tabKey, periods);
+  const steps = [{ name: 'SUMMARY', run: () => Object.assign(summaryData, getPriorPeriodSummary(periods)) }]
+    .concat(enabledTabs.map(tabKey => ({ name: tabKey, run: () => { tabData[tabKey] = exportTab(spreadsheet, tabKey, summaryData, periods); } })));
+  if (enabledTabs.indexOf('IMPRESSION_SHARE') !== -1) {
+    steps.push({ name: 'BUDGET_OPPORTUNITIES', run: () => { summaryData.budgetOpportunities = getBudgetOpportunities(getData('IMPRESSION_SHARE')); } });
+  }
+  if (CONFIG.OVERVIEW.ENABLED) {
+    steps.push({ name: 'OVERVIEW', run: () => exportOverview(spreadsheet, tabData, periods, summaryData.priorAccountMetrics) });
+  }
+  if (CONFIG.BREAKDOWNS.ENABLED) {
+    steps.push({ name: 'BREAKDOWNS', run: () => exportBreakdowns(spreadsheet, periods) });
+  }
+  if (CONFIG.HISTORY.ENABLED) {
+    steps.push({ name: 'HISTORY', run: () => exportHistory(spreadsheet, periods) });
+  }
+  if (enabledTabs.indexOf('KEYWORDS') !== -1 && CONFIG.QUALITY_SCORE_HISTORY.ENABLED) {
+    steps.push({ name: 'QUALITY_SCORE_HISTORY', run: () => exportQualityScoreHistory(spreadsheet, getData('KEYWORDS')) });
+  }
+  return runExportSteps(spreadsheet, run, steps) ? summaryData : null;
+}
+
+function getPriorPeriodSummary(periods) {
+  const summaryData = { periodLabel: periods.label };
+  Logger.log(`Reporting period: ${periods.label}`);
+
+  // --- Gather all data for the email summary ---
+  const dateRange = periods.prior;
+  summaryData.priorTotalCost = getPriorPeriodCost(dateRange);
+  summaryData.priorCampaignCount = getPriorPeriodEntityCount('campaign', 'campaign.resource_name', dateRange);
+  summaryData.priorAdGroupCount = getPriorPeriodEntityCount('ad_group', 'ad_group.resource_name', dateRange);
+  summaryData.priorSearchQueryCount = getPriorPeriodEntityCount('search_term_view', 'search_term_view.search_term', dateRange);
+  summaryData.priorLandingPageCount = getPriorPeriodEntityCount('landing_page_view', 'landing_page_view.unexpanded_final_url', dateRange); // <-- Corrected Field
+  summaryData.priorCountryCount = getPriorPeriodCountryCount(dateRange);
+  // Also the Overview's prior-period KPI tiles
+  if (CONFIG.CUSTOM_KPIS.length > 0 || CONFIG.OVERVIEW.ENABLED) {
+    summaryData.priorAccountMetrics = sumMetrics(fetchTabEntities(TABS.ACCOUNT_DAILY, {}, dateRange), 'metrics');
+  }
+  return summaryData;
+}
+
+// ==================== DATE RANGE FUNCTIONS ====================
+// CONFIG.DATE_RANGE is resolved to explicit dates in the account time zone once per run,
+// and every tab and prior-period query uses the same start/end dates.
+const DATE_RANGE_PRESETS = {
+  TODAY: today => [today, today],
+  YESTERDAY: today => [addDays(today, -1), addDays(today, -1)],
+  LAST_7_DAYS: today => [addDays(today, -7), addDays(today, -1)],
+  LAST_14_DAYS: today => [addDays(today, -14), addDays(today, -1)],
+  LAST_30_DAYS: today => [addDays(today, -30), addDays(today, -1)],
+  THIS_MONTH: today => [startOfMonth(today), today],
+  LAST_MONTH: today => {
+    const end = addDays(startOfMonth(today), -1);
+    return [startOfMonth(end), end];
+  }
+};
+
+const COMPARISONS = {
+  PREVIOUS_PERIOD: { label: 'Previous Period', shift: (start, end) => [addDays(start, -daysBetween(start, end) - 1), addDays(start, -1)] },
+  SAME_PERIOD_LAST_MONTH: { label: 'Same Period Last Month', shift: (start, end) => [addMonths(start, -1), addMonths(end, -1)] },
+  SAME_PERIOD_LAST_YEAR: { label: 'Same Period Last Year', shift: (start, end) => [addMonths(start, -12), addMonths(end, -12)] }
+};
+
+/**
+ * Resolves CONFIG.DATE_RANGE and CONFIG.COMPARISON into
+ * { current: { startDate, endDate }, prior: { startDate, endDate }, label } with 'yyyy-MM-dd' dates.
+ */
+function getReportingPeriods() {
+  const [start, end] = resolveDateRange(CONFIG.DATE_RANGE, getAccountToday());
+
+  const comparison = COMPARISONS[CONFIG.COMPARISON];
+  if (!comparison) {
+    throw new Error(`Invalid CONFIG.COMPARISON '${CONFIG.COMPARISON}'. Use one of: ${Object.keys(COMPARISONS).join(', ')}`);
+  }
+  const [priorStart, priorEnd] = comparison.shift(start, end);
+
+  const current = { startDate: formatIsoDate(start), endDate: formatIsoDate(end) };
+  const prior = { startDate: formatIsoDate(priorStart), endDate: formatIsoDate(priorEnd) };
+  return {
+    current: current,
+    prior: prior,
+    label: `${describeDateRange(CONFIG.DATE_RANGE)} (${formatDisplayDate(current.startDate)} to ${formatDisplayDate(current.endDate)}) vs. ` +
+      `${comparison.label} (${formatDisplayDate(prior.startDate)} to ${formatDisplayDate(prior.endDate)})`
+  };
+}
+
+function getAccountToday() {
+  return parseIsoDate(Utilities.formatDate(new Date(), AdsApp.currentAccount().getTimeZone(), 'yyyy-MM-dd'));
+}
+
+function resolveDateRange(dateRange, today) {
+  if (dateRange && typeof dateRange === 'object') {
+    const start = parseIsoDate(dateRange.start);
+    const end = parseIsoDate(dateRange.end);
+    if (!start || !end || start > end) {
+      throw new Error(`Invalid CONFIG.DATE_RANGE ${JSON.stringify(dateRange)}. Use { start: 'yyyy-MM-dd', end: 'yyyy-MM-dd' } with start on or before end.`);
+    }
+    return [start, end];
+  }
+
+  const rolling = /^LAST_N_DAYS:(\d+)$/.exec(dateRange);
+  if (rolling && parseInt(rolling[1], 10) > 0) {
+    return [addDays(today, -parseInt(rolling[1], 10)), addDays(today, -1)];
+  }
+
+  if (!DATE_RANGE_PRESETS[dateRange]) {
+    throw new Error(`Invalid CONFIG.DATE_RANGE '${dateRange}'. Use one of: ${Object.keys(DATE_RANGE_PRESETS).join(', ')}, LAST_N_DAYS:<n> or { start, end }`);
+  }
+  return DATE_RANGE_PRESETS[dateRange](today);
+}
+
+function describeDateRange(dateRange) {
+  if (typeof dateRange === 'object') return 'Custom Range';
+  return dateRange.replace(/^LAST_N_DAYS:(\d+)$/, 'LAST_$1_DAYS').split('_').map(word => word.charAt(0) + word.slice(1).toLowerCase()).join(' ');
+}
+
+function getDateCondition(dateRange) {
+  return `segments.date BETWEEN '${dateRange.startDate}' AND '${dateRange.endDate}'`;
+}
+
+// Dates are handled as UTC midnights so day arithmetic is not affected by the script's own time zone.
+function parseIsoDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  return new Date(Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)));
+}
+
+function formatIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 24 * 3600 * 1000);
+}
+
+function daysBetween(start, end) {
+  return Math.round((end.getTime() - start.getTime()) / (24 * 3600 * 1000));
+}
+
+function startOfMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+// Clamps to the end of shorter months, and keeps month-end dates on month end (Jun 30 -> May 31).
+function addMonths(date, months) {
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const daysInTarget = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  const isMonthEnd = addDays(date, 1).getUTCDate() === 1;
+  return new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth(), isMonthEnd ? daysInTarget : Math.min(date.getUTCDate(), daysInTarget)));
+}
+
+// ==================== PRIOR PERIOD HELPER FUNCTIONS ====================
+function getPriorPeriodCost(dateRange) {
+    const filter = getCampaignFilterConditions();
+    const query = `SELECT metrics.cost_micros FROM ${getFilteredResource('customer', filter)} WHERE ${[getDateCondition(dateRange)].concat(filter).join(' AND ')}`;
+    try {
+        const report = AdsApp.report(query);
+        const rows = report.rows();
+        let cost = 0;
+        while (rows.hasNext()) {
+            cost += (rows.next()['metrics.cost_micros'] || 0) / 1000000;
+        }
+        return cost;
+    } catch(e) { Logger.log(`Could not retrieve prior period cost. Error: ${e}`); }
+    return 0;
+}
+
+function getPriorPeriodEntityCount(view, selectField, dateRange) {
+    const query = `SELECT ${selectField} FROM ${view} WHERE ${[getDateCondition(dateRange), 'metrics.cost_micros > 0'].concat(getCampaignFilterConditions()).join(' AND ')}`;
+    try {
+        const report = AdsApp.report(query);
+        const iterator = report.rows();
+        let count = 0;
+        while(iterator.hasNext()) {
+            iterator.next();
+            count++;
+        }
+        return count;
+    } catch (e) {
+        Logger.log(`Could not retrieve prior count for ${view}. Error: ${e}`);
+    }
+    return 0;
+}
+
+function getPriorPeriodCountryCount(dateRange) {
+    const conditions = [getDateCondition(dateRange), 'metrics.cost_micros > 0', "geographic_view.location_type = 'LOCATION_OF_PRESENCE'"].concat(getCampaignFilterConditions());
+    const query = `SELECT geographic_view.country_criterion_id FROM geographic_view WHERE ${conditions.join(' AND ')}`;
+    try {
+        const report = AdsApp.report(query);
+        const countries = new Set();
+        for (const row of report.rows()) {
+            countries.add(row['geographic_view.country_criterion_id']);
+        }
+        return countries.size;
+    } catch (e) { Logger.log(`Could not retrieve prior country count. Error: ${e}`); }
+    return 0;
+}
+
+
+// ==================== SPREADSHEET FUNCTIONS ====================
+function getOrCreateSpreadsheet(url = CONFIG.SPREADSHEET_URL, sheetNames = getEnabledTabKeys().map(tabKey => CONFIG.SHEET_NAMES[tabKey])) {
+  let spreadsheet;
+  try {
+    spreadsheet = SpreadsheetApp.openByUrl(url);
+  } catch (e) {
+    throw new Error(`Unable to open spreadsheet ${url}. Please check the URL in CONFIG.SPREADSHEET_URL`);
+  }
+  sheetNames.forEach(name => ensureSheetExists(spreadsheet, name));
+  applySpreadsheetLocale(spreadsheet);
+  return spreadsheet;
+}
+
+function ensureSheetExists(spreadsheet, sheetName) {
+  if (!spreadsheet.getSheetByName(sheetName)) {
+    spreadsheet.insertSheet(sheetName);
+  }
+}
+
+function getEnabledTabKeys() {
+  return Object.keys(TABS).filter(tabKey => CONFIG.ENABLED_TABS[tabKey] !== false);
+}
+
+// ==================== DATA EXPORT FUNCTIONS ====================
+// Every tab is exported by the same engine from its definition in TABS:
+// build the GAQL query, aggregate rows per dimension, derive ratio metrics,
+// append a totals row of formulas and apply the column formats.
+// The sheet is only cleared once the reports have run, so a failed or stopped export leaves its previous data.
+function exportTab(spreadsheet, tabKey, summaryData, periods) {
+  const tab = TABS[tabKey];
+  const data = collectTabData(tabKey, periods);
+  const sheet = spreadsheet.getSheetByName(CONFIG.SHEET_NAMES[tabKey]);
+  sheet.clear();
+  writeTab(sheet, tab, getTabColumns(tab), data);
+  updateSummaryData(tab, summaryData, data.rows.length, data.totals.current);
+  return data;
+}
+
+// Runs the tab's reports and returns { rows, totals: { current, prior }, error } without touching any sheet.
+function collectTabData(tabKey, periods) {
+  const tab = TABS[tabKey];
+  const columns = getTabColumns(tab);
+  try {
+    const context = tab.prepare ? tab.prepare() : {};
+    let entities = fetchTabEntities(tab, context, periods.current);
+    if (tab.filter) {
+      entities = entities.filter(tab.filter);
+    }
+    if (getComparisonMetrics(tab).length > 0) {
+      attachPriorMetrics(entities, fetchTabEntities(tab, context, periods.prior));
+    }
+    return {
+      rows: entities.map(entity => columns.map(column => getColumnValue(column, entity))),
+      totals: { current: sumMetrics(entities, 'metrics'), prior: sumMetrics(entities, 'priorMetrics') }
+    };
+  } catch (e) {
+    if (!tab.errorMessage) throw e;
+    Logger.log(`Could not retrieve ${CONFIG.SHEET_NAMES[tabKey]} data. ${tab.errorHint || ''}Error: ${e}`);
+    return { rows: [], totals: { current: {}, prior: {} }, error: tab.errorMessage };
+  }
+}
+
+function writeTab(sheet, tab, columns, data, currencyCode) {
+  const headers = columns.map(column => column.header);
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+
+  if (data.rows.length > 0) {
+    sheet.getRange(2, 1, data.rows.length, headers.length).setValues(data.rows);
+    if (tab.totals !== false) {
+      writeTotalsRow(sheet, columns, data.rows.length, data.totals);
+    }
+  } else if (data.error || tab.emptyMessage) {
+    sheet.getRange(2, 1).setValue(data.error || tab.emptyMessage);
+  }
+
+  formatTab(sheet, tab, columns, data.rows.length + 2, currencyCode);
+}
+
+function getComparisonMetrics(tab) {
+  if (tab.compareMetrics) return tab.compareMetrics;
+  if (tab.compare === false || !CONFIG.PRIOR_PERIOD_COLUMNS.ENABLED) return [];
+  return CONFIG.PRIOR_PERIOD_COLUMNS.METRICS.filter(key => getTabMetrics(tab).indexOf(key) !== -1);
+}
+
+// Columns are dimensions, current metrics, then for each compared metric:
+// its prior value, the absolute change and the percent change.
+function getTabColumns(tab) {
+  const dimensionColumns = getTabDimensions(tab).map((dimension, index) => Object.assign({ dimension: true, index: index }, dimension));
+  const metricColumns = getTabMetrics(tab).map(key => Object.assign({ key: key }, METRICS[key]));
+  const comparisonColumns = [];
+  getComparisonMetrics(tab).forEach(key => {
+    const metric = METRICS[key];
+    comparisonColumns.push(
+      Object.assign({}, metric, { key: key, prior: true, header: `${metric.header} (Prior)` }),
+      Object.assign({}, metric, { key: key, change: 'absolute', header: `${metric.header} Change` }),
+      Object.assign({}, metric, { key: key, change: 'percent', header: `${metric.header} % Change`, format: '+0.0%;-0.0%;0.0%', currency: false }));
+  });
+  return dimensionColumns.concat(metricColumns, comparisonColumns);
+}
+
+function getColumnId(column) {
+  if (column.change) return `${column.change}:${column.key}`;
+  return column.prior ? `prior:${column.key}` : column.key;
+}
+
+function getTabDimensions(tab) {
+  return tab.dimensions.filter(dimension => !dimension.enabled || dimension.enabled());
+}
+
+function buildTabQuery(tab, dateRange, campaignId) {
+  const fields = [];
+  const select = field => { if (fields.indexOf(field) === -1) fields.push(field); };
+  getTabDimensions(tab).forEach(dimension => (dimension.fields || (dimension.field ? [dimension.field] : [])).forEach(select));
+  getRequiredBaseMetrics(tab).forEach(key => (METRICS[key].fields || (METRICS[key].field ? [METRICS[key].field] : [])).forEach(select));
+  const filter = tab.perCampaign ? [`${tab.perCampaign.field} = ${campaignId}`] : getCampaignFilterConditions();
+  const conditions = [getDateCondition(dateRange)].concat(tab.conditions || [], filter);
+  const orderBy = tab.orderBy ? ` ORDER BY ${tab.orderBy}` : '';
+  return `SELECT ${fields.join(', ')} FROM ${getFilteredResource(tab.resource, filter)} WHERE ${conditions.join(' AND ')}${orderBy}`;
+}
+
+// The customer resource has no campaign to filter on, so filtered account totals are summed from campaigns.
+function getFilteredResource(resource, filterConditions) {
+  return resource === 'customer' && filterConditions.length > 0 ? 'campaign' : resource;
+}
+
+// Derived metrics are recomputed from summed base metrics, so a tab may show a ratio without its inputs.
+function getRequiredBaseMetrics(tab) {
+  const required = [];
+  const add = key => { if (required.indexOf(key) === -1) required.push(key); };
+  getTabMetrics(tab).forEach(key => {
+    const metric = METRICS[key];
+    if (metric.ratio) metric.ratio.forEach(add);
+    else add(key);
+  });
+  return required;
+}
+
+// The tab's metrics followed by CONFIG.CUSTOM_KPIS (see loadCustomKpis), unless the tab has customKpis: false.
+function getTabMetrics(tab) {
+  if (tab.customKpis === false) return tab.metrics;
+  return tab.metrics.concat(CONFIG.CUSTOM_KPIS.map(kpi => kpi.key).filter(key => tab.metrics.indexOf(key) === -1));
+}
+
+function fetchTabEntities(tab, context, dateRange) {
+  const baseMetrics = getRequiredBaseMetrics(tab);
+  const tabDimensions = getTabDimensions(tab);
+  const entities = new Map();
+  getTabReportRows(tab, dateRange).forEach(row => {
+    const rowMetrics = {};
+    baseMetrics.forEach(metricKey => {
+      const metric = METRICS[metricKey];
+      const value = metric.value ? metric.value(row) : parseFloat(row[metric.field]);
+      rowMetrics[metricKey] = (value || 0) / (metric.micros ? 1000000 : 1);
+    });
+
+    const rowDimensions = tab.expandRow
+      ? tab.expandRow(row, context)
+      : [tabDimensions.map(dimension => dimension.value ? dimension.value(row, context) : row[dimension.field])];
+    rowDimensions.forEach(dimensions => {
+      const key = JSON.stringify(dimensions);
+      if (!entities.has(key)) {
+        entities.set(key, { key: key, dimensions: dimensions, metrics: {} });
+      }
+      const metrics = entities.get(key).metrics;
+      baseMetrics.forEach(metricKey => { metrics[metricKey] = (metrics[metricKey] || 0) + rowMetrics[metricKey]; });
+    });
+  });
+  addConversionActionMetrics(tab, context, dateRange, entities);
+
+  const result = Array.from(entities.values());
+  if (tab.sortBy) {
+    result.sort((a, b) => b.metrics[tab.sortBy] - a.metrics[tab.sortBy]);
+  }
+  return result;
+}
+
+// Custom KPIs counting conversion actions need a second query segmented by conversion action, which can neither
+// select nor filter on other metrics. Its rows are added to the entities found by the tab's own query.
+function addConversionActionMetrics(tab, context, dateRange, entities) {
+  const kpiKeys = getRequiredBaseMetrics(tab).filter(key => METRICS[key].conversionActions);
+  if (kpiKeys.length === 0) return;
+  const tabDimensions = getTabDimensions(tab);
+  const actionTab = Object.assign({}, tab, {
+    dimensions: tabDimensions.concat([{ header: 'Conversion Action', field: 'segments.conversion_action_name' }]),
+    metrics: ['allConversions', 'allConvValue'],
+    conditions: (tab.conditions || []).filter(condition => condition.indexOf('metrics.') !== 0),
+    customKpis: false,
+    orderBy: ''
+  });
+  getTabReportRows(actionTab, dateRange).forEach(row => {
+    const keys = (tab.expandRow
+      ? tab.expandRow(row, context)
+      : [tabDimensions.map(dimension => dimension.value ? dimension.value(row, context) : row[dimension.field])]).map(dimensions => JSON.stringify(dimensions));
+    kpiKeys.forEach(kpiKey => {
+      const kpi = METRICS[kpiKey];
+      if (kpi.conversionActions.indexOf(row['segments.conversion_action_name']) === -1) return;
+      const amount = parseFloat(row[kpi.conversionValue ? 'metrics.all_conversions_value' : 'metrics.all_conversions']) || 0;
+      keys.forEach(key => { if (entities.has(key)) entities.get(key).metrics[kpiKey] += amount; });
+    });
+  });
+}
+
+// Rows of the tab's query, or of one query per campaign for perCampaign tabs.
+function getTabReportRows(tab, dateRange) {
+  const readRows = (query, fields) => {
+    const rows = [];
+    const iterator = AdsApp.report(query).rows();
+    while (iterator.hasNext()) {
+      rows.push(Object.assign(iterator.next(), fields));
+    }
+    return rows;
+  };
+  if (!tab.perCampaign) return readRows(buildTabQuery(tab, dateRange), {});
+
+  const conditions = [getDateCondition(dateRange), 'metrics.impressions > 0'].concat(tab.perCampaign.conditions, getCampaignFilterConditions());
+  const campaigns = readRows(`SELECT campaign.id, campaign.name FROM campaign WHERE ${conditions.join(' AND ')}`, {});
+  return campaigns.reduce((rows, campaign) => rows.concat(readRows(buildTabQuery(tab, dateRange, campaign['campaign.id']), { 'campaign.name': campaign['campaign.name'] })), []);
+}
+
+// Only entities active in the current period are listed; those without prior data compare against 0.
+function attachPriorMetrics(entities, priorEntities) {
+  const priorByKey = {};
+  priorEntities.forEach(entity => { priorByKey[entity.key] = entity.metrics; });
+  entities.forEach(entity => { entity.priorMetrics = priorByKey[entity.key] || {}; });
+}
+
+function getColumnValue(column, entity) {
+  if (column.dimension) return entity.dimensions[column.index];
+  if (column.prior) return getMetricValue(column.key, entity.priorMetrics || {});
+  const current = getMetricValue(column.key, entity.metrics);
+  if (!column.change) return current;
+  return getChangeValue(column.change, current, getMetricValue(column.key, entity.priorMetrics || {}));
+}
+
+// Percent change is left blank when there is nothing to compare against.
+function getChangeValue(change, current, prior) {
+  if (change === 'absolute') return current - prior;
+  return prior !== 0 ? (current - prior) / prior : '';
+}
+
+function getMetricValue(key, metrics) {
+  const metric = METRICS[key];
+  if (!metric.ratio) return metrics[key] || 0;
+  const numerator = metrics[metric.ratio[0]] || 0;
+  const denominator = metrics[metric.ratio[1]] || 0;
+  return denominator > 0 ? numerator / denominator * (metric.multiplier || 1) : 0;
+}
+
+function getImpressions(row) {
+  return parseFloat(row['metrics.impressions']) || 0;
+}
+
+// Impressions the row was eligible for on Google Search, from its impression share.
+function getSearchEligibleImpressions(row) {
+  const share = parseFloat(row['metrics.search_impression_share']) || 0;
+  return share > 0 ? getImpressions(row) / share : 0;
+}
+
+// The eligible impressions a share such as budget-lost impression share stands for.
+function getSearchShareImpressions(row, shareField) {
+  return getSearchEligibleImpressions(row) * (parseFloat(row[shareField]) || 0);
+}
+
+function sumMetrics(entities, property) {
+  const totals = {};
+  entities.forEach(entity => {
+    const metrics = entity[property] || {};
+    Object.keys(metrics).forEach(key => { totals[key] = (totals[key] || 0) + metrics[key]; });
+  });
+  return totals;
+}
+
+// Sums base metrics and rebuilds ratios and changes from the summed cells. A ratio whose
+// inputs are not on the tab falls back to the value computed from the report.
+function writeTotalsRow(sheet, columns, rowCount, totals) {
+  const summaryRow = rowCount + 2;
+  const letters = {};
+  columns.forEach((column, i) => { if (!column.dimension) letters[getColumnId(column)] = columnToLetter(i + 1); });
+  const cellOf = id => `${letters[id]}${summaryRow}`;
+
+  sheet.getRange(summaryRow, 1).setValue('Total');
+  columns.forEach((column, i) => {
+    if (column.dimension) return;
+    const cell = sheet.getRange(summaryRow, i + 1);
+    const letter = letters[getColumnId(column)];
+    const prefix = column.prior ? 'prior:' : '';
+    if (column.change === 'absolute') {
+      cell.setFormula(`=${cellOf(column.key)}-${cellOf('prior:' + column.key)}`);
+    } else if (column.change === 'percent') {
+      cell.setFormula(`=IFERROR((${cellOf(column.key)}-${cellOf('prior:' + column.key)})/${cellOf('prior:' + column.key)}, "")`);
+    } else if (!column.ratio) {
+      cell.setFormula(`=SUM(${letter}2:${letter}${rowCount + 1})`);
+    } else if (letters[prefix + column.ratio[0]] && letters[prefix + column.ratio[1]]) {
+      const multiplier = column.multiplier ? `*${column.multiplier}` : '';
+      cell.setFormula(`=IFERROR(${cellOf(prefix + column.ratio[0])}/${cellOf(prefix + column.ratio[1])}${multiplier}, 0)`);
+    } else {
+      cell.setValue(getMetricValue(column.key, column.prior ? totals.prior : totals.current));
+    }
+  });
+  sheet.getRange(summaryRow, 1, 1, columns.length).setFontWeight('bold').setBackground('#e8e8e8');
+}
+
+function updateSummaryData(tab, summaryData, rowCount, totals) {
+  const summary = tab.summary || {};
+  if (summary.count) summaryData[summary.count] = rowCount;
+  if (summary.metrics) summaryData[summary.metrics] = totals;
+  Object.keys(summary.totals || {}).forEach(metricKey => {
+    summaryData[summary.totals[metricKey]] = totals[metricKey] || 0;
+  });
+}
+
+// Campaigns of the Impression Share tab that meet CONFIG.BUDGET_OPPORTUNITIES, highest lost IS (budget) first.
+function getBudgetOpportunities(data) {
+  const columns = getTabColumns(TABS.IMPRESSION_SHARE);
+  const valueOf = (row, key) => row[columns.findIndex(column => column.key === key)];
+  const targets = CONFIG.BUDGET_OPPORTUNITIES;
+  return data.rows
+    .map(row => ({
+      campaign: row[0],
+      budgetLostShare: valueOf(row, 'searchBudgetLostImprShare'),
+      conversions: valueOf(row, 'conversions'),
+      costPerConv: valueOf(row, 'costPerConv'),
+      roas: valueOf(row, 'roas')
+    }))
+    .filter(campaign => campaign.budgetLostShare >= targets.MIN_BUDGET_LOST_IS && campaign.conversions > 0 &&
+      (!targets.TARGET_ROAS || campaign.roas >= targets.TARGET_ROAS) &&
+      (!targets.TARGET_CPA || campaign.costPerConv <= targets.TARGET_CPA))
+    .sort((a, b) => b.budgetLostShare - a.budgetLostShare)
+    .slice(0, targets.MAX_CAMPAIGNS);
+}
+
+function columnToLetter(column) {
+  let letter = '';
+  while (column > 0) {
+    const remainder = (column - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    column = Math.floor((column - 1) / 26);
+  }
+  return letter;
+}
+
+// Money columns are formatted in currencyCode, by default the account's currency.
+function formatTab(sheet, tab, columns, numRows, currencyCode) {
+  const headerRange = sheet.getRange(1, 1, 1, columns.length);
+  headerRange.setFontWeight('bold');
+  headerRange.setHorizontalAlignment(tab.headerAlignment || 'center');
+  headerRange.setBackground('#f3f3f3');
+  headerRange.setWrap(true);
+
+  columns.forEach((column, i) => {
+    if (column.width) sheet.setColumnWidth(i + 1, column.width);
+    else if (column.dimension) sheet.autoResizeColumn(i + 1);
+    else sheet.setColumnWidth(i + 1, 65);
+  });
+
+  const rules = [];
+  if (numRows > 1) {
+    columns.forEach((column, i) => {
+      const range = sheet.getRange(2, i + 1, numRows - 1, 1);
+      const format = getColumnFormat(column, currencyCode);
+      if (format) range.setNumberFormat(format);
+      if (column.change) {
+        getChangeFormatRules(range, column.lowerIsBetter).forEach(rule => rules.push(rule));
+      }
+    });
+  }
+  // Replaces the rules from the previous run instead of stacking new ones on top
+  sheet.setConditionalFormatRules(rules);
+  sheet.setFrozenRows(1);
+}
+
+// Green for an improvement and red for a decline, so a cost increase shows in red.
+function getChangeFormatRules(range, lowerIsBetter) {
+  const [increaseColor, decreaseColor] = lowerIsBetter ? ['#c0392b', '#27ae60'] : ['#27ae60', '#c0392b'];
+  return [
+    SpreadsheetApp.newConditionalFormatRule().whenNumberGreaterThan(0).setFontColor(increaseColor).setRanges([range]).build(),
+    SpreadsheetApp.newConditionalFormatRule().whenNumberLessThan(0).setFontColor(decreaseColor).setRanges([range]).build()
+  ];
+}
+
+function getColumnFormat(column, currencyCode) {
+  if (column.date) return CONFIG.LOCALE.DATE_FORMAT;
+  if (column.currency) return getSheetCurrencyFormat(column.format, currencyCode);
+  return column.format;
+}
+
+// ==================== OVERVIEW FUNCTIONS ====================
+// The Overview tab is rebuilt from the data of the other tabs: KPI tiles for the account totals against the
+// prior period, and one block per chart with the chart's data on the left and the chart next to it. Charts are
+// found again by their title and updated in place, so the tab does not gain a new set on every run.
+const OVERVIEW_KPIS = [
+  { key: 'cost', label: 'Cost' },
+  { key: 'conversions', label: 'Conversions' },
+  { key: 'costPerConv', label: 'CPA' },
+  { key: 'roas', label: 'ROAS' }
+];
+const OVERVIEW_TILES_ROW = 4;
+const OVERVIEW_CHARTS_ROW = 10;
+const OVERVIEW_CHART_ROWS = 20; // Rows a chart covers, so the next block starts below it
+const OVERVIEW_CHART_COLUMN = 5;
+
+function exportOverview(spreadsheet, tabData, periods, priorTotals = {}) {
+  const getData = tabKey => tabData[tabKey] || collectTabData(tabKey, periods);
+  const daily = getData('ACCOUNT_DAILY');
+
+  const sheet = getOverviewSheet(spreadsheet);
+  sheet.clear();
+  sheet.getRange(1, 1).setValue('Performance Overview').setFontSize(16).setFontWeight('bold');
+  sheet.getRange(2, 1).setValue(periods.label).setFontColor('#666666');
+  writeKpiTiles(sheet, daily.totals.current, priorTotals);
+
+  const countries = getOverviewRows('TOP_COUNTRIES', getData('TOP_COUNTRIES'), ['cost']);
+  const otherCountries = countries.slice(CONFIG.OVERVIEW.TOP_COUNTRIES).reduce((sum, row) => sum + row[1], 0);
+  const blocks = [
+    {
+      title: 'Daily Cost and Conversions',
+      chartType: Charts.ChartType.LINE,
+      headers: ['Date', METRICS.cost.header, METRICS.conversions.header],
+      formats: [CONFIG.LOCALE.DATE_FORMAT, getColumnFormat(METRICS.cost), METRICS.conversions.format],
+      rows: getOverviewRows('ACCOUNT_DAILY', daily, ['cost', 'conversions']).reverse(),
+      options: { legend: { position: 'bottom' }, series: { 1: { targetAxisIndex: 1 } } }
+    },
+    {
+      title: 'Top Campaigns by Cost',
+      chartType: Charts.ChartType.BAR,
+      headers: ['Campaign', METRICS.cost.header],
+      formats: [null, getColumnFormat(METRICS.cost)],
+      rows: getOverviewRows('TOP_CAMPAIGNS', getData('TOP_CAMPAIGNS'), ['cost'])
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, CONFIG.OVERVIEW.TOP_CAMPAIGNS),
+      options: { legend: { position: 'none' } }
+    },
+    {
+      title: 'Cost by Country',
+      chartType: Charts.ChartType.PIE,
+      headers: ['Country', METRICS.cost.header],
+      formats: [null, getColumnFormat(METRICS.cost)],
+      rows: countries.slice(0, CONFIG.OVERVIEW.TOP_COUNTRIES).concat(otherCountries > 0 ? [['Other', otherCountries]] : []),
+      options: { legend: { position: 'right' } }
+    }
+  ];
+
+  const charts = sheet.getCharts();
+  let row = OVERVIEW_CHARTS_ROW;
+  blocks.forEach(block => {
+    writeOverviewChart(sheet, charts, block, row);
+    row += Math.max(block.rows.length + 1, OVERVIEW_CHART_ROWS) + 2;
+  });
+  sheet.setColumnWidth(1, 160);
+  [2, 3, 4].forEach(column => sheet.setColumnWidth(column, 120));
+}
+
+// Created as the first tab. Once it exists it stays wherever it was moved to.
+function getOverviewSheet(spreadsheet) {
+  return spreadsheet.getSheetByName(CONFIG.OVERVIEW.SHEET_NAME) || spreadsheet.insertSheet(CONFIG.OVERVIEW.SHEET_NAME, 0);
+}
+
+// One tile per column: the label, the current value, the % change (colored like the change columns) and the prior value.
+function writeKpiTiles(sheet, totals, priorTotals) {
+  const rules = [];
+  OVERVIEW_KPIS.forEach((kpi, i) => {
+    const metric = METRICS[kpi.key];
+    const current = getMetricValue(kpi.key, totals);
+    const prior = getMetricValue(kpi.key, priorTotals);
+    const format = getColumnFormat(metric);
+    const column = i + 1;
+    sheet.getRange(OVERVIEW_TILES_ROW, column, 4, 1)
+      .setValues([[kpi.label], [current], [getChangeValue('percent', current, prior)], [prior]])
+      .setBackground('#f3f3f3')
+      .setHorizontalAlignment('center');
+    sheet.getRange(OVERVIEW_TILES_ROW, column).setFontWeight('bold').setFontColor('#666666');
+    sheet.getRange(OVERVIEW_TILES_ROW + 1, column).setNumberFormat(format).setFontSize(18).setFontWeight('bold');
+    sheet.getRange(OVERVIEW_TILES_ROW + 2, column).setNumberFormat('+0.0%" vs. prior";-0.0%" vs. prior";0.0%" vs. prior"');
+    sheet.getRange(OVERVIEW_TILES_ROW + 3, column).setNumberFormat(prefixNumberFormat('Prior: ', format)).setFontColor('#666666');
+    getChangeFormatRules(sheet.getRange(OVERVIEW_TILES_ROW + 2, column), metric.lowerIsBetter).forEach(rule => rules.push(rule));
+  });
+  sheet.setConditionalFormatRules(rules);
+}
+
+// Adds the text before every section of a number format, e.g. '#,##0;(#,##0)' -> '"Prior: "#,##0;"Prior: "(#,##0)',
+// so negative and zero values get it too. Semicolons inside quoted text do not start a section.
+function prefixNumberFormat(prefix, format) {
+  return format.split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/).map(section => `"${prefix}"${section}`).join(';');
+}
+
+// [first dimension, ...metric values] per row of a tab's collected data.
+function getOverviewRows(tabKey, data, metricKeys) {
+  const columns = getTabColumns(TABS[tabKey]);
+  const indexes = metricKeys.map(key => columns.findIndex(column => !column.dimension && getColumnId(column) === key));
+  return data.rows.map(row => [row[0]].concat(indexes.map(index => row[index])));
+}
+
+// Writes the chart's data at `row` and updates the chart with the same title, or inserts it the first time.
+// Without data the chart is removed and a message is left in its place.
+function writeOverviewChart(sheet, charts, block, row) {
+  const existing = charts.find(chart => chart.getOptions().get('title') === block.title);
+  sheet.getRange(row, 1, 1, block.headers.length).setValues([block.headers]).setFontWeight('bold').setBackground('#f3f3f3');
+  if (block.rows.length === 0) {
+    sheet.getRange(row + 1, 1).setValue(`${block.title}: no data for the selected date range.`);
+    if (existing) sheet.removeChart(existing);
+    return;
+  }
+
+  sheet.getRange(row + 1, 1, block.rows.length, block.headers.length).setValues(block.rows);
+  block.formats.forEach((format, i) => {
+    if (format) sheet.getRange(row + 1, i + 1, block.rows.length, 1).setNumberFormat(format);
+  });
+  const builder = (existing ? existing.modify().clearRanges() : sheet.newChart())
+    .setChartType(block.chartType)
+    .addRange(sheet.getRange(row, 1, block.rows.length + 1, block.headers.length))
+    .setPosition(row, OVERVIEW_CHART_COLUMN, 0, 0)
+    .setOption('title', block.title);
+  Object.keys(block.options).forEach(name => builder.setOption(name, block.options[name]));
+  if (existing) sheet.updateChart(builder.build());
+  else sheet.insertChart(builder.build());
+}
+
+// ==================== BREAKDOWN FUNCTIONS ====================
+// Rows are read per campaign and added up twice: once for the whole account (BREAKDOWN_ACCOUNT_SCOPE) and once
+// for their own campaign when it is in CONFIG.BREAKDOWNS.CAMPAIGNS, so both come from the same query. Suggested
+// bid modifiers compare a device or day/hour cell with the average of its account or campaign.
+const BREAKDOWN_ACCOUNT_SCOPE = 'All Campaigns';
+const BREAKDOWN_DAYS = ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'];
+const BREAKDOWN_HOURS = Array.from({ length: 24 }, (value, hour) => hour);
+const BID_MODIFIER_FORMAT = '+0%;-0%;0%';
+
+// Scopes overlap, so neither tab has a totals row; the 'All Campaigns' rows are the account totals.
+const DEVICE_BREAKDOWN_TAB = {
+  resource: 'campaign',
+  dimensions: [{ header: 'Campaign', field: 'campaign.name' }, { header: 'Device', field: 'segments.device', width: 110 }],
+  expandRow: row => getBreakdownScopes(row).map(scope => [scope, row['segments.device']]),
+  metrics: ['clicks', 'impressions', 'ctr', 'avgCpc', 'cost', 'conversions', 'convRate', 'costPerConv', 'convValue', 'roas'],
+  conditions: ['metrics.impressions > 0'],
+  totals: false,
+  compare: false,
+  emptyMessage: 'No device data found for the selected date range.'
+};
+
+const DAY_HOUR_BREAKDOWN_TAB = {
+  resource: 'campaign',
+  dimensions: [{ header: 'Campaign', field: 'campaign.name' }, { header: 'Day', field: 'segments.day_of_week' }, { header: 'Hour', field: 'segments.hour' }],
+  expandRow: row => getBreakdownScopes(row).map(scope => [scope, row['segments.day_of_week'], parseInt(row['segments.hour'], 10)]),
+  metrics: STANDARD_METRICS,
+  conditions: ['metrics.impressions > 0']
+};
+
+function exportBreakdowns(spreadsheet, periods) {
+  const metricError = validateMetricKey(CONFIG.BREAKDOWNS.MODIFIER_METRIC);
+  if (metricError) throw new Error(`Invalid CONFIG.BREAKDOWNS.MODIFIER_METRIC: ${metricError}`);
+
+  const sheetNames = CONFIG.BREAKDOWNS.SHEET_NAMES;
+  ensureSheetExists(spreadsheet, sheetNames.DEVICES);
+  ensureSheetExists(spreadsheet, sheetNames.DAY_HOUR);
+  writeDeviceBreakdown(spreadsheet.getSheetByName(sheetNames.DEVICES), periods);
+  writeDayHourBreakdown(spreadsheet.getSheetByName(sheetNames.DAY_HOUR), periods);
+}
+
+function getBreakdownScopes(row) {
+  const campaignName = row['campaign.name'];
+  return CONFIG.BREAKDOWNS.CAMPAIGNS.indexOf(campaignName) !== -1 ? [BREAKDOWN_ACCOUNT_SCOPE, campaignName] : [BREAKDOWN_ACCOUNT_SCOPE];
+}
+
+// { scope: [entities] } in the order of the account, then CONFIG.BREAKDOWNS.CAMPAIGNS; scopes without data are left out.
+function groupByBreakdownScope(entities) {
+  const groups = {};
+  [BREAKDOWN_ACCOUNT_SCOPE].concat(CONFIG.BREAKDOWNS.CAMPAIGNS).forEach(scope => {
+    const scoped = entities.filter(entity => entity.dimensions[0] === scope);
+    if (scoped.length > 0) groups[scope] = scoped;
+  });
+  return groups;
+}
+
+// How much better (+) or worse (-) MODIFIER_METRIC is than the scope average, e.g. +0.2 for a 20% higher ROAS
+// or a CPA 1/1.2 of the average. Blank below MIN_CLICKS, where the difference is mostly noise.
+function getBidModifier(metrics, averageMetrics) {
+  const settings = CONFIG.BREAKDOWNS;
+  const average = getMetricValue(settings.MODIFIER_METRIC, averageMetrics);
+  if ((metrics.clicks || 0) < settings.MIN_CLICKS || average === 0) return '';
+  const value = getMetricValue(settings.MODIFIER_METRIC, metrics);
+  // A lower-is-better ratio of 0, such as a CPA without conversions, is the worst case rather than the best
+  const index = METRICS[settings.MODIFIER_METRIC].lowerIsBetter ? (value > 0 ? average / value : 0) : value / average;
+  return Math.round(Math.min(settings.MAX_MODIFIER, Math.max(settings.MIN_MODIFIER, index - 1)) * 100) / 100;
+}
+
+function writeDeviceBreakdown(sheet, periods) {
+  const tab = DEVICE_BREAKDOWN_TAB;
+  const tabColumns = getTabColumns(tab);
+  const columns = tabColumns.concat([{ header: 'Suggested Bid Modifier', format: BID_MODIFIER_FORMAT, width: 90 }]);
+  const groups = groupByBreakdownScope(fetchTabEntities(tab, {}, periods.current));
+  const rows = [];
+  Object.keys(groups).forEach(scope => {
+    const average = sumMetrics(groups[scope], 'metrics');
+    groups[scope]
+      .sort((a, b) => b.metrics.cost - a.metrics.cost)
+      .forEach(entity => rows.push(tabColumns.map(column => getColumnValue(column, entity)).concat([getBidModifier(entity.metrics, average)])));
+  });
+
+  sheet.clear();
+  writeTab(sheet, tab, columns, { rows: rows, totals: { current: {}, prior: {} } });
+  if (rows.length > 0) {
+    const modifierRules = getChangeFormatRules(sheet.getRange(2, columns.length, rows.length, 1), false);
+    sheet.setConditionalFormatRules(sheet.getConditionalFormatRules().concat(modifierRules));
+  }
+}
+
+// Per scope: a heatmap of MODIFIER_METRIC by day and hour, and below it the suggested bid modifier of each cell.
+function writeDayHourBreakdown(sheet, periods) {
+  const metricKey = CONFIG.BREAKDOWNS.MODIFIER_METRIC;
+  const metric = METRICS[metricKey];
+  const groups = groupByBreakdownScope(fetchTabEntities(DAY_HOUR_BREAKDOWN_TAB, {}, periods.current));
+  sheet.clear();
+  if (Object.keys(groups).length === 0) {
+    sheet.getRange(1, 1).setValue('No day and hour data found for the selected date range.');
+    sheet.setConditionalFormatRules([]);
+    return;
+  }
+
+  const rules = [];
+  let row = 1;
+  Object.keys(groups).forEach(scope => {
+    const cells = {};
+    groups[scope].forEach(entity => { cells[`${entity.dimensions[1]}|${entity.dimensions[2]}`] = entity.metrics; });
+    const average = sumMetrics(groups[scope], 'metrics');
+    const toGrid = getValue => BREAKDOWN_DAYS.map(day => BREAKDOWN_HOURS.map(hour => {
+      const metrics = cells[`${day}|${hour}`];
+      return metrics ? getValue(metrics) : '';
+    }));
+
+    const averageText = metric.currency ? formatMoney(getMetricValue(metricKey, average)) : formatNumber(getMetricValue(metricKey, average));
+    row = writeHeatmap(sheet, row, `${scope}: ${metric.header} by Day and Hour (average ${averageText})`,
+      toGrid(metrics => getMetricValue(metricKey, metrics)), getColumnFormat(metric),
+      range => rules.push(getHeatmapRule(range, metric.lowerIsBetter, SpreadsheetApp.InterpolationType.PERCENTILE, '50')));
+    row = writeHeatmap(sheet, row, `${scope}: Suggested Bid Modifier`,
+      toGrid(metrics => getBidModifier(metrics, average)), BID_MODIFIER_FORMAT,
+      range => rules.push(getHeatmapRule(range, false, SpreadsheetApp.InterpolationType.NUMBER, '0')));
+  });
+  sheet.setConditionalFormatRules(rules);
+  sheet.setColumnWidth(1, 100);
+  BREAKDOWN_HOURS.forEach(hour => sheet.setColumnWidth(hour + 2, 55));
+}
+
+// Writes a title, an hour header and one row per day at `row`, and returns the row after the block's blank line.
+function writeHeatmap(sheet, row, title, grid, format, addRule) {
+  sheet.getRange(row, 1).setValue(title).setFontWeight('bold');
+  sheet.getRange(row + 1, 1, 1, BREAKDOWN_HOURS.length + 1)
+    .setValues([['Day'].concat(BREAKDOWN_HOURS.map(hour => `${hour}:00`))])
+    .setFontWeight('bold')
+    .setBackground('#f3f3f3');
+  sheet.getRange(row + 2, 1, BREAKDOWN_DAYS.length, 1).setValues(BREAKDOWN_DAYS.map(day => [day.charAt(0) + day.slice(1).toLowerCase()]));
+  const values = sheet.getRange(row + 2, 2, BREAKDOWN_DAYS.length, BREAKDOWN_HOURS.length);
+  values.setValues(grid).setNumberFormat(format);
+  addRule(values);
+  return row + BREAKDOWN_DAYS.length + 3;
+}
+
+// Green for the best cells and red for the worst, through white at the midpoint.
+function getHeatmapRule(range, lowerIsBetter, midpointType, midpointValue) {
+  const [lowColor, highColor] = lowerIsBetter ? ['#57bb8a', '#e67c73'] : ['#e67c73', '#57bb8a'];
+  return SpreadsheetApp.newConditionalFormatRule()
+    .setGradientMinpoint(lowColor)
+    .setGradientMidpointWithValue('#ffffff', midpointType, midpointValue)
+    .setGradientMaxpoint(highColor)
+    .setRanges([range])
+    .build();
+}
+
+// ==================== HISTORY FUNCTIONS ====================
+// Each run merges the daily rows of the reporting period into the history tabs, keyed by date and the tab's
+// dimensions (e.g. campaign name), so re-exported days replace their earlier rows. History tabs hold base
+// metrics only; ratios such as ROAS are derived again when the trend tabs are built from the whole archive.
+const HISTORY_DATE_HEADER = 'Date';
+const HISTORY_UPDATED_HEADER = 'Updated';
+
+function exportHistory(spreadsheet, periods) {
+  const metricError = validateMetricKey(CONFIG.HISTORY.TREND_METRIC);
+  if (metricError) throw new Error(`Invalid CONFIG.HISTORY.TREND_METRIC: ${metricError}`);
+
+  const archive = getHistorySpreadsheet(spreadsheet);
+  const updatedAt = Utilities.formatDate(new Date(), AdsApp.currentAccount().getTimeZone(), 'yyyy-MM-dd HH:mm:ss');
+  const oldestDate = formatIsoDate(addDays(parseIsoDate(periods.current.endDate), -CONFIG.HISTORY.RETENTION_DAYS));
+
+  getHistoryTabKeys().forEach(tabKey => {
+    const tab = TABS[tabKey];
+    let entities = [];
+    try {
+      entities = fetchHistoryEntities(tab, periods.current);
+    } catch (e) {
+      if (!tab.errorMessage) throw e;
+      Logger.log(`Could not archive ${CONFIG.SHEET_NAMES[tabKey]} data. ${tab.errorHint || ''}Error: ${e}`);
+    }
+
+    const historySheetName = CONFIG.HISTORY.SHEET_NAMES[tabKey];
+    const trendSheetName = CONFIG.HISTORY.TREND_SHEET_NAMES[tabKey];
+    ensureSheetExists(archive, historySheetName);
+    ensureSheetExists(spreadsheet, trendSheetName);
+    const history = mergeHistory(archive.getSheetByName(historySheetName), tab, entities, updatedAt, oldestDate);
+    writeTrendTab(spreadsheet.getSheetByName(trendSheetName), tab, history);
+    Logger.log(`Archived ${entities.length} rows to ${historySheetName} (${history.length} in total).`);
+  });
+}
+
+// In MCC mode every account already has its own spreadsheet, and one shared archive would mix their entities.
+function getHistorySpreadsheet(spreadsheet) {
+  if (!CONFIG.HISTORY.SPREADSHEET_URL || CONFIG.MCC.ENABLED) return spreadsheet;
+  try {
+    return SpreadsheetApp.openByUrl(CONFIG.HISTORY.SPREADSHEET_URL);
+  } catch (e) {
+    throw new Error(`Unable to open spreadsheet ${CONFIG.HISTORY.SPREADSHEET_URL}. Please check the URL in CONFIG.HISTORY.SPREADSHEET_URL`);
+  }
+}
+
+function getHistoryTabKeys() {
+  const tabKeys = Object.keys(CONFIG.HISTORY.SHEET_NAMES);
+  tabKeys.forEach(tabKey => {
+    if (!isArchivableTab(TABS[tabKey])) {
+      throw new Error(`Cannot archive '${tabKey}' in CONFIG.HISTORY.SHEET_NAMES. Use tabs with one row per entity: ${Object.keys(TABS).filter(key => isArchivableTab(TABS[key])).join(', ')}`);
+    }
+    if (!CONFIG.HISTORY.TREND_SHEET_NAMES[tabKey]) {
+      throw new Error(`No trend tab name for '${tabKey}'. Add it to CONFIG.HISTORY.TREND_SHEET_NAMES.`);
+    }
+  });
+  return tabKeys;
+}
+
+// Tabs that split rows (n-grams) or already have one row per date (Account Daily) have no entity to track,
+// and the per-campaign search term insights cannot be broken down by date.
+function isArchivableTab(tab) {
+  return Boolean(tab) && !tab.expandRow && !tab.perCampaign && !tab.dimensions.some(dimension => dimension.date);
+}
+
+// The tab's own query with the date as an extra dimension, so every entity gets one row per day.
+function fetchHistoryEntities(tab, dateRange) {
+  const dailyTab = Object.assign({}, tab, {
+    dimensions: [{ header: HISTORY_DATE_HEADER, field: 'segments.date' }].concat(getTabDimensions(tab)),
+    customKpis: false,
+    orderBy: '',
+    sortBy: ''
+  });
+  return fetchTabEntities(dailyTab, tab.prepare ? tab.prepare() : {}, dateRange);
+}
+
+function getHistoryColumns(tab) {
+  return [{ header: HISTORY_DATE_HEADER }]
+    .concat(getTabDimensions(tab).map(dimension => ({ header: dimension.header })))
+    .concat(getRequiredBaseMetrics(Object.assign({}, tab, { customKpis: false })).map(key => Object.assign({ key: key }, METRICS[key])))
+    .concat([{ header: HISTORY_UPDATED_HEADER }]);
+}
+
+// Returns every archived day as { dimensions: [date, ...], metrics, updatedAt }, newest first.
+function mergeHistory(sheet, tab, entities, updatedAt, oldestDate) {
+  const columns = getHistoryColumns(tab);
+  const headers = columns.map(column => column.header);
+  const metricColumns = columns.filter(column => column.key);
+  const dimensionCount = columns.length - metricColumns.length - 1;
+  const records = new Map();
+  const addRecord = (dimensions, metrics, recordUpdatedAt) => {
+    records.set(JSON.stringify(dimensions), { dimensions: dimensions, metrics: metrics, updatedAt: recordUpdatedAt });
+  };
+
+  if (sheet.getLastRow() > 0) {
+    const values = sheet.getRange(1, 1, sheet.getLastRow(), headers.length).getValues();
+    if (values[0].join('|') !== headers.join('|')) {
+      throw new Error(`The '${sheet.getName()}' tab does not have the columns ${headers.join(', ')}. Rename it to start a new archive.`);
+    }
+    values.slice(1).forEach(row => {
+      const metrics = {};
+      metricColumns.forEach((column, i) => { metrics[column.key] = parseFloat(row[dimensionCount + i]) || 0; });
+      addRecord(row.slice(0, dimensionCount).map(String), metrics, row[headers.length - 1]);
+    });
+  }
+  entities.forEach(entity => addRecord(entity.dimensions.map(String), entity.metrics, updatedAt));
+
+  const history = Array.from(records.values())
+    .filter(record => record.dimensions[0] >= oldestDate)
+    .sort((a, b) => b.dimensions[0].localeCompare(a.dimensions[0]) || (b.metrics.cost || 0) - (a.metrics.cost || 0));
+  const rows = history.map(record => record.dimensions
+    .concat(metricColumns.map(column => record.metrics[column.key] || 0))
+    .concat([record.updatedAt]));
+
+  sheet.clear();
+  // Plain text, so Sheets keeps dates and names exactly as written and they match again on the next run
+  sheet.getRange(1, 1, rows.length + 1, headers.length).setNumberFormat('@');
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold').setBackground('#f3f3f3');
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    metricColumns.forEach((column, i) => {
+      sheet.getRange(2, dimensionCount + i + 1, rows.length, 1).setNumberFormat(getColumnFormat(column));
+    });
+  }
+  sheet.setFrozenRows(1);
+  return history;
+}
+
+// Weekly TREND_METRIC of the TREND_ROWS entities with the most cost, with a sparkline, the week-over-week
+// change and a totals row over every entity. The weekly totals are repeated below the table for the chart.
+function writeTrendTab(sheet, tab, history) {
+  const metric = Object.assign({ key: CONFIG.HISTORY.TREND_METRIC }, METRICS[CONFIG.HISTORY.TREND_METRIC]);
+  const dimensions = getTabDimensions(tab);
+  sheet.clear();
+  sheet.getCharts().forEach(chart => sheet.removeChart(chart));
+  if (history.length === 0) {
+    sheet.getRange(1, 1).setValue('No history archived yet. Trends appear after the first export with CONFIG.HISTORY.ENABLED.');
+    return;
+  }
+
+  const weeks = getTrendWeeks(history[0].dimensions[0]);
+  const addMetrics = (target, metrics) => Object.keys(metrics).forEach(key => { target[key] = (target[key] || 0) + metrics[key]; });
+  const entities = new Map();
+  const totals = weeks.map(() => ({}));
+  history.forEach(record => {
+    const date = record.dimensions[0];
+    const week = weeks.findIndex(w => date >= w.startDate && date <= w.endDate);
+    if (week === -1) return;
+    const key = JSON.stringify(record.dimensions.slice(1));
+    if (!entities.has(key)) {
+      entities.set(key, { dimensions: record.dimensions.slice(1), weeks: weeks.map(() => ({})), cost: 0 });
+    }
+    const entity = entities.get(key);
+    addMetrics(entity.weeks[week], record.metrics);
+    addMetrics(totals[week], record.metrics);
+    entity.cost += record.metrics.cost || 0;
+  });
+
+  const firstWeekColumn = dimensions.length + 1;
+  const sparklineColumn = firstWeekColumn + weeks.length;
+  const columns = dimensions.map(dimension => ({ dimension: true, header: dimension.header, width: dimension.width }))
+    .concat(weeks.map(week => Object.assign({}, metric, { header: formatDisplayDate(week.startDate) })))
+    .concat([
+      { header: `${metric.header} Trend`, width: 120 },
+      Object.assign({}, metric, { change: 'percent', header: 'WoW % Change', format: '+0.0%;-0.0%;0.0%', currency: false })
+    ]);
+  const toRow = (labels, weekMetrics) => {
+    const values = weekMetrics.map(metrics => getMetricValue(metric.key, metrics));
+    return labels.concat(values, ['', getChangeValue('percent', values[values.length - 1], values[values.length - 2])]);
+  };
+  const rows = Array.from(entities.values())
+    .sort((a, b) => b.cost - a.cost)
+    .slice(0, CONFIG.HISTORY.TREND_ROWS)
+    .map(entity => toRow(entity.dimensions, entity.weeks));
+  rows.push(toRow(['Total'].concat(dimensions.slice(1).map(() => '')), totals));
+
+  sheet.getRange(1, 1, 1, columns.length).setValues([columns.map(column => column.header)]);
+  sheet.getRange(2, 1, rows.length, columns.length).setValues(rows);
+  sheet.getRange(2, sparklineColumn, rows.length, 1).setFormulas(rows.map((row, i) =>
+    [`=SPARKLINE(${columnToLetter(firstWeekColumn)}${i + 2}:${columnToLetter(sparklineColumn - 1)}${i + 2})`]));
+  formatTab(sheet, {}, columns, rows.length + 1);
+  sheet.getRange(rows.length + 1, 1, 1, columns.length).setFontWeight('bold').setBackground('#e8e8e8');
+
+  const chartRow = rows.length + 3;
+  const weekly = [['Week Starting', metric.header, 'WoW % Change']].concat(weeks.map((week, i) => {
+    const value = getMetricValue(metric.key, totals[i]);
+    return [week.startDate, value, i > 0 ? getChangeValue('percent', value, getMetricValue(metric.key, totals[i - 1])) : ''];
+  }));
+  sheet.getRange(chartRow, 1, weekly.length, 3).setValues(weekly);
+  sheet.getRange(chartRow, 1, 1, 3).setFontWeight('bold').setBackground('#f3f3f3');
+  sheet.getRange(chartRow + 1, 1, weeks.length, 1).setNumberFormat(CONFIG.LOCALE.DATE_FORMAT);
+  sheet.getRange(chartRow + 1, 2, weeks.length, 1).setNumberFormat(getColumnFormat(metric));
+  sheet.getRange(chartRow + 1, 3, weeks.length, 1).setNumberFormat('+0.0%;-0.0%;0.0%');
+  sheet.insertChart(sheet.newChart()
+    .setChartType(Charts.ChartType.COLUMN)
+    .addRange(sheet.getRange(chartRow, 1, weekly.length, 2))
+    .setPosition(chartRow, 5, 0, 0)
+    .setOption('title', `${metric.header} per Week`)
+    .setOption('legend', { position: 'none' })
+    .build());
+}
+
+// TREND_WEEKS 7-day blocks ending on the latest archived day, oldest first, so the last week is never partial.
+function getTrendWeeks(latestDate) {
+  const end = parseIsoDate(latestDate);
+  const weeks = [];
+  for (let i = CONFIG.HISTORY.TREND_WEEKS - 1; i >= 0; i--) {
+    weeks.push({ startDate: formatIsoDate(addDays(end, -7 * i - 6)), endDate: formatIsoDate(addDays(end, -7 * i)) });
+  }
+  return weeks;
+}
+
+// For the Settings tab, CONFIG.HISTORY.TREND_METRIC and CONFIG.BREAKDOWNS.MODIFIER_METRIC
+function validateMetricKey(key) {
+  return METRICS[key] ? '' : `'${key}' is not one of: ${Object.keys(METRICS).join(', ')}.`;
+}
+
+// ==================== CUSTOM KPI FUNCTIONS ====================
+// CONFIG.CUSTOM_KPIS become METRICS entries, so every tab, total, comparison and email shows them like any
+// other metric. Conversion action KPIs are base metrics filled in by addConversionActionMetrics.
+function loadCustomKpis() {
+  const errors = [];
+  CONFIG.CUSTOM_KPIS.forEach((kpi, index) => {
+    const error = validateCustomKpi(kpi);
+    if (error) {
+      errors.push(`CONFIG.CUSTOM_KPIS[${index}] (${kpi.key || 'no key'}): ${error}`);
+      return;
+    }
+    METRICS[kpi.key] = Object.assign({ format: kpi.ratio ? '#,##0.00' : '#,##0.0', custom: true }, kpi);
+  });
+  if (errors.length > 0) {
+    throw new Error(`CONFIG.CUSTOM_KPIS has ${errors.length} invalid KPI(s):\n${errors.join('\n')}`);
+  }
+}
+
+// Ratios may only use metrics that are defined by then, so a KPI can divide by an earlier one.
+function validateCustomKpi(kpi) {
+  if (!/^[A-Za-z]\w*$/.test(kpi.key || '')) return "The key must be a name such as 'leads'.";
+  if (METRICS[kpi.key] && !METRICS[kpi.key].custom) return `'${kpi.key}' is already a metric.`;
+  if (!kpi.header) return 'The header is missing.';
+  if (kpi.conversionActions) {
+    return Array.isArray(kpi.conversionActions) && kpi.conversionActions.length > 0
+      ? '' : 'conversionActions must list at least one conversion action name.';
+  }
+  if (!Array.isArray(kpi.ratio) || kpi.ratio.length !== 2) {
+    return 'Set conversionActions, or ratio: [numerator, denominator].';
+  }
+  const unknown = kpi.ratio.filter(key => !METRICS[key] || METRICS[key].ratio);
+  if (unknown.length > 0) return `The ratio can only use base metrics such as cost or leads, not ${unknown.join(', ')}.`;
+  return kpi.multiplier === undefined || kpi.multiplier > 0 ? '' : 'The multiplier must be a number above 0.';
+}
+
+// ==================== KEYWORD FUNCTIONS ====================
+// Helpers for the Quality Score metrics of the Keywords and Quality Score by Campaign tabs, and the Quality
+// Score history: a snapshot of the Keywords tab per day, with each keyword's change
+// since its previous snapshot.
+const QUALITY_SCORE_HISTORY_HEADERS = [
+  'Date', 'Campaign', 'Ad Group', 'Keyword', 'Match Type', 'Quality Score', 'Expected CTR', 'Ad Relevance', 'Landing Page Exp.', 'Previous Quality Score', 'Change'
+];
+
+// Keywords get a Quality Score (1-10) once they have enough impressions; null until then.
+function getQualityScore(row) {
+  return parseInt(row['ad_group_criterion.quality_info.quality_score'], 10) || null;
+}
+
+function getBelowAverageImpressions(row, component) {
+  if (!getQualityScore(row)) return 0;
+  return row[`ad_group_criterion.quality_info.${component}`] === 'BELOW_AVERAGE' ? getImpressions(row) : 0;
+}
+
+function getBidEstimate(row, field) {
+  const micros = parseFloat(row[`ad_group_criterion.position_estimates.${field}`]);
+  return micros > 0 ? micros / 1000000 : '';
+}
+
+// The first eight columns of the Keywords tab are its campaign, ad group, keyword, match type, Quality Score
+// and components. Snapshots of the same day are replaced; the previous score is from the latest earlier day.
+function exportQualityScoreHistory(spreadsheet, data) {
+  if (data.rows.length === 0) return;
+  ensureSheetExists(spreadsheet, CONFIG.QUALITY_SCORE_HISTORY.SHEET_NAME);
+  const sheet = spreadsheet.getSheetByName(CONFIG.QUALITY_SCORE_HISTORY.SHEET_NAME);
+  const headers = QUALITY_SCORE_HISTORY_HEADERS;
+  const today = getAccountToday();
+  const date = formatIsoDate(today);
+  const oldestDate = formatIsoDate(addDays(today, -CONFIG.QUALITY_SCORE_HISTORY.RETENTION_DAYS));
+  const keyOf = row => JSON.stringify(row.slice(1, 5).map(String));
+
+  let earlierRows = [];
+  if (sheet.getLastRow() > 0) {
+    const values = sheet.getRange(1, 1, sheet.getLastRow(), headers.length).getValues();
+    if (values[0].join('|') !== headers.join('|')) {
+      throw new Error(`The '${sheet.getName()}' tab does not have the columns ${headers.join(', ')}. Rename it to start a new history.`);
+    }
+    earlierRows = values.slice(1).filter(row => String(row[0]) < date && String(row[0]) >= oldestDate);
+  }
+  const previousScores = {};
+  earlierRows.forEach(row => {
+    const key = keyOf(row);
+    if (!(key in previousScores)) previousScores[key] = row[5];
+  });
+
+  let changed = 0;
+  const snapshot = data.rows.map(tabRow => {
+    const row = [date].concat(tabRow.slice(0, 8));
+    const previous = previousScores[keyOf(row)];
+    const hasScores = row[5] !== '' && previous !== undefined && previous !== '';
+    if (hasScores && row[5] !== previous) changed++;
+    return row.concat([previous === undefined ? '' : previous, hasScores ? row[5] - previous : '']);
+  });
+  const rows = snapshot.concat(earlierRows);
+
+  sheet.clear();
+  // Plain text, so Sheets keeps dates and names exactly as written and they match again on the next run
+  sheet.getRange(1, 1, rows.length + 1, 5).setNumberFormat('@');
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold').setBackground('#f3f3f3');
+  sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+  sheet.getRange(2, headers.length, rows.length, 1).setNumberFormat('+0;-0;0');
+  sheet.setConditionalFormatRules(getChangeFormatRules(sheet.getRange(2, headers.length, rows.length, 1), false));
+  sheet.setFrozenRows(1);
+  Logger.log(`Saved the Quality Score of ${snapshot.length} keywords to ${CONFIG.QUALITY_SCORE_HISTORY.SHEET_NAME}; ${changed} changed since their previous snapshot.`);
+}
+
+// ==================== RULE FUNCTIONS ====================
+// Rules are read from the RULES.SHEET_NAME tab, one per row. Every row is checked before any rule runs, and all
+// problems are reported together, as on the Settings tab. A rule's level says which entities it looks at: their
+// metrics are fetched with the same engine and METRICS definitions as the dashboard tabs (CONFIG.CAMPAIGN_FILTER
+// included), over the rule's lookback window. Conditions compare METRICS keys with numbers; percentages such as
+// ctr are fractions (0.02 for 2%). Metrics such as cost and CPA are rarely exactly a round number, so = and != allow
+// RULE_EQUAL_TOLERANCE of the number either way ('conversions = 0' still means none at all). Changes go through the
+// AdsApp entities, and only with CONFIG.RULES.APPLY_CHANGES.
+const RULES_HEADERS = ['Enabled', 'Rule', 'Level', 'Conditions', 'Lookback Days', 'Action', 'Change'];
+const RULES_PREVIEW_METRICS = ['clicks', 'cost', 'conversions', 'costPerConv', 'roas'];
+const RULES_PREVIEW_HEADERS = ['Rule', 'Level', 'Entity', 'Conditions']
+  .concat(RULES_PREVIEW_METRICS.map(key => METRICS[key].header), ['Action', 'Current', 'New', 'Status']);
+const RULES_AUDIT_LOG_HEADERS = ['Time', 'Rule', 'Level', 'Entity', 'Action', 'Old Value', 'New Value', 'Result'];
+const RULES_EXAMPLES = [
+  [false, 'Pause keywords that spend without converting', 'KEYWORD', 'cost > 100 AND conversions = 0', 30, 'PAUSE', ''],
+  [false, 'Lower location bid modifiers when CPA is over target', 'LOCATION', 'costPerConv > 50 AND clicks >= 50', 30, 'ADJUST_BID_MODIFIER', -0.1]
+];
+const RULE_EQUAL_TOLERANCE = 0.005; // 0.5%: 'costPerConv = 50' matches 49.75 to 50.25
+const RULE_OPERATORS = {
+  '>': (value, target) => value > target,
+  '>=': (value, target) => value >= target,
+  '<': (value, target) => value < target,
+  '<=': (value, target) => value <= target,
+  '=': (value, target) => Math.abs(value - target) <= Math.abs(target) * RULE_EQUAL_TOLERANCE,
+  '!=': (value, target) => !RULE_OPERATORS['='](value, target)
+};
+
+// dimensions are fetched like a tab's; find(dimensions) returns the AdsApp entity to change, or null.
+const RULE_LEVELS = {
+  CAMPAIGN: {
+    resource: 'campaign',
+    dimensions: [{ header: 'Campaign', field: 'campaign.name' }, { header: 'Campaign ID', field: 'campaign.id' }],
+    conditions: ["campaign.status = 'ENABLED'"],
+    describe: dimensions => dimensions[0],
+    find: dimensions => getFirstEntity(AdsApp.campaigns().withIds([dimensions[1]]).get())
+  },
+  AD_GROUP: {
+    resource: 'ad_group',
+    dimensions: [{ header: 'Campaign', field: 'campaign.name' }, { header: 'Ad Group', field: 'ad_group.name' }, { header: 'Ad Group ID', field: 'ad_group.id' }],
+    conditions: ["campaign.status = 'ENABLED'", "ad_group.status = 'ENABLED'"],
+    describe: dimensions => `${dimensions[0]} > ${dimensions[1]}`,
+    find: dimensions => getFirstEntity(AdsApp.adGroups().withIds([dimensions[2]]).get())
+  },
+  KEYWORD: {
+    resource: 'keyword_view',
+    dimensions: [
+      { header: 'Campaign', field: 'campaign.name' },
+      { header: 'Ad Group', field: 'ad_group.name' },
+      { header: 'Keyword', field: 'ad_group_criterion.keyword.text' },
+      { header: 'Match Type', field: 'ad_group_criterion.keyword.match_type' },
+      { header: 'Ad Group ID', field: 'ad_group.id' },
+      { header: 'Keyword ID', field: 'ad_group_criterion.criterion_id' }
+    ],
+    conditions: ["campaign.status = 'ENABLED'", "ad_group.status = 'ENABLED'", "ad_group_criterion.status = 'ENABLED'", 'ad_group_criterion.negative = FALSE'],
+    describe: dimensions => `${dimensions[0]} > ${dimensions[1]} > ${formatKeyword(dimensions[2], dimensions[3])}`,
+    find: dimensions => getFirstEntity(AdsApp.keywords().withIds([[dimensions[4], dimensions[5]]]).get())
+  },
+  // Targeted locations (not where users were), as bid modifiers are set on the campaign's location targets.
+  LOCATION: {
+    resource: 'location_view',
+    dimensions: [
+      { header: 'Campaign', field: 'campaign.name' },
+      { header: 'Campaign ID', field: 'campaign.id' },
+      { header: 'Location ID', field: 'campaign_criterion.criterion_id' }
+    ],
+    conditions: ["campaign.status = 'ENABLED'", 'campaign_criterion.negative = FALSE'],
+    prepare: () => ({ countryNames: getCountryNames() }),
+    describe: (dimensions, context) => `${dimensions[0]} > ${context.countryNames[dimensions[2]] || `Location ${dimensions[2]}`}`,
+    find: dimensions => {
+      const campaign = getFirstEntity(AdsApp.campaigns().withIds([dimensions[1]]).get());
+      if (!campaign) return null;
+      const locations = campaign.targeting().targetedLocations().get();
+      while (locations.hasNext()) {
+        const location = locations.next();
+        if (String(location.getId()) === String(dimensions[2])) return location;
+      }
+      return null;
+    }
+  }
+};
+
+// get(entity) reads the current value (null when there is nothing to change), next(current, change) the new one.
+const RULE_ACTIONS = {
+  PAUSE: {
+    levels: ['CAMPAIGN', 'AD_GROUP', 'KEYWORD'],
+    get: entity => (entity.isEnabled() ? 'ENABLED' : null),
+    next: () => 'PAUSED',
+    apply: entity => entity.pause()
+  },
+  ADJUST_BID: {
+    levels: ['AD_GROUP', 'KEYWORD'],
+    needsChange: true,
+    get: entity => entity.bidding().getCpc(),
+    next: (cpc, change) => Math.max(0.01, Math.round(cpc * (1 + change) * 100) / 100),
+    apply: (entity, cpc) => entity.bidding().setCpc(cpc)
+  },
+  ADJUST_BID_MODIFIER: {
+    levels: ['LOCATION'],
+    needsChange: true,
+    get: location => location.getBidModifier(),
+    // Google Ads accepts location bid modifiers from 0.1 (-90%) to 10 (+900%)
+    next: (modifier, change) => Math.min(10, Math.max(0.1, Math.round(modifier * (1 + change) * 100) / 100)),
+    apply: (location, modifier) => location.setBidModifier(modifier)
+  }
+};
+
+function runRules(spreadsheet) {
+  const rules = loadRules(spreadsheet).filter(rule => rule.enabled);
+  const changes = rules.reduce((all, rule) => all.concat(evaluateRule(rule)), []);
+  const mode = CONFIG.RULES.APPLY_CHANGES ? 'applied' : 'previewed (dry run)';
+
+  if (CONFIG.RULES.APPLY_CHANGES) {
+    changes.filter(change => change.status === 'Pending').forEach(change => {
+      try {
+        RULE_ACTIONS[change.rule.action].apply(change.adsEntity, change.newValue);
+        change.status = 'Applied';
+      } catch (e) {
+        change.status = `Failed: ${e.message}`;
+      }
+    });
+  } else {
+    changes.forEach(change => { if (change.status === 'Pending') change.status = 'Dry run'; });
+  }
+  appendRuleAuditLog(spreadsheet, changes.filter(change => change.status.indexOf('Skipped') !== 0));
+
+  writeRulesPreview(spreadsheet, changes);
+  Logger.log(`${rules.length} rules matched ${changes.length} entities; changes ${mode}.`);
+}
+
+// Reads the Rules tab, creating it with the disabled examples on the first run.
+function loadRules(spreadsheet) {
+  const sheet = spreadsheet.getSheetByName(CONFIG.RULES.SHEET_NAME);
+  if (!sheet) {
+    createRulesSheet(spreadsheet);
+    Logger.log(`Created the '${CONFIG.RULES.SHEET_NAME}' tab with example rules. Enable them or add your own there.`);
+    return [];
+  }
+
+  const rules = [];
+  const errors = [];
+  const rows = sheet.getLastRow() > 1 ? sheet.getRange(2, 1, sheet.getLastRow() - 1, RULES_HEADERS.length).getValues() : [];
+  rows.forEach((row, index) => {
+    const name = String(row[1]).trim();
+    if (name === '') return;
+    try {
+      rules.push(parseRule(row, name));
+    } catch (e) {
+      errors.push(`Row ${index + 2} (${name}): ${e.message}`);
+    }
+  });
+  if (errors.length > 0) {
+    throw new Error(`The '${CONFIG.RULES.SHEET_NAME}' tab has ${errors.length} invalid row(s):\n${errors.join('\n')}`);
+  }
+  return rules;
+}
+
+function parseRule(row, name) {
+  const [enabled, , level, conditions, lookbackDays, action, change] = row;
+  if (!RULE_LEVELS[level]) throw new Error(`Level '${level}' is not one of: ${Object.keys(RULE_LEVELS).join(', ')}.`);
+  if (!RULE_ACTIONS[action]) throw new Error(`Action '${action}' is not one of: ${Object.keys(RULE_ACTIONS).join(', ')}.`);
+  if (RULE_ACTIONS[action].levels.indexOf(level) === -1) {
+    throw new Error(`${action} works on ${RULE_ACTIONS[action].levels.join(', ')}, not ${level}.`);
+  }
+  const rule = {
+    name: name,
+    enabled: SETTING_TYPES.boolean.parse(enabled),
+    level: level,
+    conditionsText: String(conditions).trim(),
+    conditions: parseRuleConditions(conditions),
+    lookbackDays: SETTING_TYPES.number.parse(lookbackDays, { min: 1 }),
+    action: action,
+    change: 0
+  };
+  if (RULE_ACTIONS[action].needsChange) {
+    rule.change = SETTING_TYPES.number.parse(change, { min: -0.9, max: 10 });
+    if (rule.change === 0) throw new Error(`${action} needs a Change, e.g. -10% or 0.15.`);
+  }
+  return rule;
+}
+
+// 'cost > 100 AND conversions = 0' -> [{ metric: 'cost', operator: '>', value: 100 }, ...]
+function parseRuleConditions(text) {
+  const parts = String(text).trim().split(/\s+AND\s+/i).filter(part => part);
+  if (parts.length === 0) throw new Error("Conditions are missing, e.g. 'cost > 100 AND conversions = 0'.");
+  return parts.map(part => {
+    const match = /^(\w+)\s*(>=|<=|!=|=|>|<)\s*(-?\d+(?:\.\d+)?)$/.exec(part.trim());
+    if (!match) throw new Error(`'${part}' is not a condition such as 'cost > 100'.`);
+    const metricError = validateMetricKey(match[1]);
+    if (metricError) throw new Error(metricError);
+    return { metric: match[1], operator: match[2], value: parseFloat(match[3]) };
+  });
+}
+
+// The rule's matches with the most cost first, each with its current and new value. Status is 'Pending' for a
+// change still to be made, or says why the entity is left alone.
+function evaluateRule(rule) {
+  const level = RULE_LEVELS[rule.level];
+  const action = RULE_ACTIONS[rule.action];
+  const tab = { resource: level.resource, dimensions: level.dimensions, metrics: STANDARD_METRICS, conditions: level.conditions };
+  const context = level.prepare ? level.prepare() : {};
+  const today = getAccountToday();
+  const [start, end] = resolveDateRange(`LAST_N_DAYS:${rule.lookbackDays}`, today);
+
+  let matches = fetchTabEntities(tab, context, { startDate: formatIsoDate(start), endDate: formatIsoDate(end) })
+    .filter(entity => rule.conditions.every(condition => RULE_OPERATORS[condition.operator](getMetricValue(condition.metric, entity.metrics), condition.value)))
+    .sort((a, b) => b.metrics.cost - a.metrics.cost);
+  if (matches.length > CONFIG.RULES.MAX_CHANGES_PER_RULE) {
+    Logger.log(`Rule '${rule.name}' matched ${matches.length} entities. Only the ${CONFIG.RULES.MAX_CHANGES_PER_RULE} with the most cost are changed.`);
+    matches = matches.slice(0, CONFIG.RULES.MAX_CHANGES_PER_RULE);
+  }
+
+  return matches.map(entity => {
+    const change = { rule: rule, entity: entity, name: level.describe(entity.dimensions, context), currentValue: '', newValue: '', status: 'Pending' };
+    change.adsEntity = level.find(entity.dimensions);
+    if (!change.adsEntity) {
+      change.status = 'Skipped: not found';
+      return change;
+    }
+    const current = action.get(change.adsEntity);
+    if (current === null || current === undefined) {
+      change.status = rule.action === 'PAUSE' ? 'Skipped: already paused' : 'Skipped: no manual bid to adjust';
+      return change;
+    }
+    change.currentValue = current;
+    change.newValue = action.next(current, rule.change);
+    if (change.newValue === current) change.status = 'Skipped: no change';
+    return change;
+  });
+}
+
+function writeRulesPreview(spreadsheet, changes) {
+  ensureSheetExists(spreadsheet, CONFIG.RULES.PREVIEW_SHEET_NAME);
+  const sheet = spreadsheet.getSheetByName(CONFIG.RULES.PREVIEW_SHEET_NAME);
+  sheet.clear();
+  sheet.getRange(1, 1, 1, RULES_PREVIEW_HEADERS.length).setValues([RULES_PREVIEW_HEADERS]).setFontWeight('bold').setBackground('#f3f3f3');
+  if (changes.length === 0) {
+    sheet.getRange(2, 1).setValue('No rule matched any entity.');
+  } else {
+    sheet.getRange(2, 1, changes.length, RULES_PREVIEW_HEADERS.length).setValues(changes.map(change => [
+      change.rule.name,
+      change.rule.level,
+      change.name,
+      change.rule.conditionsText
+    ].concat(RULES_PREVIEW_METRICS.map(key => getMetricValue(key, change.entity.metrics)), [
+      change.rule.action,
+      change.currentValue,
+      change.newValue,
+      change.status
+    ])));
+    RULES_PREVIEW_METRICS.forEach((key, i) => {
+      sheet.getRange(2, 5 + i, changes.length, 1).setNumberFormat(getColumnFormat(METRICS[key]));
+    });
+  }
+  sheet.setFrozenRows(1);
+}
+
+function appendRuleAuditLog(spreadsheet, changes) {
+  if (changes.length === 0) return;
+  let sheet = spreadsheet.getSheetByName(CONFIG.RULES.AUDIT_LOG_SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(CONFIG.RULES.AUDIT_LOG_SHEET_NAME);
+    sheet.getRange(1, 1, 1, RULES_AUDIT_LOG_HEADERS.length).setValues([RULES_AUDIT_LOG_HEADERS]).setFontWeight('bold').setBackground('#f3f3f3');
+    sheet.setFrozenRows(1);
+  }
+  const time = Utilities.formatDate(new Date(), AdsApp.currentAccount().getTimeZone(), 'yyyy-MM-dd HH:mm:ss');
+  const rows = changes.map(change => [time, change.rule.name, change.rule.level, change.name, change.rule.action, change.currentValue, change.newValue, change.status]);
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, RULES_AUDIT_LOG_HEADERS.length).setValues(rows);
+}
+
+function createRulesSheet(spreadsheet) {
+  const sheet = spreadsheet.insertSheet(CONFIG.RULES.SHEET_NAME);
+  sheet.getRange(1, 1, 1, RULES_HEADERS.length).setValues([RULES_HEADERS]).setFontWeight('bold');
+  sheet.getRange(2, 1, RULES_EXAMPLES.length, RULES_HEADERS.length).setValues(RULES_EXAMPLES);
+
+  // Dropdowns for the fixed columns of the first 50 rules
+  const dropdown = values => SpreadsheetApp.newDataValidation().requireValueInList(values, true).setAllowInvalid(false).build();
+  sheet.getRange(2, 1, 50, 1).setDataValidation(dropdown(['TRUE', 'FALSE']));
+  sheet.getRange(2, 3, 50, 1).setDataValidation(dropdown(Object.keys(RULE_LEVELS)));
+  sheet.getRange(2, 6, 50, 1).setDataValidation(dropdown(Object.keys(RULE_ACTIONS)));
+  sheet.getRange(2, 7, 50, 1).setNumberFormat('+0%;-0%;0%');
+  sheet.setFrozenRows(1);
+  sheet.autoResizeColumns(1, RULES_HEADERS.length);
+}
+
+function getFirstEntity(iterator) {
+  return iterator.hasNext() ? iterator.next() : null;
+}
+
+function formatKeyword(text, matchType) {
+  if (matchType === 'EXACT') return `[${text}]`;
+  if (matchType === 'PHRASE') return `"${text}"`;
+  return text;
+}
+
+// ==================== RESUMABLE RUN FUNCTIONS ====================
+// exportAccount runs as a list of named steps. Before each one the time left is checked against
+// RUN_BUDGET.MIN_MINUTES_LEFT, and after each one a row is added to a hidden state sheet with the
+// reporting periods and email summary so far. A run that stops early (or fails) leaves those rows for
+// the next run, which resumes with the first unfinished step; the run that finishes the last step
+// deletes the sheet, so the run after it starts over. So does a run for another reporting period, or
+// one more than RUN_BUDGET.MAX_RESUME_HOURS after the export started.
+const EXPORT_STATE_SHEET_NAME = '_Export State';
+const EXPORT_STATE_HEADERS = ['Step', 'Finished At', 'State'];
+
+function resumeExportRun(spreadsheet) {
+  const periods = getReportingPeriods();
+  const fresh = { periods: periods, summaryData: { periodLabel: periods.label }, startedAt: new Date().toISOString(), finishedSteps: [] };
+  const sheet = spreadsheet.getSheetByName(EXPORT_STATE_SHEET_NAME);
+  const rows = sheet && sheet.getLastRow() > 1
+    ? sheet.getRange(2, 1, sheet.getLastRow() - 1, EXPORT_STATE_HEADERS.length).getValues()
+    : [];
+  if (rows.length === 0) return fresh;
+
+  const state = JSON.parse(rows[rows.length - 1][2]);
+  const hoursAgo = (Date.now() - new Date(state.startedAt).getTime()) / 3600000;
+  let reason = '';
+  if (state.periods.label !== periods.label) {
+    reason = `the reporting period is now ${periods.label}`;
+  } else if (!(hoursAgo <= CONFIG.RUN_BUDGET.MAX_RESUME_HOURS)) {
+    reason = `it started more than ${CONFIG.RUN_BUDGET.MAX_RESUME_HOURS} hours ago`;
+  }
+  if (reason) {
+    Logger.log(`Dropping the unfinished export of ${state.periods.label} (done: ${rows.map(row => row[0]).join(', ')}) because ${reason}. Starting over.`);
+    spreadsheet.deleteSheet(sheet);
+    return fresh;
+  }
+  Logger.log(`Resuming the export of ${state.periods.label} after ${rows.map(row => row[0]).join(', ')}.`);
+  return { periods: state.periods, summaryData: state.summaryData, startedAt: state.startedAt, finishedSteps: rows.map(row => String(row[0])) };
+}
+
+// Returns false when it stopped with steps left.
+function runExportSteps(spreadsheet, run, steps) {
+  const pending = steps.filter(step => run.finishedSteps.indexOf(step.name) === -1);
+  for (let i = 0; i < pending.length; i++) {
+    const minutesLeft = AdsApp.getExecutionInfo().getRemainingTime() / 60;
+    if (minutesLeft < CONFIG.RUN_BUDGET.MIN_MINUTES_LEFT) {
+      Logger.log(`${Math.floor(minutesLeft)} minutes left. Stopping before ${pending.slice(i).map(step => step.name).join(', ')}.`);
+      return false;
+    }
+    pending[i].run();
+    saveExportStep(spreadsheet, run, pending[i].name);
+  }
+  const sheet = spreadsheet.getSheetByName(EXPORT_STATE_SHEET_NAME);
+  if (sheet) spreadsheet.deleteSheet(sheet);
+  return true;
+}
+
+function saveExportStep(spreadsheet, run, stepName) {
+  let sheet = spreadsheet.getSheetByName(EXPORT_STATE_SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(EXPORT_STATE_SHEET_NAME);
+    sheet.hideSheet();
+  }
+  if (sheet.getLastRow() === 0) {
+    sheet.getRange(1, 1, 1, EXPORT_STATE_HEADERS.length).setValues([EXPORT_STATE_HEADERS]);
+  }
+  const finishedAt = Utilities.formatDate(new Date(), AdsApp.currentAccount().getTimeZone(), 'yyyy-MM-dd HH:mm:ss');
+  const state = JSON.stringify({ periods: run.periods, summaryData: run.summaryData, startedAt: run.startedAt });
+  sheet.getRange(sheet.getLastRow() + 1, 1, 1, EXPORT_STATE_HEADERS.length).setValues([[stepName, finishedAt, state]]);
+  run.finishedSteps.push(stepName);
+}
+
+// ==================== MANAGER ACCOUNT (MCC) FUNCTIONS ====================
+// Client accounts are exported with executeInParallel, so each account runs in its own
+// execution with its own time limit, in batches of at most MCC.ACCOUNTS_PER_RUN per run.
+// Progress is kept in a hidden state sheet of the roll-up workbook: each run exports the next
+// batch of accounts not yet done in the current cycle, and the batch that completes the cycle
+// writes the totals rows, the Account Comparison tab and the roll-up email. The run after that
+// starts a new cycle. In CONSOLIDATED mode each account's rows are added to a hidden staging tab
+// per tab, and only the batch that completes the cycle moves them into the visible tabs, which
+// keep the previous cycle's data until then. A PER_ACCOUNT export that pauses before its time limit (see RESUMABLE RUN
+// FUNCTIONS) leaves its account pending, so a later batch resumes it.
+const MCC_STATE_SHEET_NAME = '_MCC Export State';
+const MCC_STATE_HEADERS = ['Customer ID', 'Account', 'Spreadsheet URL', 'Status', 'Finished At', 'Result'];
+const MCC_MAX_PARALLEL_ACCOUNTS = 50;
+const MCC_OUTPUTS = ['CONSOLIDATED', 'PER_ACCOUNT'];
+const MCC_STAGING_SHEET_PREFIX = '_Staging ';
+
+const ACCOUNT_COMPARISON_TAB = {
+  dimensions: [{ header: 'Account' }, { header: 'Customer ID' }, { header: 'Status' }],
+  metrics: STANDARD_METRICS,
+  compareMetrics: ['cost']
+};
+
+function runManagerExport(settings) {
+  if (typeof AdsManagerApp === 'undefined') {
+    throw new Error('CONFIG.MCC.ENABLED is true, but the script is not running in a manager account.');
+  }
+  if (MCC_OUTPUTS.indexOf(CONFIG.MCC.OUTPUT) === -1) {
+    throw new Error(`Invalid CONFIG.MCC.OUTPUT '${CONFIG.MCC.OUTPUT}'. Use one of: ${MCC_OUTPUTS.join(', ')}`);
+  }
+
+  const spreadsheet = openRollupSpreadsheet();
+  const accounts = getManagedAccounts();
+  if (accounts.length === 0) {
+    Logger.log('No client accounts match CONFIG.MCC.ACCOUNT_LABEL and CONFIG.MCC.ACCOUNT_IDS.');
+    return;
+  }
+
+  checkExchangeRates(accounts);
+  if (CONFIG.HISTORY.ENABLED && CONFIG.MCC.OUTPUT === 'CONSOLIDATED') {
+    Logger.log("CONFIG.HISTORY is not kept for CONSOLIDATED output. Use 'PER_ACCOUNT' to archive each account in its own spreadsheet.");
+  }
+  if (CONFIG.ENABLED_TABS.KEYWORDS && CONFIG.QUALITY_SCORE_HISTORY.ENABLED && CONFIG.MCC.OUTPUT === 'CONSOLIDATED') {
+    Logger.log("CONFIG.QUALITY_SCORE_HISTORY is not kept for CONSOLIDATED output. Use 'PER_ACCOUNT' to keep it in each account's spreadsheet.");
+  }
+  if (CONFIG.RULES.ENABLED) {
+    Logger.log('CONFIG.RULES are not run in MCC mode. Run the script in each client account to apply rules.');
+  }
+  if (CONFIG.BREAKDOWNS.ENABLED && CONFIG.MCC.OUTPUT === 'CONSOLIDATED') {
+    Logger.log("CONFIG.BREAKDOWNS are not exported for CONSOLIDATED output. Use 'PER_ACCOUNT' to get them in each account's spreadsheet.");
+  }
+
+  const state = readManagerState(spreadsheet);
+  let pending = accounts.filter(account => !isAccountExported(state, account));
+  if (pending.length === 0) {
+    pending = accounts; // The previous cycle is complete
+  }
+  if (pending.length === accounts.length) {
+    startManagerCycle(spreadsheet, state);
+  }
+
+  const batch = pending.slice(0, Math.min(CONFIG.MCC.ACCOUNTS_PER_RUN, MCC_MAX_PARALLEL_ACCOUNTS));
+  const spreadsheetUrls = {};
+  batch.forEach(account => {
+    spreadsheetUrls[account.customerId] = CONFIG.MCC.ACCOUNT_SPREADSHEETS[account.customerId] || (state[account.customerId] || {}).spreadsheetUrl || '';
+  });
+  Logger.log(`Exporting ${batch.length} of ${pending.length} remaining accounts (${accounts.length} selected).`);
+
+  AdsManagerApp.accounts()
+    .withIds(batch.map(account => account.customerId))
+    .executeInParallel('exportClientAccount', 'onClientAccountsExported', JSON.stringify({ spreadsheetUrls: spreadsheetUrls, settings: settings }));
+}
+
+// Runs inside each client account, with AdsApp scoped to that account. Must return a string.
+function exportClientAccount(input) {
+  const params = JSON.parse(input);
+  applySettings(params.settings || {});
+  loadCustomKpis();
+  const account = AdsApp.currentAccount();
+  const result = { customerId: account.getCustomerId(), accountName: account.getName(), currencyCode: account.getCurrencyCode() };
+
+  if (CONFIG.MCC.OUTPUT === 'PER_ACCOUNT') {
+    const spreadsheet = openAccountSpreadsheet(params.spreadsheetUrls[result.customerId], result);
+    result.spreadsheetUrl = spreadsheet.getUrl();
+    result.summary = exportAccount(spreadsheet);
+  } else {
+    const periods = getReportingPeriods();
+    result.summary = getPriorPeriodSummary(periods);
+    result.tabs = {};
+    getEnabledTabKeys().forEach(tabKey => {
+      const data = collectTabData(tabKey, periods);
+      updateSummaryData(TABS[tabKey], result.summary, data.rows.length, data.totals.current);
+      result.tabs[tabKey] = data;
+    });
+  }
+  return JSON.stringify(result);
+}
+
+// Runs in the manager account once every account of the batch has finished.
+function onClientAccountsExported(results) {
+  loadDashboardSettings();
+  const spreadsheet = openRollupSpreadsheet();
+  const state = readManagerState(spreadsheet);
+  const accounts = getManagedAccounts();
+  const finishedAt = Utilities.formatDate(new Date(), AdsApp.currentAccount().getTimeZone(), 'yyyy-MM-dd HH:mm:ss');
+
+  results.forEach(result => {
+    const customerId = result.getCustomerId();
+    const account = accounts.find(a => a.customerId === customerId) || { customerId: customerId, name: customerId };
+    const entry = state[customerId] || (state[customerId] = { customerId: customerId, name: account.name, spreadsheetUrl: '' });
+    entry.status = result.getStatus();
+    entry.finishedAt = finishedAt;
+
+    if (entry.status !== 'OK') {
+      entry.result = { error: String(result.getError()) };
+      Logger.log(`Export failed for ${entry.name} (${customerId}): ${entry.status} ${result.getError()}`);
+      return;
+    }
+
+    const output = JSON.parse(result.getReturnValue());
+    entry.name = output.accountName;
+    entry.spreadsheetUrl = output.spreadsheetUrl || entry.spreadsheetUrl;
+    if (!output.summary) {
+      entry.status = '';
+      Logger.log(`${entry.name} (${customerId}) paused its export before the time limit. It continues on the next run.`);
+      return;
+    }
+    convertAccountOutput(output);
+    entry.result = { summary: output.summary };
+    if (output.tabs) {
+      appendConsolidatedRows(spreadsheet, output);
+      entry.result.tabTotals = {};
+      Object.keys(output.tabs).forEach(tabKey => { entry.result.tabTotals[tabKey] = output.tabs[tabKey].totals; });
+    }
+  });
+  writeManagerState(spreadsheet, state);
+
+  const remaining = accounts.filter(account => !isAccountExported(state, account));
+  if (remaining.length > 0) {
+    Logger.log(`${remaining.length} accounts left. They will be exported on the next run.`);
+    return;
+  }
+  finishManagerCycle(spreadsheet, accounts, state);
+}
+
+function getManagedAccounts() {
+  let selector = AdsManagerApp.accounts();
+  if (CONFIG.MCC.ACCOUNT_IDS.length > 0) {
+    selector = selector.withIds(CONFIG.MCC.ACCOUNT_IDS);
+  }
+  if (CONFIG.MCC.ACCOUNT_LABEL) {
+    selector = selector.withCondition(`LabelNames CONTAINS ${quoteGaqlString(CONFIG.MCC.ACCOUNT_LABEL)}`);
+  }
+  const accounts = [];
+  const iterator = selector.get();
+  while (iterator.hasNext()) {
+    const account = iterator.next();
+    accounts.push({ customerId: account.getCustomerId(), name: account.getName(), currencyCode: account.getCurrencyCode() });
+  }
+  return accounts;
+}
+
+function openRollupSpreadsheet() {
+  const sheetNames = [CONFIG.MCC.COMPARISON_SHEET_NAME];
+  if (CONFIG.MCC.OUTPUT === 'CONSOLIDATED') {
+    getEnabledTabKeys().forEach(tabKey => sheetNames.push(CONFIG.SHEET_NAMES[tabKey]));
+  }
+  return getOrCreateSpreadsheet(CONFIG.SPREADSHEET_URL, sheetNames);
+}
+
+function openAccountSpreadsheet(url, account) {
+  if (url) return getOrCreateSpreadsheet(url);
+  const spreadsheet = SpreadsheetApp.create(`Google Ads Performance Dashboard - ${account.accountName} (${account.customerId})`);
+  Logger.log(`Created dashboard spreadsheet for ${account.accountName}: ${spreadsheet.getUrl()}`);
+  return getOrCreateSpreadsheet(spreadsheet.getUrl());
+}
+
+// Clears the previous cycle's statuses (spreadsheet URLs are kept) and, in consolidated mode, the staging tabs.
+function startManagerCycle(spreadsheet, state) {
+  Object.keys(state).forEach(customerId => {
+    Object.assign(state[customerId], { status: '', finishedAt: '', result: {} });
+  });
+  writeManagerState(spreadsheet, state);
+
+  if (CONFIG.MCC.OUTPUT === 'CONSOLIDATED') {
+    getEnabledTabKeys().forEach(tabKey => {
+      const headers = getConsolidatedColumns(TABS[tabKey]).map(column => column.header);
+      getStagingSheet(spreadsheet, tabKey).clear().getRange(1, 1, 1, headers.length).setValues([headers]);
+    });
+  }
+}
+
+function appendConsolidatedRows(spreadsheet, output) {
+  Object.keys(output.tabs).forEach(tabKey => {
+    const rows = output.tabs[tabKey].rows.map(row => [output.accountName].concat(row));
+    if (rows.length === 0) return;
+    const sheet = getStagingSheet(spreadsheet, tabKey);
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+  });
+}
+
+function getStagingSheet(spreadsheet, tabKey) {
+  const name = MCC_STAGING_SHEET_PREFIX + CONFIG.SHEET_NAMES[tabKey];
+  let sheet = spreadsheet.getSheetByName(name);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(name);
+    sheet.hideSheet();
+  }
+  return sheet;
+}
+
+// Replaces a visible tab with its staging tab's rows and deletes the staging tab. Returns the number of data rows.
+function publishStagingSheet(spreadsheet, tabKey) {
+  const staging = getStagingSheet(spreadsheet, tabKey);
+  const sheet = spreadsheet.getSheetByName(CONFIG.SHEET_NAMES[tabKey]);
+  const values = staging.getLastRow() > 0
+    ? staging.getDataRange().getValues()
+    : [getConsolidatedColumns(TABS[tabKey]).map(column => column.header)];
+  sheet.clear();
+  sheet.getRange(1, 1, values.length, values[0].length).setValues(values);
+  spreadsheet.deleteSheet(staging);
+  return values.length - 1;
+}
+
+function finishManagerCycle(spreadsheet, accounts, state) {
+  if (CONFIG.MCC.OUTPUT === 'CONSOLIDATED') {
+    getEnabledTabKeys().forEach(tabKey => {
+      const tab = TABS[tabKey];
+      const rowCount = publishStagingSheet(spreadsheet, tabKey);
+      const sheet = spreadsheet.getSheetByName(CONFIG.SHEET_NAMES[tabKey]);
+      const columns = getConsolidatedColumns(tab);
+      if (rowCount > 0) {
+        if (tab.totals !== false) {
+          writeTotalsRow(sheet, columns, rowCount, sumAccountTabTotals(accounts, state, tabKey));
+        }
+      } else if (tab.emptyMessage) {
+        sheet.getRange(2, 1).setValue(tab.emptyMessage);
+      }
+      formatTab(sheet, tab, columns, rowCount + (tab.totals === false ? 1 : 2), getRollupCurrency());
+    });
+  }
+
+  writeAccountComparison(spreadsheet, accounts, state);
+
+  if (CONFIG.SEND_EMAIL_ON_COMPLETE) {
+    sendRollupEmail(spreadsheet.getUrl(), accounts.map(account => state[account.customerId]));
+  }
+  Logger.log(`MCC export completed for all ${accounts.length} accounts.`);
+}
+
+function getConsolidatedColumns(tab) {
+  return [{ dimension: true, header: 'Account' }].concat(getTabColumns(tab));
+}
+
+function sumAccountTabTotals(accounts, state, tabKey) {
+  const totals = { current: {}, prior: {} };
+  accounts.forEach(account => {
+    const tabTotals = ((state[account.customerId].result || {}).tabTotals || {})[tabKey];
+    if (!tabTotals) return;
+    ['current', 'prior'].forEach(period => {
+      Object.keys(tabTotals[period]).forEach(key => { totals[period][key] = (totals[period][key] || 0) + tabTotals[period][key]; });
+    });
+  });
+  return totals;
+}
+
+// One row per account from its Account Daily totals, with cost against the prior period.
+function writeAccountComparison(spreadsheet, accounts, state) {
+  const sheet = spreadsheet.getSheetByName(CONFIG.MCC.COMPARISON_SHEET_NAME);
+  sheet.clear();
+  const entities = accounts.map(account => {
+    const entry = state[account.customerId];
+    const summary = (entry.result || {}).summary || {};
+    return {
+      dimensions: [entry.name, account.customerId, entry.status],
+      metrics: summary.accountMetrics || {},
+      priorMetrics: { cost: summary.priorTotalCost || 0 }
+    };
+  });
+  entities.sort((a, b) => (b.metrics.cost || 0) - (a.metrics.cost || 0));
+
+  const columns = getTabColumns(ACCOUNT_COMPARISON_TAB);
+  writeTab(sheet, ACCOUNT_COMPARISON_TAB, columns, {
+    rows: entities.map(entity => columns.map(column => getColumnValue(column, entity))),
+    totals: { current: sumMetrics(entities, 'metrics'), prior: sumMetrics(entities, 'priorMetrics') }
+  }, getRollupCurrency());
+}
+
+function getRollupCurrency() {
+  return CONFIG.MCC.REPORTING_CURRENCY || getCurrencyCode();
+}
+
+// Checked before exporting, so a missing rate stops the run instead of mixing currencies in the totals.
+function checkExchangeRates(accounts) {
+  const currencies = accounts.map(account => account.currencyCode).filter((code, index, codes) => codes.indexOf(code) === index);
+  if (!CONFIG.MCC.REPORTING_CURRENCY) {
+    if (currencies.length > 1) {
+      Logger.log(`Warning: the selected accounts use ${currencies.join(', ')}. Set CONFIG.MCC.REPORTING_CURRENCY and EXCHANGE_RATES to convert them before they are added up.`);
+    }
+    return;
+  }
+  const missing = currencies.filter(code => code !== CONFIG.MCC.REPORTING_CURRENCY && !(CONFIG.MCC.EXCHANGE_RATES[code] > 0));
+  if (missing.length > 0) {
+    throw new Error(`No exchange rate to ${CONFIG.MCC.REPORTING_CURRENCY} for ${missing.join(', ')}. Add it to CONFIG.MCC.EXCHANGE_RATES.`);
+  }
+}
+
+// Converts a client account's money figures (summary, tab rows and tab totals) into the reporting currency.
+function convertAccountOutput(output) {
+  if (!CONFIG.MCC.REPORTING_CURRENCY || output.currencyCode === CONFIG.MCC.REPORTING_CURRENCY) return output;
+  const rate = CONFIG.MCC.EXCHANGE_RATES[output.currencyCode];
+  const convertMetrics = metrics => {
+    Object.keys(metrics || {}).forEach(key => { if (METRICS[key] && METRICS[key].currency) metrics[key] *= rate; });
+  };
+
+  output.summary.totalCost = (output.summary.totalCost || 0) * rate;
+  output.summary.priorTotalCost = (output.summary.priorTotalCost || 0) * rate;
+  convertMetrics(output.summary.accountMetrics);
+  convertMetrics(output.summary.priorAccountMetrics);
+  Object.keys(output.tabs || {}).forEach(tabKey => {
+    const data = output.tabs[tabKey];
+    const columns = getTabColumns(TABS[tabKey]);
+    data.rows.forEach(row => {
+      columns.forEach((column, i) => { if (column.currency && typeof row[i] === 'number') row[i] *= rate; });
+    });
+    convertMetrics(data.totals.current);
+    convertMetrics(data.totals.prior);
+  });
+  Logger.log(`${output.accountName}: converted ${output.currencyCode} to ${CONFIG.MCC.REPORTING_CURRENCY} at ${rate}.`);
+  return output;
+}
+
+function isAccountExported(state, account) {
+  return Boolean(state[account.customerId] && state[account.customerId].status);
+}
+
+function getManagerStateSheet(spreadsheet) {
+  let sheet = spreadsheet.getSheetByName(MCC_STATE_SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(MCC_STATE_SHEET_NAME);
+    sheet.hideSheet();
+  }
+  return sheet;
+}
+
+function readManagerState(spreadsheet) {
+  const sheet = getManagerStateSheet(spreadsheet);
+  const state = {};
+  if (sheet.getLastRow() < 2) return state;
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, MCC_STATE_HEADERS.length).getValues().forEach(row => {
+    const customerId = String(row[0]);
+    state[customerId] = { customerId: customerId, name: row[1], spreadsheetUrl: row[2], status: row[3], finishedAt: row[4], result: row[5] ? JSON.parse(row[5]) : {} };
+  });
+  return state;
+}
+
+function writeManagerState(spreadsheet, state) {
+  const sheet = getManagerStateSheet(spreadsheet);
+  const rows = Object.keys(state).map(customerId => {
+    const entry = state[customerId];
+    return [customerId, entry.name, entry.spreadsheetUrl || '', entry.status || '', entry.finishedAt || '', entry.status ? JSON.stringify(entry.result || {}) : ''];
+  });
+  sheet.clear();
+  sheet.getRange(1, 1, 1, MCC_STATE_HEADERS.length).setValues([MCC_STATE_HEADERS]);
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, MCC_STATE_HEADERS.length).setValues(rows);
+  }
+}
+
+// ==================== HELPER AND FORMATTING FUNCTIONS ====================
+// Functions for getCountryNames and sendCompletionEmail are unchanged.
+// For brevity, they are omitted but are assumed to be present and correct.
+function getCountryNames() {
+  const query = `SELECT geo_target_constant.id, geo_target_constant.name FROM geo_target_constant WHERE geo_target_constant.target_type = 'Country'`;
+  const countryNames = {};
+  try {
+    const report = AdsApp.report(query);
+    const rows = report.rows();
+    while (rows.hasNext()) {
+      const row = rows.next();
+      countryNames[row['geo_target_constant.id']] = row['geo_target_constant.name'];
+    }
+  } catch (e) {
+    Logger.log('Error fetching country names: ' + e.toString());
+  }
+  return countryNames;
+}
+
+// Change badge for the email renderer. Cost going up is bad; every other count going up is good.
+const getChangeDelta = (current, prior, isCurrency = false, currencyCode) => {
+    if (prior === 0 && current > 0) return { text: '(New)', tone: 'new' };
+    const change = current - prior;
+    if (change === 0) return { text: `0 (${formatPercent(0)})`, tone: 'neutral' };
+    const percent = prior > 0 ? (change / prior) : 1;
+    const sign = change >= 0 ? '+' : '-';
+    const changeStr = isCurrency ? formatMoney(Math.abs(change), currencyCode) : formatNumber(Math.abs(change));
+    return { text: `${sign}${changeStr} (${formatPercent(percent)})`, tone: (change > 0) !== isCurrency ? 'good' : 'bad' };
+};
+
+// Distinct n-grams of CONFIG.NGRAMS.SIZES words in a search term, lowercased.
+function getNgrams(searchTerm) {
+  const words = String(searchTerm).toLowerCase().split(/\s+/).filter(word => word !== '');
+  const isStopWord = word => CONFIG.NGRAMS.STOP_WORDS.indexOf(word) !== -1;
+  const ngrams = [];
+  CONFIG.NGRAMS.SIZES.forEach(size => {
+    for (let i = 0; i + size <= words.length; i++) {
+      const gram = words.slice(i, i + size);
+      if (gram.every(isStopWord)) continue;
+      const ngram = gram.join(' ');
+      if (ngrams.indexOf(ngram) === -1) ngrams.push(ngram);
+    }
+  });
+  return ngrams;
+}
+
+function sendCompletionEmail(spreadsheetUrl, summaryData) {
+  const accountName = AdsApp.currentAccount().getName();
+  const accountId = AdsApp.currentAccount().getCustomerId();
+  const timeZone = AdsApp.currentAccount().getTimeZone();
+  const currentTime = Utilities.formatDate(new Date(), timeZone, `${CONFIG.LOCALE.DATE_FORMAT} HH:mm:ss z`);
+  const subject = `[${accountName}] Google Ads Performance Dashboard Updated`;
+
+  const summaryRows = [
+    ['Total Cost', summaryData.totalCost, summaryData.priorTotalCost, true],
+    ['Active Campaigns', summaryData.campaignCount, summaryData.priorCampaignCount],
+    ['Active Ad Groups', summaryData.adGroupCount, summaryData.priorAdGroupCount],
+    ['Active Search Queries', summaryData.searchQueryCount, summaryData.priorSearchQueryCount],
+    ['Active Landing Pages', summaryData.landingPageCount, summaryData.priorLandingPageCount],
+    ['Active Countries', summaryData.countryCount, summaryData.priorCountryCount]
+  ].map(([label, current = 0, prior = 0, isCurrency = false]) => {
+    const format = value => (isCurrency ? formatMoney(value) : formatNumber(value));
+    return { label: label, current: format(current), prior: format(prior), delta: getChangeDelta(current, prior, isCurrency) };
+  });
+  const kpiRows = getCustomKpiRows(summaryData.accountMetrics, summaryData.priorAccountMetrics);
+  const opportunities = summaryData.budgetOpportunities || [];
+
+  const email = renderEmail({
+    title: 'Google Ads Performance Dashboard Updated',
+    blocks: [
+      { type: 'paragraph', text: `Your Google Ads Performance Dashboard for ${accountName} (${accountId}) has been updated successfully.` },
+      { type: 'kpis', items: [summaryRows[0], summaryRows[1], summaryRows[3]].map(row => ({ label: row.label, value: row.current, delta: row.delta })) },
+      { type: 'section', title: 'Performance Summary', subtitle: summaryData.periodLabel },
+      {
+        type: 'table',
+        columns: [{ header: 'Metric' }, { header: 'Current', align: 'right' }, { header: 'Prior', align: 'right' }, { header: 'Change', align: 'right' }],
+        rows: summaryRows.concat(kpiRows).map(row => [row.label, row.current, row.prior, { delta: row.delta }])
+      },
+      opportunities.length > 0
+        ? { type: 'section', title: 'Budget-Limited Campaigns', subtitle: `Converting on target but losing at least ${formatPercent(CONFIG.BUDGET_OPPORTUNITIES.MIN_BUDGET_LOST_IS, 0)} of impressions to budget` }
+        : null,
+      opportunities.length > 0
+        ? {
+          type: 'table',
+          columns: [{ header: 'Campaign' }, { header: 'Lost IS (Budget)', align: 'right' }, { header: 'Conv.', align: 'right' }, { header: 'Cost / Conv.', align: 'right' }, { header: 'ROAS', align: 'right' }],
+          sortedBy: 1,
+          rows: opportunities.map(campaign => [
+            campaign.campaign,
+            { text: formatPercent(campaign.budgetLostShare), tone: 'warning' },
+            formatNumber(campaign.conversions, 1),
+            formatMoney(campaign.costPerConv),
+            formatNumber(campaign.roas, 2)
+          ])
+        }
+        : null,
+      { type: 'button', label: 'View Full Dashboard', url: spreadsheetUrl }
+    ].filter(block => block),
+    footer: `This report was generated automatically by Google Ads Scripts on ${currentTime}.`
+  });
+  const facts = [summaryRows[0], summaryRows[1], summaryRows[3]].concat(kpiRows).map(row => ({ label: row.label, value: `${row.current} ${row.delta.text}` }));
+  if (opportunities.length > 0) {
+    facts.push({ label: 'Budget-Limited Campaigns', value: opportunities.map(campaign => campaign.campaign).join(', ') });
+  }
+
+  notify({
+    severity: 'INFO',
+    title: subject,
+    text: `The performance dashboard for ${accountName} (${accountId}) has been updated. ${summaryData.periodLabel}`,
+    facts: facts,
+    link: { label: 'View Full Dashboard', url: spreadsheetUrl },
+    email: { to: CONFIG.EMAIL_RECIPIENTS, subject: subject, body: email.body, htmlBody: email.htmlBody }
+  });
+}
+
+// Email rows for CONFIG.CUSTOM_KPIS from the Account Daily totals. Empty if that tab was not exported.
+function getCustomKpiRows(metrics, priorMetrics, currencyCode) {
+  if (!metrics) return [];
+  return CONFIG.CUSTOM_KPIS.map(kpi => {
+    const metric = METRICS[kpi.key];
+    const current = getMetricValue(kpi.key, metrics);
+    const prior = getMetricValue(kpi.key, priorMetrics || {});
+    return {
+      label: metric.header,
+      current: formatMetricValue(kpi.key, current, currencyCode),
+      prior: formatMetricValue(kpi.key, prior, currencyCode),
+      delta: getMetricDelta(kpi.key, current, prior, currencyCode)
+    };
+  });
+}
+
+function formatMetricValue(key, value, currencyCode) {
+  const metric = METRICS[key];
+  if (metric.currency) return formatMoney(value, currencyCode);
+  if (String(metric.format).indexOf('%') !== -1) return formatPercent(value);
+  return formatNumber(value);
+}
+
+// getChangeDelta, toned by the metric's lowerIsBetter rather than by whether it is money.
+function getMetricDelta(key, current, prior, currencyCode) {
+  const metric = METRICS[key];
+  const delta = getChangeDelta(current, prior, metric.currency, currencyCode);
+  if (delta.tone !== 'good' && delta.tone !== 'bad') return delta;
+  return Object.assign({}, delta, { tone: (current > prior) !== Boolean(metric.lowerIsBetter) ? 'good' : 'bad' });
+}
+
+// One email for the whole MCC run: cost per account against the prior period, failed accounts flagged.
+function sendRollupEmail(spreadsheetUrl, entries) {
+  const managerName = AdsApp.currentAccount().getName();
+  const timeZone = AdsApp.currentAccount().getTimeZone();
+  const currentTime = Utilities.formatDate(new Date(), timeZone, `${CONFIG.LOCALE.DATE_FORMAT} HH:mm:ss z`);
+  const subject = `[${managerName}] Google Ads Performance Dashboards Updated (${entries.length} accounts)`;
+
+  const accounts = entries.map(entry => {
+    const summary = (entry.result || {}).summary || {};
+    return {
+      name: entry.name,
+      customerId: entry.customerId,
+      ok: entry.status === 'OK',
+      status: entry.status,
+      url: entry.spreadsheetUrl || spreadsheetUrl,
+      cost: summary.totalCost || 0,
+      priorCost: summary.priorTotalCost || 0,
+      conversions: (summary.accountMetrics || {}).conversions || 0,
+      metrics: summary.accountMetrics,
+      priorMetrics: summary.priorAccountMetrics,
+      periodLabel: summary.periodLabel
+    };
+  }).sort((a, b) => b.cost - a.cost);
+  const periodLabel = (accounts.find(account => account.periodLabel) || {}).periodLabel || '';
+  const failed = accounts.filter(account => !account.ok);
+  const totalCost = accounts.reduce((sum, account) => sum + account.cost, 0);
+  const totalPriorCost = accounts.reduce((sum, account) => sum + account.priorCost, 0);
+  const currencyCode = getRollupCurrency();
+  const formatCost = value => formatMoney(value, currencyCode);
+  const getCostDelta = (current, prior) => getChangeDelta(current, prior, true, currencyCode);
+  const kpiAccounts = CONFIG.CUSTOM_KPIS.length > 0 ? accounts.filter(account => account.ok && account.metrics) : [];
+
+  const email = renderEmail({
+    title: 'Google Ads Performance Dashboards Updated',
+    blocks: [
+      { type: 'paragraph', text: `The performance dashboards for ${accounts.length} accounts under ${managerName} have been updated.` },
+      failed.length > 0
+        ? { type: 'paragraph', tone: 'bad', text: `${failed.length} account(s) could not be exported. See the ${CONFIG.MCC.COMPARISON_SHEET_NAME} tab and the script logs.` }
+        : null,
+      { type: 'kpis', items: [{ label: 'Total Cost', value: formatCost(totalCost), delta: getCostDelta(totalCost, totalPriorCost) }] },
+      { type: 'section', title: 'Cost by Account', subtitle: periodLabel },
+      {
+        type: 'table',
+        columns: [{ header: 'Account' }, { header: 'Current', align: 'right' }, { header: 'Prior', align: 'right' }, { header: 'Change', align: 'right' }],
+        sortedBy: 1,
+        rows: accounts.map(account => [
+          { text: account.name, url: account.url, note: account.customerId },
+          account.ok ? formatCost(account.cost) : '',
+          account.ok ? formatCost(account.priorCost) : '',
+          account.ok ? { delta: getCostDelta(account.cost, account.priorCost) } : { text: `Failed (${account.status})`, tone: 'bad' }
+        ]),
+        totals: ['Total', formatCost(totalCost), formatCost(totalPriorCost), { delta: getCostDelta(totalCost, totalPriorCost) }]
+      },
+      kpiAccounts.length > 0 ? { type: 'section', title: 'Custom KPIs by Account', subtitle: periodLabel } : null,
+      kpiAccounts.length > 0
+        ? {
+          type: 'table',
+          columns: [{ header: 'Account' }].concat(CONFIG.CUSTOM_KPIS.map(kpi => ({ header: METRICS[kpi.key].header, align: 'right' }))),
+          rows: kpiAccounts.map(account => [{ text: account.name, url: account.url, note: account.customerId }]
+            .concat(getCustomKpiRows(account.metrics, account.priorMetrics, currencyCode).map(row => ({ text: row.current, delta: row.delta })))),
+          totals: ['Total'].concat(getCustomKpiRows(sumMetrics(kpiAccounts, 'metrics'), sumMetrics(kpiAccounts, 'priorMetrics'), currencyCode)
+            .map(row => ({ text: row.current, delta: row.delta })))
+        }
+        : null,
+      { type: 'button', label: 'View Account Comparison', url: spreadsheetUrl }
+    ].filter(block => block),
+    footer: `This report was generated automatically by Google Ads Scripts on ${currentTime}.`
+  });
+
+  notify({
+    severity: failed.length > 0 ? 'WARNING' : 'INFO',
+    title: subject,
+    text: `The performance dashboards for ${accounts.length} accounts under ${managerName} have been updated.${failed.length > 0 ? ` ${failed.length} account(s) could not be exported.` : ''} ${periodLabel}`,
+    facts: accounts.map(account => ({
+      label: `${account.name} (${account.customerId})`,
+      value: account.ok ? `${formatCost(account.cost)} ${getCostDelta(account.cost, account.priorCost).text}` : `FAILED (${account.status})`
+    })).concat([{ label: 'Total', value: `${formatCost(totalCost)} ${getCostDelta(totalCost, totalPriorCost).text}` }]),
+    link: { label: 'View Account Comparison', url: spreadsheetUrl },
+    email: { to: CONFIG.EMAIL_RECIPIENTS, subject: subject, body: email.body, htmlBody: email.htmlBody }
+  });
+}
+// ==================== CAMPAIGN FILTER FUNCTIONS ====================
+// CONFIG.CAMPAIGN_FILTER scopes every report to a set of campaigns: a campaign must match every INCLUDE
+// criterion that is set and none of the EXCLUDE criteria. getCampaignFilterConditions() turns the filter into
+// GAQL conditions on the campaign's fields, which every query on a resource with a campaign adds to its WHERE.
+// Label names are looked up once per account, as GAQL filters labels by resource name.
+const CAMPAIGN_STATUSES = ['ENABLED', 'PAUSED', 'REMOVED'];
+const CAMPAIGN_CHANNEL_TYPES = ['SEARCH', 'DISPLAY', 'SHOPPING', 'VIDEO', 'PERFORMANCE_MAX', 'DEMAND_GEN', 'MULTI_CHANNEL',
+  'LOCAL', 'SMART', 'HOTEL', 'LOCAL_SERVICES', 'TRAVEL'];
+const campaignLabelCache = {}; // Customer ID -> { label name: resource name }
+
+function getCampaignFilterConditions() {
+  const conditions = [];
+  ['INCLUDE', 'EXCLUDE'].forEach(mode => {
+    const criteria = CONFIG.CAMPAIGN_FILTER[mode] || {};
+    const include = mode === 'INCLUDE';
+    const setting = `CONFIG.CAMPAIGN_FILTER.${mode}`;
+    const inList = (field, values) => `${field} ${include ? 'IN' : 'NOT IN'} (${values.join(', ')})`;
+
+    if (criteria.NAME_REGEX) {
+      conditions.push(`campaign.name ${include ? 'REGEXP_MATCH' : 'NOT REGEXP_MATCH'} ${quoteGaqlString(criteria.NAME_REGEX)}`);
+    }
+    if ((criteria.STATUSES || []).length > 0) {
+      checkCampaignFilterValues(`${setting}.STATUSES`, criteria.STATUSES, CAMPAIGN_STATUSES);
+      conditions.push(inList('campaign.status', criteria.STATUSES.map(quoteGaqlString)));
+    }
+    if ((criteria.CHANNEL_TYPES || []).length > 0) {
+      checkCampaignFilterValues(`${setting}.CHANNEL_TYPES`, criteria.CHANNEL_TYPES, CAMPAIGN_CHANNEL_TYPES);
+      conditions.push(inList('campaign.advertising_channel_type', criteria.CHANNEL_TYPES.map(quoteGaqlString)));
+    }
+    if ((criteria.IDS || []).length > 0) {
+      const invalid = criteria.IDS.filter(id => !/^\d+$/.test(String(id)));
+      if (invalid.length > 0) throw new Error(`Invalid campaign ID '${invalid[0]}' in ${setting}.IDS. Use numeric IDs such as 1234567890.`);
+      conditions.push(inList('campaign.id', criteria.IDS.map(String)));
+    }
+    if ((criteria.LABELS || []).length > 0) {
+      const resourceNames = getCampaignLabelResourceNames(criteria.LABELS, `${setting}.LABELS`, include);
+      if (resourceNames.length > 0) {
+        conditions.push(`campaign.labels ${include ? 'CONTAINS ANY' : 'CONTAINS NONE'} (${resourceNames.map(quoteGaqlString).join(', ')})`);
+      }
+    }
+  });
+  return conditions;
+}
+
+function checkCampaignFilterValues(setting, values, allowed) {
+  const invalid = values.filter(value => allowed.indexOf(value) === -1);
+  if (invalid.length > 0) {
+    throw new Error(`Invalid value '${invalid[0]}' in ${setting}. Use: ${allowed.join(', ')}`);
+  }
+}
+
+// A missing INCLUDE label would silently empty every report, so it is an error; a missing EXCLUDE label is not.
+function getCampaignLabelResourceNames(names, setting, required) {
+  const customerId = AdsApp.currentAccount().getCustomerId();
+  if (!campaignLabelCache[customerId]) {
+    const labels = {};
+    const iterator = AdsApp.report('SELECT label.name, label.resource_name FROM label').rows();
+    while (iterator.hasNext()) {
+      const row = iterator.next();
+      labels[row['label.name']] = row['label.resource_name'];
+    }
+    campaignLabelCache[customerId] = labels;
+  }
+
+  const labels = campaignLabelCache[customerId];
+  const missing = names.filter(name => !labels[name]);
+  if (missing.length > 0) {
+    if (required) throw new Error(`No label named '${missing[0]}' in account ${customerId}. Check ${setting}.`);
+    Logger.log(`Ignoring ${setting} '${missing.join("', '")}': no such label in account ${customerId}.`);
+  }
+  return names.filter(name => labels[name]).map(name => labels[name]);
+}
+
+function quoteGaqlString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+// For the Settings tab: comma-separated campaign types
+function validateChannelTypes(types) {
+  const invalid = types.filter(type => CAMPAIGN_CHANNEL_TYPES.indexOf(type) === -1);
+  return invalid.length > 0 ? `'${invalid.join("', '")}' is not one of: ${CAMPAIGN_CHANNEL_TYPES.join(', ')}.` : '';
+}
+
+// ==================== SETTINGS SHEET FUNCTIONS ====================
+// Settings can be changed in a 'Settings' tab instead of in the code: one row per entry in SETTINGS with the
+// setting's name, its value and a description. The tab is created with the values from CONFIG on the first run;
+// after that its values override CONFIG, and an empty value keeps the value from CONFIG. Every row is checked
+// before anything runs, and all problems are reported together.
+// A setting is { name, path, type, description } plus, per type, min/max (number) or values (choice and list).
+// path is the CONFIG key, e.g. 'THRESHOLDS.WARNING'. validate(value) may return an error message.
+const SETTINGS_SHEET_NAME = 'Settings';
+const SETTINGS_HEADERS = ['Setting', 'Value', 'Description'];
+
+const SETTING_TYPES = {
+  text: {
+    parse: value => String(value).trim(),
+    format: value => value
+  },
+  emails: {
+    parse: value => {
+      const emails = String(value).split(',').map(email => email.trim()).filter(email => email);
+      const invalid = emails.filter(email => !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email));
+      if (invalid.length > 0) throw new Error(`'${invalid.join("', '")}' is not a valid email address.`);
+      return emails.join(',');
+    },
+    format: value => value
+  },
+  number: {
+    parse: (value, setting) => {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (isNaN(number)) throw new Error(`'${value}' is not a number.`);
+      if (setting.min !== undefined && number < setting.min) throw new Error(`Must be at least ${setting.min}.`);
+      if (setting.max !== undefined && number > setting.max) throw new Error(`Must be at most ${setting.max}.`);
+      return number;
+    },
+    format: value => value
+  },
+  boolean: {
+    parse: value => {
+      if (typeof value === 'boolean') return value;
+      const text = String(value).trim().toUpperCase();
+      if (text !== 'TRUE' && text !== 'FALSE') throw new Error(`'${value}' is not TRUE or FALSE.`);
+      return text === 'TRUE';
+    },
+    format: value => (value ? 'TRUE' : 'FALSE'),
+    validation: () => ['TRUE', 'FALSE']
+  },
+  choice: {
+    parse: (value, setting) => {
+      const text = String(value).trim();
+      if (setting.values.indexOf(text) === -1) throw new Error(`'${value}' is not one of: ${setting.values.join(', ')}.`);
+      return text;
+    },
+    format: value => value,
+    validation: setting => setting.values
+  },
+  list: {
+    parse: (value, setting) => {
+      const items = String(value).split(',').map(item => item.trim()).filter(item => item);
+      const invalid = setting.values ? items.filter(item => setting.values.indexOf(item) === -1) : [];
+      if (invalid.length > 0) throw new Error(`'${invalid.join("', '")}' is not one of: ${setting.values.join(', ')}.`);
+      return items;
+    },
+    format: value => value.join(', ')
+  }
+};
+
+// Reads the Settings tab of the spreadsheet (creating it on the first run), applies it to CONFIG and
+// returns the values it set, keyed by path.
+function loadSettings(spreadsheet) {
+  const sheet = spreadsheet.getSheetByName(SETTINGS_SHEET_NAME);
+  if (!sheet) {
+    createSettingsSheet(spreadsheet);
+    Logger.log(`Created the '${SETTINGS_SHEET_NAME}' tab with the current settings. Change them there from now on.`);
+    return {};
+  }
+
+  const values = {};
+  const errors = [];
+  const seen = {};
+  const rows = sheet.getLastRow() > 1 ? sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues() : [];
+  rows.forEach((row, index) => {
+    const name = String(row[0]).trim();
+    if (name === '') return;
+    const where = `Row ${index + 2} (${name})`;
+    const setting = SETTINGS.find(s => s.name === name);
+    if (!setting) {
+      errors.push(`${where}: unknown setting. Check the spelling, or delete the row.`);
+      return;
+    }
+    if (seen[name]) {
+      errors.push(`${where}: listed more than once.`);
+      return;
+    }
+    seen[name] = true;
+    if (row[1] === '' || row[1] === null) return;
+    try {
+      values[setting.path] = parseSetting(setting, row[1]);
+    } catch (e) {
+      errors.push(`${where}: ${e.message}`);
+    }
+  });
+  if (errors.length > 0) {
+    throw new Error(`The '${SETTINGS_SHEET_NAME}' tab has ${errors.length} invalid row(s):\n${errors.join('\n')}`);
+  }
+
+  applySettings(values);
+  Logger.log(`Loaded ${Object.keys(values).length} settings from the '${SETTINGS_SHEET_NAME}' tab.`);
+  return values;
+}
+
+function parseSetting(setting, rawValue) {
+  const value = setting.parse ? setting.parse(rawValue) : SETTING_TYPES[setting.type].parse(rawValue, setting);
+  const error = setting.validate ? setting.validate(value) : '';
+  if (error) throw new Error(error);
+  return value;
+}
+
+// Values are keyed by CONFIG path, so they can also be passed on as JSON, e.g. to client accounts.
+function applySettings(values) {
+  Object.keys(values).forEach(path => {
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((object, key) => object[key], CONFIG);
+    parent[keys[keys.length - 1]] = values[path];
+  });
+}
+
+function validateLanguageTag(tag) {
+  try {
+    Intl.getCanonicalLocales(tag);
+    return '';
+  } catch (e) {
+    return `'${tag}' is not a language tag such as 'en-US' or 'de-DE'.`;
+  }
+}
+
+function validateCurrencyCode(code) {
+  return /^[A-Z]{3}$/.test(code) ? '' : `'${code}' is not a three-letter currency code such as 'USD' or 'EUR'.`;
+}
+
+function createSettingsSheet(spreadsheet) {
+  const sheet = spreadsheet.insertSheet(SETTINGS_SHEET_NAME);
+  const rows = SETTINGS.map(setting => {
+    const value = setting.path.split('.').reduce((object, key) => object[key], CONFIG);
+    return [setting.name, setting.format ? setting.format(value) : SETTING_TYPES[setting.type].format(value), setting.description];
+  });
+  sheet.getRange(1, 1, 1, SETTINGS_HEADERS.length).setValues([SETTINGS_HEADERS]).setFontWeight('bold');
+  sheet.getRange(2, 1, rows.length, SETTINGS_HEADERS.length).setValues(rows);
+
+  // Dropdowns for settings with a fixed set of values
+  SETTINGS.forEach((setting, index) => {
+    const validation = SETTING_TYPES[setting.type].validation;
+    if (!validation) return;
+    const rule = SpreadsheetApp.newDataValidation().requireValueInList(validation(setting), true).setAllowInvalid(false).build();
+    sheet.getRange(index + 2, 2).setDataValidation(rule);
+  });
+  sheet.setFrozenRows(1);
+  sheet.autoResizeColumns(1, SETTINGS_HEADERS.length);
+}
+
+// ==================== LOCALE FUNCTIONS ====================
+// Money, numbers and dates follow CONFIG.LOCALE rather than the server's defaults. The currency (the account's
+// own unless CURRENCY_CODE is set) decides the symbol and decimal places, e.g. none for JPY; LANGUAGE_TAG
+// decides the separators and which side the symbol goes on, e.g. '1.234,50 €' for 'de-DE'.
+function getCurrencyCode() {
+  return CONFIG.LOCALE.CURRENCY_CODE || AdsApp.currentAccount().getCurrencyCode();
+}
+
+function getCurrencyFormatter(currencyCode) {
+  return new Intl.NumberFormat(CONFIG.LOCALE.LANGUAGE_TAG, { style: 'currency', currency: currencyCode || getCurrencyCode() });
+}
+
+function formatMoney(amount, currencyCode) {
+  return getCurrencyFormatter(currencyCode).format(amount);
+}
+
+// Exactly `decimals` decimal places when given, otherwise up to two.
+function formatNumber(value, decimals) {
+  const digits = decimals === undefined ? { maximumFractionDigits: 2 } : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+  return new Intl.NumberFormat(CONFIG.LOCALE.LANGUAGE_TAG, digits).format(value);
+}
+
+function formatPercent(ratio, decimals = 1) {
+  return new Intl.NumberFormat(CONFIG.LOCALE.LANGUAGE_TAG, { style: 'percent', minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(ratio);
+}
+
+// For dates people read. Queries, sheet names and stored state keep ISO 'yyyy-MM-dd' dates.
+function formatDisplayDate(isoDate) {
+  return Utilities.formatDate(new Date(`${isoDate}T12:00:00Z`), 'UTC', CONFIG.LOCALE.DATE_FORMAT);
+}
+
+// Sheets number format for money: numberFormat (e.g. '#,##0.00') with the currency's decimal places and its
+// symbol where the locale puts it, e.g. '#,##0.00 "€"'. The separators come from the spreadsheet's locale.
+function getSheetCurrencyFormat(numberFormat, currencyCode) {
+  const formatter = getCurrencyFormatter(currencyCode);
+  const decimals = formatter.resolvedOptions().maximumFractionDigits;
+  const number = numberFormat.replace(/\.0+/, decimals > 0 ? `.${'0'.repeat(decimals)}` : '');
+  const parts = formatter.formatToParts(1);
+  const position = parts.findIndex(part => part.type === 'currency');
+  const symbol = parts[position].value === '$' ? '$' : `"${parts[position].value}"`;
+  const space = parts.some(part => part.type === 'literal') ? ' ' : '';
+  return position === 0 ? `${symbol}${space}${number}` : `${number}${space}${symbol}`;
+}
+
+function applySpreadsheetLocale(spreadsheet) {
+  if (!CONFIG.LOCALE.SET_SPREADSHEET_LOCALE) return;
+  const locale = CONFIG.LOCALE.LANGUAGE_TAG.replace('-', '_');
+  if (spreadsheet.getSpreadsheetLocale() !== locale) {
+    spreadsheet.setSpreadsheetLocale(locale);
+  }
+}
+
+// ==================== NOTIFICATION FUNCTIONS ====================
+// notify() delivers a message to every channel in CONFIG.NOTIFICATIONS.CHANNELS whose minSeverity it reaches.
+// A message is { severity, title, text, facts: [{ label, value }], link: { label, url }, email: { to, subject, body, htmlBody } }.
+// EMAIL sends the full email; SLACK, TEAMS and GOOGLE_CHAT post the title, text, facts and link as a card.
+const NOTIFICATION_SEVERITIES = ['INFO', 'WARNING', 'CRITICAL'];
+
+const NOTIFIERS = {
+  EMAIL: (channel, message) => {
+    const to = channel.recipients || message.email.to;
+    if (!to || to.trim() === '' || to === 'your-email@example.com') {
+      Logger.log('Email notification is enabled but no valid recipient email address is configured.');
+      return;
+    }
+    MailApp.sendEmail(Object.assign({}, message.email, { to: to }));
+    Logger.log(`Email sent to ${to}: ${message.email.subject}`);
+  },
+  SLACK: (channel, message) => postWebhook(channel, buildSlackPayload(message)),
+  TEAMS: (channel, message) => postWebhook(channel, buildTeamsPayload(message)),
+  GOOGLE_CHAT: (channel, message) => postWebhook(channel, buildGoogleChatPayload(message))
+};
+
+function notify(message) {
+  const severity = NOTIFICATION_SEVERITIES.indexOf(message.severity || 'INFO');
+  CONFIG.NOTIFICATIONS.CHANNELS.forEach(channel => {
+    const notifier = NOTIFIERS[channel.type];
+    if (!notifier) {
+      Logger.log(`Unknown notification channel '${channel.type}'. Use: ${Object.keys(NOTIFIERS).join(', ')}`);
+      return;
+    }
+    if (severity < NOTIFICATION_SEVERITIES.indexOf(channel.minSeverity || 'INFO')) return;
+
+    // One failing channel must not stop the others
+    try {
+      notifier(channel, message);
+    } catch (e) {
+      Logger.log(`Failed to send ${channel.type} notification: ${e.toString()}`);
+    }
+  });
+}
+
+function postWebhook(channel, payload) {
+  if (!channel.webhookUrl) throw new Error(`No webhookUrl configured for the ${channel.type} channel.`);
+  const response = UrlFetchApp.fetch(channel.webhookUrl, {
+    method: 'post',
+    contentType: 'application/json',
+    payload: JSON.stringify(payload),
+    muteHttpExceptions: true
+  });
+  const code = response.getResponseCode();
+  if (code < 200 || code >= 300) {
+    throw new Error(`Webhook returned HTTP ${code}: ${response.getContentText()}`);
+  }
+  Logger.log(`${channel.type} notification posted.`);
+}
+
+// Slack Block Kit: header, text, facts as two-column fields (max 10 per section) and a link button.
+function buildSlackPayload(message) {
+  const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const facts = message.facts || [];
+  const blocks = [{ type: 'header', text: { type: 'plain_text', text: message.title.slice(0, 150) } }];
+  if (message.text) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: escape(message.text) } });
+  }
+  for (let i = 0; i < facts.length; i += 10) {
+    blocks.push({ type: 'section', fields: facts.slice(i, i + 10).map(fact => ({ type: 'mrkdwn', text: `*${escape(fact.label)}*\n${escape(fact.value)}` })) });
+  }
+  if (message.link) {
+    blocks.push({ type: 'actions', elements: [{ type: 'button', text: { type: 'plain_text', text: message.link.label }, url: message.link.url }] });
+  }
+  return { text: `[${message.severity || 'INFO'}] ${message.title}`, blocks: blocks };
+}
+
+// Microsoft Teams (incoming webhook or workflow): a message with one Adaptive Card attachment.
+function buildTeamsPayload(message) {
+  const colors = { INFO: 'Default', WARNING: 'Warning', CRITICAL: 'Attention' };
+  const body = [{ type: 'TextBlock', text: message.title, weight: 'Bolder', size: 'Medium', wrap: true, color: colors[message.severity || 'INFO'] }];
+  if (message.text) body.push({ type: 'TextBlock', text: message.text, wrap: true });
+  if ((message.facts || []).length > 0) {
+    body.push({ type: 'FactSet', facts: message.facts.map(fact => ({ title: fact.label, value: String(fact.value) })) });
+  }
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body: body,
+        actions: message.link ? [{ type: 'Action.OpenUrl', title: message.link.label, url: message.link.url }] : []
+      }
+    }]
+  };
+}
+
+// Google Chat: a cardsV2 card. Chat renders a small subset of HTML in text widgets, so text is escaped.
+function buildGoogleChatPayload(message) {
+  const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const widgets = [];
+  if (message.text) widgets.push({ textParagraph: { text: escape(message.text) } });
+  (message.facts || []).forEach(fact => widgets.push({ decoratedText: { topLabel: fact.label, text: escape(fact.value) } }));
+  if (message.link) {
+    widgets.push({ buttonList: { buttons: [{ text: message.link.label, onClick: { openLink: { url: message.link.url } } }] } });
+  }
+  return {
+    cardsV2: [{
+      cardId: 'notification',
+      card: {
+        header: { title: message.title, subtitle: message.severity || 'INFO' },
+        sections: [{ widgets: widgets }]
+      }
+    }]
+  };
+}
+
+// ==================== EMAIL RENDERING FUNCTIONS ====================
+// An email is described once as a list of blocks and rendered twice: as HTML with inline styles (the only
+// styling every mail client keeps) and as the plain-text alternative. All text is HTML-escaped here, so
+// callers pass raw campaign names and search terms.
+//
+// renderEmail({ title, blocks, footer }) returns { htmlBody, body }. Blocks:
+//   { type: 'section', title, subtitle }              Section header
+//   { type: 'paragraph', text, tone }                 tone colors the text, e.g. 'bad' for a warning
+//   { type: 'kpis', items: [{ label, value, delta }] } A row of KPI cards
+//   { type: 'table', columns: [{ header, align }], rows, totals, sortedBy }
+//   { type: 'button', label, url }
+// Table cells are plain values or { text, url, note, tone, delta }. A delta is { text, tone } and renders as
+// a badge. Tones: 'good', 'bad', 'warning', 'new' and 'neutral'.
+const EMAIL_BLOCKS = {
+  section: {
+    html: (block, theme) => `<h3 style="color: ${escapeHtml(theme.TEXT_COLOR)}; border-bottom: 1px solid #cccccc; padding-bottom: 5px; margin: 25px 0 5px;">${escapeHtml(block.title)}</h3>` +
+      (block.subtitle ? `<p style="font-size: 12px; color: ${escapeHtml(theme.MUTED_COLOR)}; margin: 0 0 10px;">${escapeHtml(block.subtitle)}</p>` : ''),
+    text: block => `${block.title}${block.subtitle ? ` (${block.subtitle})` : ''}\n${'-'.repeat(64)}`
+  },
+  paragraph: {
+    html: (block, theme) => `<p${block.tone ? ` style="color: ${escapeHtml(getToneColor(block.tone, theme))}; font-weight: bold;"` : ''}>${escapeHtml(block.text)}</p>`,
+    text: block => block.text
+  },
+  kpis: {
+    html: (block, theme) => `<table style="width: 100%; border-collapse: separate; border-spacing: 8px 0; margin: 15px 0;"><tr>${block.items.map(item => `
+      <td style="padding: 12px; border: 1px solid #e0e0e0; border-radius: 6px; text-align: center;">
+        <div style="font-size: 12px; color: ${escapeHtml(theme.MUTED_COLOR)};">${escapeHtml(item.label)}</div>
+        <div style="font-size: 22px; font-weight: bold; margin: 4px 0;">${escapeHtml(item.value)}</div>
+        ${item.delta ? renderDeltaBadge(item.delta, theme) : ''}
+      </td>`).join('')}</tr></table>`,
+    text: block => block.items.map(item => `${item.label}: ${item.value}${item.delta ? ` ${item.delta.text}` : ''}`).join('\n')
+  },
+  table: {
+    html: (block, theme) => {
+      const cellStyle = (column, extra) => `padding: 8px; border: 1px solid #dddddd; text-align: ${column.align || 'left'};${extra || ''}`;
+      const header = block.columns.map((column, index) => `<th style="${cellStyle(column, ' background-color: #f2f2f2;')}">${escapeHtml(column.header)}${index === block.sortedBy ? ' &#9660;' : ''}</th>`).join('');
+      const rows = block.rows.map((row, rowIndex) => `
+        <tr${rowIndex % 2 === 1 ? ' style="background-color: #f9f9f9;"' : ''}>${row.map((cell, index) => `<td style="${cellStyle(block.columns[index])}">${renderEmailCell(cell, theme)}</td>`).join('')}</tr>`).join('');
+      const totals = block.totals
+        ? `
+        <tr style="font-weight: bold; background-color: #e6e6e6;">${block.totals.map((cell, index) => `<td style="${cellStyle(block.columns[index])}">${renderEmailCell(cell, theme)}</td>`).join('')}</tr>`
+        : '';
+      return `<table style="width: 100%; border-collapse: collapse; font-size: 14px; margin-top: 10px;">
+        <tr>${header}</tr>${rows}${totals}
+      </table>`;
+    },
+    text: block => {
+      const lines = [block.columns.map(column => column.header)]
+        .concat(block.rows.map(row => row.map(getEmailCellText)))
+        .concat(block.totals ? [block.totals.map(getEmailCellText)] : []);
+      const widths = block.columns.map((column, index) => Math.min(40, Math.max.apply(null, lines.map(line => String(line[index]).length))));
+      return lines.map(line => line.map((value, index) => (index < line.length - 1 ? String(value).padEnd(widths[index] + 2) : String(value))).join('').trimEnd()).join('\n');
+    }
+  },
+  button: {
+    html: (block, theme) => `<p style="margin: 25px 0; text-align: center;"><a href="${escapeHtml(block.url)}" style="background-color: ${escapeHtml(theme.PRIMARY_COLOR)}; color: #ffffff; padding: 12px 25px; text-decoration: none; border-radius: 5px; display: inline-block; font-size: 16px;">${escapeHtml(block.label)}</a></p>`,
+    text: block => `${block.label}: ${block.url}`
+  }
+};
+
+function renderEmail(email) {
+  const theme = CONFIG.EMAIL_THEME;
+  const html = [`<div style="font-family: Arial, sans-serif; max-width: 680px; margin: 0 auto; color: ${escapeHtml(theme.TEXT_COLOR)};">`];
+  const text = [email.title, '='.repeat(email.title.length)];
+
+  if (theme.LOGO_URL) {
+    html.push(`<img src="${escapeHtml(theme.LOGO_URL)}" alt="${escapeHtml(theme.BRAND_NAME)}" style="max-height: 48px; margin-bottom: 10px;">`);
+  }
+  html.push(`<h2 style="color: ${escapeHtml(theme.PRIMARY_COLOR)};">${escapeHtml(email.title)}</h2>`);
+
+  email.blocks.forEach(block => {
+    const renderer = EMAIL_BLOCKS[block.type];
+    if (!renderer) throw new Error(`Unknown email block type '${block.type}'. Use: ${Object.keys(EMAIL_BLOCKS).join(', ')}`);
+    html.push(renderer.html(block, theme));
+    text.push('', renderer.text(block));
+  });
+
+  const footer = [email.footer, theme.FOOTER_TEXT].filter(line => line);
+  if (footer.length > 0) {
+    html.push(`<hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">`);
+    footer.forEach(line => html.push(`<p style="color: ${escapeHtml(theme.MUTED_COLOR)}; font-size: 12px;">${escapeHtml(line)}</p>`));
+    text.push('', footer.join('\n'));
+  }
+  html.push('</div>');
+
+  return { htmlBody: html.join('\n'), body: text.join('\n') };
+}
+
+function renderEmailCell(cell, theme) {
+  if (cell === null || typeof cell !== 'object') return escapeHtml(cell);
+  let html = escapeHtml(cell.text);
+  if (cell.url) html = `<a href="${escapeHtml(cell.url)}" style="color: ${escapeHtml(theme.PRIMARY_COLOR)};">${html}</a>`;
+  if (cell.tone) html = `<span style="color: ${escapeHtml(getToneColor(cell.tone, theme))}; font-weight: bold;">${html}</span>`;
+  if (cell.note) html += ` <span style="color: ${escapeHtml(theme.MUTED_COLOR)}; font-size: 12px;">${escapeHtml(cell.note)}</span>`;
+  if (cell.delta) html += `${html ? ' ' : ''}${renderDeltaBadge(cell.delta, theme)}`;
+  return html;
+}
+
+function getEmailCellText(cell) {
+  if (cell === null || typeof cell !== 'object') return cell === undefined || cell === null ? '' : String(cell);
+  return [cell.text, cell.note ? `(${cell.note})` : '', cell.delta ? cell.delta.text : '']
+    .filter(part => part !== undefined && part !== '').join(' ');
+}
+
+function renderDeltaBadge(delta, theme) {
+  return `<span style="display: inline-block; padding: 2px 8px; border-radius: 10px; background-color: ${escapeHtml(getToneColor(delta.tone, theme))}; color: #ffffff; font-size: 12px; font-weight: bold;">${escapeHtml(delta.text)}</span>`;
+}
+
+function getToneColor(tone, theme) {
+  const colors = { good: theme.GOOD_COLOR, bad: theme.BAD_COLOR, warning: theme.WARNING_COLOR, new: theme.PRIMARY_COLOR };
+  return colors[tone] || theme.MUTED_COLOR;
+}
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,218 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript, plain } = require('./harness/load-script');
+
+// "Now" is Sunday 2025-06-15 08:00 in New York, so DAILY mode checks Saturday 2025-06-14
+const NOW = '2025-06-15T12:00:00Z';
+const BASELINE_SATURDAYS = ['2025-06-07', '2025-05-31', '2025-05-24', '2025-05-17', '2025-05-10', '2025-05-03', '2025-04-26', '2025-04-19'];
+const NOISE = [0.95, 1.05, 1, 0.98, 1.02, 0.97, 1.03, 1];
+
+// One row per Saturday: the baseline days vary around `day`, the checked day uses `checked`
+function dailyRows(fields, day, checked) {
+  const rows = [];
+  ['2025-06-14'].concat(BASELINE_SATURDAYS).forEach((date, index) => {
+    const values = index === 0 ? Object.assign({}, day, checked) : day;
+    const noise = index === 0 ? 1 : NOISE[index - 1];
+    rows.push(Object.assign({
+      'segments.date': date,
+      'metrics.clicks': String(Math.round(values.clicks * noise)),
+      'metrics.impressions': String(values.impressions),
+      'metrics.cost_micros': String(Math.round(values.cost * noise * 1000000)),
+      'metrics.conversions': String(values.conversions),
+      'metrics.conversions_value': String(values.convValue)
+    }, fields));
+  });
+  return rows;
+}
+
+const NORMAL_DAY = { clicks: 100, impressions: 2000, cost: 100, conversions: 5, convValue: 500 };
+
+function loadDetector() {
+  const script = loadScript('anomaly-detector.js', { now: NOW });
+  script.eval(`CONFIG.EMAIL_RECIPIENTS = 'team@example.com'`);
+  script.adsApp.addReport(/FROM geo_target_constant/, [
+    { 'geo_target_constant.id': '2840', 'geo_target_constant.name': 'United States' }
+  ]);
+  return script;
+}
+
+test('getDetectionWindow compares yesterday with the same weekday of previous weeks', () => {
+  const script = loadScript('anomaly-detector.js', { now: NOW });
+
+  const window = plain(script.call('getDetectionWindow'));
+
+  assert.strictEqual(window.date, '2025-06-14');
+  assert.strictEqual(window.weekday, 'Saturday');
+  assert.strictEqual(window.hour, 24);
+  assert.deepStrictEqual(window.baselineDates, BASELINE_SATURDAYS);
+});
+
+test('INTRADAY mode checks today up to the last complete hour', () => {
+  const script = loadScript('anomaly-detector.js', { now: NOW });
+  script.eval("CONFIG.MODE = 'INTRADAY'");
+  script.eval('CONFIG.BASELINE_WEEKS = 2');
+
+  const window = plain(script.call('getDetectionWindow'));
+
+  assert.strictEqual(window.date, '2025-06-15');
+  assert.strictEqual(window.hour, 8);
+  assert.deepStrictEqual(window.baselineDates, ['2025-06-08', '2025-06-01']);
+});
+
+test('spikes and drops are flagged per level and mailed in one alert', () => {
+  const script = loadDetector();
+  script.adsApp
+    .addReport(/FROM customer/, dailyRows({}, NORMAL_DAY, { cost: 300 }))
+    .addReport(/FROM campaign/, query => {
+      assert.match(query, /segments\.date BETWEEN '2025-04-19' AND '2025-06-14'/);
+      assert.match(query, /campaign\.status != 'REMOVED'/);
+      return dailyRows({ 'campaign.name': 'Search' }, NORMAL_DAY, { conversions: 0, convValue: 0 })
+        .concat(dailyRows({ 'campaign.name': 'Tiny' }, { clicks: 2, impressions: 50, cost: 3, conversions: 0, convValue: 0 }, { cost: 30 }));
+    })
+    .addReport(/FROM geographic_view/, dailyRows({ 'geographic_view.country_criterion_id': '2840' }, NORMAL_DAY, {}));
+
+  script.call('main');
+
+  const flagged = script.logger.messages.filter(message => /expected/.test(message));
+  assert.deepStrictEqual(flagged, [
+    'Account Account: Cost spiked to $300.00 (expected $100.00, z = 40.0)',
+    'Account Account: Avg. CPC spiked to $3.00 (expected $1.00, z = 40.0)',
+    'Campaign Search: ROAS dropped to 0.00 (expected 5.00, z = -20.0)',
+    'Campaign Search: Conv. Rate dropped to 0.00% (expected 5.00%, z = -20.0)',
+    'Account Account: ROAS dropped to 1.67 (expected 5.00, z = -13.3)'
+  ]);
+
+  assert.strictEqual(script.mailApp.sent.length, 1);
+  const email = script.mailApp.sent[0];
+  assert.strictEqual(email.subject, '[Test Account] 5 performance anomalies on 2025-06-14');
+  assert.match(email.body, /Account\s+Account\s+Cost\s+\$300\.00\s+\$100\.00\s+\+200%\s+40\.0/);
+  // A cost spike is a change in the wrong direction
+  assert.match(email.htmlBody, /background-color: #c0392b;[^>]*>\+200%<\/span>/);
+  assert.doesNotMatch(email.htmlBody, /Tiny|United States/);
+});
+
+test('no email is sent when nothing breaches the thresholds', () => {
+  const script = loadDetector();
+  script.adsApp
+    .addReport(/FROM customer/, dailyRows({}, NORMAL_DAY, { cost: 110 }))
+    .addReport(/FROM campaign/, [])
+    .addReport(/FROM geographic_view/, []);
+
+  script.call('main');
+
+  assert.strictEqual(script.mailApp.sent.length, 0);
+  assert.ok(script.logger.messages.includes('No anomalies found.'));
+});
+
+test('INTRADAY mode only sums the hours before the current one', () => {
+  const script = loadDetector();
+  script.eval("CONFIG.MODE = 'INTRADAY'");
+  script.eval("CONFIG.LEVELS = ['ACCOUNT']");
+  const rows = [];
+  ['2025-06-15', '2025-06-08', '2025-06-01', '2025-05-25', '2025-05-18', '2025-05-11', '2025-05-04', '2025-04-27', '2025-04-20'].forEach((date, index) => {
+    [7, 8].forEach(hour => rows.push({
+      'segments.date': date,
+      'segments.hour': String(hour),
+      'metrics.clicks': '50',
+      'metrics.impressions': '1000',
+      // The current hour is still running and spikes, but it is not complete yet
+      'metrics.cost_micros': String((hour === 8 && index === 0 ? 500 : 50 * (index % 2 ? 1.02 : 0.98)) * 1000000),
+      'metrics.conversions': '3',
+      'metrics.conversions_value': '300'
+    }));
+  });
+  script.adsApp.addReport(/FROM customer/, query => {
+    assert.match(query, /segments\.hour/);
+    return rows;
+  });
+
+  script.call('main');
+
+  assert.strictEqual(script.mailApp.sent.length, 0);
+});
+
+test('levels and thresholds can be changed in the Settings tab of SPREADSHEET_URL', () => {
+  const url = 'https://docs.google.com/spreadsheets/d/settings';
+  const script = loadDetector();
+  script.eval(`CONFIG.SPREADSHEET_URL = '${url}'`);
+  script.spreadsheetApp.addSpreadsheet(url).insertSheet('Settings').getRange(1, 1, 4, 2).setValues([
+    ['Setting', 'Value'],
+    ['Levels', 'ACCOUNT'],
+    ['Metrics', 'cost, ctr'],
+    ['Z-score Threshold', 50]
+  ]);
+  script.adsApp.addReport(/FROM customer/, dailyRows({}, NORMAL_DAY, { cost: 300 }));
+
+  script.call('main');
+
+  assert.deepStrictEqual(plain(script.eval('CONFIG.METRICS')), ['cost', 'ctr']);
+  assert.strictEqual(script.adsApp.queriesMatching(/FROM campaign|FROM geographic_view/).length, 0);
+  assert.ok(script.logger.messages.includes('No anomalies found.'));
+});
+
+test('unknown levels or metrics in the Settings tab are rejected', () => {
+  const url = 'https://docs.google.com/spreadsheets/d/settings';
+  const script = loadDetector();
+  script.eval(`CONFIG.SPREADSHEET_URL = '${url}'`);
+  script.spreadsheetApp.addSpreadsheet(url).insertSheet('Settings').getRange(1, 1, 3, 2).setValues([
+    ['Setting', 'Value'],
+    ['Levels', 'ACCOUNT, KEYWORD'],
+    ['Mode', 'HOURLY']
+  ]);
+
+  assert.throws(() => script.call('main'), new RegExp([
+    "Row 2 \\(Levels\\): 'KEYWORD' is not one of: ACCOUNT, CAMPAIGN, COUNTRY\\.",
+    "Row 3 \\(Mode\\): 'HOURLY' is not one of: DAILY, INTRADAY\\."
+  ].join('\\n')));
+});
+
+test('custom KPIs listed in METRICS are checked like the other metrics', () => {
+  const script = loadDetector();
+  script.eval(`CONFIG.LEVELS = ['ACCOUNT']`);
+  script.eval(`CONFIG.CUSTOM_KPIS = [
+    { key: 'leads', header: 'Leads', conversionActions: ['Form Submit', 'Call > 60s'] },
+    { key: 'qualifiedCpa', header: 'Qualified CPA', ratio: ['cost', 'leads'], currency: true, lowerIsBetter: true }
+  ]`);
+  script.eval(`CONFIG.METRICS = ['leads', 'qualifiedCpa']`);
+  script.adsApp
+    .addReport(/segments\.conversion_action_name/, query => {
+      assert.match(query, /^SELECT segments\.date, segments\.conversion_action_name, metrics\.all_conversions, metrics\.all_conversions_value FROM customer WHERE segments\.date BETWEEN '2025-04-19' AND '2025-06-14'$/);
+      return ['2025-06-14'].concat(BASELINE_SATURDAYS).reduce((rows, date, index) => rows.concat([
+        { 'segments.date': date, 'segments.conversion_action_name': 'Form Submit', 'metrics.all_conversions': index === 0 ? '1' : '3' },
+        { 'segments.date': date, 'segments.conversion_action_name': 'Call > 60s', 'metrics.all_conversions': index === 0 ? '0' : '1' },
+        { 'segments.date': date, 'segments.conversion_action_name': 'Page View', 'metrics.all_conversions': '50' }
+      ]), []);
+    })
+    .addReport(/FROM customer/, dailyRows({}, NORMAL_DAY, {}));
+
+  script.call('main');
+
+  const flagged = script.logger.messages.filter(message => /expected/.test(message));
+  assert.deepStrictEqual(flagged, [
+    'Account Account: Qualified CPA spiked to $100.00 (expected $25.00, z = 60.0)',
+    'Account Account: Leads dropped to 1.00 (expected 4.00, z = -15.0)'
+  ]);
+  // A CPA spike is a change in the wrong direction, fewer leads too
+  const email = script.mailApp.sent[0];
+  assert.match(email.htmlBody, /background-color: #c0392b;[^>]*>\+300%<\/span>/);
+  assert.match(email.htmlBody, /background-color: #c0392b;[^>]*>-75%<\/span>/);
+});
+
+test('custom KPIs are only queried when one of them is checked', () => {
+  const script = loadDetector();
+  script.eval(`CONFIG.LEVELS = ['ACCOUNT']`);
+  script.eval(`CONFIG.CUSTOM_KPIS = [{ key: 'leads', header: 'Leads', conversionActions: ['Form Submit'] }]`);
+  script.adsApp.addReport(/FROM customer/, dailyRows({}, NORMAL_DAY, {}));
+
+  script.call('main');
+
+  assert.strictEqual(script.adsApp.queriesMatching(/conversion_action_name/).length, 0);
+});
+
+test('an invalid custom KPI stops the run before anything is queried', () => {
+  const script = loadDetector();
+  script.eval(`CONFIG.CUSTOM_KPIS = [{ key: 'roas', header: 'ROAS on Margin', ratio: ['convValue', 'cost'], multiplier: 0.4 }]`);
+
+  assert.throws(() => script.call('main'), /CONFIG\.CUSTOM_KPIS\[0\] \(roas\): the key must be a new name such as 'leads'\./);
+  assert.strictEqual(script.adsApp.queries.length, 0);
+});
@@ -0,0 +1,234 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript, plain } = require('./harness/load-script');
+
+const SHEET_URL = 'https://docs.google.com/spreadsheets/d/targets';
+
+// Daily spend rows from 2025-04-01 to 2025-06-14, the day before "now"
+function spendRows(campaigns) {
+  const rows = [];
+  for (let date = new Date(Date.UTC(2025, 3, 1)); date <= new Date(Date.UTC(2025, 5, 14)); date = new Date(date.getTime() + 86400000)) {
+    campaigns.forEach(campaign => {
+      const spend = campaign.spend(date.getUTCDay());
+      if (spend > 0) {
+        rows.push({ 'campaign.id': campaign.id, 'campaign.name': campaign.name, 'segments.date': date.toISOString().slice(0, 10), 'metrics.cost_micros': String(spend * 1000000) });
+      }
+    });
+  }
+  return rows;
+}
+
+// `reports` are [matcher, rows] pairs registered before the budget and spend reports, which match them otherwise
+function loadMonitor(campaigns, targets, account, reports = []) {
+  const script = loadScript('budget-pacing-monitor.js', { now: '2025-06-15T12:00:00Z', account: account });
+  script.eval(`CONFIG.EMAIL_RECIPIENTS = 'team@example.com'`);
+  script.eval('CONFIG.SEASONALITY_WEEKS = 0');
+  reports.forEach(([matcher, rows]) => script.adsApp.addReport(matcher, rows));
+  script.adsApp
+    .addReport(/campaign_budget\.amount_micros/, campaigns.map(c => ({ 'campaign.id': c.id, 'campaign.name': c.name, 'campaign.status': 'ENABLED', 'campaign_budget.amount_micros': String(c.budget * 1000000) })))
+    .addReport(/segments\.date BETWEEN/, query => spendRows(campaigns));
+  if (targets) {
+    script.eval(`CONFIG.SPREADSHEET_URL = '${SHEET_URL}'`);
+    const sheet = script.spreadsheetApp.addSpreadsheet(SHEET_URL).insertSheet('Budget Targets');
+    sheet.getRange(1, 1, targets.length + 1, 2).setValues([['Campaign', 'Monthly Target']].concat(targets));
+  }
+  return script;
+}
+
+const CAMPAIGNS = [
+  { id: '1', name: 'Search', budget: 100, spend: () => 100 },
+  { id: '2', name: 'Display', budget: 100, spend: () => 50 },
+  { id: '3', name: 'Shopping', budget: 200, spend: () => 100 }
+];
+
+test('getPacingCalendar splits the month at today in the account time zone', () => {
+  const script = loadScript('budget-pacing-monitor.js', { now: '2025-07-01T02:00:00Z' });
+
+  const calendar = plain(script.call('getPacingCalendar'));
+
+  // Still June 30th in New York
+  assert.strictEqual(calendar.today, '2025-06-30');
+  assert.strictEqual(calendar.monthStart, '2025-06-01');
+  assert.strictEqual(calendar.elapsedDays, 29);
+  assert.deepStrictEqual(calendar.remainingDates, ['2025-06-30']);
+  assert.strictEqual(calendar.historyStart, '2025-05-05');
+});
+
+test('campaigns are paced against sheet targets, or their daily budget for the month', () => {
+  const script = loadMonitor(CAMPAIGNS, [['Shopping', '$2,000'], ['[Account]', 8000]]);
+
+  script.call('main');
+
+  const report = script.logger.messages.filter(message => / - /.test(message));
+  assert.deepStrictEqual(report, [
+    '[Account] - on pace. Projected $7,500.00 vs. target $8,000.00 (93.8%), month to date $3,500.00.',
+    'Display - CRITICAL: UNDER-pacing. Projected $1,500.00 vs. target $3,000.00 (50.0%), month to date $700.00.',
+    'Shopping - CRITICAL: OVER-pacing. Projected $3,000.00 vs. target $2,000.00 (150.0%), month to date $1,400.00.',
+    'Search - on pace. Projected $3,000.00 vs. target $3,000.00 (100.0%), month to date $1,400.00.'
+  ]);
+});
+
+test('the alert email lists campaigns at or above EMAIL_MIN_SEVERITY', () => {
+  const script = loadMonitor(CAMPAIGNS, [['Shopping', 2700]]);
+
+  script.call('main');
+
+  assert.strictEqual(script.mailApp.sent.length, 1);
+  const email = script.mailApp.sent[0];
+  assert.strictEqual(email.subject, '[Test Account] Budget Pacing Alert: 1 critical, 1 warning');
+  assert.match(email.body, /CRITICAL \(UNDER\)\s+Display\s+\$3,000\.00 \(budget\)\s+\$700\.00/);
+  assert.match(email.body, /WARNING \(OVER\)\s+Shopping\s+\$2,700\.00\s/);
+  assert.doesNotMatch(email.body, /Search/);
+  assert.match(email.htmlBody, /<span style="color: #c0392b; font-weight: bold;">CRITICAL \(UNDER\)<\/span><\/td><td[^>]*>Display<\/td>/);
+  assert.match(email.htmlBody, /<span style="color: #e67e22; font-weight: bold;">WARNING \(OVER\)<\/span>/);
+
+  const criticalOnly = loadMonitor(CAMPAIGNS, [['Shopping', 2700]]);
+  criticalOnly.eval(`CONFIG.EMAIL_MIN_SEVERITY = 'CRITICAL'`);
+  criticalOnly.call('main');
+  assert.doesNotMatch(criticalOnly.mailApp.sent[0].htmlBody, /Shopping/);
+});
+
+test('channels only receive alerts of at least their minSeverity', () => {
+  const warningOnly = loadMonitor(CAMPAIGNS, [['Shopping', 2700], ['Display', 1400]]);
+  const critical = loadMonitor(CAMPAIGNS, [['Shopping', 2700]]);
+  [warningOnly, critical].forEach(script => {
+    script.eval(`CONFIG.NOTIFICATIONS.CHANNELS.push({ type: 'SLACK', webhookUrl: 'https://hooks.example.com/slack', minSeverity: 'CRITICAL' })`);
+    script.urlFetchApp.addEndpoint('https://hooks.example.com/slack');
+    script.call('main');
+  });
+
+  // Shopping is a warning; Display is critical unless its target matches the projection
+  assert.strictEqual(warningOnly.mailApp.sent.length, 1);
+  assert.strictEqual(warningOnly.urlFetchApp.requests.length, 0);
+  assert.strictEqual(critical.mailApp.sent.length, 1);
+  assert.strictEqual(critical.urlFetchApp.requests.length, 1);
+  const slack = critical.urlFetchApp.requests[0].json;
+  assert.strictEqual(slack.text, '[CRITICAL] [Test Account] Budget Pacing Alert: 1 critical, 1 warning');
+  assert.deepStrictEqual(slack.blocks[2].fields[0], { type: 'mrkdwn', text: '*CRITICAL: Display*\nUNDER-pacing, projected $1,500.00 vs. target $3,000.00 (50.0%)' });
+});
+
+test('custom KPIs are added to the alert as month-to-date columns', () => {
+  const script = loadMonitor(CAMPAIGNS, [['Shopping', 2700], ['[Account]', 6000]], undefined, [
+    [/conversion_action_name/, query => {
+      assert.match(query, /segments\.date BETWEEN '2025-06-01' AND '2025-06-14'/);
+      return [
+        { 'campaign.id': '1', 'segments.conversion_action_name': 'Form Submit', 'metrics.all_conversions': '1' },
+        { 'campaign.id': '2', 'segments.conversion_action_name': 'Form Submit', 'metrics.all_conversions': '3' },
+        { 'campaign.id': '2', 'segments.conversion_action_name': 'Call > 60s', 'metrics.all_conversions': '2' },
+        { 'campaign.id': '2', 'segments.conversion_action_name': 'Page View', 'metrics.all_conversions': '10' },
+        { 'campaign.id': '3', 'segments.conversion_action_name': 'Call > 60s', 'metrics.all_conversions': '4' }
+      ];
+    }],
+    [/metrics\.conversions_value FROM campaign WHERE segments\.date BETWEEN '2025-06-01' AND '2025-06-14'/, [
+      { 'campaign.id': '1', 'metrics.cost_micros': '1400000000', 'metrics.clicks': '140', 'metrics.impressions': '2000', 'metrics.conversions': '6', 'metrics.conversions_value': '600' },
+      { 'campaign.id': '2', 'metrics.cost_micros': '700000000', 'metrics.clicks': '70', 'metrics.impressions': '1000', 'metrics.conversions': '15', 'metrics.conversions_value': '300' },
+      { 'campaign.id': '3', 'metrics.cost_micros': '1400000000', 'metrics.clicks': '100', 'metrics.impressions': '3000', 'metrics.conversions': '4', 'metrics.conversions_value': '2800' }
+    ]]
+  ]);
+  script.eval(`CONFIG.CUSTOM_KPIS = [
+    { key: 'leads', header: 'Leads', conversionActions: ['Form Submit', 'Call > 60s'] },
+    { key: 'qualifiedCpa', header: 'Qualified CPA', ratio: ['cost', 'leads'], currency: true }
+  ]`);
+
+  script.call('main');
+
+  const email = script.mailApp.sent[0];
+  assert.match(email.body, /Leads, Qualified CPA are month to date\./);
+  assert.match(email.body, /Daily Budget\s+Leads\s+Qualified CPA/);
+  assert.match(email.body, /Display\s+\$3,000\.00 \(budget\)\s+\$700\.00\s+\$1,500\.00\s+50\.0%\s+\$100\.00\s+5\s+\$140\.00/);
+  assert.match(email.body, /Shopping\s+\$2,700\.00\s+\$1,400\.00\s+\$3,000\.00\s+111\.1%\s+\$200\.00\s+4\s+\$350\.00/);
+  assert.match(email.body, /Account total\s+\$6,000\.00\s+\$3,500\.00\s+\$7,500\.00\s+125\.0%\s+\$400\.00\s+10\s+\$350\.00/);
+});
+
+test('an invalid custom KPI stops the run before anything is queried', () => {
+  const script = loadMonitor(CAMPAIGNS);
+  script.eval(`CONFIG.CUSTOM_KPIS = [{ key: 'qualifiedCpa', header: 'Qualified CPA', ratio: ['cost', 'leads'] }]`);
+
+  assert.throws(() => script.call('main'), /CONFIG\.CUSTOM_KPIS\[0\] \(qualifiedCpa\): set conversionActions, or ratio/);
+  assert.strictEqual(script.adsApp.queries.length, 0);
+});
+
+test('amounts follow the account currency and the configured locale', () => {
+  const script = loadMonitor(CAMPAIGNS, [['Shopping', 2700]], { currencyCode: 'EUR' });
+  script.eval("CONFIG.LOCALE.LANGUAGE_TAG = 'de-DE'");
+  script.eval("CONFIG.LOCALE.DATE_FORMAT = 'dd.MM.yyyy'");
+
+  script.call('main');
+
+  assert.ok(script.logger.messages.includes('Display - CRITICAL: UNDER-pacing. Projected 1.500,00\u00a0€ vs. target 3.000,00\u00a0€ (50,0\u00a0%), month to date 700,00\u00a0€.'));
+  const email = script.mailApp.sent[0];
+  assert.match(email.body, /^01\.06\.2025 to 30\.06\.2025: 14 of 30 days complete\./m);
+  assert.match(email.body, /WARNING \(OVER\)\s+Shopping\s+2\.700,00\u00a0€\s/);
+});
+
+test('JPY amounts have no decimal places', () => {
+  const script = loadMonitor([CAMPAIGNS[1]], null, { currencyCode: 'JPY' });
+
+  script.call('main');
+
+  assert.ok(script.logger.messages.includes('Display - CRITICAL: UNDER-pacing. Projected ¥1,500 vs. target ¥3,000 (50.0%), month to date ¥700.'));
+});
+
+test('no email is sent when everything is on pace', () => {
+  const script = loadMonitor([CAMPAIGNS[0]]);
+
+  script.call('main');
+
+  assert.strictEqual(script.mailApp.sent.length, 0);
+  assert.ok(script.logger.messages.includes('All campaigns are pacing within the thresholds.'));
+});
+
+test('projections follow the day-of-week profile of recent weeks', () => {
+  // Weekdays only: $100 Monday to Friday, nothing at weekends
+  const weekdays = [{ id: '1', name: 'B2B', budget: 100, spend: day => (day === 0 || day === 6 ? 0 : 100) }];
+  const script = loadMonitor(weekdays, [['B2B', 2100]]);
+  script.eval('CONFIG.SEASONALITY_WEEKS = 8');
+
+  script.call('main');
+
+  // 10 weekdays so far, 11 left in June
+  assert.ok(script.logger.messages.includes('B2B - on pace. Projected $2,100.00 vs. target $2,100.00 (100.0%), month to date $1,000.00.'));
+});
+
+test('the targets tab is created on the first run', () => {
+  const script = loadScript('budget-pacing-monitor.js', { now: '2025-06-15T12:00:00Z' });
+  script.eval(`CONFIG.SPREADSHEET_URL = '${SHEET_URL}'`);
+  const spreadsheet = script.spreadsheetApp.addSpreadsheet(SHEET_URL);
+
+  script.call('main');
+
+  assert.deepStrictEqual(spreadsheet.getSheetByName('Budget Targets').dump(), [['Campaign', 'Monthly Target'], ['[Account]', '']]);
+  assert.deepStrictEqual(spreadsheet.getSheetByName('Settings').dump().slice(1, 4).map(row => row.slice(0, 2)),
+    [['Email Recipients', 'your-email@example.com'], ['Send Email', 'TRUE'], ['Alert Level', 'WARNING']]);
+  assert.strictEqual(script.mailApp.sent.length, 0);
+});
+
+test('recipients and thresholds can be changed in the Settings tab', () => {
+  const script = loadMonitor(CAMPAIGNS, [['Shopping', 2700]]);
+  script.spreadsheetApp.openByUrl(SHEET_URL).insertSheet('Settings').getRange(1, 1, 4, 2).setValues([
+    ['Setting', 'Value'],
+    ['Email Recipients', 'client@example.com'],
+    ['Alert Level', 'CRITICAL'],
+    ['Critical Threshold', 0.4]
+  ]);
+
+  script.call('main');
+
+  const email = script.mailApp.sent[0];
+  assert.strictEqual(email.to, 'client@example.com');
+  assert.strictEqual(email.subject, '[Test Account] Budget Pacing Alert: 1 critical, 0 warning');
+  assert.doesNotMatch(email.body, /Shopping/);
+});
+
+test('an invalid Settings tab stops the run before anything is checked', () => {
+  const script = loadMonitor(CAMPAIGNS, [['Shopping', 2700]]);
+  script.spreadsheetApp.openByUrl(SHEET_URL).insertSheet('Settings').getRange(1, 1, 3, 2).setValues([
+    ['Setting', 'Value'],
+    ['Run Rate Days', 0],
+    ['Alert Level', 'INFO']
+  ]);
+
+  assert.throws(() => script.call('main'), /Row 2 \(Run Rate Days\): Must be at least 1\.\nRow 3 \(Alert Level\): 'INFO' is not one of: WARNING, CRITICAL\./);
+  assert.strictEqual(script.adsApp.queries.length, 0);
+  assert.strictEqual(script.mailApp.sent.length, 0);
+});
@@ -0,0 +1,224 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript, plain } = require('./harness/load-script');
+
+function geoRow(criterionId, clicks, impressions, cost, conversions, conversionValue) {
+  return {
+    'geographic_view.country_criterion_id': criterionId,
+    'metrics.clicks': clicks,
+    'metrics.impressions': impressions,
+    'metrics.cost_micros': cost * 1000000,
+    'metrics.conversions': conversions,
+    'metrics.conversions_value': conversionValue
+  };
+}
+
+function loadCountryEmail(account) {
+  const script = loadScript('daily-email-country-performance.js', { now: '2025-06-15T12:00:00Z', account: account });
+  script.adsApp
+    .addReport(/FROM geo_target_constant/, [
+      { 'geo_target_constant.id': '2840', 'geo_target_constant.name': 'United States' },
+      { 'geo_target_constant.id': '2826', 'geo_target_constant.name': 'United Kingdom' }
+    ])
+    .addReport(/segments\.conversion_action_name/, [
+      { 'geographic_view.country_criterion_id': '2840', 'segments.conversion_action_name': 'Form Submit', 'metrics.all_conversions': 20, 'metrics.all_conversions_value': 0 },
+      { 'geographic_view.country_criterion_id': '2840', 'segments.conversion_action_name': 'Call > 60s', 'metrics.all_conversions': 6, 'metrics.all_conversions_value': 0 },
+      { 'geographic_view.country_criterion_id': '2840', 'segments.conversion_action_name': 'Purchase', 'metrics.all_conversions': 14, 'metrics.all_conversions_value': 4000 },
+      { 'geographic_view.country_criterion_id': '2826', 'segments.conversion_action_name': 'Form Submit', 'metrics.all_conversions': 4, 'metrics.all_conversions_value': 0 },
+      { 'geographic_view.country_criterion_id': '2250', 'segments.conversion_action_name': 'Form Submit', 'metrics.all_conversions': 3, 'metrics.all_conversions_value': 0 }
+    ])
+    .addReport(/FROM geographic_view/, [
+      geoRow('2840', 1000, 20000, 1200.5, 40, 4000),
+      geoRow('2840', 100, 1000, 99.5, 2, 200),
+      geoRow('2826', 50, 2500, 80, 1.5, 0),
+      geoRow('9999', 2, 10, 0.5, 0, 0)
+    ]);
+  return script;
+}
+
+test('getCountryData merges geographic_view rows per country name and sorts by spend', () => {
+  const script = loadCountryEmail();
+
+  const data = plain(script.call('getCountryData'));
+
+  assert.deepStrictEqual(data.countries.map(c => c.name), ['United States', 'United Kingdom', 'Unknown (9999)']);
+  const us = data.countries[0];
+  assert.strictEqual(us.spend, 1300);
+  assert.strictEqual(us.clicks, 1100);
+  assert.strictEqual(us.impressions, 21000);
+  assert.strictEqual(us.conversions, 42);
+  assert.strictEqual(us.conversionValue, 4200);
+  assert.strictEqual(us.cpc, 1300 / 1100);
+  assert.strictEqual(us.ctr, 1100 / 21000);
+  assert.strictEqual(us.roas, 4200 / 1300);
+  assert.strictEqual(us.cpa, 1300 / 42);
+  // Ratios are 0 when their denominator is 0, as on the dashboard
+  assert.strictEqual(data.countries[2].cpa, 0);
+  assert.deepStrictEqual(data.totals, { spend: 1380.5, impressions: 23510, clicks: 1152, conversions: 43.5, conversionValue: 4200 });
+});
+
+test('getCountryData reports where users were by default, or their areas of interest', () => {
+  const script = loadCountryEmail();
+
+  script.call('getCountryData');
+  script.call('getCountryData', 'AREA_OF_INTEREST');
+
+  const [presence, interest] = script.adsApp.queriesMatching(/FROM geographic_view/);
+  assert.match(presence, /geographic_view\.location_type = 'LOCATION_OF_PRESENCE'/);
+  assert.match(presence, /segments\.date DURING YESTERDAY/);
+  assert.match(interest, /geographic_view\.location_type = 'AREA_OF_INTEREST'/);
+});
+
+test('getCountryData returns empty totals when the report fails', () => {
+  const script = loadScript('daily-email-country-performance.js');
+  script.adsApp.addReport(/FROM geographic_view/, new Error('Report failed'));
+
+  const data = plain(script.call('getCountryData'));
+
+  assert.deepStrictEqual(data, { countries: [], totals: { spend: 0, impressions: 0, clicks: 0, conversions: 0, conversionValue: 0 } });
+  assert.match(script.consoleMessages[0], /Report failed/);
+});
+
+test('renderCountryEmail renders a row per country and a totals row', () => {
+  const script = loadCountryEmail();
+  const data = script.call('getCountryData');
+
+  const { htmlBody, body } = script.call('renderCountryEmail', data, '2025-06-14');
+
+  assert.match(htmlBody, /Country Spend Report for 2025-06-14/);
+  assert.match(htmlBody, /Total Account Spend<\/div>\s*<div[^>]*>\$1,380\.50<\/div>/);
+  assert.match(htmlBody, /<td[^>]*>United Kingdom<\/td><td[^>]*>\$80\.00<\/td>/);
+  assert.match(htmlBody, /<th[^>]*>Conv\. Value<\/th><th[^>]*>ROAS<\/th><th[^>]*>CPA<\/th>/);
+  assert.match(htmlBody, /<td[^>]*>United States<\/td>(<td[^>]*>[^<]*<\/td>){6}<td[^>]*>\$4,200\.00<\/td><td[^>]*>3\.23<\/td><td[^>]*>\$30\.95<\/td>/);
+  assert.match(htmlBody, /<td[^>]*>TOTAL<\/td><td[^>]*>\$1,380\.50<\/td>/);
+  assert.match(htmlBody, /<td[^>]*>4\.90%<\/td>/);
+
+  // Plain-text alternative from the same data
+  assert.match(body, /^Country\s+Spend\s+Impressions\s+Clicks\s+CTR\s+Avg\. CPC\s+Conversions\s+Conv\. Value\s+ROAS\s+CPA$/m);
+  assert.match(body, /^United States\s+\$1,300\.00\s+21,000\s+1,100\s+5\.24%/m);
+  assert.match(body, /^TOTAL\s+\$1,380\.50/m);
+});
+
+test('CUSTOM_KPIS add conversion action counts and ratios as columns, cards and totals', () => {
+  const script = loadCountryEmail();
+  script.eval(`CONFIG.CUSTOM_KPIS = [
+    { key: 'leads', header: 'Leads', conversionActions: ['Form Submit', 'Call > 60s'] },
+    { key: 'costPerLead', header: 'Cost / Lead', ratio: ['cost', 'leads'], currency: true },
+    { key: 'marginRoas', header: 'ROAS on Margin', ratio: ['convValue', 'cost'], multiplier: 0.5 }
+  ]`);
+
+  const data = script.call('getCountryData');
+  const { htmlBody, body } = script.call('renderCountryEmail', data, '2025-06-14');
+
+  assert.match(script.adsApp.queries[2], /segments\.conversion_action_name, metrics\.all_conversions, metrics\.all_conversions_value FROM geographic_view .*DURING YESTERDAY$/);
+  // France had no spend, so its leads are left out like its other conversions
+  assert.deepStrictEqual(plain(data.countries.map(country => [country.name, country.leads])), [['United States', 26], ['United Kingdom', 4], ['Unknown (9999)', 0]]);
+  assert.strictEqual(data.totals.leads, 30);
+  assert.match(htmlBody, /<th[^>]*>CPA<\/th><th[^>]*>Leads<\/th><th[^>]*>Cost \/ Lead<\/th><th[^>]*>ROAS on Margin<\/th>/);
+  assert.match(htmlBody, /Leads<\/div>\s*<div[^>]*>30<\/div>/);
+  assert.match(body, /^United States\s.*\$30\.95\s+26\s+\$50\.00\s+1\.62$/m);
+  assert.match(body, /^TOTAL\s.*\s30\s+\$46\.02\s+1\.52$/m);
+});
+
+test('a custom KPI without conversion actions or a valid ratio stops the report', () => {
+  const script = loadCountryEmail();
+  script.eval("CONFIG.CUSTOM_KPIS = [{ key: 'qualifiedCpa', header: 'Qualified CPA', ratio: ['cost', 'leads'] }]");
+
+  assert.throws(() => script.call('getCountryData'), /CONFIG\.CUSTOM_KPIS\[0\] \(qualifiedCpa\): set conversionActions, or ratio/);
+});
+
+test('renderCountryEmail formats money, numbers and the date for the configured locale', () => {
+  const script = loadCountryEmail({ currencyCode: 'JPY' });
+  script.eval("CONFIG.LOCALE.LANGUAGE_TAG = 'de-DE'");
+  script.eval("CONFIG.LOCALE.DATE_FORMAT = 'dd.MM.yyyy'");
+  const data = script.call('getCountryData');
+
+  const { body } = script.call('renderCountryEmail', data, '2025-06-14');
+
+  assert.match(body, /^Country Spend Report for 14\.06\.2025$/m);
+  assert.match(body, /^United States\s+1\.300\u00a0¥\s+21\.000\s+1\.100\s+5,24\u00a0%/m);
+  assert.match(body, /^Total Account Spend: 1\.381\u00a0¥$/m);
+});
+
+test('renderEmail escapes text and applies the theme', () => {
+  const script = loadCountryEmail();
+  script.eval(`Object.assign(CONFIG.EMAIL_THEME, { BRAND_NAME: 'Acme "Ads"', LOGO_URL: 'https://example.com/logo.png', PRIMARY_COLOR: '#ff6600', FOOTER_TEXT: 'Prepared by Acme' })`);
+
+  const { htmlBody, body } = script.call('renderEmail', {
+    title: 'Report',
+    blocks: [{ type: 'table', columns: [{ header: 'Country' }], rows: [['<script>alert(1)</script> & Co']] }]
+  });
+
+  assert.match(htmlBody, /<img src="https:\/\/example\.com\/logo\.png" alt="Acme &quot;Ads&quot;"/);
+  assert.match(htmlBody, /<h2 style="color: #ff6600;">Report<\/h2>/);
+  assert.match(htmlBody, /&lt;script&gt;alert\(1\)&lt;\/script&gt; &amp; Co/);
+  assert.doesNotMatch(htmlBody, /<script>/);
+  assert.match(htmlBody, /Prepared by Acme<\/p>/);
+  assert.match(body, /<script>alert\(1\)<\/script> & Co/);
+  assert.match(body, /Prepared by Acme$/);
+});
+
+test('main emails yesterday\'s report to the configured recipient', () => {
+  const script = loadCountryEmail();
+  script.eval(`CONFIG.EMAIL_RECIPIENTS = 'team@example.com'`);
+
+  script.call('main');
+
+  assert.strictEqual(script.mailApp.sent.length, 1);
+  assert.strictEqual(script.mailApp.sent[0].to, 'team@example.com');
+  assert.match(script.mailApp.sent[0].htmlBody, /Country Spend Report for 2025-06-14/);
+});
+
+test('main skips the email while the recipient is still the placeholder, but still posts to webhooks', () => {
+  const script = loadCountryEmail();
+  script.eval(`CONFIG.NOTIFICATIONS.CHANNELS.push({ type: 'GOOGLE_CHAT', webhookUrl: 'https://chat.example.com/hook' })`);
+  script.urlFetchApp.addEndpoint('https://chat.example.com/hook');
+
+  script.call('main');
+
+  assert.strictEqual(script.mailApp.sent.length, 0);
+  assert.strictEqual(script.urlFetchApp.requests.length, 1);
+  const card = script.urlFetchApp.requests[0].json.cardsV2[0].card;
+  assert.strictEqual(card.header.title, 'Google Ads - Country Spend Report (Previous Day)');
+  assert.deepStrictEqual(card.sections[0].widgets[1], { decoratedText: { topLabel: 'United States', text: '$1,300.00, 42 conv., ROAS 3.23' } });
+});
+
+test('main applies the Settings tab of SPREADSHEET_URL and creates it on the first run', () => {
+  const url = 'https://docs.google.com/spreadsheets/d/settings';
+  const script = loadCountryEmail();
+  script.eval(`CONFIG.SPREADSHEET_URL = '${url}'`);
+  const spreadsheet = script.spreadsheetApp.addSpreadsheet(url);
+
+  script.call('main');
+
+  const settings = spreadsheet.getSheetByName('Settings');
+  assert.deepStrictEqual(settings.dump()[1].slice(0, 2), ['Email Recipients', 'your-email@example.com']);
+  assert.strictEqual(script.mailApp.sent.length, 0);
+
+  settings.getRange(2, 2, 3, 1).setValues([['team@example.com'], ['Countries yesterday'], ['AREA_OF_INTEREST']]);
+  script.call('main');
+
+  assert.strictEqual(script.mailApp.sent.length, 1);
+  assert.strictEqual(script.mailApp.sent[0].to, 'team@example.com');
+  assert.strictEqual(script.mailApp.sent[0].subject, 'Countries yesterday');
+  assert.match(script.adsApp.queries[script.adsApp.queries.length - 1], /geographic_view\.location_type = 'AREA_OF_INTEREST'/);
+});
+
+test('getCountryData only covers the campaigns in CAMPAIGN_FILTER', () => {
+  const script = loadCountryEmail();
+  script.eval("CONFIG.CAMPAIGN_FILTER.INCLUDE.CHANNEL_TYPES = ['SEARCH', 'SHOPPING']");
+  script.eval("CONFIG.CAMPAIGN_FILTER.EXCLUDE.NAME_REGEX = '(?i)brand'");
+
+  script.call('getCountryData');
+
+  assert.match(script.adsApp.queries[1], /DURING YESTERDAY AND campaign\.advertising_channel_type IN \('SEARCH', 'SHOPPING'\) AND campaign\.name NOT REGEXP_MATCH '\(\?i\)brand'$/);
+});
+
+test('a misconfigured campaign filter stops the report instead of sending it empty', () => {
+  const script = loadCountryEmail();
+  script.eval(`CONFIG.EMAIL_RECIPIENTS = 'team@example.com'`);
+  script.eval("CONFIG.CAMPAIGN_FILTER.EXCLUDE.STATUSES = ['DELETED']");
+
+  assert.throws(() => script.call('main'), /Invalid value 'DELETED' in CONFIG\.CAMPAIGN_FILTER\.EXCLUDE\.STATUSES/);
+  assert.strictEqual(script.mailApp.sent.length, 0);
+});
@@ -0,0 +1,564 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript, plain } = require('./harness/load-script');
+
+const SHEET_URL = 'https://docs.google.com/spreadsheets/d/search-terms';
+
+function termRow(term, clicks, overrides) {
+  return Object.assign({
+    'search_term_view.search_term': term,
+    'metrics.impressions': clicks * 10,
+    'metrics.clicks': clicks,
+    'metrics.cost_micros': clicks * 1250000,
+    'campaign.id': '111',
+    'campaign.name': 'Search - Generic',
+    'ad_group.id': '222',
+    'ad_group.name': 'Shoes'
+  }, overrides);
+}
+
+// `reports` are [matcher, rows] pairs registered before the lookback and yesterday reports, which match them otherwise
+function loadMonitor(priorTerms, yesterdayRows, account, reports = []) {
+  const script = loadScript('daily-search-term-monitor.js', { now: '2025-06-15T12:00:00Z', account: account });
+  script.eval(`SHEET_URL = '${SHEET_URL}'; RECIPIENT_EMAIL = 'team@example.com';`);
+  script.spreadsheetApp.addSpreadsheet(SHEET_URL);
+  reports.forEach(([matcher, rows]) => script.adsApp.addReport(matcher, rows));
+  script.adsApp
+    .addReport(/segments\.date BETWEEN/, priorTerms.map(term => ({ 'search_term_view.search_term': term })))
+    .addReport(/segments\.date = /, yesterdayRows);
+  return script;
+}
+
+test('compares yesterday against the prior 180 days', () => {
+  const script = loadMonitor([], []);
+
+  script.call('main');
+
+  // The first run reads the lookback window 30 days at a time
+  const chunks = script.adsApp.queries.slice(0, 6).map(query => /BETWEEN "([\d-]+)" AND "([\d-]+)"/.exec(query).slice(1));
+  assert.deepStrictEqual(chunks[0], ['2024-12-16', '2025-01-14']);
+  assert.deepStrictEqual(chunks[5], ['2025-05-15', '2025-06-13']);
+  assert.match(script.adsApp.queries[6], /segments\.date = "2025-06-14"/);
+});
+
+test('only queries unseen in the lookback window are written, case-insensitively, sorted by clicks', () => {
+  const script = loadMonitor(['running shoes', 'Red Sneakers'], [
+    termRow('Running Shoes', 9),
+    termRow('red sneakers', 4),
+    termRow('trail shoes', 2),
+    termRow('waterproof boots', 7, { 'campaign.name': 'Search - Boots', 'campaign.id': '333' })
+  ]);
+
+  script.call('main');
+
+  const sheet = script.spreadsheetApp.openByUrl(SHEET_URL).getSheetByName('Test Account - 7890 - 2025-06-14');
+  assert.deepStrictEqual(sheet.dump(), [
+    ['Campaign Name', 'Campaign ID', 'Ad Group Name', 'Ad Group ID', 'Search Term', 'Impressions', 'Clicks', 'Cost', 'First Seen'],
+    ['Search - Boots', '333', 'Shoes', '222', 'waterproof boots', 70, 7, 8.75, '2025-06-14'],
+    ['Search - Generic', '111', 'Shoes', '222', 'trail shoes', 20, 2, 2.5, '2025-06-14']
+  ]);
+  assert.strictEqual(sheet.cell(2, 8).numberFormat, '$#,##0.00');
+  assert.strictEqual(sheet.cell(2, 9).numberFormat, 'yyyy-MM-dd');
+});
+
+test('emails new queries with clicks grouped by campaign, busiest campaign first', () => {
+  const script = loadMonitor([], [
+    termRow('trail shoes', 2),
+    termRow('hiking shoes', 3),
+    termRow('waterproof boots', 4, { 'campaign.name': 'Search - Boots' }),
+    termRow('zero click term', 0)
+  ]);
+
+  script.call('main');
+
+  assert.strictEqual(script.mailApp.sent.length, 1);
+  const email = script.mailApp.sent[0];
+  assert.strictEqual(email.to, 'team@example.com');
+  assert.strictEqual(email.subject, 'Test Account - New Search Queries - 2025-06-14');
+  const html = email.htmlBody;
+  assert.ok(html.indexOf('Campaign: Search - Generic') < html.indexOf('Campaign: Search - Boots'));
+  assert.ok(html.indexOf('hiking shoes') < html.indexOf('trail shoes'));
+  assert.ok(!html.includes('zero click term'));
+});
+
+test('custom KPIs are added as columns to the sheet and the email', () => {
+  const script = loadMonitor([], [
+    termRow('trail shoes', 4, { 'metrics.conversions': 3 }),
+    termRow('Trail Shoes', 2, { 'ad_group.id': '444', 'ad_group.name': 'Trail' }),
+    termRow('hiking shoes', 1)
+  ], undefined, [
+    [/conversion_action_name/, query => {
+      assert.match(query, /FROM search_term_view WHERE segments\.date = "2025-06-14"/);
+      return [
+        { 'search_term_view.search_term': 'trail shoes', 'ad_group.id': '222', 'segments.conversion_action_name': 'Form Submit', 'metrics.all_conversions': 1 },
+        { 'search_term_view.search_term': 'trail shoes', 'ad_group.id': '222', 'segments.conversion_action_name': 'Call > 60s', 'metrics.all_conversions': 1 },
+        { 'search_term_view.search_term': 'trail shoes', 'ad_group.id': '222', 'segments.conversion_action_name': 'Page View', 'metrics.all_conversions': 8 },
+        { 'search_term_view.search_term': 'Trail Shoes', 'ad_group.id': '444', 'segments.conversion_action_name': 'Form Submit', 'metrics.all_conversions': 1 }
+      ];
+    }]
+  ]);
+  script.eval(`CUSTOM_KPIS = [
+    { key: 'leads', header: 'Leads', conversionActions: ['Form Submit', 'Call > 60s'] },
+    { key: 'qualifiedCpa', header: 'Qualified CPA', ratio: ['cost', 'leads'], currency: true }
+  ]`);
+
+  script.call('main');
+
+  const sheet = script.spreadsheetApp.openByUrl(SHEET_URL).getSheetByName('Test Account - 7890 - 2025-06-14');
+  const rows = sheet.dump();
+  assert.deepStrictEqual(rows[0].slice(8), ['First Seen', 'Leads', 'Qualified CPA']);
+  assert.deepStrictEqual(rows.slice(1).map(row => [row[4]].concat(row.slice(9))), [
+    ['trail shoes', 2, 2.5],
+    ['Trail Shoes', 1, 2.5],
+    ['hiking shoes', 0, 0]
+  ]);
+  assert.strictEqual(sheet.cell(2, 10).numberFormat, '#,##0.0');
+  assert.strictEqual(sheet.cell(2, 11).numberFormat, '$#,##0.00');
+
+  const email = script.mailApp.sent[0];
+  assert.match(email.body, /Cost\s+Leads\s+Qualified CPA/);
+  assert.match(email.body, /trail shoes\s+40\s+4\s+\$5\.00\s+2\s+\$2\.50/);
+  assert.match(email.body, /hiking shoes\s+10\s+1\s+\$1\.25\s+0\s+\$0\.00/);
+});
+
+test('an invalid custom KPI stops the run before anything is fetched', () => {
+  const script = loadMonitor([], []);
+  script.eval(`CUSTOM_KPIS = [{ key: 'leads', header: 'Leads', conversionActions: [] }]`);
+
+  assert.throws(() => script.call('main'), /CUSTOM_KPIS\[0\] \(leads\): conversionActions must list at least one conversion action name\./);
+  assert.strictEqual(script.adsApp.queries.length, 0);
+});
+
+test('webhook channels get the new queries with the most clicks', () => {
+  const script = loadMonitor([], [
+    termRow('trail shoes', 1),
+    termRow('hiking shoes', 3),
+    termRow('zero click term', 0)
+  ]);
+  script.eval(`NEGATIVES_ENABLED = false; NOTIFICATION_CHANNELS.push({ type: 'TEAMS', webhookUrl: 'https://hooks.example.com/teams' });`);
+  script.urlFetchApp.addEndpoint('https://hooks.example.com/teams');
+
+  script.call('main');
+
+  assert.strictEqual(script.mailApp.sent.length, 1);
+  assert.strictEqual(script.urlFetchApp.requests.length, 1);
+  const body = script.urlFetchApp.requests[0].json.attachments[0].content.body;
+  assert.strictEqual(body[0].text, 'Test Account - New Search Queries - 2025-06-14');
+  assert.strictEqual(body[1].text, '3 new search queries, 2 with clicks.');
+  assert.deepStrictEqual(body[2].facts.map(fact => fact.title), ['hiking shoes', 'trail shoes']);
+});
+
+test('costs and dates follow the account currency and the configured locale', () => {
+  const script = loadMonitor([], [termRow('trail shoes', 2)], { currencyCode: 'EUR' });
+  script.eval(`LOCALE.LANGUAGE_TAG = 'de-DE'; LOCALE.DATE_FORMAT = 'dd.MM.yyyy';`);
+
+  script.call('main');
+
+  const spreadsheet = script.spreadsheetApp.openByUrl(SHEET_URL);
+  assert.strictEqual(spreadsheet.getSpreadsheetLocale(), 'de_DE');
+  const sheet = spreadsheet.getSheetByName('Test Account - 7890 - 2025-06-14');
+  assert.strictEqual(sheet.cell(2, 8).numberFormat, '#,##0.00 "€"');
+  assert.strictEqual(sheet.cell(2, 9).numberFormat, 'dd.MM.yyyy');
+  const email = script.mailApp.sent[0];
+  assert.strictEqual(email.subject, 'Test Account - New Search Queries - 14.06.2025');
+  assert.match(email.body, /^trail shoes\s+20\s+2\s+2,50\u00a0€$/m);
+});
+
+test('sends a short note when every new query has zero clicks', () => {
+  const script = loadMonitor([], [termRow('zero click term', 0)]);
+
+  script.call('main');
+
+  assert.match(script.mailApp.sent[0].body, /No new search queries with >0 clicks from 2025-06-14/);
+  assert.match(script.mailApp.sent[0].htmlBody, /No new search queries with &gt;0 clicks from 2025-06-14/);
+});
+
+test('search terms and campaign names are escaped in the email', () => {
+  const script = loadMonitor([], [termRow('shoes <b>cheap</b> & fast', 2, { 'campaign.name': 'Search "Generic"' })]);
+
+  script.call('main');
+
+  const email = script.mailApp.sent[0];
+  assert.match(email.htmlBody, /<td[^>]*>shoes &lt;b&gt;cheap&lt;\/b&gt; &amp; fast<\/td>/);
+  assert.match(email.htmlBody, /Campaign: Search &quot;Generic&quot;<\/h3>/);
+  assert.match(email.body, /^shoes <b>cheap<\/b> & fast\s+\d+\s+2\s+/m);
+});
+
+test('does nothing when there are no new queries', () => {
+  const script = loadMonitor(['trail shoes'], [termRow('trail shoes', 2)]);
+
+  script.call('main');
+
+  assert.strictEqual(script.mailApp.sent.length, 0);
+  assert.ok(script.logger.messages.includes('No new search queries found.'));
+});
+
+function loadWithHistory(historyRows, yesterdayRows, mergedThrough = '2025-06-13') {
+  const script = loadScript('daily-search-term-monitor.js', { now: '2025-06-15T12:00:00Z' });
+  script.eval(`SHEET_URL = '${SHEET_URL}'; RECIPIENT_EMAIL = 'team@example.com'; NEGATIVES_ENABLED = false;`);
+  const spreadsheet = script.spreadsheetApp.addSpreadsheet(SHEET_URL);
+  const history = spreadsheet.insertSheet('_Query History');
+  history.getRange(1, 1, historyRows.length + 1, 8).setValues([
+    ['Search Term', 'First Seen', 'First Campaign', 'First Ad Group', 'Last Seen', 'Impressions', 'Clicks', 'Cost']
+  ].concat(historyRows));
+  spreadsheet.insertSheet('_Query History State').getRange(1, 1, 2, 1).setValues([['Merged Through'], [mergedThrough]]);
+  script.adsApp.addReport(/segments\.date = /, yesterdayRows);
+  return script;
+}
+
+test('the first run adds a Settings tab; later runs apply it before anything is fetched', () => {
+  const script = loadMonitor([], [termRow('trail shoes', 2)]);
+
+  script.call('main');
+
+  const settings = script.spreadsheetApp.openByUrl(SHEET_URL).getSheetByName('Settings');
+  const rows = settings.dump();
+  assert.deepStrictEqual(rows.slice(1, 4).map(row => row.slice(0, 2)),
+    [['Email Recipients', 'team@example.com'], ['Lookback Days', 180], ['Negative Suggestions', 'TRUE']]);
+  assert.strictEqual(rows.find(row => row[0] === 'Irrelevant Terms')[1], 'free, jobs, careers, salary, diy, used, second hand');
+  assert.deepStrictEqual(plain(settings.getRange(4, 2).getDataValidation().values), ['TRUE', 'FALSE']);
+
+  settings.getRange(2, 2, 3, 1).setValues([['client@example.com'], [90], [false]]);
+  ['_Query History', '_Query History State'].forEach(name => {
+    script.spreadsheetApp.openByUrl(SHEET_URL).deleteSheet(script.spreadsheetApp.openByUrl(SHEET_URL).getSheetByName(name));
+  });
+  const queryCount = script.adsApp.queries.length;
+  script.call('main');
+
+  const queries = script.adsApp.queries.slice(queryCount);
+  assert.match(queries[0], /BETWEEN "2025-03-16" AND "2025-04-14"/);
+  assert.strictEqual(queries.filter(query => /metrics\.conversions FROM search_term_view/.test(query)).length, 0);
+  assert.strictEqual(script.mailApp.sent[1].to, 'client@example.com');
+});
+
+test('without SHEET_URL the spreadsheet created on the first run is found by name and used again', () => {
+  const script = loadScript('daily-search-term-monitor.js', { now: '2025-06-15T12:00:00Z' });
+  script.eval("RECIPIENT_EMAIL = 'team@example.com'; NEGATIVES_ENABLED = false;");
+  script.adsApp.addReport(/segments\.date BETWEEN/, []).addReport(/segments\.date = /, [termRow('trail shoes', 2)]);
+
+  script.call('main');
+  script.eval("SHEET_URL = 'YOUR_GOOGLE_SHEET_URL_HERE'");
+  script.call('main');
+
+  assert.deepStrictEqual(Array.from(script.spreadsheetApp.spreadsheets.keys()), ['https://docs.google.com/spreadsheets/d/fake-1']);
+  assert.ok(script.logger.messages.includes('Using the spreadsheet created on an earlier run: https://docs.google.com/spreadsheets/d/fake-1'));
+  assert.strictEqual(script.adsApp.queriesMatching(/BETWEEN/).length, 6, 'the query history is not filled again');
+});
+
+test('an invalid Settings tab stops the run with every problem listed', () => {
+  const script = loadMonitor([], []);
+  script.spreadsheetApp.openByUrl(SHEET_URL).insertSheet('Settings').getRange(1, 1, 3, 2).setValues([
+    ['Setting', 'Value'],
+    ['Lookback Days', 'half a year'],
+    ['Language', 'German!']
+  ]);
+
+  assert.throws(() => script.call('main'), /invalid row\(s\):\nRow 2 \(Lookback Days\): 'half a year' is not a number\.\nRow 3 \(Language\): 'German!' is not a language tag/);
+  assert.strictEqual(script.adsApp.queries.length, 0);
+});
+
+test('CAMPAIGN_FILTER scopes every search term query, e.g. to leave out brand campaigns', () => {
+  const script = loadMonitor([], [termRow('trail shoes', 2)]);
+  script.eval("CAMPAIGN_FILTER.EXCLUDE.NAME_REGEX = '(?i)brand'; CAMPAIGN_FILTER.INCLUDE.LABELS = ['Monitored'];");
+  script.adsApp.addReport(/FROM label/, [{ 'label.name': 'Monitored', 'label.resource_name': 'customers/1234567890/labels/42' }]);
+
+  script.call('main');
+
+  const termQueries = script.adsApp.queriesMatching(/FROM search_term_view/);
+  assert.ok(termQueries.length >= 2);
+  termQueries.forEach(query => {
+    assert.match(query, / AND campaign\.labels CONTAINS ANY \('customers\/1234567890\/labels\/42'\) AND campaign\.name NOT REGEXP_MATCH '\(\?i\)brand'$/);
+  });
+  assert.strictEqual(script.adsApp.queriesMatching(/FROM label/).length, 1);
+});
+
+test('a campaign type that does not exist is rejected before anything is fetched', () => {
+  const script = loadMonitor([], []);
+  script.eval("CAMPAIGN_FILTER.INCLUDE.CHANNEL_TYPES = ['SEARCH_NETWORK']");
+
+  assert.throws(() => script.call('main'), /Invalid value 'SEARCH_NETWORK' in CAMPAIGN_FILTER\.INCLUDE\.CHANNEL_TYPES\. Use: SEARCH, DISPLAY/);
+  assert.strictEqual(script.adsApp.queriesMatching(/FROM search_term_view/).length, 0);
+});
+
+// Fixture for the chunked history fill: only the rows dated within each query's BETWEEN
+function betweenDates(rows) {
+  return query => {
+    const [, start, end] = /BETWEEN "([\d-]+)" AND "([\d-]+)"/.exec(query);
+    return rows.filter(row => row['segments.date'] >= start && row['segments.date'] <= end);
+  };
+}
+
+test('the first run fills a hidden query history from the lookback window', () => {
+  const script = loadScript('daily-search-term-monitor.js', { now: '2025-06-15T12:00:00Z' });
+  script.eval(`SHEET_URL = '${SHEET_URL}'; RECIPIENT_EMAIL = 'team@example.com'; NEGATIVES_ENABLED = false;`);
+  script.spreadsheetApp.addSpreadsheet(SHEET_URL);
+  script.adsApp.addReport(/segments\.date = /, [termRow('trail shoes', 2)]);
+  script.adsApp.addReport(/segments\.date BETWEEN/, betweenDates([
+    { 'search_term_view.search_term': 'Running Shoes', 'segments.date': '2025-03-02', 'campaign.name': 'Brand', 'ad_group.name': 'Core', 'metrics.impressions': 10, 'metrics.clicks': 2, 'metrics.cost_micros': 3000000 },
+    { 'search_term_view.search_term': 'running shoes', 'segments.date': '2025-01-20', 'campaign.name': 'Generic', 'ad_group.name': 'Shoes', 'metrics.impressions': 5, 'metrics.clicks': 1, 'metrics.cost_micros': 1500000 }
+  ]));
+
+  script.call('main');
+
+  const history = script.spreadsheetApp.openByUrl(SHEET_URL).getSheetByName('_Query History');
+  assert.ok(history.isSheetHidden());
+  assert.deepStrictEqual(history.dump().slice(1), [
+    ['running shoes', '2025-01-20', 'Generic', 'Shoes', '2025-03-02', 15, 3, 4.5],
+    ['trail shoes', '2025-06-14', 'Search - Generic', 'Shoes', '2025-06-14', 20, 2, 2.5]
+  ]);
+});
+
+test('a history fill that runs low on time pauses without a report and the next run continues it', () => {
+  const script = loadScript('daily-search-term-monitor.js', { now: '2025-06-15T12:00:00Z' });
+  script.eval(`SHEET_URL = '${SHEET_URL}'; RECIPIENT_EMAIL = 'team@example.com'; NEGATIVES_ENABLED = false;`);
+  const spreadsheet = script.spreadsheetApp.addSpreadsheet(SHEET_URL);
+  script.adsApp.addReport(/segments\.date = /, [termRow('trail shoes', 2), termRow('hiking boots', 4)]);
+  script.adsApp.addReport(/segments\.date BETWEEN/, betweenDates([
+    { 'search_term_view.search_term': 'trail shoes', 'segments.date': '2025-01-05', 'campaign.name': 'Generic', 'ad_group.name': 'Shoes', 'metrics.impressions': 5, 'metrics.clicks': 1, 'metrics.cost_micros': 1000000 },
+    { 'search_term_view.search_term': 'hiking boots', 'segments.date': '2025-05-20', 'campaign.name': 'Generic', 'ad_group.name': 'Boots', 'metrics.impressions': 8, 'metrics.clicks': 2, 'metrics.cost_micros': 2000000 }
+  ]));
+  // Each chunk takes 10 minutes
+  script.adsApp.setRemainingTime(queries => 1800 - queries.filter(query => /BETWEEN/.test(query)).length * 600);
+
+  script.call('main');
+
+  assert.strictEqual(script.adsApp.queriesMatching(/BETWEEN/).length, 3);
+  assert.strictEqual(script.adsApp.queriesMatching(/segments\.date = /).length, 0);
+  assert.strictEqual(script.mailApp.sent.length, 0);
+  assert.ok(script.logger.messages.includes('Query history filled up to 2025-03-15 before the time limit. The next run continues from 2025-03-16.'));
+  assert.deepStrictEqual(spreadsheet.getSheetByName('_Query History').dump().slice(1).map(row => row[0]), ['trail shoes']);
+  const state = spreadsheet.getSheetByName('_Query History State');
+  assert.ok(state.isSheetHidden());
+  assert.deepStrictEqual(state.dump(), [['Merged Through'], ['2025-03-15']]);
+
+  script.adsApp.setRemainingTime(1800);
+  script.call('main');
+
+  const chunks = script.adsApp.queriesMatching(/BETWEEN/);
+  assert.match(chunks[3], /BETWEEN "2025-03-16" AND "2025-04-14"/);
+  assert.match(chunks[5], /BETWEEN "2025-05-15" AND "2025-06-13"/);
+  assert.deepStrictEqual(state.dump(), [['Merged Through'], ['2025-06-14']]);
+  // Both were seen in the lookback window, so neither is new
+  assert.ok(script.logger.messages.includes('No new search queries found.'));
+  assert.deepStrictEqual(spreadsheet.getSheetByName('_Query History').dump().slice(1).map(row => [row[0], row[1], row[4]]),
+    [['trail shoes', '2025-01-05', '2025-06-14'], ['hiking boots', '2025-05-20', '2025-06-14']]);
+});
+
+test('later runs only fetch yesterday and merge it into the history', () => {
+  const script = loadWithHistory([['trail shoes', '2025-02-01', 'Generic', 'Shoes', '2025-06-10', 100, 10, 12.5]], [
+    termRow('trail shoes', 2),
+    termRow('hiking shoes', 3)
+  ]);
+
+  script.call('main');
+
+  assert.deepStrictEqual(script.adsApp.queriesMatching(/search_term_view/).length, 1);
+  const spreadsheet = script.spreadsheetApp.openByUrl(SHEET_URL);
+  assert.deepStrictEqual(spreadsheet.getSheetByName('_Query History').dump().slice(1), [
+    ['trail shoes', '2025-02-01', 'Generic', 'Shoes', '2025-06-14', 120, 12, 15],
+    ['hiking shoes', '2025-06-14', 'Search - Generic', 'Shoes', '2025-06-14', 30, 3, 3.75]
+  ]);
+  const report = spreadsheet.getSheetByName('Test Account - 7890 - 2025-06-14').dump();
+  assert.deepStrictEqual(report.slice(1).map(row => row[4]), ['hiking shoes']);
+});
+
+test('a query not seen within LOOKBACK_DAYS is new again and keeps its first-seen date', () => {
+  const script = loadWithHistory([['trail shoes', '2024-11-01', 'Generic', 'Shoes', '2025-03-01', 100, 10, 12.5]], [termRow('trail shoes', 2)]);
+  script.eval('LOOKBACK_DAYS = 90');
+
+  script.call('main');
+
+  const report = script.spreadsheetApp.openByUrl(SHEET_URL).getSheetByName('Test Account - 7890 - 2025-06-14').dump();
+  assert.deepStrictEqual(report[1].slice(4), ['trail shoes', 20, 2, 2.5, '2024-11-01']);
+});
+
+test('days missed by skipped runs are merged before yesterday, so their queries are not new', () => {
+  const script = loadWithHistory([['trail shoes', '2025-02-01', 'Generic', 'Shoes', '2025-06-10', 100, 10, 12.5]],
+    [termRow('hiking shoes', 3), termRow('rain jacket', 1)], '2025-06-10');
+  script.adsApp.addReport(/segments\.date BETWEEN/, [
+    { 'search_term_view.search_term': 'Hiking Shoes', 'segments.date': '2025-06-12', 'campaign.name': 'Generic', 'ad_group.name': 'Shoes', 'metrics.impressions': 4, 'metrics.clicks': 1, 'metrics.cost_micros': 1000000 }
+  ]);
+
+  script.call('main');
+
+  assert.deepStrictEqual(script.adsApp.queriesMatching(/BETWEEN/).map(query => /BETWEEN "([\d-]+)" AND "([\d-]+)"/.exec(query).slice(1)), [['2025-06-11', '2025-06-13']]);
+  const spreadsheet = script.spreadsheetApp.openByUrl(SHEET_URL);
+  assert.deepStrictEqual(spreadsheet.getSheetByName('_Query History').dump()[2], ['hiking shoes', '2025-06-12', 'Generic', 'Shoes', '2025-06-14', 34, 4, 4.75]);
+  assert.deepStrictEqual(spreadsheet.getSheetByName('Test Account - 7890 - 2025-06-14').dump().slice(1).map(row => row[4]), ['rain jacket']);
+  assert.deepStrictEqual(spreadsheet.getSheetByName('_Query History State').dump()[1], ['2025-06-14']);
+});
+
+test('an account without search terms does not fill the history again on the next run', () => {
+  const script = loadMonitor([], []);
+
+  script.call('main');
+  script.eval('__NOW__ += 24 * 3600000');
+  script.call('main');
+
+  assert.strictEqual(script.adsApp.queriesMatching(/search_term, segments\.date/).length, 6);
+  assert.deepStrictEqual(script.adsApp.queriesMatching(/segments\.date = /).map(query => /"([\d-]+)"/.exec(query)[1]), ['2025-06-14', '2025-06-15']);
+});
+
+test('queries not seen within LOOKBACK_DAYS are dropped from the history', () => {
+  const script = loadWithHistory([
+    ['trail shoes', '2024-10-01', 'Generic', 'Shoes', '2024-12-15', 10, 1, 1.25],
+    ['hiking shoes', '2024-10-01', 'Generic', 'Shoes', '2024-12-16', 10, 1, 1.25]
+  ], []);
+
+  script.call('main');
+
+  assert.deepStrictEqual(script.spreadsheetApp.openByUrl(SHEET_URL).getSheetByName('_Query History').dump().slice(1).map(row => row[0]), ['hiking shoes']);
+});
+
+test('running twice on the same day reports the same new queries without counting metrics twice', () => {
+  const script = loadWithHistory([], [termRow('trail shoes', 2), termRow('trail shoes', 1, { 'ad_group.id': '444', 'ad_group.name': 'Trail' })]);
+
+  script.call('main');
+  script.call('main');
+
+  const spreadsheet = script.spreadsheetApp.openByUrl(SHEET_URL);
+  assert.deepStrictEqual(spreadsheet.getSheetByName('_Query History').dump().slice(1), [
+    ['trail shoes', '2025-06-14', 'Search - Generic', 'Shoes', '2025-06-14', 30, 3, 3.75]
+  ]);
+  assert.strictEqual(spreadsheet.getSheetByName('Test Account - 7890 - 2025-06-14').dump().length, 3);
+  assert.strictEqual(script.mailApp.sent.length, 2);
+});
+
+function spendRow(term, clicks, cost, conversions, overrides) {
+  return termRow(term, clicks, Object.assign({ 'metrics.cost_micros': cost * 1000000, 'metrics.conversions': conversions }, overrides));
+}
+
+function loadNegatives(performanceRows) {
+  const script = loadScript('daily-search-term-monitor.js', { now: '2025-06-15T12:00:00Z' });
+  script.eval(`SHEET_URL = '${SHEET_URL}'; RECIPIENT_EMAIL = 'team@example.com';`);
+  script.spreadsheetApp.addSpreadsheet(SHEET_URL);
+  script.adsApp
+    .addReport(/metrics\.conversions FROM search_term_view/, performanceRows)
+    .addReport(/segments\.date BETWEEN/, [])
+    .addReport(/segments\.date = /, []);
+  script.adsApp
+    .addEntities('campaigns', [{ id: '111', name: 'Search - Generic' }, { id: '333', name: 'Search - Boots' }])
+    .addEntities('adGroups', [{ id: '222', name: 'Shoes' }]);
+  return script;
+}
+
+const reviewSheet = script => script.spreadsheetApp.openByUrl(SHEET_URL).getSheetByName('Negative Keyword Review');
+
+test('scores the last 30 days of search terms for negative keywords', () => {
+  const script = loadNegatives([]);
+
+  script.call('main');
+
+  const [query] = script.adsApp.queriesMatching(/metrics\.conversions FROM search_term_view/);
+  assert.match(query, /BETWEEN "2025-05-16" AND "2025-06-14" AND metrics\.cost_micros > 0/);
+  assert.deepStrictEqual(reviewSheet(script).dump()[0].slice(0, 3), ['Status', 'Level', 'Campaign']);
+});
+
+test('suggests exact negatives for non-converting queries at the narrowest level', () => {
+  const script = loadNegatives([
+    spendRow('cheap shoes', 10, 30, 0),
+    spendRow('leather shoes', 10, 30, 2),
+    spendRow('shoe repair', 3, 40, 0),
+    spendRow('shoe laces', 5, 15, 0),
+    spendRow('shoe laces', 5, 15, 0, { 'ad_group.id': '444', 'ad_group.name': 'Care' }),
+    spendRow('boot polish', 8, 25, 0, { 'campaign.id': '333', 'campaign.name': 'Search - Boots' }),
+    spendRow('boot polish', 6, 20, 0, { 'ad_group.id': '444', 'ad_group.name': 'Care' })
+  ]);
+
+  script.call('main');
+
+  // Without a shared list, a query wasted in several campaigns gets one row per campaign
+  const rows = reviewSheet(script).dump().slice(1).map(row => row.slice(0, 12));
+  assert.deepStrictEqual(rows, [
+    ['PENDING', 'AD_GROUP', 'Search - Generic', '111', 'Shoes', '222', 'cheap shoes', 'EXACT', 'No conversions', 30, 10, 0],
+    ['PENDING', 'CAMPAIGN', 'Search - Generic', '111', '', '', 'shoe laces', 'EXACT', 'No conversions', 30, 10, 0],
+    ['PENDING', 'AD_GROUP', 'Search - Boots', '333', 'Shoes', '222', 'boot polish', 'EXACT', 'No conversions', 25, 8, 0],
+    ['PENDING', 'AD_GROUP', 'Search - Generic', '111', 'Care', '444', 'boot polish', 'EXACT', 'No conversions', 20, 6, 0]
+  ]);
+});
+
+test('irrelevant terms and wasted n-grams become phrase negatives that cover their queries', () => {
+  const script = loadNegatives([
+    spendRow('free running shoes', 2, 5, 0),
+    spendRow('shoes free shipping', 2, 5, 0),
+    spendRow('waterproof shoes', 10, 30, 0),
+    spendRow('waterproof boots', 10, 30, 0, { 'ad_group.id': '555' }),
+    spendRow('waterproof hiking boots', 10, 30, 0, { 'ad_group.id': '555' }),
+    spendRow('hiking boots', 10, 30, 4, { 'ad_group.id': '555' })
+  ]);
+  script.eval(`NEGATIVES_SHARED_LIST_NAME = 'Account Negatives'`);
+
+  script.call('main');
+
+  const rows = reviewSheet(script).dump().slice(1).map(row => [row[1], row[6], row[7], row[8]]);
+  assert.deepStrictEqual(rows, [
+    ['CAMPAIGN', 'waterproof', 'PHRASE', 'N-gram without conversions in 3 queries'],
+    ['AD_GROUP', 'free', 'PHRASE', 'Irrelevant term "free"']
+  ]);
+});
+
+test('approved suggestions are added to the account on the next run; rejected ones are not suggested again', () => {
+  const script = loadNegatives([
+    spendRow('cheap shoes', 10, 30, 0),
+    spendRow('boot polish', 8, 25, 0, { 'campaign.id': '333', 'campaign.name': 'Search - Boots' }),
+    spendRow('boot polish', 6, 20, 0)
+  ]);
+  script.eval(`NEGATIVES_SHARED_LIST_NAME = 'Account Negatives'`);
+  script.call('main');
+  const sheet = reviewSheet(script);
+  assert.deepStrictEqual(sheet.dump().slice(1).map(row => [row[1], row[6]]), [['SHARED_LIST', 'boot polish'], ['AD_GROUP', 'cheap shoes']]);
+
+  sheet.getRange(2, 1).setValue('APPROVED');
+  sheet.getRange(3, 1).setValue('Rejected');
+  script.call('main');
+
+  const lists = script.adsApp.entities.negativeKeywordLists;
+  assert.strictEqual(lists.length, 1);
+  assert.deepStrictEqual(lists[0].negativeKeywords, ['[boot polish]']);
+  assert.deepStrictEqual(script.adsApp.entities.campaigns.map(c => c.negativeKeywordLists), [['Account Negatives'], ['Account Negatives']]);
+  assert.deepStrictEqual(script.adsApp.entities.adGroups[0].negativeKeywords, []);
+  const rows = sheet.dump().slice(1);
+  assert.deepStrictEqual(rows.map(row => [row[0], row[13]]), [['APPLIED', '2025-06-15'], ['Rejected', '']]);
+});
+
+test('a shared list name with quotes or backslashes finds the same list on every run', () => {
+  const script = loadNegatives([spendRow('boot polish', 8, 25, 0, { 'campaign.id': '333', 'campaign.name': 'Search - Boots' }), spendRow('boot polish', 6, 20, 0)]);
+  script.eval(`NEGATIVES_SHARED_LIST_NAME = "Joe's \\\\ \\"Negatives\\""`);
+  script.call('main');
+  const sheet = reviewSheet(script);
+  sheet.getRange(2, 1).setValue('APPROVED');
+  sheet.appendRow(['APPROVED', 'SHARED_LIST', sheet.cell(2, 3).value, '111,333', '', '', 'shoe shine', 'PHRASE']);
+
+  script.call('main');
+
+  const lists = script.adsApp.entities.negativeKeywordLists;
+  assert.deepStrictEqual(lists.map(list => [list.name, list.negativeKeywords]), [['Joe\'s \\ "Negatives"', ['[boot polish]', '"shoe shine"']]]);
+  assert.deepStrictEqual(script.adsApp.entities.campaigns.map(c => c.negativeKeywordLists.length), [1, 1]);
+});
+
+test('a suggestion that cannot be applied is marked as failed', () => {
+  const script = loadNegatives([spendRow('cheap shoes', 10, 30, 0, { 'ad_group.id': '999' })]);
+  script.call('main');
+  reviewSheet(script).getRange(2, 1).setValue('approved');
+
+  script.call('main');
+
+  assert.strictEqual(reviewSheet(script).dump()[1][0], 'FAILED: Ad group 999 not found');
+});
+
+test('the new query email mentions pending negative keyword suggestions', () => {
+  const script = loadNegatives([spendRow('cheap shoes', 10, 30, 0)]);
+  script.adsApp.addReport(/segments\.date = /, []);
+  script.call('main');
+  assert.strictEqual(script.mailApp.sent.length, 0);
+
+  const withNewQuery = loadScript('daily-search-term-monitor.js', { now: '2025-06-15T12:00:00Z' });
+  withNewQuery.eval(`SHEET_URL = '${SHEET_URL}'; RECIPIENT_EMAIL = 'team@example.com';`);
+  withNewQuery.spreadsheetApp.addSpreadsheet(SHEET_URL);
+  withNewQuery.adsApp
+    .addReport(/metrics\.conversions FROM search_term_view/, [spendRow('cheap shoes', 10, 30, 0)])
+    .addReport(/segments\.date BETWEEN/, [])
+    .addReport(/segments\.date = /, [termRow('trail shoes', 2)]);
+  withNewQuery.call('main');
+  assert.match(withNewQuery.mailApp.sent[0].htmlBody, /1 negative keyword suggestions are waiting for review on the 'Negative Keyword Review' tab/);
+});
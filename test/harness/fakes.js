@@ -0,0 +1,740 @@
+/**
+ * In-memory fakes for the Google Ads Scripts globals used by the scripts in this repo.
+ *
+ * - AdsApp: replays fixture rows registered per GAQL query into AdsApp.report(...).rows()
+ * - SpreadsheetApp: records every value, formula and format written to a sheet, and the charts inserted
+ * - DriveApp: finds the fake spreadsheets by name, as Drive files
+ * - Charts: the ChartType enum used with sheet.newChart()
+ * - MailApp: captures sendEmail payloads
+ * - UrlFetchApp: a stub webhook receiver that records every request and answers from registered endpoints
+ * - Utilities / Logger: just enough of the real API for the scripts to run
+ *
+ * Only the methods the scripts actually call are implemented. Add to them as the scripts grow.
+ */
+
+// ==================== ADSAPP ====================
+function createAdsApp(options = {}) {
+  const account = Object.assign({
+    name: 'Test Account',
+    customerId: '123-456-7890',
+    timeZone: 'America/New_York',
+    currencyCode: 'USD'
+  }, options.account);
+
+  const fixtures = [];
+  const queries = [];
+  const entities = { campaigns: [], adGroups: [], keywords: [], negativeKeywordLists: [] };
+  let remainingTime = 1800;
+
+  const matches = (matcher, query) => {
+    if (matcher instanceof RegExp) return matcher.test(query);
+    if (typeof matcher === 'function') return matcher(query);
+    return query.includes(matcher);
+  };
+
+  const adsApp = {
+    queries: queries,
+
+    /**
+     * Registers fixture rows for every report whose query matches.
+     * The first matching fixture wins. Pass an Error instead of rows to make the report throw.
+     */
+    addReport(matcher, rows) {
+      fixtures.push({ matcher: matcher, rows: rows });
+      return adsApp;
+    },
+
+    report(query) {
+      queries.push(query);
+      const fixture = fixtures.find(f => matches(f.matcher, query));
+      if (fixture && fixture.rows instanceof Error) throw fixture.rows;
+      const rows = fixture ? (typeof fixture.rows === 'function' ? fixture.rows(query) : fixture.rows) : [];
+      return { rows: () => createIterator(rows.map(row => Object.assign({}, row))) };
+    },
+
+    /**
+     * Sets the seconds AdsApp.getExecutionInfo().getRemainingTime() returns (30 minutes by default): a number,
+     * or a function of the queries run so far, to make reports take time.
+     */
+    setRemainingTime(seconds) {
+      remainingTime = seconds;
+      return adsApp;
+    },
+
+    getExecutionInfo() {
+      return {
+        getRemainingTime: () => (typeof remainingTime === 'function' ? remainingTime(queries) : remainingTime),
+        isPreview: () => false
+      };
+    },
+
+    currentAccount() {
+      return {
+        getName: () => account.name,
+        getCustomerId: () => account.customerId,
+        getTimeZone: () => account.timeZone,
+        getCurrencyCode: () => account.currencyCode
+      };
+    },
+
+    /** Returns the queries sent so far that match, for asserting on GAQL. */
+    queriesMatching(matcher) {
+      return queries.filter(q => matches(matcher, q));
+    },
+
+    /**
+     * Registers entity records for the selector of the same name, e.g.
+     * addEntities('campaigns', [{ id: '111', name: 'Brand' }]). Changes the script makes through
+     * the entity (negative keywords, attached lists, status, CPC bid, location bid modifiers) are written back
+     * to the record for assertions. Keywords also take an adGroupId, as they are selected by [adGroupId, id];
+     * `cpc` and `targetedLocations: [{ id, bidModifier }]` seed the bidding and targeting, and `bidError`
+     * makes setCpc throw, as it does under automated bidding.
+     */
+    addEntities(type, records) {
+      records.forEach(record => entities[type].push(Object.assign({ status: 'ENABLED', negativeKeywords: [], negativeKeywordLists: [], targetedLocations: [] }, record)));
+      return adsApp;
+    },
+    entities: entities,
+
+    campaigns: () => createEntitySelector(entities.campaigns, entities),
+    adGroups: () => createEntitySelector(entities.adGroups, entities),
+    keywords: () => createEntitySelector(entities.keywords, entities),
+    negativeKeywordLists: () => createEntitySelector(entities.negativeKeywordLists, entities),
+
+    newNegativeKeywordListBuilder() {
+      const record = { id: String(900000 + entities.negativeKeywordLists.length), name: '', negativeKeywords: [], negativeKeywordLists: [] };
+      const builder = {
+        withName(name) { record.name = name; return builder; },
+        build() {
+          entities.negativeKeywordLists.push(record);
+          return { isSuccessful: () => true, getResult: () => wrapEntity(record, entities) };
+        }
+      };
+      return builder;
+    }
+  };
+  return adsApp;
+}
+
+// Supports withIds (IDs, or [adGroupId, id] pairs for keywords) and single "field = 'value'" conditions
+// (the part after the last '.' names the record property).
+function createEntitySelector(records, entities) {
+  const idOf = record => (record.adGroupId !== undefined ? `${record.adGroupId},${record.id}` : String(record.id));
+  return {
+    withIds(ids) {
+      const wanted = ids.map(String);
+      return createEntitySelector(records.filter(record => wanted.indexOf(idOf(record)) !== -1), entities);
+    },
+    withCondition(condition) {
+      const match = /^([\w.]+)\s*=\s*['"](.*)['"]$/.exec(condition.trim());
+      if (!match) throw new Error(`Unsupported condition in fake: ${condition}`);
+      const property = match[1].split('.').pop().replace(/^\w/, c => c.toLowerCase());
+      const value = match[2].replace(/\\(.)/g, '$1');
+      return createEntitySelector(records.filter(record => String(record[property]) === value), entities);
+    },
+    get() {
+      return createIterator(records.map(record => wrapEntity(record, entities)));
+    }
+  };
+}
+
+function wrapEntity(record, entities) {
+  return {
+    getId: () => record.id,
+    getName: () => record.name,
+    createNegativeKeyword(text) { record.negativeKeywords.push(text); },
+    addNegativeKeyword(text) { record.negativeKeywords.push(text); },
+    negativeKeywordLists: () => createEntitySelector(entities.negativeKeywordLists.filter(list => record.negativeKeywordLists.indexOf(list.name) !== -1), entities),
+    addNegativeKeywordList(list) { record.negativeKeywordLists.push(list.getName()); },
+    isEnabled: () => record.status === 'ENABLED',
+    pause() { record.status = 'PAUSED'; },
+    enable() { record.status = 'ENABLED'; },
+    bidding: () => ({
+      getCpc: () => (record.cpc === undefined ? null : record.cpc),
+      setCpc(cpc) {
+        if (record.bidError) throw new Error(record.bidError);
+        record.cpc = cpc;
+      }
+    }),
+    targeting: () => ({
+      targetedLocations: () => ({
+        get: () => createIterator(record.targetedLocations.map(location => ({
+          getId: () => location.id,
+          getBidModifier: () => location.bidModifier,
+          setBidModifier(modifier) { location.bidModifier = modifier; }
+        })))
+      })
+    })
+  };
+}
+
+/**
+ * Fake AdsManagerApp over a list of client accounts, each backed by its own createAdsApp() fake.
+ * executeInParallel runs the named script function once per selected account, with AdsApp
+ * swapped to that account through `runInAccount`, then calls the callback with the results.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.accounts { customerId, name, labels, timeZone, currencyCode, status } per account.
+ *     status 'ERROR' or 'TIMEOUT' makes that account's execution fail without running the function.
+ * @param {function(Object, function(): *): *} options.runInAccount Runs a function with AdsApp set to the given fake.
+ * @param {function(string): function} options.getFunction Resolves a script function by name.
+ */
+function createAdsManagerApp(options) {
+  const accounts = options.accounts.map(account => Object.assign({
+    labels: [],
+    timeZone: 'America/New_York',
+    currencyCode: 'USD'
+  }, account, {
+    adsApp: createAdsApp({ account: { name: account.name, customerId: account.customerId, timeZone: account.timeZone || 'America/New_York', currencyCode: account.currencyCode || 'USD' } })
+  }));
+  const executions = [];
+
+  const toAccount = account => ({
+    getCustomerId: () => account.customerId,
+    getName: () => account.name,
+    getTimeZone: () => account.timeZone,
+    getCurrencyCode: () => account.currencyCode
+  });
+
+  const createSelector = (selected) => ({
+    withIds(ids) {
+      return createSelector(selected.filter(account => ids.indexOf(account.customerId) !== -1));
+    },
+    withCondition(condition) {
+      const match = /^LabelNames CONTAINS '(.*)'$/.exec(condition);
+      if (!match) throw new Error(`Unsupported account condition in fake: ${condition}`);
+      const label = match[1].replace(/\\(.)/g, '$1');
+      return createSelector(selected.filter(account => account.labels.indexOf(label) !== -1));
+    },
+    get() {
+      return createIterator(selected.map(toAccount));
+    },
+    executeInParallel(functionName, callbackName, input) {
+      if (selected.length > 50) throw new Error('executeInParallel supports at most 50 accounts.');
+      executions.push(selected.map(account => account.customerId));
+      const results = selected.map(account => {
+        let status = account.status || 'OK';
+        let returnValue = null;
+        let error = status === 'OK' ? null : `Execution ${status.toLowerCase()} in fake`;
+        if (status === 'OK') {
+          try {
+            returnValue = options.runInAccount(account.adsApp, () => options.getFunction(functionName)(input));
+          } catch (e) {
+            status = 'ERROR';
+            error = String(e);
+          }
+        }
+        return {
+          getCustomerId: () => account.customerId,
+          getStatus: () => status,
+          getReturnValue: () => returnValue,
+          getError: () => error
+        };
+      });
+      if (callbackName) options.getFunction(callbackName)(results);
+    }
+  });
+
+  return {
+    /** The createAdsApp() fake of each client account, keyed by customer ID. */
+    accountApps: accounts.reduce((apps, account) => Object.assign(apps, { [account.customerId]: account.adsApp }), {}),
+    /** Customer IDs passed to each executeInParallel call, in order. */
+    executions: executions,
+
+    accounts() {
+      return createSelector(accounts);
+    }
+  };
+}
+
+function createIterator(items) {
+  let index = 0;
+  return {
+    hasNext: () => index < items.length,
+    next: () => items[index++],
+    totalNumEntities: () => items.length,
+    [Symbol.iterator]: function* () {
+      while (index < items.length) yield items[index++];
+    }
+  };
+}
+
+// ==================== SPREADSHEETAPP ====================
+function createSpreadsheetApp() {
+  const spreadsheets = new Map();
+  let created = 0;
+
+  const spreadsheetApp = {
+    spreadsheets: spreadsheets,
+
+    /** Registers a spreadsheet so openByUrl(url) succeeds. */
+    addSpreadsheet(url, name) {
+      const spreadsheet = new FakeSpreadsheet(url, name || 'Test Spreadsheet');
+      spreadsheets.set(url, spreadsheet);
+      return spreadsheet;
+    },
+
+    openByUrl(url) {
+      if (!spreadsheets.has(url)) throw new Error('Unexpected error while getting the method or property openByUrl on object SpreadsheetApp.');
+      return spreadsheets.get(url);
+    },
+
+    openById(id) {
+      return spreadsheetApp.openByUrl(`https://docs.google.com/spreadsheets/d/${id}`);
+    },
+
+    create(name) {
+      created++;
+      return spreadsheetApp.addSpreadsheet(`https://docs.google.com/spreadsheets/d/fake-${created}`, name);
+    },
+
+    InterpolationType: { NUMBER: 'NUMBER', PERCENT: 'PERCENT', PERCENTILE: 'PERCENTILE', MIN: 'MIN', MAX: 'MAX' },
+
+    newConditionalFormatRule() {
+      return new FakeConditionalFormatRuleBuilder();
+    },
+
+    newDataValidation() {
+      return new FakeDataValidationBuilder();
+    }
+  };
+  return spreadsheetApp;
+}
+
+// ==================== DRIVEAPP ====================
+function createDriveApp(spreadsheetApp) {
+  return {
+    getFilesByName(name) {
+      const files = [];
+      spreadsheetApp.spreadsheets.forEach((spreadsheet, url) => {
+        if (spreadsheet.getName() !== name) return;
+        files.push({ getId: () => url.split('/d/')[1], getName: () => name, getUrl: () => url, isTrashed: () => Boolean(spreadsheet.trashed) });
+      });
+      return createIterator(files);
+    }
+  };
+}
+
+class FakeSpreadsheet {
+  constructor(url, name) {
+    this.url = url;
+    this.name = name;
+    this.sheets = [];
+    this.locale = 'en_US';
+  }
+
+  getUrl() { return this.url; }
+  getSpreadsheetLocale() { return this.locale; }
+  setSpreadsheetLocale(locale) { this.locale = locale; }
+  getName() { return this.name; }
+  getSheets() { return this.sheets.slice(); }
+  getSheetByName(name) { return this.sheets.find(s => s.name === name) || null; }
+
+  insertSheet(name, index = this.sheets.length) {
+    if (this.getSheetByName(name)) throw new Error(`A sheet with the name "${name}" already exists.`);
+    const sheet = new FakeSheet(this, name);
+    this.sheets.splice(index, 0, sheet);
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    this.sheets = this.sheets.filter(s => s !== sheet);
+  }
+}
+
+class FakeSheet {
+  constructor(spreadsheet, name) {
+    this.spreadsheet = spreadsheet;
+    this.name = name;
+    this.cells = [];
+    this.columnWidths = {};
+    this.frozenRows = 0;
+    this.conditionalFormatRules = [];
+    this.charts = [];
+    this.hidden = false;
+  }
+
+  getName() { return this.name; }
+  getParent() { return this.spreadsheet; }
+
+  /** Accepts (row, column[, numRows[, numColumns]]) or an A1 notation string. */
+  getRange(row, column, numRows = 1, numColumns = 1) {
+    if (typeof row === 'string') return this.getRange(...parseA1(row));
+    if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) throw new Error('The coordinates of the range are outside the dimensions of the sheet.');
+    return new FakeRange(this, row, column, numRows, numColumns);
+  }
+
+  getDataRange() {
+    return this.getRange(1, 1, Math.max(1, this.getLastRow()), Math.max(1, this.getLastColumn()));
+  }
+
+  getLastRow() {
+    for (let r = this.cells.length; r > 0; r--) {
+      if ((this.cells[r - 1] || []).some(hasContent)) return r;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    let last = 0;
+    this.cells.forEach(row => (row || []).forEach((cell, c) => { if (hasContent(cell) && c + 1 > last) last = c + 1; }));
+    return last;
+  }
+
+  appendRow(values) {
+    this.getRange(this.getLastRow() + 1, 1, 1, values.length).setValues([values]);
+    return this;
+  }
+
+  clear() { this.cells = []; return this; }
+
+  clearContents() {
+    this.cells.forEach(row => (row || []).forEach(cell => { if (cell) { cell.value = ''; cell.formula = ''; } }));
+    return this;
+  }
+
+  setConditionalFormatRules(rules) { this.conditionalFormatRules = rules.slice(); }
+  getConditionalFormatRules() { return this.conditionalFormatRules.slice(); }
+  setFrozenRows(rows) { this.frozenRows = rows; }
+  getFrozenRows() { return this.frozenRows; }
+  hideSheet() { this.hidden = true; return this; }
+  showSheet() { this.hidden = false; return this; }
+  isSheetHidden() { return this.hidden; }
+  setColumnWidth(column, width) { this.columnWidths[column] = width; return this; }
+  autoResizeColumn(column) { this.columnWidths[column] = 'auto'; return this; }
+  autoResizeColumns(start, count) {
+    for (let c = start; c < start + count; c++) this.columnWidths[c] = 'auto';
+    return this;
+  }
+  newChart() { return new FakeEmbeddedChartBuilder(); }
+  insertChart(chart) { this.charts.push(chart); }
+  /** Takes a chart built from existing.modify(), and replaces the existing chart in place. */
+  updateChart(chart) {
+    const index = this.charts.indexOf(chart.getSource());
+    if (index === -1) throw new Error('The chart does not exist on this sheet.');
+    this.charts[index] = chart;
+  }
+  removeChart(chart) { this.charts = this.charts.filter(c => c !== chart); }
+  getCharts() { return this.charts.slice(); }
+
+  /** Test helper: the cell record at 1-based (row, column), created on first access. */
+  cell(row, column) {
+    if (!this.cells[row - 1]) this.cells[row - 1] = [];
+    if (!this.cells[row - 1][column - 1]) this.cells[row - 1][column - 1] = { value: '', formula: '' };
+    return this.cells[row - 1][column - 1];
+  }
+
+  /** Test helper: every written row, with formulas in place of their (uncomputed) values. */
+  dump() {
+    const lastColumn = this.getLastColumn();
+    const rows = [];
+    for (let r = 1; r <= this.getLastRow(); r++) {
+      const row = [];
+      for (let c = 1; c <= lastColumn; c++) {
+        const cell = (this.cells[r - 1] || [])[c - 1];
+        row.push(cell ? (cell.formula || cell.value) : '');
+      }
+      rows.push(row);
+    }
+    return rows;
+  }
+}
+
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows;
+    this.numColumns = numColumns;
+  }
+
+  getRow() { return this.row; }
+  getColumn() { return this.column; }
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numColumns; }
+  getSheet() { return this.sheet; }
+
+  forEachCell(fn) {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numColumns; c++) fn(this.sheet.cell(this.row + r, this.column + c), r, c);
+    }
+    return this;
+  }
+
+  setGrid(name, grid, apply) {
+    if (grid.length !== this.numRows || grid.some(row => row.length !== this.numColumns)) {
+      throw new Error(`The number of rows or columns in the data does not match the range (${name}).`);
+    }
+    return this.forEachCell((cell, r, c) => apply(cell, grid[r][c]));
+  }
+
+  setValues(values) {
+    return this.setGrid('setValues', values, (cell, value) => {
+      if (typeof value === 'string' && value.startsWith('=')) {
+        cell.formula = value;
+        cell.value = '';
+      } else {
+        cell.value = value;
+        cell.formula = '';
+      }
+    });
+  }
+
+  setValue(value) { return this.setValues(this.fill(value)); }
+  setFormulas(formulas) { return this.setGrid('setFormulas', formulas, (cell, formula) => { cell.formula = formula; cell.value = ''; }); }
+  setFormula(formula) { return this.setFormulas(this.fill(formula)); }
+  setNumberFormats(formats) { return this.setGrid('setNumberFormats', formats, (cell, format) => { cell.numberFormat = format; }); }
+  setNumberFormat(format) { return this.setNumberFormats(this.fill(format)); }
+  setBackgrounds(colors) { return this.setGrid('setBackgrounds', colors, (cell, color) => { cell.background = color; }); }
+  setBackground(color) { return this.setBackgrounds(this.fill(color)); }
+  setFontColors(colors) { return this.setGrid('setFontColors', colors, (cell, color) => { cell.fontColor = color; }); }
+  setFontColor(color) { return this.setFontColors(this.fill(color)); }
+  setFontWeight(weight) { return this.forEachCell(cell => { cell.fontWeight = weight; }); }
+  setHorizontalAlignment(alignment) { return this.forEachCell(cell => { cell.horizontalAlignment = alignment; }); }
+  setWrap(wrap) { return this.forEachCell(cell => { cell.wrap = wrap; }); }
+  setFontSize(size) { return this.forEachCell(cell => { cell.fontSize = size; }); }
+  setDataValidation(rule) { return this.forEachCell(cell => { cell.dataValidation = rule; }); }
+  getDataValidation() { return this.sheet.cell(this.row, this.column).dataValidation || null; }
+
+  clear() { return this.forEachCell(cell => { Object.keys(cell).forEach(k => delete cell[k]); cell.value = ''; cell.formula = ''; }); }
+  clearContent() { return this.forEachCell(cell => { cell.value = ''; cell.formula = ''; }); }
+
+  getValues() { return this.collect(cell => cell.value); }
+  getValue() { return this.getValues()[0][0]; }
+  getDisplayValues() { return this.collect(cell => String(cell.value)); }
+  getFormulas() { return this.collect(cell => cell.formula); }
+  getFormula() { return this.getFormulas()[0][0]; }
+  getNumberFormats() { return this.collect(cell => cell.numberFormat || 'General'); }
+  getNumberFormat() { return this.getNumberFormats()[0][0]; }
+
+  fill(value) {
+    return Array.from({ length: this.numRows }, () => Array.from({ length: this.numColumns }, () => value));
+  }
+
+  collect(fn) {
+    const grid = this.fill(null);
+    this.forEachCell((cell, r, c) => { grid[r][c] = fn(cell); });
+    return grid;
+  }
+}
+
+/** Records the condition and format of a rule; build() returns the plain record for assertions. */
+class FakeConditionalFormatRuleBuilder {
+  constructor() {
+    this.rule = { ranges: [] };
+  }
+
+  when(condition, values) { this.rule.condition = condition; this.rule.values = values; return this; }
+  whenNumberGreaterThan(value) { return this.when('NUMBER_GREATER_THAN', [value]); }
+  whenNumberGreaterThanOrEqualTo(value) { return this.when('NUMBER_GREATER_THAN_OR_EQUAL_TO', [value]); }
+  whenNumberLessThan(value) { return this.when('NUMBER_LESS_THAN', [value]); }
+  whenNumberLessThanOrEqualTo(value) { return this.when('NUMBER_LESS_THAN_OR_EQUAL_TO', [value]); }
+  whenNumberBetween(start, end) { return this.when('NUMBER_BETWEEN', [start, end]); }
+  whenTextEqualTo(text) { return this.when('TEXT_EQUAL_TO', [text]); }
+  whenTextContains(text) { return this.when('TEXT_CONTAINS', [text]); }
+  whenFormulaSatisfied(formula) { return this.when('CUSTOM_FORMULA', [formula]); }
+  setFontColor(color) { this.rule.fontColor = color; return this; }
+  setBackground(color) { this.rule.background = color; return this; }
+  setBold(bold) { this.rule.bold = bold; return this; }
+  setGradientMinpoint(color) { this.rule.gradient = Object.assign({}, this.rule.gradient, { min: color }); return this; }
+  setGradientMidpointWithValue(color, type, value) { this.rule.gradient = Object.assign({}, this.rule.gradient, { mid: [color, type, value] }); return this; }
+  setGradientMaxpoint(color) { this.rule.gradient = Object.assign({}, this.rule.gradient, { max: color }); return this; }
+  setRanges(ranges) { this.rule.ranges = ranges.slice(); return this; }
+  build() { return Object.assign({}, this.rule); }
+}
+
+/** Records the criteria of a data validation rule; build() returns the plain record for assertions. */
+class FakeDataValidationBuilder {
+  constructor() {
+    this.rule = { allowInvalid: true };
+  }
+
+  require(criteria, values) { this.rule.criteria = criteria; this.rule.values = values; return this; }
+  requireValueInList(values, showDropdown = true) { this.rule.showDropdown = showDropdown; return this.require('VALUE_IN_LIST', values.slice()); }
+  requireCheckbox() { return this.require('CHECKBOX', []); }
+  requireNumberBetween(start, end) { return this.require('NUMBER_BETWEEN', [start, end]); }
+  requireNumberGreaterThanOrEqualTo(value) { return this.require('NUMBER_GREATER_THAN_OR_EQUAL_TO', [value]); }
+  setAllowInvalid(allowInvalid) { this.rule.allowInvalid = allowInvalid; return this; }
+  setHelpText(helpText) { this.rule.helpText = helpText; return this; }
+  build() { return Object.assign({}, this.rule); }
+}
+
+function hasContent(cell) {
+  return cell && ((cell.value !== '' && cell.value !== null && cell.value !== undefined) || cell.formula);
+}
+
+function parseA1(a1) {
+  const match = /^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/.exec(a1.replace(/\$/g, '').split('!').pop());
+  if (!match) throw new Error(`Range not found: ${a1}`);
+  const column = columnNumber(match[1]);
+  const row = parseInt(match[2], 10);
+  if (!match[3]) return [row, column];
+  return [row, column, parseInt(match[4], 10) - row + 1, columnNumber(match[3]) - column + 1];
+}
+
+function columnNumber(letters) {
+  return letters.split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+}
+
+/** build() returns a FakeEmbeddedChart. modify() on a chart starts a builder from its current settings. */
+class FakeEmbeddedChartBuilder {
+  constructor(source) {
+    this.source = source || null;
+    this.chart = source
+      ? { chartType: source.chartType, ranges: source.ranges.slice(), position: Object.assign({}, source.position), options: Object.assign({}, source.options) }
+      : { chartType: null, ranges: [], position: null, options: {} };
+  }
+
+  setChartType(type) { this.chart.chartType = type; return this; }
+  clearRanges() { this.chart.ranges = []; return this; }
+  addRange(range) {
+    this.chart.ranges.push(`${columnLetters(range.getColumn())}${range.getRow()}:${columnLetters(range.getColumn() + range.getNumColumns() - 1)}${range.getRow() + range.getNumRows() - 1}`);
+    return this;
+  }
+  setPosition(row, column, offsetX, offsetY) { this.chart.position = { row: row, column: column }; return this; }
+  setOption(name, value) { this.chart.options[name] = value; return this; }
+  build() { return new FakeEmbeddedChart(this.chart, this.source); }
+}
+
+/** JSON-serializes to { chartType, ranges: ['A1:B13'], position: { row, column }, options }. */
+class FakeEmbeddedChart {
+  constructor(settings, source) {
+    Object.assign(this, settings);
+    Object.defineProperty(this, 'source', { value: source });
+  }
+
+  getSource() { return this.source; }
+  getOptions() { return { get: name => this.options[name] }; }
+  modify() { return new FakeEmbeddedChartBuilder(this); }
+}
+
+function columnLetters(column) {
+  let letters = '';
+  for (let n = column; n > 0; n = Math.floor((n - 1) / 26)) letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+  return letters;
+}
+
+function createCharts() {
+  return {
+    ChartType: { AREA: 'AREA', BAR: 'BAR', COLUMN: 'COLUMN', COMBO: 'COMBO', LINE: 'LINE', PIE: 'PIE', SCATTER: 'SCATTER', TABLE: 'TABLE' }
+  };
+}
+
+// ==================== MAILAPP ====================
+function createMailApp() {
+  const sent = [];
+  return {
+    sent: sent,
+    /** Accepts both the options-object and the (recipient, subject, body[, options]) signatures. */
+    sendEmail(recipientOrMessage, subject, body, options) {
+      const message = typeof recipientOrMessage === 'object'
+        ? Object.assign({}, recipientOrMessage)
+        : Object.assign({ to: recipientOrMessage, subject: subject, body: body }, options);
+      if (!message.to) throw new Error('Invalid argument: recipient');
+      sent.push(message);
+    },
+    getRemainingDailyQuota: () => 100
+  };
+}
+
+// ==================== URL FETCH ====================
+/**
+ * Stub webhook receiver behind UrlFetchApp.fetch. Every request is recorded in `requests`, with its
+ * JSON payload parsed into `json`. Endpoints registered with addEndpoint answer the URLs they match
+ * (first match wins); a handler may return { code, body } and defaults to 200. Unmatched URLs get a 404.
+ * As in Apps Script, a non-2xx response throws unless muteHttpExceptions is set.
+ */
+function createUrlFetchApp() {
+  const endpoints = [];
+  const requests = [];
+  return {
+    requests: requests,
+    addEndpoint(urlPattern, handler) {
+      endpoints.push({ urlPattern, handler: handler || (() => ({})) });
+      return this;
+    },
+    fetch(url, params = {}) {
+      const request = { url: url, method: (params.method || 'get').toLowerCase(), contentType: params.contentType, payload: params.payload };
+      try {
+        request.json = JSON.parse(params.payload);
+      } catch (e) {
+        request.json = undefined;
+      }
+      requests.push(request);
+
+      const endpoint = endpoints.find(e => (e.urlPattern instanceof RegExp ? e.urlPattern.test(url) : e.urlPattern === url));
+      const answer = endpoint ? Object.assign({ code: 200, body: 'ok' }, endpoint.handler(request)) : { code: 404, body: 'Not Found' };
+      if ((answer.code < 200 || answer.code >= 300) && !params.muteHttpExceptions) {
+        throw new Error(`Request failed for ${url} returned code ${answer.code}. Truncated server response: ${answer.body}`);
+      }
+      return {
+        getResponseCode: () => answer.code,
+        getContentText: () => String(answer.body)
+      };
+    }
+  };
+}
+
+// ==================== UTILITIES / LOGGER ====================
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function createUtilities() {
+  return {
+    /** Supports the SimpleDateFormat tokens the scripts use: yyyy yy MMMM MMM MM M dd d EEEE EEE HH H mm ss u z. */
+    formatDate(date, timeZone, pattern) {
+      const parts = {};
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone, hourCycle: 'h23', timeZoneName: 'short',
+        year: 'numeric', month: 'numeric', day: 'numeric', weekday: 'long',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+      }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+
+      const month = parseInt(parts.month, 10);
+      const weekday = DAYS.indexOf(parts.weekday);
+      const pad = (n) => String(n).padStart(2, '0');
+      const tokens = {
+        yyyy: parts.year, yy: parts.year.slice(-2),
+        MMMM: MONTHS[month - 1], MMM: MONTHS[month - 1].slice(0, 3), MM: pad(month), M: String(month),
+        dd: pad(parts.day), d: String(parseInt(parts.day, 10)),
+        EEEE: parts.weekday, EEE: parts.weekday.slice(0, 3),
+        HH: pad(parts.hour), H: String(parseInt(parts.hour, 10)),
+        mm: pad(parts.minute), ss: pad(parts.second),
+        u: String(weekday === 0 ? 7 : weekday),
+        z: parts.timeZoneName
+      };
+      return pattern.replace(/'([^']*)'|yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|HH|H|mm|ss|u|z/g,
+        (token, literal) => (literal !== undefined ? literal : tokens[token]));
+    },
+
+    sleep() {}
+  };
+}
+
+function createLogger() {
+  const messages = [];
+  return {
+    messages: messages,
+    log(message, ...args) {
+      let text = String(message);
+      args.forEach(arg => { text = text.replace(/%s|%d/, String(arg)); });
+      messages.push(text);
+    }
+  };
+}
+
+module.exports = {
+  createAdsApp,
+  createAdsManagerApp,
+  createSpreadsheetApp,
+  createDriveApp,
+  createCharts,
+  createMailApp,
+  createUrlFetchApp,
+  createUtilities,
+  createLogger,
+  FakeSpreadsheet,
+  FakeSheet,
+  FakeRange
+};
@@ -0,0 +1,116 @@
+/**
+ * Loads one of the repo's Google Ads scripts into an isolated V8 context wired to the fakes,
+ * so its functions (including main) can be called from Node tests.
+ *
+ * Usage:
+ *   const script = loadScript('performance-dashboard-exporter.js', { now: '2025-06-15T12:00:00Z' });
+ *   script.adsApp.addReport(/FROM campaign/, [{ 'campaign.name': 'Brand', ... }]);
+ *   script.eval("CONFIG.SPREADSHEET_URL = 'https://docs.google.com/spreadsheets/d/test'");
+ *   script.spreadsheetApp.addSpreadsheet('https://docs.google.com/spreadsheets/d/test');
+ *   script.call('main');
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const fakes = require('./fakes');
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * @param {string} fileName Script file name, relative to the repo root.
+ * @param {Object} [options]
+ * @param {string|number|Date} [options.now] Fixes `new Date()` and `Date.now()` inside the script.
+ * @param {Object} [options.account] Overrides for AdsApp.currentAccount() (name, customerId, timeZone, currencyCode).
+ * @param {Array<Object>} [options.managedAccounts] Client accounts for a fake AdsManagerApp (see fakes.createAdsManagerApp).
+ *     Without it, AdsManagerApp is undefined, as in a single-account script.
+ * @param {Object} [options.globals] Extra globals to expose to the script.
+ */
+function loadScript(fileName, options = {}) {
+  const adsApp = fakes.createAdsApp({ account: options.account });
+  const spreadsheetApp = fakes.createSpreadsheetApp();
+  const mailApp = fakes.createMailApp();
+  const urlFetchApp = fakes.createUrlFetchApp();
+  const logger = fakes.createLogger();
+  const consoleMessages = [];
+  const capture = (...args) => consoleMessages.push(args.map(String).join(' '));
+
+  const context = vm.createContext(Object.assign({
+    AdsApp: adsApp,
+    SpreadsheetApp: spreadsheetApp,
+    DriveApp: fakes.createDriveApp(spreadsheetApp),
+    Charts: fakes.createCharts(),
+    MailApp: mailApp,
+    UrlFetchApp: urlFetchApp,
+    Utilities: fakes.createUtilities(),
+    Logger: logger,
+    console: { log: capture, info: capture, warn: capture, error: capture }
+  }, options.globals));
+
+  let adsManagerApp;
+  if (options.managedAccounts) {
+    adsManagerApp = fakes.createAdsManagerApp({
+      accounts: options.managedAccounts,
+      runInAccount(accountApp, fn) {
+        context.AdsApp = accountApp;
+        try {
+          return fn();
+        } finally {
+          context.AdsApp = adsApp;
+        }
+      },
+      getFunction: name => context[name]
+    });
+    context.AdsManagerApp = adsManagerApp;
+  }
+
+  if (options.now !== undefined) {
+    context.__NOW__ = new Date(options.now).getTime();
+    vm.runInContext(`
+      (function () {
+        const RealDate = Date;
+        class FixedDate extends RealDate {
+          constructor(...args) {
+            if (args.length === 0) super(__NOW__);
+            else super(...args);
+          }
+          static now() { return __NOW__; }
+        }
+        globalThis.Date = FixedDate;
+      })();`, context);
+  }
+
+  const filePath = path.join(REPO_ROOT, fileName);
+  vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+
+  return {
+    context: context,
+    adsApp: adsApp,
+    adsManagerApp: adsManagerApp,
+    spreadsheetApp: spreadsheetApp,
+    mailApp: mailApp,
+    urlFetchApp: urlFetchApp,
+    logger: logger,
+    consoleMessages: consoleMessages,
+
+    /** Evaluates code inside the script's scope, e.g. to read or override top-level `const CONFIG`. */
+    eval(code) {
+      return vm.runInContext(code, context);
+    },
+
+    /** Calls a top-level function declared by the script. */
+    call(functionName, ...args) {
+      if (typeof context[functionName] !== 'function') throw new Error(`${fileName} does not define ${functionName}()`);
+      return context[functionName](...args);
+    }
+  };
+}
+
+/**
+ * Copies a value returned from the script's context into this realm,
+ * so assert.deepStrictEqual does not trip over foreign Array/Object prototypes.
+ */
+function plain(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScript, plain };
@@ -0,0 +1,1628 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript, plain } = require('./harness/load-script');
+
+const SHEET_URL = 'https://docs.google.com/spreadsheets/d/dashboard';
+const PERIODS = {
+  current: { startDate: '2025-05-16', endDate: '2025-06-14' },
+  prior: { startDate: '2025-04-16', endDate: '2025-05-15' }
+};
+
+function campaignRow(name, overrides) {
+  return Object.assign({
+    'campaign.name': name,
+    'metrics.clicks': 100,
+    'metrics.impressions': 2000,
+    'metrics.cost_micros': 150000000,
+    'metrics.conversions_value': 600,
+    'metrics.conversions': 10,
+    'metrics.all_conversions': 12
+  }, overrides);
+}
+
+function loadExporter(account) {
+  const script = loadScript('performance-dashboard-exporter.js', { now: '2025-06-15T12:00:00Z', account: account });
+  script.eval(`CONFIG.SPREADSHEET_URL = '${SHEET_URL}'`);
+  script.spreadsheetApp.addSpreadsheet(SHEET_URL);
+  return script;
+}
+
+test('Top Campaigns tab writes one row per campaign with derived ROAS and cost/conv', () => {
+  const script = loadExporter();
+  script.adsApp.addReport(/FROM campaign WHERE/, [
+    campaignRow('Brand'),
+    campaignRow('Generic', { 'metrics.clicks': 0, 'metrics.cost_micros': 50000000, 'metrics.conversions_value': 0, 'metrics.conversions': 0 })
+  ]);
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+  const summaryData = {};
+
+  script.call('exportTab', spreadsheet, 'TOP_CAMPAIGNS', summaryData, PERIODS);
+
+  const rows = spreadsheet.getSheetByName('Top Campaigns').dump();
+  assert.deepStrictEqual(rows[0], ['Campaign', 'Clicks', 'Impr.', 'CTR', 'Avg. CPC', 'Cost', 'Total Conv. Value', 'Conv. Value / Cost', 'Conv.', 'Cost / Conv.', 'Conv. Rate', 'All Conv.']);
+  assert.deepStrictEqual(rows[1], ['Brand', 100, 2000, 0.05, 1.5, 150, 600, 4, 10, 15, 0.1, 12]);
+  // Ratios are derived from the base metrics and are 0 when their denominator is 0
+  assert.deepStrictEqual(rows[2].slice(0, 11), ['Generic', 0, 2000, 0, 0, 50, 0, 0, 0, 0, 0]);
+  assert.strictEqual(summaryData.campaignCount, 2);
+});
+
+test('Top Campaigns tab appends a totals row of formulas over the data rows', () => {
+  const script = loadExporter();
+  script.adsApp.addReport(/FROM campaign WHERE/, [campaignRow('Brand'), campaignRow('Generic'), campaignRow('Competitor')]);
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+
+  script.call('exportTab', spreadsheet, 'TOP_CAMPAIGNS', {}, PERIODS);
+
+  const sheet = spreadsheet.getSheetByName('Top Campaigns');
+  const totals = sheet.dump()[4];
+  assert.strictEqual(totals[0], 'Total');
+  assert.strictEqual(totals[1], '=SUM(B2:B4)');
+  assert.strictEqual(totals[3], '=IFERROR(B5/C5, 0)');
+  assert.strictEqual(totals[7], '=IFERROR(G5/F5, 0)');
+  assert.strictEqual(totals[9], '=IFERROR(F5/I5, 0)');
+  assert.strictEqual(sheet.cell(5, 1).fontWeight, 'bold');
+  assert.strictEqual(sheet.cell(2, 6).numberFormat, '$#,##0');
+  assert.strictEqual(sheet.getFrozenRows(), 1);
+});
+
+test('Top Campaigns tab only queries non-removed campaigns with spend in the given range', () => {
+  const script = loadExporter();
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+
+  script.call('exportTab', spreadsheet, 'TOP_CAMPAIGNS', {}, PERIODS);
+
+  const [query] = script.adsApp.queriesMatching(/FROM campaign WHERE/);
+  assert.match(query, /segments\.date BETWEEN '2025-05-16' AND '2025-06-14'/);
+  assert.match(query, /campaign\.status != 'REMOVED'/);
+  assert.match(query, /metrics\.cost_micros > 0/);
+});
+
+test('main exports every tab and emails a period-over-period summary', () => {
+  const script = loadExporter();
+  script.eval(`CONFIG.EMAIL_RECIPIENTS = 'team@example.com'`);
+  script.adsApp
+    .addReport(/SELECT metrics\.cost_micros FROM customer/, [{ 'metrics.cost_micros': 100000000 }])
+    .addReport(/SELECT campaign\.resource_name/, [{}, {}, {}])
+    .addReport(/FROM campaign WHERE/, [campaignRow('Brand'), campaignRow('Generic')]);
+
+  script.call('main');
+
+  const spreadsheet = script.spreadsheetApp.openByUrl(SHEET_URL);
+  assert.deepStrictEqual(spreadsheet.getSheets().map(s => s.getName()),
+    ['Overview', 'Settings', 'Account Daily', 'Top Campaigns', 'Top Ad Groups', 'Top Search Queries', 'Search Query N-grams', 'Top Landing Pages', 'Top Countries']);
+  assert.strictEqual(script.mailApp.sent.length, 1);
+  const email = script.mailApp.sent[0];
+  assert.strictEqual(email.to, 'team@example.com');
+  assert.match(email.subject, /\[Test Account\]/);
+  assert.match(email.body, /Active Campaigns\s+2\s+3\s+-1 \(-33\.3%\)/);
+  assert.match(email.body, /Total Cost\s+\$0\.00\s+\$100\.00/);
+});
+
+test('main runs every tab and prior-period query on the same resolved dates', () => {
+  const script = loadExporter();
+  script.eval(`CONFIG.DATE_RANGE = 'LAST_7_DAYS'`);
+
+  script.call('main');
+
+  const queries = script.adsApp.queries.filter(q => /segments\.date/.test(q));
+  const current = queries.filter(q => q.includes("BETWEEN '2025-06-08' AND '2025-06-14'"));
+  const prior = queries.filter(q => q.includes("BETWEEN '2025-06-01' AND '2025-06-07'"));
+  assert.strictEqual(current.length, 7);
+  // Every prior-period summary query, plus the account totals for the Overview KPI tiles
+  assert.strictEqual(prior.length, 7);
+  assert.strictEqual(current.length + prior.length, queries.length);
+  assert.ok(script.logger.messages.includes('Reporting period: Last 7 Days (2025-06-08 to 2025-06-14) vs. Previous Period (2025-06-01 to 2025-06-07)'));
+});
+
+test('main skips the email while the recipient is still the placeholder', () => {
+  const script = loadExporter();
+
+  script.call('main');
+
+  assert.strictEqual(script.mailApp.sent.length, 0);
+  assert.ok(script.logger.messages.some(m => /no valid recipient/.test(m)));
+});
+
+test('the completion summary is posted as Slack, Teams and Google Chat cards', () => {
+  const script = loadExporter();
+  script.eval(`CONFIG.NOTIFICATIONS.CHANNELS = [
+    { type: 'SLACK', webhookUrl: 'https://hooks.example.com/slack' },
+    { type: 'TEAMS', webhookUrl: 'https://hooks.example.com/teams' },
+    { type: 'GOOGLE_CHAT', webhookUrl: 'https://hooks.example.com/chat' }
+  ]`);
+  script.urlFetchApp.addEndpoint(/^https:\/\/hooks\.example\.com\//);
+  script.adsApp
+    .addReport(/SELECT metrics\.cost_micros FROM customer/, [{ 'metrics.cost_micros': 100000000 }])
+    .addReport(/FROM campaign WHERE/, [campaignRow('Brand')]);
+
+  script.call('main');
+
+  assert.strictEqual(script.mailApp.sent.length, 0);
+  const requests = script.urlFetchApp.requests;
+  assert.deepStrictEqual(requests.map(r => [r.url, r.method, r.contentType]), [
+    ['https://hooks.example.com/slack', 'post', 'application/json'],
+    ['https://hooks.example.com/teams', 'post', 'application/json'],
+    ['https://hooks.example.com/chat', 'post', 'application/json']
+  ]);
+
+  const slack = requests[0].json;
+  assert.strictEqual(slack.text, '[INFO] [Test Account] Google Ads Performance Dashboard Updated');
+  assert.deepStrictEqual(slack.blocks[0], { type: 'header', text: { type: 'plain_text', text: '[Test Account] Google Ads Performance Dashboard Updated' } });
+  assert.deepStrictEqual(slack.blocks[2].fields[0], { type: 'mrkdwn', text: '*Total Cost*\n$0.00 -$100.00 (-100.0%)' });
+  assert.strictEqual(slack.blocks[3].elements[0].url, SHEET_URL);
+
+  const card = requests[1].json.attachments[0];
+  assert.strictEqual(card.contentType, 'application/vnd.microsoft.card.adaptive');
+  assert.strictEqual(card.content.type, 'AdaptiveCard');
+  assert.deepStrictEqual(card.content.body[2].facts[0], { title: 'Total Cost', value: '$0.00 -$100.00 (-100.0%)' });
+  assert.deepStrictEqual(card.content.actions, [{ type: 'Action.OpenUrl', title: 'View Full Dashboard', url: SHEET_URL }]);
+
+  const chat = requests[2].json.cardsV2[0].card;
+  assert.deepStrictEqual(chat.header, { title: '[Test Account] Google Ads Performance Dashboard Updated', subtitle: 'INFO' });
+  assert.deepStrictEqual(chat.sections[0].widgets[1], { decoratedText: { topLabel: 'Total Cost', text: '$0.00 -$100.00 (-100.0%)' } });
+});
+
+test('a failing webhook is logged and does not stop the other channels', () => {
+  const script = loadExporter();
+  script.eval(`CONFIG.EMAIL_RECIPIENTS = 'team@example.com'`);
+  script.eval(`CONFIG.NOTIFICATIONS.CHANNELS = [
+    { type: 'SLACK', webhookUrl: 'https://hooks.example.com/down' },
+    { type: 'PAGER' },
+    { type: 'EMAIL' }
+  ]`);
+  script.urlFetchApp.addEndpoint('https://hooks.example.com/down', () => ({ code: 500, body: 'internal_error' }));
+
+  script.call('main');
+
+  assert.strictEqual(script.mailApp.sent.length, 1);
+  assert.ok(script.logger.messages.includes('Failed to send SLACK notification: Error: Webhook returned HTTP 500: internal_error'));
+  assert.ok(script.logger.messages.some(m => /Unknown notification channel 'PAGER'/.test(m)));
+});
+
+test('Top Countries tab merges rows per country name and sorts by cost', () => {
+  const script = loadExporter();
+  script.adsApp
+    .addReport(/FROM geo_target_constant/, [
+      { 'geo_target_constant.id': '2840', 'geo_target_constant.name': 'United States' },
+      { 'geo_target_constant.id': '2826', 'geo_target_constant.name': 'United Kingdom' }
+    ])
+    .addReport(/FROM geographic_view/, [
+      { 'geographic_view.country_criterion_id': '2826', 'metrics.clicks': '10', 'metrics.impressions': '100', 'metrics.cost_micros': '30000000', 'metrics.conversions': '1' },
+      { 'geographic_view.country_criterion_id': '2840', 'metrics.clicks': '20', 'metrics.impressions': '400', 'metrics.cost_micros': '20000000', 'metrics.conversions': '2' },
+      { 'geographic_view.country_criterion_id': '2840', 'metrics.clicks': '20', 'metrics.impressions': '400', 'metrics.cost_micros': '20000000', 'metrics.conversions': '0' },
+      { 'geographic_view.country_criterion_id': '9999', 'metrics.clicks': '1', 'metrics.impressions': '10', 'metrics.cost_micros': '1000000' }
+    ]);
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+  const summaryData = {};
+
+  script.call('exportTab', spreadsheet, 'TOP_COUNTRIES', summaryData, PERIODS);
+
+  const rows = spreadsheet.getSheetByName('Top Countries').dump();
+  assert.deepStrictEqual(rows.slice(1, 4).map(r => r.slice(0, 6)), [
+    ['United States', 40, 800, 0.05, 1, 40],
+    ['United Kingdom', 10, 100, 0.1, 3, 30],
+    ['Unknown (9999)', 1, 10, 0.1, 1, 1]
+  ]);
+  assert.strictEqual(rows[1][9], 20);
+  assert.strictEqual(summaryData.countryCount, 3);
+});
+
+test('a failing tab with an error message records it instead of aborting the export', () => {
+  const script = loadExporter();
+  script.adsApp.addReport(/FROM landing_page_view/, new Error('Unsupported resource'));
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+  const summaryData = {};
+
+  script.call('exportTab', spreadsheet, 'TOP_LANDING_PAGES', summaryData, PERIODS);
+
+  const sheet = spreadsheet.getSheetByName('Top Landing Pages');
+  assert.strictEqual(sheet.cell(2, 1).value, 'Could not retrieve landing page data. See script logs for details.');
+  assert.strictEqual(summaryData.landingPageCount, 0);
+  assert.ok(script.logger.messages.some(m => /Unsupported resource/.test(m)));
+});
+
+test('each tab gets one number format per metric column, whatever its position', () => {
+  const script = loadExporter();
+  script.adsApp.addReport(/FROM search_term_view/, [{ 'search_term_view.search_term': 'shoes', 'campaign.name': 'C', 'ad_group.name': 'A', 'metrics.cost_micros': '1000000' }]);
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+
+  script.call('exportTab', spreadsheet, 'TOP_SEARCH_QUERIES', {}, PERIODS);
+
+  const sheet = spreadsheet.getSheetByName('Top Search Queries');
+  const formats = sheet.getRange(2, 1, 1, 14).getNumberFormats()[0];
+  assert.deepStrictEqual(formats, ['General', 'General', 'General', '#,##0', '#,##0', '0.00%', '$#,##0.00', '$#,##0', '$#,##0', '0.00', '#,##0.0', '$#,##0', '0.00%', '#,##0.0']);
+  assert.strictEqual(sheet.dump()[2][7], '=SUM(H2:H2)');
+  assert.strictEqual(sheet.dump()[2][9], '=IFERROR(I3/H3, 0)');
+});
+
+test('money columns use the account currency and dates the configured format', () => {
+  const script = loadExporter({ currencyCode: 'EUR' });
+  script.eval("CONFIG.LOCALE.LANGUAGE_TAG = 'de-DE'");
+  script.eval("CONFIG.LOCALE.DATE_FORMAT = 'dd.MM.yyyy'");
+  script.adsApp.addReport(/FROM campaign WHERE/, [campaignRow('Brand')]);
+  script.adsApp.addReport(/FROM customer WHERE/, [{ 'segments.date': '2025-06-14', 'metrics.cost_micros': 150000000 }]);
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+
+  script.call('exportTab', spreadsheet, 'TOP_CAMPAIGNS', {}, PERIODS);
+  script.call('exportTab', spreadsheet, 'ACCOUNT_DAILY', {}, PERIODS);
+
+  assert.strictEqual(spreadsheet.getSpreadsheetLocale(), 'de_DE');
+  const campaigns = spreadsheet.getSheetByName('Top Campaigns');
+  assert.strictEqual(campaigns.cell(2, 5).numberFormat, '#,##0.00 "€"');
+  assert.strictEqual(campaigns.cell(2, 6).numberFormat, '#,##0 "€"');
+  assert.strictEqual(campaigns.cell(2, 8).numberFormat, '0.00');
+  assert.strictEqual(spreadsheet.getSheetByName('Account Daily').cell(2, 1).numberFormat, 'dd.MM.yyyy');
+});
+
+test('currencies without decimals get none in sheets and emails', () => {
+  const script = loadExporter({ currencyCode: 'JPY' });
+
+  assert.strictEqual(script.call('getSheetCurrencyFormat', '#,##0.00'), '"¥"#,##0');
+  assert.strictEqual(script.call('formatMoney', 1234.5), '¥1,235');
+  assert.strictEqual(script.eval('getChangeDelta(1500, 1000, true)').text, '+¥500 (50.0%)');
+});
+
+function resolvePeriods(dateRange, comparison, now) {
+  const script = loadScript('performance-dashboard-exporter.js', { now: now || '2025-06-15T12:00:00Z' });
+  script.context.__DATE_RANGE__ = dateRange;
+  script.eval(`CONFIG.DATE_RANGE = __DATE_RANGE__; CONFIG.COMPARISON = '${comparison}'`);
+  const periods = plain(script.call('getReportingPeriods'));
+  return [periods.current.startDate, periods.current.endDate, periods.prior.startDate, periods.prior.endDate];
+}
+
+test('getReportingPeriods resolves presets in the account time zone', () => {
+  assert.deepStrictEqual(resolvePeriods('LAST_30_DAYS', 'PREVIOUS_PERIOD'), ['2025-05-16', '2025-06-14', '2025-04-16', '2025-05-15']);
+  assert.deepStrictEqual(resolvePeriods('YESTERDAY', 'PREVIOUS_PERIOD'), ['2025-06-14', '2025-06-14', '2025-06-13', '2025-06-13']);
+  assert.deepStrictEqual(resolvePeriods('LAST_MONTH', 'PREVIOUS_PERIOD'), ['2025-05-01', '2025-05-31', '2025-03-31', '2025-04-30']);
+  // 02:00 UTC is still the previous evening in New York
+  assert.deepStrictEqual(resolvePeriods('TODAY', 'PREVIOUS_PERIOD', '2025-06-15T02:00:00Z'), ['2025-06-14', '2025-06-14', '2025-06-13', '2025-06-13']);
+});
+
+test('getReportingPeriods supports rolling windows and explicit dates', () => {
+  assert.deepStrictEqual(resolvePeriods('LAST_N_DAYS:90', 'PREVIOUS_PERIOD'), ['2025-03-17', '2025-06-14', '2024-12-17', '2025-03-16']);
+  assert.deepStrictEqual(resolvePeriods({ start: '2025-02-01', end: '2025-02-10' }, 'PREVIOUS_PERIOD'), ['2025-02-01', '2025-02-10', '2025-01-22', '2025-01-31']);
+});
+
+test('getReportingPeriods compares month-to-date with the same days last month', () => {
+  assert.deepStrictEqual(resolvePeriods('THIS_MONTH', 'SAME_PERIOD_LAST_MONTH'), ['2025-06-01', '2025-06-15', '2025-05-01', '2025-05-15']);
+  assert.deepStrictEqual(resolvePeriods('THIS_MONTH', 'SAME_PERIOD_LAST_MONTH', '2025-03-31T12:00:00Z'), ['2025-03-01', '2025-03-31', '2025-02-01', '2025-02-28']);
+  assert.deepStrictEqual(resolvePeriods('LAST_MONTH', 'SAME_PERIOD_LAST_MONTH', '2025-07-10T12:00:00Z'), ['2025-06-01', '2025-06-30', '2025-05-01', '2025-05-31']);
+});
+
+test('getReportingPeriods compares year over year', () => {
+  assert.deepStrictEqual(resolvePeriods('LAST_7_DAYS', 'SAME_PERIOD_LAST_YEAR'), ['2025-06-08', '2025-06-14', '2024-06-08', '2024-06-14']);
+  assert.deepStrictEqual(resolvePeriods({ start: '2024-02-01', end: '2024-02-29' }, 'SAME_PERIOD_LAST_YEAR'), ['2024-02-01', '2024-02-29', '2023-02-01', '2023-02-28']);
+});
+
+test('getReportingPeriods rejects invalid settings with a clear error', () => {
+  assert.throws(() => resolvePeriods('LAST_45_DAYS', 'PREVIOUS_PERIOD'), /Invalid CONFIG\.DATE_RANGE 'LAST_45_DAYS'/);
+  assert.throws(() => resolvePeriods({ start: '2025-02-10', end: '2025-02-01' }, 'PREVIOUS_PERIOD'), /start on or before end/);
+  assert.throws(() => resolvePeriods('LAST_7_DAYS', 'LAST_QUARTER'), /Invalid CONFIG\.COMPARISON/);
+});
+
+test('prior-period columns show prior value, change and % change per entity', () => {
+  const script = loadExporter();
+  script.eval(`CONFIG.PRIOR_PERIOD_COLUMNS = { ENABLED: true, METRICS: ['clicks', 'cost', 'roas'] }`);
+  script.adsApp
+    .addReport(/FROM campaign WHERE segments\.date BETWEEN '2025-04-16' AND '2025-05-15'/, [
+      campaignRow('Brand', { 'metrics.clicks': 80, 'metrics.cost_micros': 200000000, 'metrics.conversions_value': 400 }),
+      campaignRow('Paused Since', { 'metrics.clicks': 50 })
+    ])
+    .addReport(/FROM campaign WHERE/, [campaignRow('Brand'), campaignRow('New Campaign')]);
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+
+  script.call('exportTab', spreadsheet, 'TOP_CAMPAIGNS', {}, PERIODS);
+
+  const rows = spreadsheet.getSheetByName('Top Campaigns').dump();
+  assert.deepStrictEqual(rows[0].slice(12), [
+    'Clicks (Prior)', 'Clicks Change', 'Clicks % Change',
+    'Cost (Prior)', 'Cost Change', 'Cost % Change',
+    'Conv. Value / Cost (Prior)', 'Conv. Value / Cost Change', 'Conv. Value / Cost % Change'
+  ]);
+  assert.deepStrictEqual(rows[1].slice(12), [80, 20, 0.25, 200, -50, -0.25, 2, 2, 1]);
+  // Entities only active in the current period compare against zero
+  assert.deepStrictEqual(rows[2].slice(12), [0, 100, '', 0, 150, '', 0, 4, '']);
+  assert.strictEqual(rows.length, 4);
+});
+
+test('prior-period totals are rebuilt from the totals row', () => {
+  const script = loadExporter();
+  script.eval(`CONFIG.PRIOR_PERIOD_COLUMNS = { ENABLED: true, METRICS: ['cost', 'roas'] }`);
+  script.adsApp.addReport(/FROM campaign WHERE/, [campaignRow('Brand'), campaignRow('Generic')]);
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+
+  script.call('exportTab', spreadsheet, 'TOP_CAMPAIGNS', {}, PERIODS);
+
+  const sheet = spreadsheet.getSheetByName('Top Campaigns');
+  const totals = sheet.dump()[3];
+  assert.deepStrictEqual(totals.slice(12), [
+    '=SUM(M2:M3)', '=F4-M4', '=IFERROR((F4-M4)/M4, "")',
+    4, '=H4-P4', '=IFERROR((H4-P4)/P4, "")'
+  ]);
+  assert.strictEqual(sheet.cell(2, 15).numberFormat, '+0.0%;-0.0%;0.0%');
+});
+
+test('change columns are colored green for improvements and red for deteriorations', () => {
+  const script = loadExporter();
+  script.eval(`CONFIG.PRIOR_PERIOD_COLUMNS = { ENABLED: true, METRICS: ['clicks', 'cost'] }`);
+  script.adsApp.addReport(/FROM campaign WHERE/, [campaignRow('Brand')]);
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+
+  script.call('exportTab', spreadsheet, 'TOP_CAMPAIGNS', {}, PERIODS);
+  script.call('exportTab', spreadsheet, 'TOP_CAMPAIGNS', {}, PERIODS);
+
+  const rules = spreadsheet.getSheetByName('Top Campaigns').getConditionalFormatRules();
+  assert.strictEqual(rules.length, 8);
+  const clicksUp = rules.find(r => r.ranges[0].getColumn() === 14 && r.condition === 'NUMBER_GREATER_THAN');
+  const costUp = rules.find(r => r.ranges[0].getColumn() === 17 && r.condition === 'NUMBER_GREATER_THAN');
+  assert.strictEqual(clicksUp.fontColor, '#27ae60');
+  assert.strictEqual(costUp.fontColor, '#c0392b');
+});
+
+test('prior-period columns are off by default and never added to Account Daily', () => {
+  const script = loadExporter();
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+  script.adsApp.addReport(/FROM customer WHERE/, [{ 'segments.date': '2025-06-14', 'metrics.clicks': 1 }]);
+
+  script.call('exportTab', spreadsheet, 'TOP_CAMPAIGNS', {}, PERIODS);
+  script.eval(`CONFIG.PRIOR_PERIOD_COLUMNS.ENABLED = true`);
+  script.call('exportTab', spreadsheet, 'ACCOUNT_DAILY', {}, PERIODS);
+
+  assert.strictEqual(spreadsheet.getSheetByName('Top Campaigns').dump()[0].length, 12);
+  assert.strictEqual(spreadsheet.getSheetByName('Account Daily').dump()[0].length, 12);
+  assert.strictEqual(script.adsApp.queriesMatching(/2025-04-16/).length, 0);
+});
+
+test('the campaign filter becomes GAQL conditions, with labels looked up by name', () => {
+  const script = loadExporter();
+  script.adsApp.addReport(/FROM label/, [
+    { 'label.name': 'Dashboard', 'label.resource_name': 'customers/1234567890/labels/11' },
+    { 'label.name': "Client's Pick", 'label.resource_name': 'customers/1234567890/labels/12' }
+  ]);
+  script.eval(`CONFIG.CAMPAIGN_FILTER = {
+    INCLUDE: { NAME_REGEX: '', LABELS: ['Dashboard'], STATUSES: ['ENABLED', 'PAUSED'], CHANNEL_TYPES: ['SEARCH', 'PERFORMANCE_MAX'], IDS: [] },
+    EXCLUDE: { NAME_REGEX: "(?i)brand|don't", LABELS: ["Client's Pick", 'Archived'], STATUSES: [], CHANNEL_TYPES: [], IDS: ['987', 654] }
+  }`);
+
+  assert.deepStrictEqual(plain(script.call('getCampaignFilterConditions')), [
+    "campaign.status IN ('ENABLED', 'PAUSED')",
+    "campaign.advertising_channel_type IN ('SEARCH', 'PERFORMANCE_MAX')",
+    "campaign.labels CONTAINS ANY ('customers/1234567890/labels/11')",
+    "campaign.name NOT REGEXP_MATCH '(?i)brand|don\\'t'",
+    'campaign.id NOT IN (987, 654)',
+    "campaign.labels CONTAINS NONE ('customers/1234567890/labels/12')"
+  ]);
+  // Labels are looked up once per account
+  script.call('getCampaignFilterConditions');
+  assert.strictEqual(script.adsApp.queriesMatching(/FROM label/).length, 1);
+  assert.ok(script.logger.messages.includes("Ignoring CONFIG.CAMPAIGN_FILTER.EXCLUDE.LABELS 'Archived': no such label in account 123-456-7890."));
+});
+
+test('the campaign filter rejects unknown values and missing include labels', () => {
+  const script = loadExporter();
+  script.eval("CONFIG.CAMPAIGN_FILTER.INCLUDE.CHANNEL_TYPES = ['PMAX']");
+  assert.throws(() => script.call('getCampaignFilterConditions'), /Invalid value 'PMAX' in CONFIG\.CAMPAIGN_FILTER\.INCLUDE\.CHANNEL_TYPES\. Use: SEARCH, DISPLAY/);
+
+  script.eval("CONFIG.CAMPAIGN_FILTER.INCLUDE.CHANNEL_TYPES = []; CONFIG.CAMPAIGN_FILTER.INCLUDE.LABELS = ['Dashboard']");
+  assert.throws(() => script.call('getCampaignFilterConditions'), /No label named 'Dashboard' in account 123-456-7890\. Check CONFIG\.CAMPAIGN_FILTER\.INCLUDE\.LABELS\./);
+});
+
+test('a campaign filter applies to every tab, and account totals are summed from the matching campaigns', () => {
+  const script = loadExporter();
+  script.eval(`CONFIG.EMAIL_RECIPIENTS = 'team@example.com'`);
+  script.eval("CONFIG.CAMPAIGN_FILTER.EXCLUDE.NAME_REGEX = '(?i)brand'");
+  script.adsApp
+    .addReport(/SELECT metrics\.cost_micros FROM campaign/, [{ 'metrics.cost_micros': 60000000 }, { 'metrics.cost_micros': 40000000 }])
+    .addReport(/SELECT segments\.date, .* FROM campaign/, [
+      { 'segments.date': '2025-06-14', 'metrics.clicks': 10, 'metrics.cost_micros': 20000000 },
+      { 'segments.date': '2025-06-14', 'metrics.clicks': 5, 'metrics.cost_micros': 30000000 },
+      { 'segments.date': '2025-06-13', 'metrics.clicks': 1, 'metrics.cost_micros': 1000000 }
+    ]);
+
+  script.call('main');
+
+  const queries = script.adsApp.queries.filter(query => !/FROM (label|geo_target_constant)/.test(query));
+  assert.ok(queries.length > 10);
+  queries.forEach(query => assert.match(query, / AND campaign\.name NOT REGEXP_MATCH '\(\?i\)brand'/));
+  assert.strictEqual(script.adsApp.queriesMatching(/FROM customer/).length, 0);
+  const daily = script.spreadsheetApp.openByUrl(SHEET_URL).getSheetByName('Account Daily').dump();
+  assert.deepStrictEqual(daily.slice(1, 3).map(row => row.slice(0, 2)), [['2025-06-14', 15], ['2025-06-13', 1]]);
+  assert.match(script.mailApp.sent[0].body, /Total Cost\s+\$51\.00\s+\$100\.00/);
+});
+
+function addSettingsTab(script, rows) {
+  const sheet = script.spreadsheetApp.openByUrl(SHEET_URL).insertSheet('Settings');
+  sheet.getRange(1, 1, rows.length + 1, 2).setValues([['Setting', 'Value']].concat(rows));
+}
+
+function dailyCampaignRow(date, name, cost, overrides) {
+  return campaignRow(name, Object.assign({ 'segments.date': date, 'metrics.cost_micros': cost * 1000000 }, overrides));
+}
+
+function loadHistoryExporter(dailyRows) {
+  const script = loadExporter();
+  script.eval("CONFIG.HISTORY.ENABLED = true; CONFIG.HISTORY.SHEET_NAMES = { TOP_CAMPAIGNS: 'Campaign History' }; CONFIG.HISTORY.TREND_WEEKS = 2");
+  script.adsApp.addReport(/SELECT segments\.date, campaign\.name/, () => dailyRows.rows);
+  return script;
+}
+
+test('history archives one row per day and campaign and builds a weekly trend tab with a chart', () => {
+  const script = loadHistoryExporter({ rows: [
+    dailyCampaignRow('2025-06-14', 'Brand', 100),
+    dailyCampaignRow('2025-06-13', 'Generic', 20),
+    dailyCampaignRow('2025-06-07', 'Brand', 50)
+  ] });
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+
+  script.call('exportHistory', spreadsheet, PERIODS);
+
+  const [query] = script.adsApp.queriesMatching(/SELECT segments\.date, campaign\.name/);
+  assert.match(query, /FROM campaign WHERE segments\.date BETWEEN '2025-05-16' AND '2025-06-14' AND campaign\.status != 'REMOVED'/);
+  assert.doesNotMatch(query, /ORDER BY/);
+
+  const history = spreadsheet.getSheetByName('Campaign History');
+  assert.deepStrictEqual(history.dump(), [
+    ['Date', 'Campaign', 'Clicks', 'Impr.', 'Cost', 'Total Conv. Value', 'Conv.', 'All Conv.', 'Updated'],
+    ['2025-06-14', 'Brand', 100, 2000, 100, 600, 10, 12, '2025-06-15 08:00:00'],
+    ['2025-06-13', 'Generic', 100, 2000, 20, 600, 10, 12, '2025-06-15 08:00:00'],
+    ['2025-06-07', 'Brand', 100, 2000, 50, 600, 10, 12, '2025-06-15 08:00:00']
+  ]);
+  assert.strictEqual(history.cell(2, 1).numberFormat, '@');
+  assert.strictEqual(history.cell(2, 5).numberFormat, '$#,##0');
+
+  // Weeks are the 7-day blocks ending on the latest archived day
+  const trends = spreadsheet.getSheetByName('Campaign Trends');
+  assert.deepStrictEqual(trends.dump(), [
+    ['Campaign', '2025-06-01', '2025-06-08', 'Cost Trend', 'WoW % Change'],
+    ['Brand', 50, 100, '=SPARKLINE(B2:C2)', 1],
+    ['Generic', 0, 20, '=SPARKLINE(B3:C3)', ''],
+    ['Total', 50, 120, '=SPARKLINE(B4:C4)', 1.4],
+    ['', '', '', '', ''],
+    ['Week Starting', 'Cost', 'WoW % Change', '', ''],
+    ['2025-06-01', 50, '', '', ''],
+    ['2025-06-08', 120, 1.4, '', '']
+  ]);
+  assert.strictEqual(trends.cell(2, 2).numberFormat, '$#,##0');
+  assert.strictEqual(trends.cell(4, 1).fontWeight, 'bold');
+  assert.deepStrictEqual(plain(trends.getCharts()), [
+    { chartType: 'COLUMN', ranges: ['A6:B8'], position: { row: 6, column: 5 }, options: { title: 'Cost per Week', legend: { position: 'none' } } }
+  ]);
+});
+
+test('re-exported days replace their archived rows, and days past RETENTION_DAYS are dropped', () => {
+  const archiveUrl = 'https://docs.google.com/spreadsheets/d/archive';
+  const daily = { rows: [dailyCampaignRow('2025-06-13', 'Brand', 10), dailyCampaignRow('2025-06-14', 'Brand', 20)] };
+  const script = loadHistoryExporter(daily);
+  script.eval(`CONFIG.HISTORY.SPREADSHEET_URL = '${archiveUrl}'; CONFIG.HISTORY.TREND_METRIC = 'roas'`);
+  const archive = script.spreadsheetApp.addSpreadsheet(archiveUrl);
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+
+  script.call('exportHistory', spreadsheet, PERIODS);
+  daily.rows = [dailyCampaignRow('2025-06-14', 'Brand', 25, { 'metrics.conversions_value': 900 })];
+  script.call('exportHistory', spreadsheet, PERIODS);
+
+  const history = archive.getSheetByName('Campaign History');
+  assert.deepStrictEqual(history.dump().map(row => [row[0], row[1], row[4], row[5]]), [
+    ['Date', 'Campaign', 'Cost', 'Total Conv. Value'],
+    ['2025-06-14', 'Brand', 25, 900],
+    ['2025-06-13', 'Brand', 10, 600]
+  ]);
+  assert.strictEqual(spreadsheet.getSheetByName('Campaign History'), null);
+  assert.deepStrictEqual(spreadsheet.getSheetByName('Campaign Trends').dump()[1].slice(0, 3), ['Brand', 0, 1500 / 35]);
+
+  script.eval('CONFIG.HISTORY.RETENTION_DAYS = 0');
+  script.call('exportHistory', spreadsheet, PERIODS);
+  assert.deepStrictEqual(history.dump().slice(1).map(row => row[0]), ['2025-06-14']);
+});
+
+test('history only runs when enabled and rejects tabs without one row per entity', () => {
+  const script = loadExporter();
+  script.call('main');
+  assert.strictEqual(script.adsApp.queriesMatching(/SELECT segments\.date, campaign\.name/).length, 0);
+  assert.strictEqual(script.spreadsheetApp.openByUrl(SHEET_URL).getSheetByName('Campaign Trends'), null);
+
+  script.eval("CONFIG.HISTORY.SHEET_NAMES = { SEARCH_QUERY_NGRAMS: 'N-gram History' }");
+  assert.throws(() => script.call('getHistoryTabKeys'),
+    /Cannot archive 'SEARCH_QUERY_NGRAMS' in CONFIG\.HISTORY\.SHEET_NAMES\. Use tabs with one row per entity: TOP_CAMPAIGNS, TOP_AD_GROUPS, TOP_SEARCH_QUERIES, TOP_LANDING_PAGES, TOP_COUNTRIES/);
+  script.eval("CONFIG.HISTORY.SHEET_NAMES = { TOP_CAMPAIGNS: 'Campaign History' }; CONFIG.HISTORY.TREND_METRIC = 'profit'");
+  assert.throws(() => script.call('exportHistory', script.spreadsheetApp.openByUrl(SHEET_URL), PERIODS), /Invalid CONFIG\.HISTORY\.TREND_METRIC: 'profit' is not one of: clicks, impressions/);
+});
+
+function loadOverviewExporter(countryRows) {
+  const script = loadExporter();
+  script.eval('CONFIG.OVERVIEW.TOP_COUNTRIES = 2');
+  script.adsApp
+    .addReport(/SELECT segments\.date, .* FROM customer WHERE segments\.date BETWEEN '2025-05-16'/, [
+      { 'segments.date': '2025-06-14', 'metrics.cost_micros': 60000000, 'metrics.conversions': 3, 'metrics.conversions_value': 300 },
+      { 'segments.date': '2025-06-13', 'metrics.cost_micros': 40000000, 'metrics.conversions': 2, 'metrics.conversions_value': 100 }
+    ])
+    .addReport(/SELECT segments\.date, .* FROM customer WHERE segments\.date BETWEEN '2025-04-16'/, [
+      { 'segments.date': '2025-05-01', 'metrics.cost_micros': 50000000, 'metrics.conversions': 5, 'metrics.conversions_value': 100 }
+    ])
+    .addReport(/FROM campaign WHERE/, [campaignRow('Brand'), campaignRow('Generic', { 'metrics.cost_micros': 50000000 })])
+    .addReport(/FROM geo_target_constant/, [
+      { 'geo_target_constant.id': '2840', 'geo_target_constant.name': 'United States' },
+      { 'geo_target_constant.id': '2826', 'geo_target_constant.name': 'United Kingdom' },
+      { 'geo_target_constant.id': '2276', 'geo_target_constant.name': 'Germany' }
+    ])
+    .addReport(/FROM geographic_view/, () => countryRows.rows);
+  return script;
+}
+
+const COUNTRY_ROWS = [
+  { 'geographic_view.country_criterion_id': '2826', 'metrics.cost_micros': '30000000' },
+  { 'geographic_view.country_criterion_id': '2840', 'metrics.cost_micros': '60000000' },
+  { 'geographic_view.country_criterion_id': '2276', 'metrics.cost_micros': '10000000' }
+];
+
+test('the Overview tab comes first with KPI tiles against the prior period and three charts', () => {
+  const script = loadOverviewExporter({ rows: COUNTRY_ROWS });
+
+  script.call('main');
+
+  const overview = script.spreadsheetApp.openByUrl(SHEET_URL).getSheetByName('Overview');
+  const rows = overview.dump();
+  assert.strictEqual(rows[0][0], 'Performance Overview');
+  assert.strictEqual(overview.cell(1, 1).fontSize, 16);
+  assert.match(rows[1][0], /^Last 30 Days \(2025-05-16 to 2025-06-14\) vs\. Previous Period/);
+  assert.deepStrictEqual(rows.slice(3, 7).map(row => row.slice(0, 4)), [
+    ['Cost', 'Conversions', 'CPA', 'ROAS'],
+    [100, 5, 20, 4],
+    [1, 0, 1, 1],
+    [50, 5, 10, 2]
+  ]);
+  assert.strictEqual(overview.cell(5, 1).numberFormat, '$#,##0');
+  assert.strictEqual(overview.cell(7, 3).numberFormat, '"Prior: "$#,##0');
+  // A higher CPA is a decline, like in the change columns
+  const cpaRules = overview.getConditionalFormatRules().filter(rule => rule.ranges[0].getRow() === 6 && rule.ranges[0].getColumn() === 3);
+  assert.deepStrictEqual(plain(cpaRules.map(rule => rule.fontColor)), ['#c0392b', '#27ae60']);
+
+  // The daily chart runs oldest first; countries past TOP_COUNTRIES are added up as Other
+  assert.deepStrictEqual(rows.slice(9, 12).map(row => row.slice(0, 3)), [['Date', 'Cost', 'Conv.'], ['2025-06-13', 40, 2], ['2025-06-14', 60, 3]]);
+  assert.deepStrictEqual(rows.slice(31, 34).map(row => row.slice(0, 2)), [['Campaign', 'Cost'], ['Brand', 150], ['Generic', 50]]);
+  assert.deepStrictEqual(rows.slice(53, 57).map(row => row.slice(0, 2)), [['Country', 'Cost'], ['United States', 60], ['United Kingdom', 30], ['Other', 10]]);
+  assert.deepStrictEqual(plain(overview.getCharts()).map(chart => [chart.chartType, chart.options.title, chart.ranges, chart.position]), [
+    ['LINE', 'Daily Cost and Conversions', ['A10:C12'], { row: 10, column: 5 }],
+    ['BAR', 'Top Campaigns by Cost', ['A32:B34'], { row: 32, column: 5 }],
+    ['PIE', 'Cost by Country', ['A54:B57'], { row: 54, column: 5 }]
+  ]);
+});
+
+test('the Overview sends no queries of its own when the tabs and the prior totals are already collected', () => {
+  const script = loadOverviewExporter({ rows: COUNTRY_ROWS });
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+  const tabData = {};
+  ['ACCOUNT_DAILY', 'TOP_CAMPAIGNS', 'TOP_COUNTRIES'].forEach(tabKey => { tabData[tabKey] = script.call('collectTabData', tabKey, PERIODS); });
+  const queryCount = script.adsApp.queries.length;
+
+  script.call('exportOverview', spreadsheet, tabData, PERIODS, { cost: 50, conversions: 5, convValue: 100 });
+
+  assert.strictEqual(script.adsApp.queries.length, queryCount);
+  assert.deepStrictEqual(spreadsheet.getSheetByName('Overview').dump()[6].slice(0, 4), [50, 5, 10, 2]);
+});
+
+test('the prior value prefix is added to every section of a number format', () => {
+  const script = loadExporter();
+
+  assert.strictEqual(script.call('prefixNumberFormat', 'Prior: ', '$#,##0.00;($#,##0.00)'), '"Prior: "$#,##0.00;"Prior: "($#,##0.00)');
+  assert.strictEqual(script.call('prefixNumberFormat', 'Prior: ', '#,##0;-#,##0;"n;a"'), '"Prior: "#,##0;"Prior: "-#,##0;"Prior: ""n;a"');
+});
+
+test('Overview charts are updated in place on the next run and hand-made charts are kept', () => {
+  const countries = { rows: COUNTRY_ROWS };
+  const script = loadOverviewExporter(countries);
+  script.call('main');
+  const spreadsheet = script.spreadsheetApp.openByUrl(SHEET_URL);
+  const overview = spreadsheet.getSheetByName('Overview');
+  overview.insertChart(overview.newChart().setChartType('COLUMN').setOption('title', 'My Chart').build());
+
+  countries.rows = [];
+  script.eval('CONFIG.OVERVIEW.TOP_CAMPAIGNS = 1');
+  script.call('main');
+
+  assert.deepStrictEqual(plain(overview.getCharts()).map(chart => [chart.options.title, chart.ranges]), [
+    ['Daily Cost and Conversions', ['A10:C12']],
+    ['Top Campaigns by Cost', ['A32:B33']],
+    ['My Chart', []]
+  ]);
+  assert.strictEqual(overview.dump()[54][0], 'Cost by Country: no data for the selected date range.');
+  assert.strictEqual(spreadsheet.getSheets()[0].getName(), 'Overview');
+
+  const disabled = loadExporter();
+  disabled.eval('CONFIG.OVERVIEW.ENABLED = false');
+  disabled.call('main');
+  assert.strictEqual(disabled.spreadsheetApp.openByUrl(SHEET_URL).getSheetByName('Overview'), null);
+});
+
+test('the first run adds a Settings tab with the CONFIG values and dropdowns', () => {
+  const script = loadExporter();
+  script.eval(`CONFIG.EMAIL_RECIPIENTS = 'team@example.com'`);
+
+  script.call('main');
+
+  const sheet = script.spreadsheetApp.openByUrl(SHEET_URL).getSheetByName('Settings');
+  const rows = sheet.dump();
+  assert.deepStrictEqual(rows[0], ['Setting', 'Value', 'Description']);
+  const values = Object.fromEntries(rows.slice(1).map(row => [row[0], row[1]]));
+  assert.strictEqual(values['Email Recipients'], 'team@example.com');
+  assert.strictEqual(values['Date Range'], 'LAST_30_DAYS');
+  assert.strictEqual(values['Export Top Countries'], 'TRUE');
+  assert.strictEqual(values['N-gram Minimum Cost'], 10);
+  const comparisonRow = rows.findIndex(row => row[0] === 'Comparison') + 1;
+  assert.deepStrictEqual(plain(sheet.getRange(comparisonRow, 2).getDataValidation()), {
+    allowInvalid: false, showDropdown: true, criteria: 'VALUE_IN_LIST', values: ['PREVIOUS_PERIOD', 'SAME_PERIOD_LAST_MONTH', 'SAME_PERIOD_LAST_YEAR']
+  });
+  assert.strictEqual(sheet.getRange(rows.findIndex(row => row[0] === 'Date Range') + 1, 2).getDataValidation(), null);
+});
+
+test('Settings tab values override CONFIG and empty values keep it', () => {
+  const script = loadExporter();
+  script.eval(`CONFIG.EMAIL_RECIPIENTS = 'team@example.com'`);
+  addSettingsTab(script, [
+    ['Email Recipients', 'client@example.com, boss@example.com'],
+    ['Date Range', '2025-06-01 to 2025-06-07'],
+    ['Comparison', 'SAME_PERIOD_LAST_YEAR'],
+    ['Export Top Landing Pages', false],
+    ['Export Top Countries', 'false'],
+    ['N-gram Minimum Cost', ''],
+    ['', '']
+  ]);
+
+  script.call('main');
+
+  assert.ok(script.adsApp.queriesMatching(/segments\.date BETWEEN '2024-06-01' AND '2024-06-07'/).length > 0);
+  assert.strictEqual(script.adsApp.queriesMatching(/landing_page_view.*2025-06-01/).length, 0);
+  const spreadsheet = script.spreadsheetApp.openByUrl(SHEET_URL);
+  assert.strictEqual(spreadsheet.getSheetByName('Top Landing Pages'), null);
+  assert.strictEqual(spreadsheet.getSheetByName('Top Countries'), null);
+  assert.strictEqual(script.eval('CONFIG.NGRAMS.MIN_COST'), 10);
+  assert.strictEqual(script.mailApp.sent[0].to, 'client@example.com,boss@example.com');
+  assert.ok(script.logger.messages.includes("Loaded 5 settings from the 'Settings' tab."));
+});
+
+test('an invalid Settings tab stops the run and lists every problem', () => {
+  const script = loadExporter();
+  addSettingsTab(script, [
+    ['Email Recipients', 'team@example'],
+    ['Date Range', 'LAST_WEEK'],
+    ['Comparison', 'LAST_YEAR'],
+    ['N-gram Minimum Cost', 'ten'],
+    ['Send Email', 'yes'],
+    ['Currency', 'euro'],
+    ['Colour', 'blue']
+  ]);
+
+  assert.throws(() => script.call('main'), error => {
+    assert.strictEqual(error.message, [
+      "The 'Settings' tab has 7 invalid row(s):",
+      "Row 2 (Email Recipients): 'team@example' is not a valid email address.",
+      "Row 3 (Date Range): Invalid CONFIG.DATE_RANGE 'LAST_WEEK'. Use one of: TODAY, YESTERDAY, LAST_7_DAYS, LAST_14_DAYS, LAST_30_DAYS, THIS_MONTH, LAST_MONTH, LAST_N_DAYS:<n> or { start, end }",
+      "Row 4 (Comparison): 'LAST_YEAR' is not one of: PREVIOUS_PERIOD, SAME_PERIOD_LAST_MONTH, SAME_PERIOD_LAST_YEAR.",
+      "Row 5 (N-gram Minimum Cost): 'ten' is not a number.",
+      "Row 6 (Send Email): 'yes' is not TRUE or FALSE.",
+      "Row 7 (Currency): 'euro' is not a three-letter currency code such as 'USD' or 'EUR'.",
+      'Row 8 (Colour): unknown setting. Check the spelling, or delete the row.'
+    ].join('\n'));
+    return true;
+  });
+  assert.strictEqual(script.adsApp.queries.length, 0);
+});
+
+const MANAGED_ACCOUNTS = [
+  { customerId: '111-111-1111', name: 'Shoes', labels: ['Dashboard'] },
+  { customerId: '222-222-2222', name: 'Hats', labels: ['Dashboard'] },
+  { customerId: '333-333-3333', name: 'Archive', labels: [] }
+];
+
+function loadManagerExporter(accounts = MANAGED_ACCOUNTS) {
+  const script = loadScript('performance-dashboard-exporter.js', {
+    now: '2025-06-15T12:00:00Z',
+    account: { name: 'Agency MCC', customerId: '999-999-9999' },
+    managedAccounts: accounts
+  });
+  script.eval(`CONFIG.SPREADSHEET_URL = '${SHEET_URL}'`);
+  script.eval(`CONFIG.EMAIL_RECIPIENTS = 'team@example.com'`);
+  script.eval(`CONFIG.MCC.ENABLED = true`);
+  script.eval(`CONFIG.MCC.ACCOUNT_LABEL = 'Dashboard'`);
+  script.spreadsheetApp.addSpreadsheet(SHEET_URL);
+  const apps = script.adsManagerApp.accountApps;
+  apps['111-111-1111'].addReport(/SELECT metrics\.cost_micros FROM customer/, [{ 'metrics.cost_micros': 100000000 }]);
+  apps['111-111-1111'].addReport(/FROM campaign WHERE/, [campaignRow('Shoes Brand')]);
+  apps['111-111-1111'].addReport(/FROM customer WHERE/, [{ 'segments.date': '2025-06-14', 'metrics.clicks': 100, 'metrics.impressions': 2000, 'metrics.cost_micros': 150000000, 'metrics.conversions_value': 600, 'metrics.conversions': 10, 'metrics.all_conversions': 12 }]);
+  apps['222-222-2222'].addReport(/SELECT metrics\.cost_micros FROM customer/, []);
+  apps['222-222-2222'].addReport(/FROM campaign WHERE/, [campaignRow('Hats Brand', { 'metrics.cost_micros': 400000000 })]);
+  apps['222-222-2222'].addReport(/FROM customer WHERE/, [{ 'segments.date': '2025-06-14', 'metrics.clicks': 50, 'metrics.impressions': 1000, 'metrics.cost_micros': 400000000, 'metrics.conversions_value': 800, 'metrics.conversions': 5, 'metrics.all_conversions': 5 }]);
+  return script;
+}
+
+test('MCC consolidated mode writes every labelled account to one workbook with an Account column', () => {
+  const script = loadManagerExporter();
+
+  script.call('main');
+
+  assert.deepStrictEqual(plain(script.adsManagerApp.executions), [['111-111-1111', '222-222-2222']]);
+  assert.strictEqual(script.adsManagerApp.accountApps['333-333-3333'].queries.length, 0);
+  const spreadsheet = script.spreadsheetApp.openByUrl(SHEET_URL);
+  const campaigns = spreadsheet.getSheetByName('Top Campaigns').dump();
+  assert.deepStrictEqual(campaigns[0].slice(0, 3), ['Account', 'Campaign', 'Clicks']);
+  assert.deepStrictEqual(campaigns.slice(1, 3).map(row => row.slice(0, 2)), [['Shoes', 'Shoes Brand'], ['Hats', 'Hats Brand']]);
+  assert.strictEqual(campaigns[3][0], 'Total');
+  assert.strictEqual(campaigns[3][2], '=SUM(C2:C3)');
+  assert.ok(spreadsheet.getSheetByName('_MCC Export State').isSheetHidden());
+});
+
+test('MCC consolidated mode keeps the first row of tabs without a totals row', () => {
+  const script = loadManagerExporter();
+  script.eval('CONFIG.NGRAMS.SIZES = [1]');
+  script.adsManagerApp.accountApps['111-111-1111'].addReport(/FROM search_term_view WHERE/, [searchTermRow('running shoes')]);
+
+  script.call('main');
+
+  const ngrams = script.spreadsheetApp.openByUrl(SHEET_URL).getSheetByName('Search Query N-grams').dump();
+  assert.deepStrictEqual(ngrams.map(row => row.slice(0, 3)), [['Account', 'Words', 'N-gram'], ['Shoes', 1, 'running'], ['Shoes', 1, 'shoes']]);
+});
+
+test('MCC mode escapes quotes and backslashes in the account label', () => {
+  const label = "Client's \\ Dashboard\\";
+  const script = loadManagerExporter([
+    { customerId: '111-111-1111', name: 'Shoes', labels: [label] },
+    { customerId: '222-222-2222', name: 'Hats', labels: ['Dashboard'] }
+  ]);
+  script.eval(`CONFIG.MCC.ACCOUNT_LABEL = ${JSON.stringify(label)}`);
+
+  script.call('main');
+
+  assert.deepStrictEqual(plain(script.adsManagerApp.executions), [['111-111-1111']]);
+});
+
+test('MCC mode compares accounts by cost and sends a single roll-up email', () => {
+  const script = loadManagerExporter();
+
+  script.call('main');
+
+  const comparison = script.spreadsheetApp.openByUrl(SHEET_URL).getSheetByName('Account Comparison').dump();
+  assert.deepStrictEqual(comparison[0].slice(0, 4), ['Account', 'Customer ID', 'Status', 'Clicks']);
+  assert.deepStrictEqual(comparison.slice(1, 3).map(row => row.slice(0, 3)), [['Hats', '222-222-2222', 'OK'], ['Shoes', '111-111-1111', 'OK']]);
+  assert.deepStrictEqual(comparison[2].slice(-3), [100, 50, 0.5]);
+  assert.strictEqual(script.mailApp.sent.length, 1);
+  assert.match(script.mailApp.sent[0].subject, /\[Agency MCC\] .*\(2 accounts\)/);
+  assert.match(script.mailApp.sent[0].body, /Shoes \(111-111-1111\)/);
+});
+
+test('MCC mode exports ACCOUNTS_PER_RUN accounts per run and finishes the cycle on the last batch', () => {
+  const script = loadManagerExporter();
+  script.eval('CONFIG.MCC.ACCOUNTS_PER_RUN = 1');
+  const campaignRows = () => script.spreadsheetApp.openByUrl(SHEET_URL).getSheetByName('Top Campaigns').dump().slice(1).map(row => row[0]);
+
+  const spreadsheet = script.spreadsheetApp.openByUrl(SHEET_URL);
+  const stagedRows = () => spreadsheet.getSheetByName('_Staging Top Campaigns').dump().slice(1).map(row => row[0]);
+
+  script.call('main');
+  assert.deepStrictEqual(campaignRows(), []);
+  assert.deepStrictEqual(stagedRows(), ['Shoes']);
+  assert.ok(spreadsheet.getSheetByName('_Staging Top Campaigns').isSheetHidden());
+  assert.strictEqual(script.mailApp.sent.length, 0);
+
+  script.call('main');
+  assert.deepStrictEqual(campaignRows(), ['Shoes', 'Hats', 'Total']);
+  assert.strictEqual(spreadsheet.getSheetByName('_Staging Top Campaigns'), null);
+  assert.strictEqual(script.mailApp.sent.length, 1);
+
+  // The next cycle is staged while the tab keeps the last complete one
+  script.call('main');
+  assert.deepStrictEqual(campaignRows(), ['Shoes', 'Hats', 'Total']);
+  assert.deepStrictEqual(stagedRows(), ['Shoes']);
+  assert.deepStrictEqual(plain(script.adsManagerApp.executions), [['111-111-1111'], ['222-222-2222'], ['111-111-1111']]);
+});
+
+test('MCC per-account mode creates a spreadsheet once per account and reuses it', () => {
+  const script = loadManagerExporter();
+  const shoesUrl = 'https://docs.google.com/spreadsheets/d/shoes';
+  script.spreadsheetApp.addSpreadsheet(shoesUrl);
+  script.eval(`CONFIG.MCC.OUTPUT = 'PER_ACCOUNT'`);
+  script.eval(`CONFIG.MCC.ACCOUNT_SPREADSHEETS = { '111-111-1111': '${shoesUrl}' }`);
+
+  script.call('main');
+  script.call('main');
+
+  const shoes = script.spreadsheetApp.openByUrl(shoesUrl).getSheetByName('Top Campaigns').dump();
+  assert.deepStrictEqual(shoes[0].slice(0, 2), ['Campaign', 'Clicks']);
+  assert.strictEqual(shoes[1][0], 'Shoes Brand');
+  const created = script.spreadsheetApp.openByUrl('https://docs.google.com/spreadsheets/d/fake-1');
+  assert.match(created.getName(), /Hats \(222-222-2222\)/);
+  assert.strictEqual(created.getSheetByName('Top Campaigns').dump()[1][0], 'Hats Brand');
+  assert.throws(() => script.spreadsheetApp.openByUrl('https://docs.google.com/spreadsheets/d/fake-2'));
+  assert.strictEqual(script.spreadsheetApp.openByUrl(SHEET_URL).getSheetByName('Top Campaigns'), null);
+  assert.match(script.mailApp.sent[0].htmlBody, new RegExp(`href="${shoesUrl}"`));
+});
+
+test('MCC mode records failed accounts and still completes the cycle', () => {
+  const accounts = MANAGED_ACCOUNTS.map(account => account.customerId === '222-222-2222' ? Object.assign({ status: 'TIMEOUT' }, account) : account);
+  const script = loadManagerExporter(accounts);
+
+  script.call('main');
+
+  const comparison = script.spreadsheetApp.openByUrl(SHEET_URL).getSheetByName('Account Comparison').dump();
+  assert.deepStrictEqual(comparison.slice(1, 3).map(row => row.slice(0, 3)), [['Shoes', '111-111-1111', 'OK'], ['Hats', '222-222-2222', 'TIMEOUT']]);
+  assert.match(script.mailApp.sent[0].body, /1 account\(s\) could not be exported/);
+  assert.ok(script.logger.messages.some(message => /Export failed for Hats \(222-222-2222\): TIMEOUT/.test(message)));
+});
+
+test('MCC mode converts accounts in other currencies to the reporting currency', () => {
+  const accounts = MANAGED_ACCOUNTS.map(account => account.customerId === '222-222-2222' ? Object.assign({ currencyCode: 'GBP' }, account) : account);
+  const script = loadManagerExporter(accounts);
+  script.eval(`CONFIG.MCC.REPORTING_CURRENCY = 'USD'`);
+  script.eval(`CONFIG.MCC.EXCHANGE_RATES = { GBP: 1.25 }`);
+
+  script.call('main');
+
+  const spreadsheet = script.spreadsheetApp.openByUrl(SHEET_URL);
+  const comparison = spreadsheet.getSheetByName('Account Comparison').dump();
+  assert.deepStrictEqual(comparison.slice(1, 3).map(row => [row[0], row[7]]), [['Hats', 500], ['Shoes', 150]]);
+  const campaigns = spreadsheet.getSheetByName('Top Campaigns').dump();
+  assert.deepStrictEqual(campaigns[2].slice(0, 7), ['Hats', 'Hats Brand', 100, 2000, 0.05, 5, 500]);
+  assert.match(script.mailApp.sent[0].body, /^Total\s+\$650\.00\s+\$100\.00/m);
+  assert.ok(script.logger.messages.includes('Hats: converted GBP to USD at 1.25.'));
+});
+
+test('MCC mode stops before exporting when an exchange rate is missing', () => {
+  const accounts = MANAGED_ACCOUNTS.map(account => account.customerId === '222-222-2222' ? Object.assign({ currencyCode: 'GBP' }, account) : account);
+  const script = loadManagerExporter(accounts);
+  script.eval(`CONFIG.MCC.REPORTING_CURRENCY = 'EUR'`);
+  script.eval(`CONFIG.MCC.EXCHANGE_RATES = { USD: 0.9 }`);
+
+  assert.throws(() => script.call('main'), /No exchange rate to EUR for GBP\. Add it to CONFIG\.MCC\.EXCHANGE_RATES\./);
+  assert.strictEqual(script.adsManagerApp.executions.length, 0);
+});
+
+test('MCC mode applies the roll-up workbook settings in every client account', () => {
+  const script = loadManagerExporter();
+  addSettingsTab(script, [['Export Top Campaigns', 'FALSE'], ['Date Range', 'LAST_7_DAYS']]);
+
+  script.call('main');
+
+  const spreadsheet = script.spreadsheetApp.openByUrl(SHEET_URL);
+  assert.strictEqual(spreadsheet.getSheetByName('Top Campaigns'), null);
+  ['111-111-1111', '222-222-2222'].forEach(customerId => {
+    const accountApp = script.adsManagerApp.accountApps[customerId];
+    assert.strictEqual(accountApp.queriesMatching(/SELECT campaign\.name, metrics/).length, 0);
+    assert.ok(accountApp.queriesMatching(/BETWEEN '2025-06-08' AND '2025-06-14'/).length > 0);
+  });
+});
+
+test('MCC mode outside a manager account fails with a clear error', () => {
+  const script = loadExporter();
+  script.eval('CONFIG.MCC.ENABLED = true');
+
+  assert.throws(() => script.call('main'), /not running in a manager account/);
+});
+
+function searchTermRow(term, overrides) {
+  return Object.assign({
+    'search_term_view.search_term': term,
+    'campaign.name': 'Generic',
+    'metrics.clicks': 10,
+    'metrics.impressions': 100,
+    'metrics.cost_micros': 20000000,
+    'metrics.conversions_value': 0,
+    'metrics.conversions': 0
+  }, overrides);
+}
+
+test('getNgrams returns distinct 1- to 3-word phrases without stop-word-only phrases', () => {
+  const script = loadExporter();
+
+  assert.deepStrictEqual(plain(script.call('getNgrams', 'Shoes for  Running shoes')), [
+    'shoes', 'running', 'shoes for', 'for running', 'running shoes', 'shoes for running', 'for running shoes'
+  ]);
+  script.eval('CONFIG.NGRAMS.SIZES = [2]');
+  assert.deepStrictEqual(plain(script.call('getNgrams', 'the best of the')), ['the best', 'best of']);
+});
+
+test('Search Query N-grams tab aggregates search terms per n-gram with CPA and ROAS', () => {
+  const script = loadExporter();
+  script.eval('CONFIG.NGRAMS.SIZES = [1, 2]');
+  script.adsApp.addReport(/FROM search_term_view WHERE/, [
+    searchTermRow('red running shoes', { 'metrics.conversions': 2, 'metrics.conversions_value': 80 }),
+    searchTermRow('blue running shoes'),
+    searchTermRow('free shoes', { 'metrics.cost_micros': 5000000 })
+  ]);
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+
+  script.call('exportTab', spreadsheet, 'SEARCH_QUERY_NGRAMS', {}, PERIODS);
+
+  const rows = spreadsheet.getSheetByName('Search Query N-grams').dump();
+  assert.deepStrictEqual(rows[0], ['Words', 'N-gram', 'Clicks', 'Impr.', 'Cost', 'Conv.', 'Cost / Conv.', 'Total Conv. Value', 'Conv. Value / Cost', 'Conv. Rate']);
+  assert.deepStrictEqual(rows[1], [1, 'shoes', 30, 300, 45, 2, 22.5, 80, 80 / 45, 2 / 30]);
+  assert.deepStrictEqual(rows[2], [1, 'running', 20, 200, 40, 2, 20, 80, 2, 0.1]);
+  assert.deepStrictEqual(rows[3].slice(0, 5), [2, 'running shoes', 20, 200, 40]);
+  // Below MIN_COST ($10): 'free', 'free shoes'. No totals row, since n-grams overlap
+  assert.deepStrictEqual(rows.slice(4).map(row => row[1]), ['red', 'red running', 'blue', 'blue running']);
+  const [query] = script.adsApp.queriesMatching(/FROM search_term_view WHERE/);
+  assert.match(query, /^SELECT search_term_view\.search_term, metrics\.clicks/);
+});
+
+test('Search Query N-grams can be broken down per campaign', () => {
+  const script = loadExporter();
+  script.eval('CONFIG.NGRAMS.SIZES = [1]; CONFIG.NGRAMS.PER_CAMPAIGN = true; CONFIG.NGRAMS.MIN_COST = 0');
+  script.adsApp.addReport(/FROM search_term_view WHERE/, [
+    searchTermRow('shoes'),
+    searchTermRow('shoes', { 'campaign.name': 'Brand', 'metrics.cost_micros': 30000000 })
+  ]);
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+
+  script.call('exportTab', spreadsheet, 'SEARCH_QUERY_NGRAMS', {}, PERIODS);
+
+  const rows = spreadsheet.getSheetByName('Search Query N-grams').dump();
+  assert.deepStrictEqual(rows.map(row => row.slice(0, 3)), [['Campaign', 'Words', 'N-gram'], ['Brand', 1, 'shoes'], ['Generic', 1, 'shoes']]);
+  assert.match(script.adsApp.queries[0], /^SELECT campaign\.name, search_term_view\.search_term/);
+});
+
+test('Shopping Products tab joins the product type levels and has a totals row', () => {
+  const script = loadExporter();
+  script.eval('CONFIG.ENABLED_TABS.SHOPPING_PRODUCTS = true');
+  script.adsApp.addReport(/FROM shopping_performance_view/, [
+    campaignRow('Shopping', { 'segments.product_item_id': 'sku-1', 'segments.product_title': 'Red Shoe', 'segments.product_brand': 'Acme',
+      'segments.product_type_l1': 'Apparel', 'segments.product_type_l2': 'Shoes', 'segments.product_type_l3': '' }),
+    campaignRow('Shopping', { 'segments.product_item_id': 'sku-2', 'segments.product_title': 'Blue Hat', 'segments.product_brand': 'Acme',
+      'segments.product_type_l1': 'Apparel', 'metrics.cost_micros': 50000000 })
+  ]);
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+
+  script.call('exportTab', spreadsheet, 'SHOPPING_PRODUCTS', {}, PERIODS);
+
+  const sheet = spreadsheet.getSheetByName('Shopping Products');
+  const rows = sheet.dump();
+  assert.deepStrictEqual(rows.slice(0, 3).map(row => row.slice(0, 5)), [
+    ['Item ID', 'Product', 'Brand', 'Product Type', 'Clicks'],
+    ['sku-1', 'Red Shoe', 'Acme', 'Apparel > Shoes', 100],
+    ['sku-2', 'Blue Hat', 'Acme', 'Apparel', 100]
+  ]);
+  assert.deepStrictEqual(rows[3].slice(0, 6), ['Total', '', '', '', '=SUM(E2:E3)', '=SUM(F2:F3)']);
+  assert.strictEqual(sheet.cell(2, 9).numberFormat, '$#,##0');
+  const [query] = script.adsApp.queriesMatching(/FROM shopping_performance_view/);
+  assert.match(query, /^SELECT segments\.product_item_id, segments\.product_title, segments\.product_brand, segments\.product_type_l1, segments\.product_type_l2, segments\.product_type_l3, metrics\.clicks/);
+});
+
+test('the Shopping, Performance Max and RSA tabs are off by default', () => {
+  const script = loadExporter();
+  script.call('main');
+
+  const names = script.spreadsheetApp.openByUrl(SHEET_URL).getSheets().map(sheet => sheet.getName());
+  ['Shopping Products', 'PMax Asset Groups', 'PMax Search Categories', 'RSA Assets'].forEach(name => assert.ok(names.indexOf(name) === -1, name));
+});
+
+test('PMax Asset Groups tab only queries Performance Max asset groups with spend', () => {
+  const script = loadExporter();
+  script.adsApp.addReport(/FROM asset_group/, [
+    campaignRow('PMax', { 'asset_group.name': 'Shoes', 'asset_group.ad_strength': 'GOOD' })
+  ]);
+  const spreadsheet = script.call('getOrCreateSpreadsheet', SHEET_URL, ['PMax Asset Groups']);
+
+  script.call('exportTab', spreadsheet, 'PMAX_ASSET_GROUPS', {}, PERIODS);
+
+  const rows = spreadsheet.getSheetByName('PMax Asset Groups').dump();
+  assert.deepStrictEqual(rows.map(row => row.slice(0, 4)), [['Campaign', 'Asset Group', 'Ad Strength', 'Clicks'], ['PMax', 'Shoes', 'GOOD', 100], ['Total', '', '', '=SUM(D2:D2)']]);
+  const [query] = script.adsApp.queriesMatching(/FROM asset_group/);
+  assert.match(query, /campaign\.advertising_channel_type = 'PERFORMANCE_MAX' AND asset_group\.status != 'REMOVED' AND metrics\.cost_micros > 0/);
+});
+
+test('PMax Search Categories tab queries the search term insights once per filtered Performance Max campaign', () => {
+  const script = loadExporter();
+  script.eval("CONFIG.CAMPAIGN_FILTER.EXCLUDE.NAME_REGEX = '(?i)brand'");
+  script.adsApp
+    .addReport(/SELECT campaign\.id, campaign\.name FROM campaign/, [{ 'campaign.id': '111', 'campaign.name': 'PMax Shoes' }, { 'campaign.id': '222', 'campaign.name': 'PMax Hats' }])
+    .addReport(/campaign_id = 111/, [
+      { 'campaign_search_term_insight.category_label': 'running shoes', 'metrics.clicks': 5, 'metrics.impressions': 50, 'metrics.conversions': 1 },
+      { 'campaign_search_term_insight.category_label': '', 'metrics.clicks': 1, 'metrics.impressions': 10 },
+      { 'campaign_search_term_insight.category_label': 'no impressions', 'metrics.clicks': 0, 'metrics.impressions': 0 }
+    ])
+    .addReport(/campaign_id = 222/, [{ 'campaign_search_term_insight.category_label': 'sun hats', 'metrics.clicks': 20, 'metrics.impressions': 100 }]);
+  const spreadsheet = script.call('getOrCreateSpreadsheet', SHEET_URL, ['PMax Search Categories']);
+
+  script.call('exportTab', spreadsheet, 'PMAX_SEARCH_CATEGORIES', {}, PERIODS);
+
+  const rows = spreadsheet.getSheetByName('PMax Search Categories').dump();
+  assert.deepStrictEqual(rows[0], ['Campaign', 'Search Category', 'Clicks', 'Impr.', 'CTR', 'Conv.', 'Total Conv. Value', 'Conv. Rate']);
+  assert.deepStrictEqual(rows.slice(1).map(row => row.slice(0, 3)), [
+    ['PMax Hats', 'sun hats', 20],
+    ['PMax Shoes', 'running shoes', 5],
+    ['PMax Shoes', '(Uncategorized)', 1],
+    ['Total', '', '=SUM(C2:C4)']
+  ]);
+
+  const [campaignQuery] = script.adsApp.queriesMatching(/FROM campaign WHERE/);
+  assert.match(campaignQuery, /campaign\.advertising_channel_type = 'PERFORMANCE_MAX' AND campaign\.name NOT REGEXP_MATCH '\(\?i\)brand'/);
+  const insightQueries = script.adsApp.queriesMatching(/FROM campaign_search_term_insight/);
+  assert.strictEqual(insightQueries.length, 2);
+  assert.match(insightQueries[0], /^SELECT campaign_search_term_insight\.category_label, metrics\.clicks, metrics\.impressions, metrics\.conversions, metrics\.conversions_value FROM campaign_search_term_insight WHERE segments\.date BETWEEN '2025-05-16' AND '2025-06-14' AND campaign_search_term_insight\.campaign_id = 111$/);
+  // Insights have no date segment to archive
+  script.eval("CONFIG.HISTORY.SHEET_NAMES = { PMAX_SEARCH_CATEGORIES: 'History' }");
+  assert.throws(() => script.call('getHistoryTabKeys'), /Cannot archive 'PMAX_SEARCH_CATEGORIES'/);
+});
+
+test('RSA Assets tab lists headlines and descriptions with their performance label and no totals row', () => {
+  const script = loadExporter();
+  script.adsApp.addReport(/FROM ad_group_ad_asset_view/, [
+    campaignRow('Search', { 'ad_group.name': 'Shoes', 'ad_group_ad_asset_view.field_type': 'HEADLINE', 'asset.text_asset.text': 'Buy Shoes', 'ad_group_ad_asset_view.performance_label': 'BEST' }),
+    campaignRow('Search', { 'ad_group.name': 'Shoes', 'ad_group_ad_asset_view.field_type': 'DESCRIPTION', 'asset.text_asset.text': 'Free delivery', 'ad_group_ad_asset_view.performance_label': 'LOW', 'metrics.impressions': 5000 })
+  ]);
+  const spreadsheet = script.call('getOrCreateSpreadsheet', SHEET_URL, ['RSA Assets']);
+
+  script.call('exportTab', spreadsheet, 'RSA_ASSETS', {}, PERIODS);
+
+  const rows = spreadsheet.getSheetByName('RSA Assets').dump();
+  assert.deepStrictEqual(rows.map(row => row.slice(0, 7)), [
+    ['Campaign', 'Ad Group', 'Asset Type', 'Asset Text', 'Performance Label', 'Clicks', 'Impr.'],
+    ['Search', 'Shoes', 'DESCRIPTION', 'Free delivery', 'LOW', 100, 5000],
+    ['Search', 'Shoes', 'HEADLINE', 'Buy Shoes', 'BEST', 100, 2000]
+  ]);
+  const [query] = script.adsApp.queriesMatching(/FROM ad_group_ad_asset_view/);
+  assert.match(query, /ad_group_ad\.ad\.type = 'RESPONSIVE_SEARCH_AD' AND ad_group_ad_asset_view\.field_type IN \('HEADLINE', 'DESCRIPTION'\)/);
+});
+
+test('the Devices tab breaks the account and selected campaigns down by device with a suggested bid modifier', () => {
+  const script = loadExporter();
+  script.eval("CONFIG.BREAKDOWNS.CAMPAIGNS = ['Generic']; CONFIG.BREAKDOWNS.MIN_CLICKS = 50");
+  script.adsApp.addReport(/SELECT campaign\.name, segments\.device/, [
+    campaignRow('Generic', { 'segments.device': 'MOBILE', 'metrics.cost_micros': 140000000, 'metrics.conversions_value': 140 }),
+    campaignRow('Generic', { 'segments.device': 'DESKTOP', 'metrics.cost_micros': 160000000, 'metrics.conversions_value': 480 }),
+    campaignRow('Brand', { 'segments.device': 'DESKTOP', 'metrics.clicks': 40, 'metrics.conversions_value': 900 })
+  ]);
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+
+  script.call('exportBreakdowns', spreadsheet, PERIODS);
+
+  const sheet = spreadsheet.getSheetByName('Devices');
+  const rows = sheet.dump();
+  assert.deepStrictEqual(rows[0], ['Campaign', 'Device', 'Clicks', 'Impr.', 'CTR', 'Avg. CPC', 'Cost', 'Conv.', 'Conv. Rate', 'Cost / Conv.', 'Total Conv. Value', 'Conv. Value / Cost', 'Suggested Bid Modifier']);
+  // All Campaigns ROAS is 1520 / 450: desktop (1380 / 310) is 32% better, mobile (1 vs. 3.38) is capped at -50%.
+  // Generic ROAS is 2.07: desktop 3 (+45%), mobile 1 (-50%). Brand is not selected on its own.
+  assert.deepStrictEqual(rows.slice(1).map(row => [row[0], row[1], row[2], row[12]]), [
+    ['All Campaigns', 'DESKTOP', 140, 0.32],
+    ['All Campaigns', 'MOBILE', 100, -0.5],
+    ['Generic', 'DESKTOP', 100, 0.45],
+    ['Generic', 'MOBILE', 100, -0.5]
+  ]);
+  assert.strictEqual(sheet.cell(2, 13).numberFormat, '+0%;-0%;0%');
+  assert.strictEqual(sheet.getConditionalFormatRules().filter(rule => rule.ranges[0].getColumn() === 13).length, 2);
+});
+
+test('the Day & Hour tab has a 7x24 heatmap and bid modifier matrix per scope', () => {
+  const script = loadExporter();
+  script.eval("CONFIG.BREAKDOWNS.MODIFIER_METRIC = 'costPerConv'; CONFIG.BREAKDOWNS.MIN_CLICKS = 10");
+  script.adsApp.addReport(/SELECT campaign\.name, segments\.day_of_week, segments\.hour/, [
+    campaignRow('Generic', { 'segments.day_of_week': 'MONDAY', 'segments.hour': 9, 'metrics.cost_micros': 100000000, 'metrics.conversions': 10 }),
+    campaignRow('Generic', { 'segments.day_of_week': 'MONDAY', 'segments.hour': 9, 'metrics.cost_micros': 100000000, 'metrics.conversions': 10 }),
+    campaignRow('Generic', { 'segments.day_of_week': 'SUNDAY', 'segments.hour': 23, 'metrics.cost_micros': 100000000, 'metrics.conversions': 0 }),
+    campaignRow('Generic', { 'segments.day_of_week': 'TUESDAY', 'segments.hour': '0', 'metrics.clicks': 5, 'metrics.cost_micros': 10000000, 'metrics.conversions': 1 })
+  ]);
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+
+  script.call('exportBreakdowns', spreadsheet, PERIODS);
+
+  const sheet = spreadsheet.getSheetByName('Day & Hour');
+  const rows = sheet.dump();
+  // Average CPA: $310 / 21 conversions
+  assert.strictEqual(rows[0][0], 'All Campaigns: Cost / Conv. by Day and Hour (average $14.76)');
+  assert.deepStrictEqual([rows[1][0], rows[1][1], rows[1][24]], ['Day', '0:00', '23:00']);
+  assert.deepStrictEqual(rows.slice(2, 9).map(row => row[0]), ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']);
+  assert.deepStrictEqual([rows[2][10], rows[3][1], rows[8][24], rows[4][5]], [10, 10, 0, '']);
+  assert.strictEqual(sheet.cell(3, 11).numberFormat, '$#,##0');
+
+  // A CPA of 10 against 14.76 is +48%; no conversions is the worst case; Tuesday has too few clicks
+  assert.strictEqual(rows[10][0], 'All Campaigns: Suggested Bid Modifier');
+  assert.deepStrictEqual([rows[12][10], rows[18][24], rows[13][1]], [0.48, -0.5, '']);
+  assert.strictEqual(rows.length, 19);
+
+  const rules = plain(sheet.getConditionalFormatRules().map(rule => rule.gradient));
+  assert.deepStrictEqual(rules, [
+    { min: '#57bb8a', mid: ['#ffffff', 'PERCENTILE', '50'], max: '#e67c73' },
+    { min: '#e67c73', mid: ['#ffffff', 'NUMBER', '0'], max: '#57bb8a' }
+  ]);
+});
+
+test('breakdowns only run when enabled and reject an unknown bid modifier metric', () => {
+  const script = loadExporter();
+  script.call('main');
+  assert.strictEqual(script.adsApp.queriesMatching(/segments\.device|segments\.hour/).length, 0);
+
+  script.eval("CONFIG.BREAKDOWNS.MODIFIER_METRIC = 'profit'");
+  assert.throws(() => script.call('exportBreakdowns', script.spreadsheetApp.openByUrl(SHEET_URL), PERIODS), /Invalid CONFIG\.BREAKDOWNS\.MODIFIER_METRIC: 'profit' is not one of/);
+});
+
+function loadRulesExporter(rules) {
+  const script = loadExporter();
+  const sheet = script.spreadsheetApp.openByUrl(SHEET_URL).insertSheet('Rules');
+  sheet.getRange(1, 1, rules.length + 1, 7).setValues([['Enabled', 'Rule', 'Level', 'Conditions', 'Lookback Days', 'Action', 'Change']].concat(rules));
+  script.adsApp.addReport(/FROM keyword_view/, [
+    campaignRow('Generic', { 'ad_group.name': 'Shoes', 'ad_group.id': '21', 'ad_group_criterion.keyword.text': 'cheap shoes', 'ad_group_criterion.keyword.match_type': 'PHRASE', 'ad_group_criterion.criterion_id': '31', 'metrics.cost_micros': 150000000, 'metrics.conversions': 0 }),
+    campaignRow('Generic', { 'ad_group.name': 'Shoes', 'ad_group.id': '21', 'ad_group_criterion.keyword.text': 'shoes', 'ad_group_criterion.keyword.match_type': 'EXACT', 'ad_group_criterion.criterion_id': '32', 'metrics.cost_micros': 250000000, 'metrics.conversions': 0 }),
+    campaignRow('Generic', { 'ad_group.name': 'Shoes', 'ad_group.id': '21', 'ad_group_criterion.keyword.text': 'buy shoes', 'ad_group_criterion.keyword.match_type': 'BROAD', 'ad_group_criterion.criterion_id': '33', 'metrics.cost_micros': 500000000, 'metrics.conversions': 5 })
+  ]);
+  script.adsApp.addReport(/FROM location_view/, [
+    campaignRow('Generic', { 'campaign.id': '11', 'campaign_criterion.criterion_id': '2840', 'metrics.cost_micros': 600000000, 'metrics.conversions': 6 }),
+    campaignRow('Generic', { 'campaign.id': '11', 'campaign_criterion.criterion_id': '2826', 'metrics.cost_micros': 100000000, 'metrics.conversions': 5 })
+  ]);
+  script.adsApp.addReport(/FROM geo_target_constant/, [
+    { 'geo_target_constant.id': '2840', 'geo_target_constant.name': 'United States' },
+    { 'geo_target_constant.id': '2826', 'geo_target_constant.name': 'United Kingdom' }
+  ]);
+  script.adsApp.addEntities('campaigns', [{ id: '11', name: 'Generic', targetedLocations: [{ id: 2840, bidModifier: 1.2 }, { id: 2826, bidModifier: 1 }] }]);
+  script.adsApp.addEntities('keywords', [
+    { adGroupId: '21', id: '31', cpc: 0.5 },
+    { adGroupId: '21', id: '32', cpc: 0.8, bidError: 'Bids cannot be set under automated bidding.' },
+    { adGroupId: '21', id: '33', cpc: 1 }
+  ]);
+  return script;
+}
+
+const KEYWORD_AND_LOCATION_RULES = [
+  [true, 'Pause non-converting keywords', 'KEYWORD', 'cost > 100 AND conversions = 0', 30, 'PAUSE', ''],
+  [true, 'Lower bids on non-converting keywords', 'KEYWORD', 'cost > 200 AND conversions = 0', 30, 'ADJUST_BID', -0.2],
+  [true, 'Lower expensive locations', 'LOCATION', 'costPerConv > 50', 14, 'ADJUST_BID_MODIFIER', -0.25],
+  [false, 'Disabled rule', 'CAMPAIGN', 'cost > 0', 30, 'PAUSE', '']
+];
+
+test('rules preview their changes without touching the account by default', () => {
+  const script = loadRulesExporter(KEYWORD_AND_LOCATION_RULES);
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+
+  script.call('runRules', spreadsheet);
+
+  assert.strictEqual(script.adsApp.queriesMatching(/FROM campaign /).length, 0);
+  assert.match(script.adsApp.queriesMatching(/FROM location_view/)[0], /segments\.date BETWEEN '2025-06-01' AND '2025-06-14'/);
+  const rows = spreadsheet.getSheetByName('Rules Preview').dump();
+  assert.deepStrictEqual(rows[0], ['Rule', 'Level', 'Entity', 'Conditions', 'Clicks', 'Cost', 'Conv.', 'Cost / Conv.', 'Conv. Value / Cost', 'Action', 'Current', 'New', 'Status']);
+  assert.deepStrictEqual(rows.slice(1).map(row => [row[0], row[2], row[9], row[10], row[11], row[12]]), [
+    ['Pause non-converting keywords', 'Generic > Shoes > [shoes]', 'PAUSE', 'ENABLED', 'PAUSED', 'Dry run'],
+    ['Pause non-converting keywords', 'Generic > Shoes > "cheap shoes"', 'PAUSE', 'ENABLED', 'PAUSED', 'Dry run'],
+    ['Lower bids on non-converting keywords', 'Generic > Shoes > [shoes]', 'ADJUST_BID', 0.8, 0.64, 'Dry run'],
+    ['Lower expensive locations', 'Generic > United States', 'ADJUST_BID_MODIFIER', 1.2, 0.9, 'Dry run']
+  ]);
+  assert.ok(plain(script.adsApp.entities.keywords).every(keyword => keyword.status === 'ENABLED'));
+  assert.strictEqual(script.adsApp.entities.campaigns[0].targetedLocations[0].bidModifier, 1.2);
+  const log = spreadsheet.getSheetByName('Rules Audit Log').dump();
+  assert.deepStrictEqual(log.slice(1).map(row => [row[3], row[4], row[5], row[6], row[7]]), [
+    ['Generic > Shoes > [shoes]', 'PAUSE', 'ENABLED', 'PAUSED', 'Dry run'],
+    ['Generic > Shoes > "cheap shoes"', 'PAUSE', 'ENABLED', 'PAUSED', 'Dry run'],
+    ['Generic > Shoes > [shoes]', 'ADJUST_BID', 0.8, 0.64, 'Dry run'],
+    ['Generic > United States', 'ADJUST_BID_MODIFIER', 1.2, 0.9, 'Dry run']
+  ]);
+});
+
+test('rule conditions with = and != allow for fractional metric values', () => {
+  const script = loadExporter();
+  const matches = (operator, value, target) => script.eval(`RULE_OPERATORS['${operator}'](${value}, ${target})`);
+
+  // A CPA of 150.10 / 3
+  assert.strictEqual(matches('=', 150.1 / 3, 50), true);
+  assert.strictEqual(matches('!=', 150.1 / 3, 50), false);
+  assert.strictEqual(matches('=', 0.1 + 0.2, 0.3), true);
+  assert.strictEqual(matches('=', 50.3, 50), false);
+  assert.strictEqual(matches('=', 0, 0), true);
+  assert.strictEqual(matches('=', 0.02, 0), false, 'a fraction of a conversion is not none');
+  assert.strictEqual(matches('!=', 0.02, 0), true);
+});
+
+test('rules apply changes when enabled and record each one in the audit log', () => {
+  const script = loadRulesExporter(KEYWORD_AND_LOCATION_RULES);
+  script.eval('CONFIG.RULES.APPLY_CHANGES = true');
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+
+  script.call('runRules', spreadsheet);
+
+  const keywords = script.adsApp.entities.keywords;
+  assert.deepStrictEqual(keywords.map(keyword => [keyword.status, keyword.cpc]), [['PAUSED', 0.5], ['PAUSED', 0.8], ['ENABLED', 1]]);
+  assert.deepStrictEqual(script.adsApp.entities.campaigns[0].targetedLocations.map(location => location.bidModifier), [0.9, 1]);
+  const log = spreadsheet.getSheetByName('Rules Audit Log').dump();
+  assert.deepStrictEqual(log[0], ['Time', 'Rule', 'Level', 'Entity', 'Action', 'Old Value', 'New Value', 'Result']);
+  assert.strictEqual(log[1][0], '2025-06-15 08:00:00');
+  assert.deepStrictEqual(log.slice(1).map(row => [row[3], row[4], row[5], row[6], row[7]]), [
+    ['Generic > Shoes > [shoes]', 'PAUSE', 'ENABLED', 'PAUSED', 'Applied'],
+    ['Generic > Shoes > "cheap shoes"', 'PAUSE', 'ENABLED', 'PAUSED', 'Applied'],
+    ['Generic > Shoes > [shoes]', 'ADJUST_BID', 0.8, 0.64, 'Failed: Bids cannot be set under automated bidding.'],
+    ['Generic > United States', 'ADJUST_BID_MODIFIER', 1.2, 0.9, 'Applied']
+  ]);
+
+  // A second run appends to the log; paused keywords are no longer changed
+  script.call('runRules', spreadsheet);
+  const preview = spreadsheet.getSheetByName('Rules Preview').dump();
+  assert.strictEqual(preview[1][12], 'Skipped: already paused');
+  assert.deepStrictEqual(spreadsheet.getSheetByName('Rules Audit Log').dump().slice(5).map(row => [row[4], row[7]]), [
+    ['ADJUST_BID', 'Failed: Bids cannot be set under automated bidding.'],
+    ['ADJUST_BID_MODIFIER', 'Applied']
+  ]);
+});
+
+test('the Rules tab is created with disabled examples and invalid rows are reported together', () => {
+  const script = loadExporter();
+  script.eval('CONFIG.RULES.ENABLED = true');
+  script.call('main');
+  const spreadsheet = script.spreadsheetApp.openByUrl(SHEET_URL);
+  const rules = spreadsheet.getSheetByName('Rules').dump();
+  assert.deepStrictEqual(rules[0], ['Enabled', 'Rule', 'Level', 'Conditions', 'Lookback Days', 'Action', 'Change']);
+  assert.deepStrictEqual(rules.slice(1).map(row => [row[0], row[2], row[5]]), [[false, 'KEYWORD', 'PAUSE'], [false, 'LOCATION', 'ADJUST_BID_MODIFIER']]);
+  assert.deepStrictEqual(plain(spreadsheet.getSheetByName('Rules').cell(2, 3).dataValidation.values), ['CAMPAIGN', 'AD_GROUP', 'KEYWORD', 'LOCATION']);
+
+  const invalid = loadRulesExporter([
+    [true, 'Typo', 'KEYWORD', 'cost > 100 AND conversion = 0', 30, 'PAUSE', ''],
+    [true, 'Wrong level', 'LOCATION', 'cost > 100', 30, 'PAUSE', ''],
+    [true, 'No change', 'KEYWORD', 'cost > 100', 30, 'ADJUST_BID', ''],
+    [true, 'Fine', 'KEYWORD', 'clicks >= 10', 7, 'PAUSE', '']
+  ]);
+  assert.throws(() => invalid.call('runRules', invalid.call('getOrCreateSpreadsheet')), error => {
+    assert.match(error.message, /'Rules' tab has 3 invalid row\(s\)/);
+    assert.match(error.message, /Row 2 \(Typo\): 'conversion' is not one of/);
+    assert.match(error.message, /Row 3 \(Wrong level\): PAUSE works on CAMPAIGN, AD_GROUP, KEYWORD, not LOCATION/);
+    assert.match(error.message, /Row 4 \(No change\): ADJUST_BID needs a Change/);
+    return true;
+  });
+  assert.strictEqual(invalid.adsApp.queriesMatching(/FROM keyword_view/).length, 0);
+});
+
+function keywordRow(campaign, adGroup, keyword, overrides) {
+  return campaignRow(campaign, Object.assign({
+    'ad_group.name': adGroup,
+    'ad_group_criterion.keyword.text': keyword,
+    'ad_group_criterion.keyword.match_type': 'EXACT',
+    'ad_group_criterion.quality_info.quality_score': 7,
+    'ad_group_criterion.quality_info.search_predicted_ctr': 'AVERAGE',
+    'ad_group_criterion.quality_info.creative_quality_score': 'ABOVE_AVERAGE',
+    'ad_group_criterion.quality_info.post_click_quality_score': 'AVERAGE',
+    'ad_group_criterion.position_estimates.first_page_cpc_micros': 800000,
+    'ad_group_criterion.position_estimates.top_of_page_cpc_micros': 1500000,
+    'metrics.search_impression_share': 0.5,
+    'metrics.search_budget_lost_impression_share': 0.1,
+    'metrics.search_rank_lost_impression_share': 0.4
+  }, overrides));
+}
+
+const KEYWORD_ROWS = [
+  keywordRow('Generic', 'Shoes', 'running shoes', { 'metrics.impressions': 3000 }),
+  keywordRow('Generic', 'Shoes', 'trail shoes', {
+    'metrics.impressions': 1000,
+    'ad_group_criterion.quality_info.quality_score': 3,
+    'ad_group_criterion.quality_info.search_predicted_ctr': 'BELOW_AVERAGE',
+    'ad_group_criterion.position_estimates.first_page_cpc_micros': 0,
+    'metrics.search_impression_share': 0.25,
+    'metrics.search_budget_lost_impression_share': 0,
+    'metrics.search_rank_lost_impression_share': 0.75
+  }),
+  keywordRow('Brand', 'Brand', 'acme', { 'metrics.impressions': 500, 'ad_group_criterion.quality_info.quality_score': null })
+];
+
+test('Keywords tab lists Quality Score, its components, bid estimates and impression share per keyword', () => {
+  const script = loadExporter();
+  script.eval('CONFIG.ENABLED_TABS.KEYWORDS = true');
+  script.adsApp.addReport(/FROM keyword_view/, KEYWORD_ROWS);
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+
+  script.call('exportTab', spreadsheet, 'KEYWORDS', {}, PERIODS);
+
+  const query = script.adsApp.queriesMatching(/FROM keyword_view/)[0];
+  const fields = query.slice('SELECT '.length, query.indexOf(' FROM'));
+  assert.strictEqual(fields.split(', ').filter(field => field === 'metrics.impressions').length, 1);
+  assert.match(query, /ad_group_criterion\.quality_info\.quality_score/);
+  assert.match(query, /ad_group_criterion\.negative = FALSE AND metrics\.impressions > 0/);
+
+  const sheet = spreadsheet.getSheetByName('Keywords');
+  const rows = sheet.dump();
+  assert.deepStrictEqual(rows[0].slice(0, 10), ['Campaign', 'Ad Group', 'Keyword', 'Match Type', 'Quality Score', 'Expected CTR', 'Ad Relevance', 'Landing Page Exp.', 'First Page CPC', 'Top of Page CPC']);
+  assert.deepStrictEqual(rows[0].slice(-3), ['Search Impr. Share', 'Search Lost IS (Budget)', 'Search Lost IS (Rank)']);
+  assert.deepStrictEqual(rows[1].slice(0, 10), ['Generic', 'Shoes', 'running shoes', 'EXACT', 7, 'AVERAGE', 'ABOVE_AVERAGE', 'AVERAGE', 0.8, 1.5]);
+  assert.deepStrictEqual([rows[2][4], rows[2][5], rows[2][8], rows[3][4]], [3, 'BELOW_AVERAGE', '', '']);
+  assert.deepStrictEqual(rows.slice(1, 4).map(row => row.slice(-3)), [[0.5, 0.1, 0.4], [0.25, 0, 0.75], [0.5, 0.1, 0.4]]);
+  // Eligible impressions: 6000 + 4000 + 1000, so the account impression share is 4500 / 11000
+  assert.strictEqual(rows[4][0], 'Total');
+  assert.strictEqual(rows[4][rows[0].length - 3].toFixed(4), '0.4091');
+  assert.strictEqual(sheet.cell(2, 9).numberFormat, '$#,##0.00');
+  assert.strictEqual(sheet.cell(2, rows[0].length).numberFormat, '0.00%');
+});
+
+test('Quality Score by Campaign averages Quality Score weighted by the impressions of scored keywords', () => {
+  const script = loadExporter();
+  script.eval('CONFIG.ENABLED_TABS.QUALITY_SCORE_BY_CAMPAIGN = true');
+  script.adsApp.addReport(/FROM keyword_view/, KEYWORD_ROWS);
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+
+  script.call('exportTab', spreadsheet, 'QUALITY_SCORE_BY_CAMPAIGN', {}, PERIODS);
+
+  const rows = spreadsheet.getSheetByName('Quality Score by Campaign').dump();
+  assert.deepStrictEqual(rows[0].slice(0, 6), ['Campaign', 'Impr.', 'Quality Score', 'Below Avg. Expected CTR (% Impr.)', 'Below Avg. Ad Relevance (% Impr.)', 'Below Avg. Landing Page (% Impr.)']);
+  // (7 x 3000 + 3 x 1000) / 4000; Brand's only keyword has no score yet
+  assert.deepStrictEqual(rows.slice(1, 3).map(row => row.slice(0, 6)), [['Generic', 4000, 6, 0.25, 0, 0], ['Brand', 500, 0, 0, 0, 0]]);
+  assert.deepStrictEqual([rows[3][0], rows[3][2], rows[3][3]], ['Total', 6, 0.25]);
+});
+
+test('the Quality Score history keeps one snapshot per day with the change since the previous one', () => {
+  const script = loadExporter();
+  script.eval('CONFIG.ENABLED_TABS.KEYWORDS = true');
+  script.adsApp.addReport(/FROM keyword_view/, KEYWORD_ROWS);
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+  const history = spreadsheet.insertSheet('Quality Score History');
+  history.getRange(1, 1, 4, 11).setValues([
+    ['Date', 'Campaign', 'Ad Group', 'Keyword', 'Match Type', 'Quality Score', 'Expected CTR', 'Ad Relevance', 'Landing Page Exp.', 'Previous Quality Score', 'Change'],
+    ['2025-06-14', 'Generic', 'Shoes', 'running shoes', 'EXACT', 5, 'AVERAGE', 'AVERAGE', 'AVERAGE', '', ''],
+    ['2025-06-01', 'Generic', 'Shoes', 'trail shoes', 'EXACT', 3, 'AVERAGE', 'AVERAGE', 'AVERAGE', '', ''],
+    ['2024-01-01', 'Generic', 'Shoes', 'running shoes', 'EXACT', 2, 'AVERAGE', 'AVERAGE', 'AVERAGE', '', '']
+  ]);
+
+  const data = script.call('exportTab', spreadsheet, 'KEYWORDS', {}, PERIODS);
+  script.call('exportQualityScoreHistory', spreadsheet, data);
+  script.call('exportQualityScoreHistory', spreadsheet, data);
+
+  const rows = history.dump();
+  assert.deepStrictEqual(rows.slice(1).map(row => [row[0], row[3], row[5], row[9], row[10]]), [
+    ['2025-06-15', 'running shoes', 7, 5, 2],
+    ['2025-06-15', 'trail shoes', 3, 3, 0],
+    ['2025-06-15', 'acme', '', '', ''],
+    ['2025-06-14', 'running shoes', 5, '', ''],
+    ['2025-06-01', 'trail shoes', 3, '', '']
+  ]);
+  assert.strictEqual(history.cell(2, 11).numberFormat, '+0;-0;0');
+});
+
+test('the Quality Score history is only kept when the Keywords tab is exported', () => {
+  const disabled = loadExporter();
+  disabled.adsApp.addReport(/FROM keyword_view/, KEYWORD_ROWS);
+  disabled.call('main');
+  assert.strictEqual(disabled.adsApp.queriesMatching(/FROM keyword_view/).length, 0);
+  assert.strictEqual(disabled.spreadsheetApp.openByUrl(SHEET_URL).getSheetByName('Quality Score History'), null);
+
+  const enabled = loadExporter();
+  enabled.eval('CONFIG.ENABLED_TABS.KEYWORDS = true');
+  enabled.adsApp.addReport(/FROM keyword_view/, KEYWORD_ROWS);
+  enabled.call('main');
+  assert.strictEqual(enabled.spreadsheetApp.openByUrl(SHEET_URL).getSheetByName('Quality Score History').dump().length, 4);
+});
+
+function impressionShareRow(name, overrides) {
+  return campaignRow(name, Object.assign({
+    'metrics.impressions': 2000,
+    'metrics.search_impression_share': 0.4,
+    'metrics.search_top_impression_share': 0.3,
+    'metrics.search_absolute_top_impression_share': 0.1,
+    'metrics.search_budget_lost_impression_share': 0.5,
+    'metrics.search_rank_lost_impression_share': 0.1
+  }, overrides));
+}
+
+test('Impression Share tab lists search, top and absolute top IS and the IS lost to budget and rank per campaign', () => {
+  const script = loadExporter();
+  script.adsApp.addReport(/FROM campaign WHERE/, [
+    impressionShareRow('Generic'),
+    impressionShareRow('Brand', { 'metrics.impressions': 1800, 'metrics.search_impression_share': 0.9, 'metrics.search_top_impression_share': 0.8, 'metrics.search_absolute_top_impression_share': 0.6, 'metrics.search_budget_lost_impression_share': 0, 'metrics.search_rank_lost_impression_share': 0.1 })
+  ]);
+  const spreadsheet = script.call('getOrCreateSpreadsheet', SHEET_URL, ['Impression Share']);
+
+  script.call('exportTab', spreadsheet, 'IMPRESSION_SHARE', {}, PERIODS);
+
+  assert.match(script.adsApp.queries[0], /metrics\.search_absolute_top_impression_share/);
+  assert.match(script.adsApp.queries[0], /campaign\.advertising_channel_type = 'SEARCH'/);
+  const rows = spreadsheet.getSheetByName('Impression Share').dump();
+  assert.deepStrictEqual(rows[0].slice(0, 7), ['Campaign', 'Impr.', 'Search Impr. Share', 'Search Top IS', 'Search Abs. Top IS', 'Search Lost IS (Budget)', 'Search Lost IS (Rank)']);
+  assert.deepStrictEqual(rows[1].slice(0, 7), ['Generic', 2000, 0.4, 0.3, 0.1, 0.5, 0.1]);
+  // Eligible impressions are 5000 and 2000, so the total search IS is 3800 / 7000
+  assert.strictEqual(rows[3][0], 'Total');
+  assert.deepStrictEqual(rows[3].slice(2, 7).map(value => value.toFixed(4)), ['0.5429', '0.4429', '0.2429', '0.3571', '0.1000']);
+});
+
+test('Auction Insights tab lists competitor domains per campaign, or its error message where the API has none', () => {
+  const script = loadExporter();
+  script.adsApp.addReport(/segments\.auction_insight_domain/, [
+    { 'campaign.name': 'Generic', 'segments.auction_insight_domain': 'rival.com', 'metrics.auction_insight_search_impression_share': 0.35, 'metrics.auction_insight_search_overlap_rate': 0.4, 'metrics.auction_insight_search_position_above_rate': 0.2, 'metrics.auction_insight_search_top_impression_percentage': 0.6, 'metrics.auction_insight_search_absolute_top_impression_percentage': 0.25, 'metrics.auction_insight_search_outranking_share': 0.3 },
+    { 'campaign.name': 'Generic', 'segments.auction_insight_domain': 'other.com', 'metrics.auction_insight_search_impression_share': 0.1, 'metrics.auction_insight_search_overlap_rate': 0.6, 'metrics.auction_insight_search_position_above_rate': 0.5, 'metrics.auction_insight_search_top_impression_percentage': 0.7, 'metrics.auction_insight_search_absolute_top_impression_percentage': 0.3, 'metrics.auction_insight_search_outranking_share': 0.2 }
+  ]);
+  const spreadsheet = script.call('getOrCreateSpreadsheet', SHEET_URL, ['Auction Insights']);
+
+  script.call('exportTab', spreadsheet, 'AUCTION_INSIGHTS', {}, PERIODS);
+
+  const sheet = spreadsheet.getSheetByName('Auction Insights');
+  assert.deepStrictEqual(sheet.dump(), [
+    ['Campaign', 'Competitor Domain', 'Impr. Share', 'Overlap Rate', 'Position Above Rate', 'Top of Page Rate', 'Abs. Top of Page Rate', 'Outranking Share'],
+    ['Generic', 'other.com', 0.1, 0.6, 0.5, 0.7, 0.3, 0.2],
+    ['Generic', 'rival.com', 0.35, 0.4, 0.2, 0.6, 0.25, 0.3]
+  ]);
+  assert.strictEqual(sheet.cell(2, 4).numberFormat, '0.00%');
+
+  const restricted = loadExporter();
+  restricted.adsApp.addReport(/segments\.auction_insight_domain/, new Error('PERMISSION_DENIED: metrics.auction_insight_search_overlap_rate'));
+  const restrictedSpreadsheet = restricted.call('getOrCreateSpreadsheet', SHEET_URL, ['Auction Insights']);
+  restricted.call('exportTab', restrictedSpreadsheet, 'AUCTION_INSIGHTS', {}, PERIODS);
+  assert.strictEqual(restrictedSpreadsheet.getSheetByName('Auction Insights').cell(2, 1).value, 'Could not retrieve auction insights. See script logs for details.');
+  assert.ok(restricted.logger.messages.some(m => /only returned to Google Ads API developer tokens/.test(m)));
+});
+
+test('the completion email flags budget-limited campaigns that convert on target', () => {
+  const script = loadExporter();
+  script.eval("CONFIG.EMAIL_RECIPIENTS = 'team@example.com'; CONFIG.ENABLED_TABS.IMPRESSION_SHARE = true");
+  script.adsApp.addReport(/search_impression_share/, [
+    impressionShareRow('Generic', { 'metrics.conversions_value': 600, 'metrics.search_budget_lost_impression_share': 0.25 }),
+    impressionShareRow('Rival Terms', { 'metrics.conversions_value': 100 }),
+    impressionShareRow('Brand', { 'metrics.search_budget_lost_impression_share': 0.05 }),
+    impressionShareRow('Display Remarketing', { 'metrics.conversions': 0, 'metrics.conversions_value': 0 }),
+    impressionShareRow('Summer Sale', { 'metrics.conversions_value': 900, 'metrics.search_budget_lost_impression_share': 0.4 })
+  ]);
+
+  script.call('main');
+
+  const email = script.mailApp.sent[0];
+  assert.match(email.body, /Budget-Limited Campaigns \(Converting on target but losing at least 10% of impressions to budget\)/);
+  assert.match(email.body, /Summer Sale\s+40\.0%\s+10\.0\s+\$15\.00\s+6\.00\nGeneric\s+25\.0%\s+10\.0\s+\$15\.00\s+4\.00\n/);
+  assert.doesNotMatch(email.body, /Rival Terms|Brand\s+5\.0%|Display Remarketing/);
+  assert.match(email.htmlBody, /Budget-Limited Campaigns/);
+});
+
+const CUSTOM_KPIS = `[
+  { key: 'leads', header: 'Leads', conversionActions: ['Form Submit', 'Call > 60s'] },
+  { key: 'costPerLead', header: 'Cost / Lead', ratio: ['cost', 'leads'], format: '#,##0.00', currency: true, lowerIsBetter: true },
+  { key: 'marginRoas', header: 'ROAS on Margin', ratio: ['convValue', 'cost'], multiplier: 0.5 }
+]`;
+
+function conversionActionRow(name, action, allConversions, overrides) {
+  return Object.assign({ 'campaign.name': name, 'segments.conversion_action_name': action, 'metrics.all_conversions': allConversions, 'metrics.all_conversions_value': 0 }, overrides);
+}
+
+test('custom KPIs are added to every tab, counting conversion actions from a second query', () => {
+  const script = loadExporter();
+  script.eval(`CONFIG.CUSTOM_KPIS = ${CUSTOM_KPIS}`);
+  script.call('loadCustomKpis');
+  script.adsApp
+    .addReport(/segments\.conversion_action_name/, [
+      conversionActionRow('Brand', 'Form Submit', 8),
+      conversionActionRow('Brand', 'Call > 60s', 2),
+      conversionActionRow('Brand', 'Purchase', 10),
+      conversionActionRow('Generic', 'Form Submit', 5),
+      conversionActionRow('Paused', 'Form Submit', 3)
+    ])
+    .addReport(/FROM campaign WHERE/, [campaignRow('Brand'), campaignRow('Generic', { 'metrics.cost_micros': 100000000 })]);
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+
+  script.call('exportTab', spreadsheet, 'TOP_CAMPAIGNS', {}, PERIODS);
+
+  // The segmented query selects no other metrics and drops the tab's metric conditions
+  assert.doesNotMatch(script.adsApp.queries[0], /conversion_action|undefined/);
+  assert.match(script.adsApp.queries[1], /^SELECT campaign\.name, segments\.conversion_action_name, metrics\.all_conversions, metrics\.all_conversions_value FROM campaign WHERE .* AND campaign\.status != 'REMOVED'$/);
+  const sheet = spreadsheet.getSheetByName('Top Campaigns');
+  const rows = sheet.dump();
+  assert.deepStrictEqual(rows[0].slice(11), ['All Conv.', 'Leads', 'Cost / Lead', 'ROAS on Margin']);
+  assert.deepStrictEqual(rows[1].slice(12), [10, 15, 2]);
+  assert.deepStrictEqual(rows[2].slice(12), [5, 20, 3]);
+  assert.deepStrictEqual(rows[3].slice(12), ['=SUM(M2:M3)', '=IFERROR(F4/M4, 0)', '=IFERROR(G4/F4*0.5, 0)']);
+  assert.strictEqual(sheet.cell(2, 14).numberFormat, '$#,##0.00');
+});
+
+test('Conversion Actions tab lists conversions and all conversions per campaign and conversion action', () => {
+  const script = loadExporter();
+  script.eval(`CONFIG.CUSTOM_KPIS = ${CUSTOM_KPIS}`);
+  script.call('loadCustomKpis');
+  script.adsApp.addReport(/segments\.conversion_action_name/, [
+    conversionActionRow('Brand', 'Form Submit', 8, { 'segments.conversion_action_category': 'SUBMIT_LEAD_FORM', 'metrics.conversions': 8, 'metrics.conversions_value': 0 }),
+    conversionActionRow('Brand', 'Purchase', 12, { 'segments.conversion_action_category': 'PURCHASE', 'metrics.conversions': 10, 'metrics.conversions_value': 500, 'metrics.all_conversions_value': 560 })
+  ]);
+  const spreadsheet = script.call('getOrCreateSpreadsheet', SHEET_URL, ['Conversion Actions']);
+
+  script.call('exportTab', spreadsheet, 'CONVERSION_ACTIONS', {}, PERIODS);
+
+  // One query: custom KPIs are left out of a tab that is already segmented by conversion action
+  assert.strictEqual(script.adsApp.queries.length, 1);
+  assert.match(script.adsApp.queries[0], /metrics\.all_conversions > 0/);
+  assert.deepStrictEqual(spreadsheet.getSheetByName('Conversion Actions').dump(), [
+    ['Campaign', 'Conversion Action', 'Category', 'Conv.', 'Total Conv. Value', 'All Conv.', 'All Conv. Value'],
+    ['Brand', 'Purchase', 'PURCHASE', 10, 500, 12, 560],
+    ['Brand', 'Form Submit', 'SUBMIT_LEAD_FORM', 8, 0, 8, 0],
+    ['Total', '', '', '=SUM(D2:D3)', '=SUM(E2:E3)', '=SUM(F2:F3)', '=SUM(G2:G3)']
+  ]);
+});
+
+test('the completion email compares custom KPIs with the prior period', () => {
+  const script = loadExporter();
+  script.eval(`CONFIG.EMAIL_RECIPIENTS = 'team@example.com'; CONFIG.CUSTOM_KPIS = ${CUSTOM_KPIS}`);
+  const isPrior = query => query.indexOf(PERIODS.prior.startDate) !== -1;
+  script.adsApp
+    .addReport(/segments\.conversion_action_name.* FROM customer/, query => [
+      { 'segments.date': '2025-06-01', 'segments.conversion_action_name': 'Form Submit', 'metrics.all_conversions': isPrior(query) ? 5 : 8 }
+    ])
+    .addReport(/FROM customer/, query => [
+      { 'segments.date': '2025-06-01', 'metrics.cost_micros': isPrior(query) ? 100000000 : 120000000, 'metrics.conversions_value': 300 }
+    ]);
+
+  script.call('main');
+
+  const email = script.mailApp.sent[0];
+  assert.match(email.body, /^Leads\s+8\s+5\s+\+3 \(60\.0%\)$/m);
+  assert.match(email.body, /^Cost \/ Lead\s+\$15\.00\s+\$20\.00\s+-\$5\.00 \(-25\.0%\)$/m);
+  assert.match(email.body, /^ROAS on Margin\s+1\.25\s+1\.5\s+-0\.25 \(-16\.7%\)$/m);
+  // A lower cost per lead is good news, a lower ROAS is not
+  assert.match(email.htmlBody, /Cost \/ Lead<\/td>(<td[^>]*>[^<]*<\/td>){2}<td[^>]*><span style="[^"]*background-color: #27ae60/);
+  assert.match(email.htmlBody, /ROAS on Margin<\/td>(<td[^>]*>[^<]*<\/td>){2}<td[^>]*><span style="[^"]*background-color: #c0392b/);
+});
+
+test('invalid custom KPIs stop the export with every problem listed', () => {
+  const script = loadExporter();
+  script.eval(`CONFIG.CUSTOM_KPIS = [
+    { key: 'cost', header: 'Cost', conversionActions: ['Purchase'] },
+    { key: 'leads', header: 'Leads', conversionActions: [] },
+    { key: 'qualifiedCpa', header: 'Qualified CPA', ratio: ['cost', 'roas'] }
+  ]`);
+
+  assert.throws(() => script.call('main'), error => {
+    assert.match(error.message, /CONFIG\.CUSTOM_KPIS has 3 invalid KPI\(s\)/);
+    assert.match(error.message, /CONFIG\.CUSTOM_KPIS\[0\] \(cost\): 'cost' is already a metric\./);
+    assert.match(error.message, /CONFIG\.CUSTOM_KPIS\[1\] \(leads\): conversionActions must list at least one conversion action name\./);
+    assert.match(error.message, /CONFIG\.CUSTOM_KPIS\[2\] \(qualifiedCpa\): The ratio can only use base metrics such as cost or leads, not roas\./);
+    return true;
+  });
+});
+
+test('an export that runs low on time stops between steps and the next run finishes it for the same period', () => {
+  const script = loadExporter();
+  script.eval("CONFIG.EMAIL_RECIPIENTS = 'team@example.com'");
+  script.adsApp.addReport(/FROM campaign WHERE/, [campaignRow('Brand')]);
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+  spreadsheet.getSheetByName('Top Countries').getRange(1, 1, 2, 2).setValues([['Country', 'Cost'], ['France', 80]]);
+  // Each report takes two and a half minutes of the 30
+  script.adsApp.setRemainingTime(queries => 1800 - queries.length * 150);
+
+  script.call('main');
+
+  const state = spreadsheet.getSheetByName('_Export State');
+  assert.ok(state.isSheetHidden());
+  const finished = state.dump().slice(1).map(row => row[0]);
+  assert.deepStrictEqual(finished.slice(0, 3), ['SUMMARY', 'ACCOUNT_DAILY', 'TOP_CAMPAIGNS']);
+  assert.ok(finished.indexOf('TOP_COUNTRIES') === -1);
+  assert.ok(script.logger.messages.includes('2 minutes left. Stopping before SEARCH_QUERY_NGRAMS, TOP_LANDING_PAGES, TOP_COUNTRIES, OVERVIEW.'));
+  assert.deepStrictEqual(spreadsheet.getSheetByName('Top Countries').dump(), [['Country', 'Cost'], ['France', 80]]);
+  assert.strictEqual(script.mailApp.sent.length, 0);
+
+  // An hour later, on the next scheduled run
+  script.eval('__NOW__ += 3600000');
+  script.adsApp.setRemainingTime(1800);
+  const queryCount = script.adsApp.queries.length;
+  script.call('main');
+
+  const resumed = script.adsApp.queries.slice(queryCount);
+  assert.ok(resumed.every(q => !/segments\.date/.test(q) || q.includes("BETWEEN '2025-05-16' AND '2025-06-14'") || q.includes("BETWEEN '2025-04-16' AND '2025-05-15'")));
+  assert.ok(!resumed.some(q => /SELECT campaign\.resource_name FROM campaign/.test(q)), 'the summary is not gathered again');
+  assert.strictEqual(spreadsheet.getSheetByName('Top Countries').cell(2, 1).value, 'No country-level data available for the selected date range.');
+  assert.strictEqual(spreadsheet.getSheetByName('_Export State'), null);
+  assert.strictEqual(script.mailApp.sent.length, 1);
+  assert.match(script.mailApp.sent[0].body, /Last 30 Days \(2025-05-16 to 2025-06-14\)/);
+});
+
+test('an unfinished export is dropped when it is too old or the reporting period has changed', () => {
+  const script = loadExporter();
+  script.eval("CONFIG.DATE_RANGE = { start: '2025-05-16', end: '2025-06-14' }");
+  script.adsApp.addReport(/FROM campaign WHERE/, new Error('Unrecognized field in the query'));
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+
+  assert.throws(() => script.call('main'), /Unrecognized field/);
+  assert.deepStrictEqual(spreadsheet.getSheetByName('_Export State').dump().slice(1).map(row => row[0]), ['SUMMARY', 'ACCOUNT_DAILY']);
+
+  // Within MAX_RESUME_HOURS the failed step is tried again after the finished ones
+  script.eval('__NOW__ += 3600000');
+  assert.throws(() => script.call('main'), /Unrecognized field/);
+  assert.ok(script.logger.messages.some(message => /^Resuming the export of .* after SUMMARY, ACCOUNT_DAILY\.$/.test(message)));
+
+  script.eval('__NOW__ += 24 * 3600000');
+  assert.throws(() => script.call('main'), /Unrecognized field/);
+  assert.ok(script.logger.messages.some(message => /^Dropping the unfinished export of .* \(done: SUMMARY, ACCOUNT_DAILY\) because it started more than 24 hours ago\. Starting over\.$/.test(message)));
+
+  const settings = spreadsheet.getSheetByName('Settings');
+  settings.getRange(settings.dump().findIndex(row => row[0] === 'Date Range') + 1, 2).setValue('LAST_7_DAYS');
+  assert.throws(() => script.call('main'), /Unrecognized field/);
+  assert.ok(script.logger.messages.some(message => /^Dropping the unfinished export of .* because the reporting period is now Last 7 Days/.test(message)));
+  assert.match(spreadsheet.getSheetByName('_Export State').cell(2, 3).value, /Last 7 Days/);
+});
+
+test('a tab keeps its previous data until its reports have run', () => {
+  const script = loadExporter();
+  script.adsApp.addReport(/FROM campaign WHERE/, new Error('Quota exceeded'));
+  const spreadsheet = script.call('getOrCreateSpreadsheet');
+  spreadsheet.getSheetByName('Top Campaigns').getRange(1, 1, 2, 2).setValues([['Campaign', 'Clicks'], ['Brand', 100]]);
+
+  assert.throws(() => script.call('exportTab', spreadsheet, 'TOP_CAMPAIGNS', {}, PERIODS), /Quota exceeded/);
+
+  assert.deepStrictEqual(spreadsheet.getSheetByName('Top Campaigns').dump(), [['Campaign', 'Clicks'], ['Brand', 100]]);
+});